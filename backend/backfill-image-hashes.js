@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const axios = require('axios');
+require('dotenv').config();
+const Report = require('./models/Report');
+const ImageStorageService = require('./services/ImageStorageService');
+const ImageHashService = require('./services/ImageHashService');
+
+// Computes images[].phash and phashBands for reports created before reused-image
+// detection, so new reports can be matched against them. Existing reports are
+// not flagged themselves. Reports are processed one at a time.
+//
+// Usage: node backfill-image-hashes.js [--limit=N]
+const LIMIT = parseInt((process.argv.find(arg => arg.startsWith('--limit=')) || '').split('=')[1]) || 0;
+
+// Image bytes from the image store or Cloudinary (the medium variant is enough to hash)
+const readImageBytes = async (image) => {
+  if (ImageStorageService.hasStoredImage(image)) {
+    return ImageStorageService.readOriginal(image);
+  }
+  if (image.imageUrl?.startsWith('http')) {
+    const response = await axios.get(ImageStorageService.remoteUrl(image.imageUrl, 'medium'), {
+      responseType: 'arraybuffer',
+      timeout: 30000
+    });
+    return Buffer.from(response.data);
+  }
+  return null;
+};
+
+async function backfillImageHashes() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Database connected successfully');
+
+    const ids = await Report.find({
+      images: { $elemMatch: { phash: { $exists: false } } }
+    }).select('_id').lean();
+
+    const targets = LIMIT ? ids.slice(0, LIMIT) : ids;
+    console.log(`📊 ${ids.length} report(s) with unhashed images, processing ${targets.length}`);
+
+    let hashed = 0;
+    let failed = 0;
+
+    for (const { _id } of targets) {
+      try {
+        const report = await Report.findById(_id).select('images').lean().maxTimeMS(30000);
+        if (!report) continue;
+
+        const update = {};
+        const hashes = [];
+        for (const [index, image] of (report.images || []).entries()) {
+          if (image.phash) {
+            hashes.push(image.phash);
+            continue;
+          }
+          const bytes = await readImageBytes(image);
+          const hash = bytes ? await ImageHashService.hash(bytes) : null;
+          hashes.push(hash);
+          if (hash) {
+            update[`images.${index}.phash`] = hash;
+            hashed++;
+          }
+        }
+
+        if (Object.keys(update).length === 0) continue;
+        update.phashBands = ImageHashService.bands(hashes);
+        await Report.updateOne({ _id }, { $set: update });
+        console.log(`Report ${_id}: ${Object.keys(update).length - 1} image(s) hashed`);
+      } catch (error) {
+        failed++;
+        console.error(`❌ Report ${_id} failed:`, error.message);
+      }
+    }
+
+    console.log('\n📊 BACKFILL SUMMARY:');
+    console.log(`   Images hashed: ${hashed}, failed reports: ${failed}`);
+
+    await mongoose.disconnect();
+    process.exit(failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Backfill failed:', error);
+    process.exit(1);
+  }
+}
+
+backfillImageHashes();
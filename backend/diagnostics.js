@@ -1,9 +1,7 @@
 const axios = require('axios');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
 const BASE_URL = 'http://localhost:3011/api';
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production';
 
 // Test targets
 const ENDPOINTS = [
@@ -27,11 +25,9 @@ async function generateTestToken() {
     process.exit(1);
   }
   
-  const token = jwt.sign(
-    { id: user._id, username: user.username, email: user.email },
-    JWT_SECRET,
-    { expiresIn: '1h' }
-  );
+  // Access tokens only work while their session is signed in
+  const SessionService = require('./services/SessionService');
+  const { token } = await SessionService.createSession({ user }, { headers: { 'user-agent': 'diagnostics' } });
   
   await mongoose.disconnect();
   return token;
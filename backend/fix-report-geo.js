@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const Report = require('./models/Report');
+const { toGeoPoint } = require('./services/geoService');
+require('dotenv').config();
+
+// Backfills location.geo (GeoJSON Point) for reports created before the
+// 2dsphere migration and swaps the old '2d' index for the new one.
+const BATCH_SIZE = 500;
+
+async function connectAndFixReportGeo() {
+  try {
+    console.log('Connecting to database...');
+
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Database connected successfully');
+
+    // Drop the legacy 2d index on location.coordinates if it is still there
+    const indexes = await Report.collection.indexes();
+    const legacyIndex = indexes.find(index => index.key && index.key['location.coordinates'] === '2d');
+    if (legacyIndex) {
+      await Report.collection.dropIndex(legacyIndex.name);
+      console.log(`🗑️ Dropped legacy index ${legacyIndex.name}`);
+    } else {
+      console.log('No legacy 2d index found');
+    }
+
+    console.log('Starting GeoJSON backfill...');
+
+    const cursor = Report.find({
+      'location.coordinates.latitude': { $type: 'number' },
+      'location.coordinates.longitude': { $type: 'number' }
+    })
+      .select('location.coordinates location.geo')
+      .lean()
+      .cursor();
+
+    let scanned = 0;
+    let updated = 0;
+    let operations = [];
+
+    for await (const report of cursor) {
+      scanned++;
+      const { latitude, longitude } = report.location.coordinates;
+      const current = report.location.geo?.coordinates;
+
+      if (current && current[0] === longitude && current[1] === latitude) continue;
+
+      operations.push({
+        updateOne: {
+          filter: { _id: report._id },
+          update: { $set: { 'location.geo': toGeoPoint({ latitude, longitude }) } }
+        }
+      });
+
+      if (operations.length >= BATCH_SIZE) {
+        const result = await Report.bulkWrite(operations, { ordered: false });
+        updated += result.modifiedCount;
+        console.log(`Updated ${updated} reports so far...`);
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      const result = await Report.bulkWrite(operations, { ordered: false });
+      updated += result.modifiedCount;
+    }
+
+    console.log(`Scanned ${scanned} reports, updated ${updated}`);
+
+    await Report.createIndexes();
+    console.log('✅ 2dsphere index on location.geo is in place');
+
+    console.log('✅ GeoJSON migration completed successfully!');
+    await mongoose.connection.close();
+    console.log('Database connection closed');
+    process.exit(0);
+
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    if (mongoose.connection.readyState === 1) {
+      await mongoose.connection.close();
+    }
+    process.exit(1);
+  }
+}
+
+// Handle process termination
+process.on('SIGINT', async () => {
+  console.log('\nProcess interrupted, closing database connection...');
+  await mongoose.connection.close();
+  process.exit(0);
+});
+
+connectAndFixReportGeo();
@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const SessionService = require('../services/SessionService');
 
 const auth = async (req, res, next) => {
   try {
@@ -12,8 +12,14 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and that its session was not signed out
+    const decoded = await SessionService.verifyAccessToken(token, req);
+
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Session has been signed out'
+      });
+    }
 
     // Check if admin still exists and is active
     const admin = await Admin.findById(decoded.id).select('-password');
@@ -36,6 +42,7 @@ const auth = async (req, res, next) => {
       username: admin.username,
       role: admin.role
     };
+    req.sessionId = decoded.sid;
 
     next();
 
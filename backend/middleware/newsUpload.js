@@ -1,6 +1,7 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const RedactionService = require('../services/RedactionService');
 
 // Create uploads directory if it doesn't exist
 const uploadDir = path.join(__dirname, '../uploads/news');
@@ -69,10 +70,44 @@ const handleNewsUpload = (req, res, next) => {
         error: err.message
       });
     }
-    next();
+
+    redactNewsMedia(req.files || [])
+      .then(() => next())
+      .catch(redactionError => {
+        console.error('❌ News media redaction failed:', redactionError.message);
+        // Never keep unredacted uploads around
+        (req.files || []).forEach(file => {
+          try {
+            fs.unlinkSync(file.path);
+          } catch (unlinkError) {
+            console.error('Error deleting file:', unlinkError);
+          }
+        });
+        res.status(502).json({
+          error: 'Could not redact faces and plates in the uploaded images. Please try again.'
+        });
+      });
   });
 };
 
+// Replace each uploaded image on disk with its redacted copy and record what was covered.
+// Videos are not redacted and are marked as such.
+const redactNewsMedia = async (files) => {
+  for (const file of files) {
+    if (!file.mimetype.startsWith('image/')) {
+      file.redaction = { status: 'not_supported', regions: [], passes: 0 };
+      continue;
+    }
+
+    const redacted = await RedactionService.redactBuffer(fs.readFileSync(file.path));
+    fs.writeFileSync(file.path, redacted.buffer);
+    file.size = redacted.buffer.length;
+    file.mimetype = redacted.mimetype;
+    file.redaction = redacted.redaction;
+    console.log(`🕶️ Redacted ${file.originalname} (${redacted.redaction.regions.length} region(s))`);
+  }
+};
+
 // Helper function to get file type
 const getFileType = (filename) => {
   const ext = path.extname(filename).toLowerCase();
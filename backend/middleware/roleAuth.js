@@ -1,6 +1,6 @@
-const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
 const AuditLog = require('../models/AuditLog');
+const SessionService = require('../services/SessionService');
 
 // =============== ROLE-BASED ACCESS CONTROL (RBAC) DEFINITIONS ===============
 
@@ -150,8 +150,14 @@ const auth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Verify token and that its session was not signed out
+    const decoded = await SessionService.verifyAccessToken(token, req);
+
+    if (!decoded) {
+      return res.status(401).json({
+        error: 'Session has been signed out'
+      });
+    }
 
     // Check if admin still exists and is active
     const admin = await Admin.findById(decoded.id).select('-password');
@@ -188,8 +194,11 @@ const auth = async (req, res, next) => {
       rolePermissions: rolePermissions, // Role-based permissions
       allPermissions: [...new Set([...(admin.permissions || []), ...rolePermissions])],
       profile: admin.profile,
-      isSuperAdmin: admin.role === 'super_admin'
+      agency: admin.agency || null,
+      isSuperAdmin: admin.role === 'super_admin',
+      twoFactorEnabled: !!admin.twoFactor?.enabled
     };
+    req.sessionId = decoded.sid;
 
     console.log('🔐 Admin attached to request:', {
       id: req.admin.id,
@@ -255,6 +264,31 @@ const requirePermission = (permission) => {
   };
 };
 
+// Destructive actions need a recent sign-in or step-up re-authentication on
+// this session (POST /api/auth/step-up); reads are never held back
+const requireStepUp = async (req, res, next) => {
+  if (req.method === 'GET') {
+    return next();
+  }
+
+  try {
+    if (await SessionService.hasRecentStepUp(req.sessionId)) {
+      return next();
+    }
+
+    return res.status(403).json({
+      error: 'Please confirm it is you to continue',
+      stepUpRequired: true,
+      stepUpMethod: req.admin.twoFactorEnabled ? 'totp' : 'password'
+    });
+  } catch (error) {
+    console.error('Step-up check error:', error);
+    res.status(500).json({
+      error: 'Server error during authentication'
+    });
+  }
+};
+
 // Check if admin has super admin role
 const requireSuperAdmin = (req, res, next) => {
   if (!req.admin) {
@@ -277,7 +311,7 @@ const requireSuperAdmin = (req, res, next) => {
     });
   }
 
-  next();
+  requireStepUp(req, res, next);
 };
 
 // Check if admin can manage reports (both roles can, but with different permissions)
@@ -345,7 +379,7 @@ const canDeleteReports = (req, res, next) => {
     });
   }
 
-  next();
+  requireStepUp(req, res, next);
 };
 
 // Check if admin can delete users (Super Admin only)
@@ -370,7 +404,7 @@ const canDeleteUsers = (req, res, next) => {
     });
   }
 
-  next();
+  requireStepUp(req, res, next);
 };
 
 // Check if admin can manage other admins (Super Admin only)
@@ -454,8 +488,33 @@ const canCreateNews = (req, res, next) => {
   next();
 };
 
+/**
+ * For public routes that show admins extra fields: attaches req.admin (id and
+ * role only) when the request carries a valid admin token, and otherwise lets
+ * the request through without it. Never rejects.
+ */
+const optionalAdmin = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (!token) return next();
+
+    const decoded = await SessionService.verifyAccessToken(token, req);
+    if (!decoded) return next();
+
+    // User tokens carry a user id, which matches no admin
+    const admin = await Admin.findById(decoded.id).select('role isActive');
+    if (admin && admin.isActive) {
+      req.admin = { id: admin._id, role: admin.role };
+    }
+    next();
+  } catch {
+    next();
+  }
+};
+
 module.exports = {
   auth,
+  optionalAdmin,
   requirePermission,
   requireSuperAdmin,
   canManageReports,
@@ -465,6 +524,7 @@ module.exports = {
   canAccessSettings,
   canViewAuditLogs,
   canCreateNews,
+  requireStepUp,
   createAuditLog,
   PERMISSIONS,
   ROLE_PERMISSIONS,
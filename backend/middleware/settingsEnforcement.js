@@ -134,7 +134,9 @@ const validatePasswordRequirements = async (req, res, next) => {
 };
 
 /**
- * Check for spam behavior (rapid fire reporting or duplicate reports)
+ * Check for spam behavior (rapid fire reporting, duplicate reports, or photos
+ * already used in other reports). Runs after the upload middleware so the
+ * uploaded files carry their perceptual hashes.
  */
 const checkSpamBehavior = async (req, res, next) => {
   try {
@@ -161,6 +163,11 @@ const checkSpamBehavior = async (req, res, next) => {
       createdAt: { $gte: oneHourAgo }
     });
     
+    // 3. Check for photos that near-match images of existing reports (any reporter)
+    const ImageHashService = require('../services/ImageHashService');
+    const hashes = (req.files || []).map(file => file.phash);
+    req.imageReuse = await ImageHashService.findMatches(hashes, { reporterId: req.user.id });
+    
     let spamDetected = false;
     let spamReason = '';
     
@@ -170,24 +177,25 @@ const checkSpamBehavior = async (req, res, next) => {
     } else if (duplicateReport) {
       spamDetected = true;
       spamReason = 'Duplicate report detected (you already reported this hazard recently).';
+    } else if (req.imageReuse.length > 0) {
+      spamDetected = true;
+      spamReason = 'Reused photo detected (this photo was already used in another report).';
     }
     
     if (spamDetected) {
       // Increment user's spam score
       const user = await User.findById(req.user.id);
       user.spamScore = (user.spamScore || 0) + 1;
+      await user.save();
       
-      // Auto-add a warning if they keep spamming
-      if (user.spamScore % 3 === 0) {
-        user.warnings.push({
-          message: `System Alert: Potential spamming behavior detected. ${spamReason}`,
-          reason: 'Automated Spam Detection',
-          date: new Date()
-        });
+      // Warn, pause or freeze per the enforcement policy. A new restriction
+      // applies to this submission too.
+      const EnforcementService = require('../services/EnforcementService');
+      const action = await EnforcementService.evaluate(user._id);
+      if (action && action.action !== 'warning') {
+        req.user = await User.findById(user._id).select('-password');
       }
       
-      await user.save();
-      
       // Notify the frontend about the warning
       req.spamWarning = {
         detected: true,
@@ -203,6 +211,58 @@ const checkSpamBehavior = async (req, res, next) => {
   }
 };
 
+/**
+ * Block report submission from users who have not verified their email,
+ * while require_email_verification is on. Runs after userAuth.
+ */
+const requireVerifiedEmail = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.emailVerified) {
+      return next();
+    }
+
+    const requireVerification = await getSetting('require_email_verification', false);
+    if (requireVerification) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your email address before submitting reports',
+        emailVerificationRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    next();
+  }
+};
+
+/**
+ * Block emergency (SOS) reports from users who have not verified their phone
+ * number, while require_phone_verification_for_sos is on. Runs after userAuth.
+ */
+const requireVerifiedPhone = async (req, res, next) => {
+  try {
+    if (!req.user || req.user.phoneVerified) {
+      return next();
+    }
+
+    const requireVerification = await getSetting('require_phone_verification_for_sos', false);
+    if (requireVerification) {
+      return res.status(403).json({
+        success: false,
+        error: 'Please verify your phone number before sending emergency reports',
+        phoneVerificationRequired: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Phone verification check error:', error);
+    next();
+  }
+};
+
 /**
  * Validate report requirements (image, location)
  */
@@ -364,6 +424,8 @@ module.exports = {
   validatePasswordRequirements,
   checkSpamBehavior,
   validateReportRequirements,
+  requireVerifiedEmail,
+  requireVerifiedPhone,
   settingsBasedRateLimit,
   checkLoginAttempts
 };
@@ -1,5 +1,5 @@
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const SessionService = require('../services/SessionService');
 
 const userAuth = async (req, res, next) => {
   try {
@@ -13,8 +13,15 @@ const userAuth = async (req, res, next) => {
       });
     }
 
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
+    // Verify token and that its session was not signed out
+    const decoded = await SessionService.verifyAccessToken(token, req);
+
+    if (!decoded) {
+      return res.status(401).json({
+        success: false,
+        error: 'Session has been signed out'
+      });
+    }
 
     // Check if user still exists and is active
     const user = await User.findById(decoded.id).select('-password');
@@ -33,8 +40,9 @@ const userAuth = async (req, res, next) => {
       });
     }
 
-    // Add user to request object
+    // Add user and session to request object
     req.user = user;
+    req.sessionId = decoded.sid;
 
     // Update user's last activity
     user.updateLastActivity().catch(err => {
@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+const Report = require('./models/Report');
+const NewsPost = require('./models/NewsPost');
+const ImageStorageService = require('./services/ImageStorageService');
+
+// Moves base64 image blobs (Report.images[].data, Report.evidencePhoto.data,
+// NewsPost.attachments[].data) into the configured image store, with resized variants.
+// Documents are loaded one at a time because bloated ones can be several MB each.
+//
+// Usage: node migrate-images-to-store.js [--dry-run] [--limit=N]
+const DRY_RUN = process.argv.includes('--dry-run');
+const LIMIT = parseInt((process.argv.find(arg => arg.startsWith('--limit=')) || '').split('=')[1]) || 0;
+
+const storedFields = (prefix, stored) => ({
+  [`${prefix}.storageKey`]: stored.storageKey,
+  [`${prefix}.variants`]: stored.variants,
+  [`${prefix}.storageDriver`]: stored.storageDriver,
+  [`${prefix}.size`]: stored.size
+});
+
+// Store one base64 entry and point the document at it. Returns bytes moved.
+const moveEntry = async (Model, docId, path, entry, keyPrefix) => {
+  const buffer = Buffer.from(entry.data, 'base64');
+  if (DRY_RUN) {
+    console.log(`  would move ${path} (${Math.round(buffer.length / 1024)}KB)`);
+    return buffer.length;
+  }
+
+  const stored = await ImageStorageService.storeImage(keyPrefix, buffer, {
+    mimetype: entry.mimetype || 'image/jpeg'
+  });
+
+  // Only unset the blob if it is still the one we copied
+  const result = await Model.updateOne(
+    { _id: docId, [`${path}.data`]: entry.data },
+    { $set: storedFields(path, stored), $unset: { [`${path}.data`]: '' } }
+  );
+
+  if (result.modifiedCount === 0) {
+    console.warn(`  ⚠️ ${path} changed during migration, keeping it as is`);
+    await ImageStorageService.removeImage(stored);
+    return 0;
+  }
+
+  console.log(`  moved ${path} → ${stored.storageKey}`);
+  return buffer.length;
+};
+
+const migrateReports = async () => {
+  const ids = await Report.find({
+    $or: [{ 'images.data': { $exists: true } }, { 'evidencePhoto.data': { $exists: true } }]
+  }).select('_id').lean();
+
+  const targets = LIMIT ? ids.slice(0, LIMIT) : ids;
+  console.log(`📊 ${ids.length} report(s) with base64 images, processing ${targets.length}`);
+
+  let entries = 0;
+  let bytes = 0;
+  let failed = 0;
+
+  for (const { _id } of targets) {
+    try {
+      const report = await Report.findById(_id).select('images evidencePhoto').lean().maxTimeMS(30000);
+      if (!report) continue;
+      console.log(`Report ${_id}`);
+
+      for (const [index, image] of (report.images || []).entries()) {
+        if (!image.data) continue;
+        bytes += await moveEntry(Report, _id, `images.${index}`, image, `reports/${_id}`);
+        entries++;
+      }
+
+      if (report.evidencePhoto?.data) {
+        bytes += await moveEntry(Report, _id, 'evidencePhoto', report.evidencePhoto, `reports/${_id}/evidence`);
+        entries++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ Report ${_id} failed:`, error.message);
+    }
+  }
+
+  return { entries, bytes, failed };
+};
+
+const migrateNews = async () => {
+  const ids = await NewsPost.find({ 'attachments.data': { $exists: true } }).select('_id').lean();
+
+  const targets = LIMIT ? ids.slice(0, LIMIT) : ids;
+  console.log(`📊 ${ids.length} news post(s) with base64 attachments, processing ${targets.length}`);
+
+  let entries = 0;
+  let bytes = 0;
+  let failed = 0;
+
+  for (const { _id } of targets) {
+    try {
+      const post = await NewsPost.findById(_id).select('attachments').lean().maxTimeMS(30000);
+      if (!post) continue;
+      console.log(`News post ${_id}`);
+
+      for (const [index, attachment] of (post.attachments || []).entries()) {
+        if (!attachment.data) continue;
+        bytes += await moveEntry(NewsPost, _id, `attachments.${index}`, attachment, `news/${_id}`);
+        entries++;
+      }
+    } catch (error) {
+      failed++;
+      console.error(`❌ News post ${_id} failed:`, error.message);
+    }
+  }
+
+  return { entries, bytes, failed };
+};
+
+async function migrateImagesToStore() {
+  try {
+    console.log('Connecting to database...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Database connected successfully');
+    if (DRY_RUN) console.log('🔎 Dry run - nothing will be written');
+
+    const reports = await migrateReports();
+    const news = await migrateNews();
+
+    console.log('\n📊 MIGRATION SUMMARY:');
+    console.log(`   Report images moved: ${reports.entries} (${Math.round(reports.bytes / 1024 / 1024)}MB), failed reports: ${reports.failed}`);
+    console.log(`   News attachments moved: ${news.entries} (${Math.round(news.bytes / 1024 / 1024)}MB), failed posts: ${news.failed}`);
+
+    await mongoose.disconnect();
+    process.exit(reports.failed + news.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Migration failed:', error);
+    process.exit(1);
+  }
+}
+
+migrateImagesToStore();
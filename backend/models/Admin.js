@@ -54,6 +54,40 @@ const adminSchema = new mongoose.Schema({
     lastName: String,
     department: String,
     phone: String
+  },
+  // Responding agency / field team this admin works for (scopes their report queue)
+  agency: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Agency',
+    default: null
+  },
+  // TOTP two-factor authentication (TwoFactorService)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Base32 TOTP secret, set once enrollment is confirmed
+    secret: {
+      type: String,
+      select: false
+    },
+    // Secret shown during enrollment, until the first code confirms it
+    pendingSecret: {
+      type: String,
+      select: false
+    },
+    // Hashes of unused one-time backup codes
+    backupCodes: {
+      type: [String],
+      select: false
+    },
+    // Last TOTP time step accepted, so a code cannot be replayed
+    lastUsedStep: {
+      type: Number,
+      select: false
+    },
+    enabledAt: Date
   }
 }, {
   timestamps: true
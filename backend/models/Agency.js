@@ -0,0 +1,109 @@
+const mongoose = require('mongoose');
+
+// Case-insensitive comparison for place names typed by admins
+const samePlace = (a, b) => (a || '').trim().toLowerCase() === (b || '').trim().toLowerCase();
+
+// A responding agency or field team (DPWH district, city engineering, barangay, MDRRMO...)
+const agencySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true,
+    maxLength: 100
+  },
+  type: {
+    type: String,
+    enum: ['dpwh_district', 'city_engineering', 'barangay', 'mdrrmo', 'police', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    default: '',
+    maxLength: 500
+  },
+  contact: {
+    phone: String,
+    email: String
+  },
+  // Areas this agency is responsible for. Leave city/barangay empty to cover
+  // the whole province/city.
+  jurisdictions: [{
+    _id: false,
+    province: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    city: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    barangay: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  }],
+  // Report types this agency handles (empty = all types)
+  reportTypes: [{
+    type: String,
+    enum: ['pothole', 'debris', 'flooding', 'construction', 'accident', 'other', 'emergency', 'caution', 'info', 'safe']
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  }
+}, {
+  timestamps: true
+});
+
+agencySchema.index({ isActive: 1 });
+
+// How specifically this agency covers a report's location:
+// 3 = barangay, 2 = whole city, 1 = whole province, 0 = not covered
+agencySchema.methods.coverageFor = function(report) {
+  return this.jurisdictions.reduce((best, area) => {
+    if (!samePlace(area.province, report.province)) return best;
+
+    let score = 0;
+    if (!area.city) {
+      score = 1;
+    } else if (samePlace(area.city, report.city)) {
+      if (!area.barangay) score = 2;
+      else if (samePlace(area.barangay, report.barangay)) score = 3;
+    }
+    return Math.max(best, score);
+  }, 0);
+};
+
+// Static method to find the agency responsible for a report: the active agency
+// handling its type whose jurisdiction matches its location most specifically
+agencySchema.statics.findResponsible = async function(report) {
+  const agencies = await this.find({
+    isActive: true,
+    $or: [{ reportTypes: { $size: 0 } }, { reportTypes: report.type }]
+  });
+
+  let responsible = null;
+  let bestScore = 0;
+  for (const agency of agencies) {
+    const score = agency.coverageFor(report);
+    // Prefer the more specific jurisdiction, then a type specialist over a generalist
+    const isBetter = score > bestScore ||
+      (score > 0 && score === bestScore && agency.reportTypes.length > 0 && responsible.reportTypes.length === 0);
+    if (isBetter) {
+      responsible = agency;
+      bestScore = score;
+    }
+  }
+
+  return responsible;
+};
+
+module.exports = mongoose.model('Agency', agencySchema);
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const { toGeoPoint, distanceInMeters } = require('../services/geoService');
+
+// A place a user wants hazard alerts for (home, work, a route they drive...)
+const alertAreaSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxLength: 50
+  },
+  isHome: {
+    type: Boolean,
+    default: false
+  },
+  location: {
+    address: {
+      type: String,
+      default: ''
+    },
+    coordinates: {
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    },
+    // GeoJSON copy of coordinates, kept in sync by the pre-validate hook
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: undefined
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
+    }
+  },
+  radiusMeters: {
+    type: Number,
+    required: true,
+    min: 100,
+    default: 2000
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+alertAreaSchema.index({ 'location.geo': '2dsphere' });
+
+// Keep the GeoJSON point in sync with latitude/longitude
+alertAreaSchema.pre('validate', function(next) {
+  const coords = this.location?.coordinates;
+  if (coords && typeof coords.latitude === 'number' && typeof coords.longitude === 'number') {
+    this.location.geo = toGeoPoint(coords);
+  }
+  next();
+});
+
+// Static method to find active areas whose radius covers a point.
+// maxRadiusMeters bounds the indexed search; each area's own radius is applied after.
+alertAreaSchema.statics.findCovering = async function(coordinates, maxRadiusMeters) {
+  const candidates = await this.find({
+    isActive: true,
+    'location.geo': {
+      $nearSphere: {
+        $geometry: toGeoPoint(coordinates),
+        $maxDistance: maxRadiusMeters
+      }
+    }
+  })
+    .select('userId label radiusMeters location.coordinates')
+    .lean()
+    .maxTimeMS(10000);
+
+  return candidates
+    .map(area => ({ ...area, distance: distanceInMeters(coordinates, area.location.coordinates) }))
+    .filter(area => area.distance <= area.radiusMeters);
+};
+
+module.exports = mongoose.model('AlertArea', alertAreaSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// A user's appeal against a rejected report or an account action, and the
+// admin's decision on it (embedded, no model; see AppealService)
+const appealRecordSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'denied'],
+    default: 'pending'
+  },
+  message: {
+    type: String,
+    maxLength: 1000
+  },
+  // Photos or documents the user attached
+  evidence: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true
+    },
+    filename: String,
+    mimetype: String,
+    size: Number
+  }],
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  },
+  response: {
+    type: String,
+    maxLength: 1000
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  reviewedAt: Date
+}, { _id: false });
+
+module.exports = appealRecordSchema;
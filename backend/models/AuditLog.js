@@ -23,12 +23,17 @@ const auditLogSchema = new mongoose.Schema({
     enum: [
       // Authentication
       'login', 'logout', 'password_change',
+      'two_factor_enable', 'two_factor_disable', 'two_factor_reset', 'step_up',
       // Report actions
-      'report_view', 'report_edit', 'report_verify', 'report_reject', 'report_delete', 'report_resolve',
+      'report_view', 'report_edit', 'report_verify', 'report_reject', 'report_delete', 'report_resolve', 'report_comment',
+      'report_appeal_approve', 'report_appeal_deny',
       // User actions
       'user_view', 'user_freeze', 'user_unfreeze', 'user_delete', 'user_enable', 'user_disable',
+      'user_warning', 'user_appeal_approve', 'user_appeal_deny', 'user_sessions_revoke',
       // Admin management
       'admin_create', 'admin_edit', 'admin_delete', 'admin_activate', 'admin_deactivate', 'admin_role_change',
+      // Agencies / field teams
+      'agency_create', 'agency_edit', 'agency_deactivate',
       // System settings
       'settings_view', 'settings_update',
       // News management
@@ -55,7 +60,7 @@ const auditLogSchema = new mongoose.Schema({
   // Target of the action (if applicable)
   targetType: {
     type: String,
-    enum: ['report', 'user', 'admin', 'setting', 'news', 'system', null],
+    enum: ['report', 'user', 'admin', 'agency', 'setting', 'news', 'system', null],
     default: null
   },
   targetId: {
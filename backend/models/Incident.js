@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+
+// An incident groups several citizen reports of the same hazard
+// (same type, close together, within a short time window).
+const incidentSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['pothole', 'debris', 'flooding', 'construction', 'accident', 'other', 'emergency', 'caution', 'info', 'safe']
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'verified', 'rejected', 'resolved'],
+    default: 'pending'
+  },
+  // Centroid of all member reports
+  location: {
+    address: String,
+    coordinates: {
+      latitude: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      longitude: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    }
+  },
+  province: String,
+  city: String,
+  barangay: String,
+  severity: {
+    type: String,
+    enum: ['low', 'medium', 'high'],
+    default: 'medium'
+  },
+  // First report that started the cluster
+  primaryReport: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  // Member reports, in the order they were linked
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report'
+  }],
+  reportCount: {
+    type: Number,
+    default: 0
+  },
+  firstReportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastReportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  verifiedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  verifiedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin'
+  },
+  resolvedAt: Date
+}, {
+  timestamps: true
+});
+
+incidentSchema.index({ status: 1, lastReportedAt: -1 });
+incidentSchema.index({ type: 1, lastReportedAt: -1 });
+incidentSchema.index({ reports: 1 });
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Link a report to this incident and move the centroid towards it
+incidentSchema.methods.addReport = function(report) {
+  const alreadyLinked = this.reports.some(id => id.toString() === report._id.toString());
+  if (alreadyLinked) return this;
+
+  const count = this.reports.length;
+  const { latitude, longitude } = report.location.coordinates;
+
+  this.location.coordinates.latitude = (this.location.coordinates.latitude * count + latitude) / (count + 1);
+  this.location.coordinates.longitude = (this.location.coordinates.longitude * count + longitude) / (count + 1);
+
+  this.reports.push(report._id);
+  this.reportCount = this.reports.length;
+
+  const reportedAt = report.createdAt || new Date();
+  if (reportedAt > this.lastReportedAt) this.lastReportedAt = reportedAt;
+
+  // An incident is as severe as its worst member report
+  if ((SEVERITY_RANK[report.severity] || 0) > (SEVERITY_RANK[this.severity] || 0)) {
+    this.severity = report.severity;
+  }
+
+  return this;
+};
+
+// Unlink a report (e.g. an admin decides it is a different hazard)
+incidentSchema.methods.removeReport = function(reportId) {
+  this.reports = this.reports.filter(id => id.toString() !== reportId.toString());
+  this.reportCount = this.reports.length;
+
+  if (this.primaryReport && this.primaryReport.toString() === reportId.toString()) {
+    this.primaryReport = this.reports[0] || null;
+  }
+
+  return this;
+};
+
+// Static method to start a new incident from the report it was seeded with
+incidentSchema.statics.createFromReport = function(report) {
+  return new this({
+    type: report.type,
+    status: report.status === 'verified' ? 'verified' : 'pending',
+    location: {
+      address: report.location.address,
+      coordinates: {
+        latitude: report.location.coordinates.latitude,
+        longitude: report.location.coordinates.longitude
+      }
+    },
+    province: report.province,
+    city: report.city,
+    barangay: report.barangay,
+    severity: report.severity || 'medium',
+    primaryReport: report._id,
+    reports: [report._id],
+    reportCount: 1,
+    firstReportedAt: report.createdAt || new Date(),
+    lastReportedAt: report.createdAt || new Date()
+  });
+};
+
+module.exports = mongoose.model('Incident', incidentSchema);
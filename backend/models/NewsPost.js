@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const redactionSchema = require('./RedactionRecord');
 
 const newsPostSchema = new mongoose.Schema({
   title: {
@@ -85,11 +86,19 @@ const newsPostSchema = new mongoose.Schema({
       required: true
     },
     data: {
-      type: String  // Base64 encoded image data for persistent storage
+      type: String  // Legacy: base64 data, moved out by migrate-images-to-store.js
     },
+    storageKey: String,  // Key in the image store (services/storage)
+    variants: {         // Image store keys of the resized WebP copies
+      small: String,
+      medium: String,
+      large: String
+    },
+    storageDriver: String,
     mimetype: {
       type: String  // e.g. 'image/jpeg', 'image/png'
     },
+    redaction: redactionSchema,
     uploadedAt: {
       type: Date,
       default: Date.now
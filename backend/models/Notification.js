@@ -5,16 +5,22 @@ const notificationSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: function() {
-      // userId is required unless it's a broadcast announcement
-      return this.type !== 'announcement';
+      // userId is required unless it's a broadcast announcement or an admin notification
+      return this.type !== 'announcement' && !this.adminId;
     }
   },
+  // Set instead of userId for notifications addressed to an admin (e.g. SLA escalations)
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
   reportId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Report',
     required: function() {
       // reportId is only required for report-related notifications
-      return ['admin_response', 'status_update', 'verification_status', 'report_status_update', 'new_report'].includes(this.type);
+      return ['admin_response', 'status_update', 'verification_status', 'report_status_update', 'new_report', 'sla_breach'].includes(this.type);
     }
   },
   type: {
@@ -26,7 +32,8 @@ const notificationSchema = new mongoose.Schema({
       'verification_status', // Legacy: verification status
       'report_status_update',// Legacy: report status update
       'new_report',          // Legacy: new report
-      'system_alert'         // System alerts
+      'system_alert',        // System alerts
+      'sla_breach'           // Admin: report went past its SLA
     ],
     required: true
   },
@@ -48,12 +55,12 @@ const notificationSchema = new mongoose.Schema({
   // For status updates
   status: {
     type: String,
-    enum: ['pending', 'under_review', 'verified', 'rejected', 'resolved', null],
+    enum: ['pending', 'under_review', 'verified', 'assigned', 'in_progress', 'rejected', 'resolved', 'duplicate', 'reopened', null],
     default: null
   },
   previousStatus: {
     type: String,
-    enum: ['pending', 'under_review', 'verified', 'rejected', 'resolved', null],
+    enum: ['pending', 'under_review', 'verified', 'assigned', 'in_progress', 'rejected', 'resolved', 'duplicate', 'reopened', null],
     default: null
   },
   // Priority for announcements
@@ -105,6 +112,7 @@ notificationSchema.index({ userId: 1, createdAt: -1 });
 notificationSchema.index({ userId: 1, isRead: 1 });
 notificationSchema.index({ userId: 1, isRead: 1, createdAt: -1 }); // ⚡ Critical for dashboard queries
 notificationSchema.index({ isBroadcast: 1, createdAt: -1 });
+notificationSchema.index({ adminId: 1, isRead: 1, createdAt: -1 });
 notificationSchema.index({ type: 1, createdAt: -1 });
 notificationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
@@ -127,8 +135,12 @@ notificationSchema.statics.createStatusUpdate = async function(reportId, userId,
     pending: 'Pending',
     under_review: 'Under Review',
     verified: 'Verified',
+    assigned: 'Assigned',
+    in_progress: 'In Progress',
     rejected: 'Rejected',
-    resolved: 'Resolved'
+    resolved: 'Resolved',
+    duplicate: 'Duplicate',
+    reopened: 'Reopened'
   };
   
   return this.create({
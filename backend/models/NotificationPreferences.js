@@ -77,14 +77,8 @@ notificationPreferencesSchema.statics.updatePreferences = async function(userId,
   );
 };
 
-// Static method to check if user should receive notification type
-notificationPreferencesSchema.statics.shouldReceive = async function(userId, notificationType) {
-  const preferences = await this.findOne({ userId });
-  
-  if (!preferences) return true; // Default to true if no preferences set
-  
-  const prefs = preferences.preferences;
-  
+// Map a notification type to the preference toggle that controls it
+const allowsType = (prefs, notificationType) => {
   switch (notificationType) {
     case 'report_verified':
     case 'verified_report':
@@ -108,4 +102,25 @@ notificationPreferencesSchema.statics.shouldReceive = async function(userId, not
   }
 };
 
+// Static method to check if user should receive notification type
+notificationPreferencesSchema.statics.shouldReceive = async function(userId, notificationType) {
+  const preferences = await this.findOne({ userId });
+  
+  if (!preferences) return true; // Default to true if no preferences set
+  
+  return allowsType(preferences.preferences, notificationType);
+};
+
+// Static method to narrow a list of users to those who want a notification type
+// (one query instead of shouldReceive per user)
+notificationPreferencesSchema.statics.filterRecipients = async function(userIds, notificationType) {
+  const stored = await this.find({ userId: { $in: userIds } }).select('userId preferences').lean();
+  const byUser = new Map(stored.map(p => [p.userId.toString(), p.preferences]));
+
+  return userIds.filter(userId => {
+    const prefs = byUser.get(userId.toString());
+    return !prefs || allowsType(prefs, notificationType) !== false;
+  });
+};
+
 module.exports = mongoose.model('NotificationPreferences', notificationPreferencesSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// What the privacy redaction pass did to an uploaded image (embedded, no model)
+const redactionRecordSchema = new mongoose.Schema({
+  // 'partial': faces were pixelated but licence plates/text were not detected
+  status: {
+    type: String,
+    enum: ['redacted', 'partial', 'failed', 'not_supported'],
+    default: 'redacted'
+  },
+  engine: String,
+  strength: {
+    type: String,
+    enum: ['standard', 'strong'],
+    default: 'standard'
+  },
+  // Pixel boxes on the stored image that were pixelated
+  regions: [{
+    kind: {
+      type: String,
+      enum: ['face', 'plate', 'text', 'manual']
+    },
+    x: Number,
+    y: Number,
+    width: Number,
+    height: Number
+  }],
+  passes: {
+    type: Number,
+    default: 1
+  },
+  redactedAt: Date,
+  redactedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  }
+}, { _id: false });
+
+module.exports = redactionRecordSchema;
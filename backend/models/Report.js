@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { toGeoPoint } = require('../services/geoService');
+const redactionSchema = require('./RedactionRecord');
+const appealRecordSchema = require('./AppealRecord');
+
+// Verified hazards that are still on the road: shown on public maps and feeds,
+// open in agency queues and open to resident confirmation votes
+const ACTIVE_STATUSES = ['verified', 'assigned', 'in_progress', 'reopened'];
 
 const reportSchema = new mongoose.Schema({
   type: {
@@ -30,6 +37,19 @@ const reportSchema = new mongoose.Schema({
         min: -180,
         max: 180
       }
+    },
+    // GeoJSON copy of coordinates ([longitude, latitude]) for 2dsphere queries.
+    // Kept in sync by the pre-validate hook below - never set it directly.
+    geo: {
+      type: {
+        type: String,
+        enum: ['Point'],
+        default: undefined
+      },
+      coordinates: {
+        type: [Number],
+        default: undefined
+      }
     }
   },
   province: {
@@ -51,21 +71,157 @@ const reportSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'verified', 'rejected', 'resolved'],
+    // Allowed moves between these are defined by WorkflowService
+    enum: ['pending', 'under_review', 'verified', 'assigned', 'in_progress', 'resolved', 'rejected', 'duplicate', 'reopened'],
     default: 'pending'
   },
+  // Every status change, oldest first (reports created before this was added start empty)
+  statusHistory: [{
+    from: String,
+    to: {
+      type: String,
+      required: true
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    changedByName: String,
+    note: {
+      type: String,
+      maxLength: 1000
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // Agency / field team responsible for fixing the hazard
+  assignment: {
+    agency: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agency',
+      default: null
+    },
+    assignedAt: Date,
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    },
+    // true when picked by jurisdiction routing rather than by an admin
+    autoRouted: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // When each SLA stage was first found overdue (targets live in SlaService)
+  sla: {
+    verifyBreachedAt: {
+      type: Date,
+      default: null
+    },
+    resolveBreachedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  // Residents confirming a verified hazard is still there or has been fixed.
+  // One vote per user; hidden from queries unless selected explicitly.
+  confirmations: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+      },
+      vote: {
+        type: String,
+        enum: ['still_there', 'fixed'],
+        required: true
+      },
+      at: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  confirmationCounts: {
+    stillThere: {
+      type: Number,
+      default: 0
+    },
+    fixed: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Set when enough residents say the hazard is gone; cleared when an admin acts
+  recheck: {
+    needed: {
+      type: Boolean,
+      default: false
+    },
+    flaggedAt: Date,
+    dismissedAt: Date,
+    dismissedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Admin'
+    }
+  },
+  // Original report when this one was closed as a duplicate
+  duplicateOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    default: null
+  },
   images: [{
     imageUrl: String,
+    publicId: String,  // Cloudinary public ID
     filename: String,  // Legacy: For old file-based storage
-    data: String,      // Base64 encoded image data
+    data: String,      // Legacy: base64 image data, moved out by migrate-images-to-store.js
+    storageKey: String,    // Key in the image store (services/storage)
+    variants: {         // Image store keys of the resized WebP copies
+      small: String,
+      medium: String,
+      large: String
+    },
+    storageDriver: String,
     originalName: String,
     mimetype: String,
     size: Number,
+    phash: String,         // Perceptual hash of the upload, see ImageHashService
     uploadDate: {
       type: Date,
       default: Date.now
-    }
+    },
+    redaction: redactionSchema
   }],
+  // Index keys for images[].phash (ImageHashService.bands)
+  phashBands: {
+    type: [String],
+    select: false
+  },
+  // Earlier reports whose images near-match this report's images
+  imageReuse: [{
+    _id: false,
+    imageIndex: Number,       // Image of this report
+    report: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Report'
+    },
+    matchImageIndex: Number,  // Image of the matching report
+    distance: Number,         // Differing hash bits (0 = identical)
+    sameReporter: Boolean
+  }],
+  // Reporter's trust score (0-100) while the report awaits moderation
+  reporterTrust: Number,
+  // Reputation points this report has credited to its reporter
+  reputationPoints: {
+    type: Number,
+    select: false
+  },
   reportedBy: {
     id: {
       type: mongoose.Schema.Types.ObjectId,
@@ -97,7 +253,14 @@ const reportSchema = new mongoose.Schema({
   },
   evidencePhoto: {
     imageUrl: String,
-    data: String,      // Base64 encoded image data
+    data: String,      // Legacy: base64 image data, moved out by migrate-images-to-store.js
+    storageKey: String,
+    variants: {         // Image store keys of the resized WebP copies
+      small: String,
+      medium: String,
+      large: String
+    },
+    storageDriver: String,
     originalName: String,
     mimetype: String,
     size: Number,
@@ -119,13 +282,51 @@ const reportSchema = new mongoose.Schema({
   estimatedRepairTime: {
     type: String,
     enum: ['1-2 hours', '2-4 hours', '4-8 hours', '1-2 days', '2-7 days', '1-2 weeks', 'unknown']
+  },
+  // Incident this report was clustered into (null if it stands alone)
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident',
+    default: null
+  },
+  // Photo EXIF (GPS, capture time) compared with the report's location and
+  // submission time, see PhotoVerificationService. Absent for reports without photos.
+  photoVerification: {
+    score: { type: Number, min: 0, max: 100 },
+    status: {
+      type: String,
+      enum: ['consistent', 'unverified', 'suspicious']
+    },
+    flags: [String],
+    photos: [{
+      _id: false,
+      index: Number,
+      score: Number,
+      flags: [String],
+      distanceMeters: Number,  // From the report location; the photo's own coordinates are not kept
+      takenAt: Date,
+      ageMinutes: Number       // Capture time to submission; negative if taken after
+    }],
+    checkedAt: Date
+  },
+  // Client-generated key so retried submissions (offline outbox) create one report
+  idempotencyKey: {
+    type: String,
+    select: false
+  },
+  // Reporter's appeal against a rejection (one per report); only the reporter
+  // and admins see it, so it is hidden unless selected explicitly
+  appeal: {
+    type: appealRecordSchema,
+    default: null,
+    select: false
   }
 }, {
   timestamps: true
 });
 
-// Index for geospatial queries
-reportSchema.index({ 'location.coordinates': '2d' });
+// Index for geospatial queries (near/radius/bbox on /api/reports and /api/reports/map)
+reportSchema.index({ 'location.geo': '2dsphere' });
 
 // Index for common queries
 reportSchema.index({ status: 1, createdAt: -1 });
@@ -137,4 +338,39 @@ reportSchema.index({ province: 1, city: 1, barangay: 1 });
 reportSchema.index({ 'reportedBy.id': 1, createdAt: -1 });
 reportSchema.index({ 'reportedBy.id': 1, status: 1 });
 
+// Duplicate-hazard clustering looks up recent reports of the same type
+reportSchema.index({ type: 1, createdAt: -1 });
+reportSchema.index({ incident: 1 });
+
+// Reused-image lookup (ImageHashService.findMatches)
+reportSchema.index({ phashBands: 1 });
+
+// Moderation queue ordered by reporter trust
+reportSchema.index({ status: 1, reporterTrust: -1, createdAt: 1 });
+
+// Agency work queues
+reportSchema.index({ 'assignment.agency': 1, status: 1, createdAt: -1 });
+
+// Appeals queue
+reportSchema.index({ 'appeal.status': 1 }, { sparse: true });
+
+// One report per user per idempotency key
+reportSchema.index(
+  { 'reportedBy.id': 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
+// Keep the GeoJSON point in sync with latitude/longitude
+reportSchema.pre('validate', function(next) {
+  const coords = this.location?.coordinates;
+  if (coords && typeof coords.latitude === 'number' && typeof coords.longitude === 'number') {
+    const current = this.location.geo?.coordinates;
+    if (!current || current[0] !== coords.longitude || current[1] !== coords.latitude) {
+      this.location.geo = toGeoPoint(coords);
+    }
+  }
+  next();
+});
+
 module.exports = mongoose.model('Report', reportSchema);
+module.exports.ACTIVE_STATUSES = ACTIVE_STATUSES;
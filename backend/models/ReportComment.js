@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// A message in a report's thread between its reporter and the admins
+const reportCommentSchema = new mongoose.Schema({
+  report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Report',
+    required: true
+  },
+  author: {
+    kind: {
+      type: String,
+      enum: ['user', 'admin'],
+      required: true
+    },
+    // User or Admin ID depending on kind
+    id: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    name: String
+  },
+  body: {
+    type: String,
+    trim: true,
+    default: '',
+    maxLength: 2000,
+    validate: {
+      validator: function(value) {
+        return !!value || this.attachments.length > 0;
+      },
+      message: 'A comment needs a message or an attachment'
+    }
+  },
+  attachments: [{
+    _id: false,
+    url: {
+      type: String,
+      required: true
+    },
+    filename: String,
+    mimetype: String,
+    size: Number
+  }],
+  // Internal notes are only visible to admins
+  internal: {
+    type: Boolean,
+    default: false,
+    validate: {
+      validator: function(value) {
+        return !value || this.author.kind === 'admin';
+      },
+      message: 'Only admins can write internal notes'
+    }
+  },
+  // When the other side first read this message (read receipt)
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+reportCommentSchema.index({ report: 1, createdAt: 1 });
+
+// Static method to mark the other side's messages in a thread as read
+// reader: 'user' marks admin replies, 'admin' marks the reporter's messages
+reportCommentSchema.statics.markRead = async function(reportId, reader) {
+  const readAt = new Date();
+  const result = await this.updateMany(
+    {
+      report: reportId,
+      'author.kind': reader === 'user' ? 'admin' : 'user',
+      internal: false,
+      readAt: null
+    },
+    { readAt }
+  );
+  return result.modifiedCount > 0 ? readAt : null;
+};
+
+module.exports = mongoose.model('ReportComment', reportCommentSchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// One signed-in device of a user or admin (SessionService). Access tokens carry
+// the session id; the refresh token rotates on every use and only its hash is kept.
+const sessionSchema = new mongoose.Schema({
+  // Exactly one of userId / adminId is set
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  adminId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Admin',
+    default: null
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  // Hash of the refresh token this one replaced; presenting it again means the
+  // token was copied, so the session is revoked
+  previousTokenHash: {
+    type: String,
+    default: null,
+    select: false
+  },
+  rotatedAt: Date,
+  // Push-notification device registered from this session (Device model)
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    default: null
+  },
+  userAgent: {
+    type: String,
+    maxLength: 500
+  },
+  ip: String,
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last time the signed-in person re-proved who they are (sign-in or step-up);
+  // destructive admin actions require this to be recent
+  stepUpAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Refresh deadline; moves forward on every refresh (idle timeout)
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'user_signout', 'admin_signout', 'token_reuse', 'account_deleted', 'password_change', null],
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Session lists per account
+sessionSchema.index({ userId: 1, revokedAt: 1, lastSeenAt: -1 });
+sessionSchema.index({ adminId: 1, revokedAt: 1, lastSeenAt: -1 });
+
+// Drop sessions a week after they could last be refreshed
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -139,10 +139,21 @@ systemSettingsSchema.statics.initializeDefaults = async function () {
     { key: 'max_reports_per_day', value: 10, category: 'reports', description: 'Maximum reports a user can submit per day', dataType: 'number', isPublic: true },
     { key: 'require_image', value: true, category: 'reports', description: 'Require at least one image for reports', dataType: 'boolean', isPublic: true },
     { key: 'require_location', value: true, category: 'reports', description: 'Require GPS location for reports', dataType: 'boolean', isPublic: true },
+    { key: 'clustering_enabled', value: true, category: 'reports', description: 'Group duplicate reports of the same hazard into incidents', dataType: 'boolean', isPublic: false },
+    { key: 'cluster_radius_meters', value: 50, category: 'reports', description: 'Max distance in meters between duplicate reports', dataType: 'number', isPublic: false },
+    { key: 'cluster_time_window_hours', value: 24, category: 'reports', description: 'Max time in hours between duplicate reports', dataType: 'number', isPublic: false },
+    { key: 'auto_route_reports', value: true, category: 'reports', description: 'Assign verified reports to the agency whose jurisdiction covers them', dataType: 'boolean', isPublic: false },
+    { key: 'recheck_fixed_votes', value: 3, category: 'reports', description: '"No longer present" votes that flag a report for admin re-check', dataType: 'number', isPublic: false },
+    { key: 'auto_verify_trust_threshold', value: 0, category: 'reports', description: 'Auto-verify reports from reporters with at least this trust score (0-100, 0 = off)', dataType: 'number', isPublic: false },
+
+    // ==================== NOTIFICATION SETTINGS ====================
+    { key: 'max_alert_areas_per_user', value: 5, category: 'notifications', description: 'Maximum saved alert areas per user', dataType: 'number', isPublic: true },
+    { key: 'max_alert_radius_meters', value: 20000, category: 'notifications', description: 'Largest alert radius a user can choose, in meters', dataType: 'number', isPublic: true },
 
     // ==================== USER SETTINGS ====================
     { key: 'allow_user_registration', value: true, category: 'users', description: 'Allow new user registrations', dataType: 'boolean', isPublic: true },
     { key: 'require_email_verification', value: false, category: 'users', description: 'Require email verification for new users', dataType: 'boolean', isPublic: true },
+    { key: 'require_phone_verification_for_sos', value: false, category: 'users', description: 'Require a verified phone number before sending emergency (SOS) reports', dataType: 'boolean', isPublic: true },
     { key: 'min_password_length', value: 8, category: 'users', description: 'Minimum password length', dataType: 'number', isPublic: true },
     { key: 'session_timeout_minutes', value: 1440, category: 'users', description: 'User session timeout in minutes (0 = never)', dataType: 'number', isPublic: true },
 
@@ -153,6 +164,7 @@ systemSettingsSchema.statics.initializeDefaults = async function () {
     { key: 'rate_limiting', value: true, category: 'security', description: 'Enable rate limiting for API requests', dataType: 'boolean', isPublic: false },
     { key: 'rate_limit_requests', value: 100, category: 'security', description: 'Max requests per rate limit window', dataType: 'number', isPublic: false },
     { key: 'rate_limit_window_minutes', value: 15, category: 'security', description: 'Rate limit window in minutes', dataType: 'number', isPublic: false },
+    { key: 'admin_2fa_required_roles', value: [], category: 'security', description: 'Admin roles that must sign in with an authenticator app (two-factor authentication)', dataType: 'array', isPublic: false },
     
     // ==================== EMERGENCY SETTINGS ====================
     { 
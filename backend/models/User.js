@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const appealRecordSchema = require('./AppealRecord');
 
 const userSchema = new mongoose.Schema({
     username: { 
@@ -93,14 +94,55 @@ const userSchema = new mongoose.Schema({
             default: null
         }
     },
-    resetPasswordOTP: {
-        type: String,
+    // Email ownership (EmailVerificationService). Google sign-ins arrive verified.
+    emailVerified: {
+        type: Boolean,
+        default: false
+    },
+    emailVerifiedAt: {
+        type: Date,
         default: null
     },
-    resetPasswordExpires: {
+    emailVerification: {
+        codeHash: { type: String, select: false },
+        codeExpiresAt: { type: Date },
+        attempts: { type: Number, default: 0 },
+        // Resend throttling
+        lastSentAt: { type: Date },
+        sendCount: { type: Number, default: 0 },
+        windowStartedAt: { type: Date }
+    },
+    phoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    phoneVerifiedAt: {
         type: Date,
         default: null
     },
+    phoneVerification: {
+        // Number the pending code was texted to (E.164)
+        phone: { type: String },
+        codeHash: { type: String, select: false },
+        codeExpiresAt: { type: Date },
+        attempts: { type: Number, default: 0 },
+        // Resend throttling
+        lastSentAt: { type: Date },
+        sendCount: { type: Number, default: 0 },
+        windowStartedAt: { type: Date }
+    },
+    passwordReset: {
+        otpHash: { type: String, select: false },
+        otpExpiresAt: { type: Date },
+        attempts: { type: Number, default: 0 },
+        // One-time token issued once the OTP checks out
+        tokenHash: { type: String, select: false },
+        tokenExpiresAt: { type: Date },
+        // Request throttling
+        lastSentAt: { type: Date },
+        requestCount: { type: Number, default: 0 },
+        windowStartedAt: { type: Date }
+    },
     warnings: [{
         message: { type: String, required: true },
         reason: { type: String },
@@ -111,6 +153,36 @@ const userSchema = new mongoose.Schema({
     spamScore: {
         type: Number,
         default: 0
+    },
+    // Points from moderated reports, decayed over time (ReputationService)
+    reputation: {
+        points: { type: Number, default: 0 },
+        verifiedReports: { type: Number, default: 0 },
+        rejectedReports: { type: Number, default: 0 },
+        updatedAt: { type: Date }
+    },
+    // Graduated enforcement (EnforcementService): active restrictions and every
+    // action taken on the account, with the user's appeal of it
+    enforcement: {
+        cooldownUntil: { type: Date, default: null },
+        frozenUntil: { type: Date, default: null },
+        bannedAt: { type: Date, default: null },
+        firedRules: [String],
+        history: [{
+            action: {
+                type: String,
+                enum: ['warning', 'cooldown', 'freeze', 'ban', 'unfreeze', 'lift'],
+                required: true
+            },
+            reason: String,
+            source: { type: String, enum: ['policy', 'admin'], default: 'policy' },
+            until: Date,
+            by: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+            at: { type: Date, default: Date.now },
+            warning: mongoose.Schema.Types.ObjectId, // warnings[] entry added by a warning
+            liftedAt: Date,
+            appeal: appealRecordSchema
+        }]
     }
 }, {
     timestamps: true
@@ -162,5 +234,7 @@ userSchema.methods.canSubmitReports = function() {
 userSchema.index({ createdAt: -1 }); // ⚡ Critical for sorted user list query
 userSchema.index({ lastLogin: -1 }); // ⚡ Critical for active users query
 userSchema.index({ lastActivity: -1 });
+userSchema.index({ isFrozen: 1, 'enforcement.frozenUntil': 1 }); // Auto-unfreeze sweep
+userSchema.index({ 'enforcement.history.appeal.status': 1 }); // Appeals queue
 
 module.exports = mongoose.model('User', userSchema);
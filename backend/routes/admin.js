@@ -1,7 +1,13 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const Admin = require('../models/Admin');
 const Report = require('../models/Report');
 const User = require('../models/User');
+const ReputationService = require('../services/ReputationService');
+const EnforcementService = require('../services/EnforcementService');
+const AppealService = require('../services/AppealService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
 const {
   auth,
   requireSuperAdmin,
@@ -271,6 +277,7 @@ router.delete('/admin-user/:id', auth, requireSuperAdmin, async (req, res) => {
     const deletedId = adminUser._id;
 
     await Admin.findByIdAndDelete(req.params.id);
+    await SessionService.revokeAll({ adminId: deletedId }, { reason: 'account_deleted' });
 
     // Log the admin deletion
     await createAuditLog(req, 'admin_delete', 'admins',
@@ -293,6 +300,62 @@ router.delete('/admin-user/:id', auth, requireSuperAdmin, async (req, res) => {
   }
 });
 
+// @route   DELETE /api/admin/admin-user/:id/two-factor
+// @desc    Reset an admin's two-factor authentication (lost phone and backup
+//          codes). Signs them out everywhere; they enroll again at next login
+//          if their role requires it.
+// @access  Private (super admin only)
+router.delete('/admin-user/:id/two-factor', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid admin ID'
+      });
+    }
+
+    if (String(req.params.id) === String(req.admin.id)) {
+      return res.status(400).json({
+        error: 'Use your profile to change your own two-factor settings'
+      });
+    }
+
+    const adminUser = await Admin.findById(req.params.id);
+
+    if (!adminUser) {
+      return res.status(404).json({
+        error: 'Admin user not found'
+      });
+    }
+
+    if (!adminUser.twoFactor?.enabled) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is not enabled for this admin'
+      });
+    }
+
+    await TwoFactorService.disable(adminUser._id);
+    await SessionService.revokeAll({ adminId: adminUser._id }, { reason: 'admin_signout' });
+
+    await createAuditLog(req, 'two_factor_reset', 'admins',
+      `Reset two-factor authentication for admin: ${adminUser.username}`, {
+      targetType: 'admin',
+      targetId: adminUser._id,
+      targetName: adminUser.username
+    }
+    );
+
+    res.json({
+      message: 'Two-factor authentication reset successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset admin two-factor error:', error);
+    res.status(500).json({
+      error: 'Server error while resetting two-factor authentication'
+    });
+  }
+});
+
 // =============== END ADMIN MANAGEMENT ROUTES ===============
 
 // @route   GET /api/admin/app-users
@@ -326,8 +389,10 @@ router.get('/app-users', auth, async (req, res) => {
         isFrozen: user.isFrozen || false,
         frozenAt: user.frozenAt,
         spamScore: user.spamScore || 0,
+        reputation: ReputationService.summarize(user),
         warnings: user.warnings || [],
-        canSubmitReports: !user.isFrozen && user.isActive
+        restriction: EnforcementService.restriction(user),
+        canSubmitReports: !EnforcementService.restriction(user) && user.isActive
       };
     });
 
@@ -417,12 +482,21 @@ router.get('/user-reports/:userId', auth, async (req, res) => {
 });
 
 // @route   PATCH /api/admin/user-freeze/:userId
-// @desc    Freeze or unfreeze a user account
+// @desc    Freeze or unfreeze a user account. A freeze may be timed (durationHours)
+//          and carry a reason; unfreezing also lifts a ban.
 // @access  Private (admin only)
 router.patch('/user-freeze/:userId', auth, async (req, res) => {
   try {
     const { userId } = req.params;
-    const { isFrozen } = req.body;
+    const { isFrozen, reason, durationHours } = req.body;
+
+    if (isFrozen && durationHours !== undefined && durationHours !== null &&
+      (typeof durationHours !== 'number' || durationHours <= 0 || durationHours > 24 * 365)) {
+      return res.status(400).json({
+        success: false,
+        error: 'durationHours must be a positive number of hours'
+      });
+    }
 
     // Verify the user exists
     const user = await User.findById(userId);
@@ -435,16 +509,19 @@ router.patch('/user-freeze/:userId', auth, async (req, res) => {
 
     const previousStatus = user.isFrozen;
 
-    // Update the user's freeze status
-    const updatedUser = await User.findByIdAndUpdate(
-      userId,
-      {
-        isFrozen: isFrozen,
-        frozenAt: isFrozen ? new Date() : null,
-        frozenBy: isFrozen ? req.admin.id : null
-      },
-      { new: true }
-    ).select('-password');
+    // Update the user's freeze status (recorded in their enforcement history, user is notified)
+    if (isFrozen) {
+      await EnforcementService.applyAction(user, 'freeze', {
+        reason: reason || 'Frozen by an administrator',
+        durationHours: durationHours || undefined,
+        admin: req.admin
+      });
+    } else {
+      await EnforcementService.release(user, {
+        reason: reason || 'Your account was unfrozen by an administrator. You can submit reports again',
+        admin: req.admin
+      });
+    }
 
     // Log the admin action with audit
     await createAuditLog(req, isFrozen ? 'user_freeze' : 'user_unfreeze', 'users',
@@ -453,7 +530,7 @@ router.patch('/user-freeze/:userId', auth, async (req, res) => {
       targetId: user._id,
       targetName: user.username || user.email,
       previousValues: { isFrozen: previousStatus },
-      newValues: { isFrozen }
+      newValues: { isFrozen, reason, durationHours }
     }
     );
 
@@ -464,11 +541,13 @@ router.patch('/user-freeze/:userId', auth, async (req, res) => {
       message: `User account ${isFrozen ? 'frozen' : 'unfrozen'} successfully`,
       data: {
         user: {
-          id: updatedUser._id,
-          name: updatedUser.username || updatedUser.email,
-          email: updatedUser.email,
-          isFrozen: updatedUser.isFrozen,
-          frozenAt: updatedUser.frozenAt
+          id: user._id,
+          name: user.username || user.email,
+          email: user.email,
+          isFrozen: user.isFrozen,
+          frozenAt: user.frozenAt,
+          restriction: EnforcementService.restriction(user),
+          enforcement: user.enforcement
         }
       }
     });
@@ -505,18 +584,19 @@ router.post('/user-warning/:userId', auth, async (req, res) => {
       });
     }
 
-    // Add warning to user
-    user.warnings.push({
-      message,
-      reason: reason || 'Manual Warning',
-      date: new Date(),
-      by: req.admin.id
-    });
-
     // Also increment spam score as a penalty
     user.spamScore = (user.spamScore || 0) + 1;
 
-    await user.save();
+    // Add warning to user (recorded in their enforcement history, user is notified)
+    await EnforcementService.applyAction(user, 'warning', {
+      reason: reason || 'Manual Warning',
+      message,
+      admin: req.admin
+    });
+
+    // The extra warning and spam score may trigger the enforcement policy
+    const policyAction = await EnforcementService.evaluate(user._id);
+    const current = policyAction ? await User.findById(user._id).select('-password') : user;
 
     // Log the admin action
     await createAuditLog(req, 'user_warning', 'users',
@@ -531,10 +611,16 @@ router.post('/user-warning/:userId', auth, async (req, res) => {
 
     res.json({
       success: true,
-      message: 'Warning sent successfully',
+      message: policyAction
+        ? `Warning sent successfully. Enforcement policy applied: ${policyAction.action}`
+        : 'Warning sent successfully',
       data: {
-        warnings: user.warnings,
-        spamScore: user.spamScore
+        warnings: current.warnings,
+        spamScore: current.spamScore,
+        policyAction,
+        isFrozen: current.isFrozen,
+        restriction: EnforcementService.restriction(current),
+        enforcement: current.enforcement
       }
     });
 
@@ -547,6 +633,265 @@ router.post('/user-warning/:userId', auth, async (req, res) => {
   }
 });
 
+// @route   GET /api/admin/enforcement-policy
+// @desc    Get the automatic enforcement policy (warnings, cooldowns, freezes, bans)
+// @access  Private (admin only)
+router.get('/enforcement-policy', auth, async (req, res) => {
+  try {
+    const policy = await EnforcementService.getPolicy();
+
+    res.json({
+      success: true,
+      data: policy
+    });
+
+  } catch (error) {
+    console.error('Get enforcement policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching enforcement policy'
+    });
+  }
+});
+
+// @route   PUT /api/admin/enforcement-policy
+// @desc    Replace the automatic enforcement policy
+// @access  Private (requires settings_update permission)
+router.put('/enforcement-policy', auth, requirePermission(PERMISSIONS.SETTINGS_UPDATE), async (req, res) => {
+  try {
+    const { policy } = req.body;
+
+    const validationError = EnforcementService.validatePolicy(policy);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const previous = await EnforcementService.getPolicy();
+    const saved = await EnforcementService.savePolicy(policy, req.admin.id);
+
+    await createAuditLog(req, 'settings_update', 'settings', 'Updated user enforcement policy', {
+      targetType: 'setting',
+      targetName: 'enforcement_policy',
+      previousValues: { value: previous },
+      newValues: { value: saved }
+    });
+
+    res.json({
+      success: true,
+      message: 'Enforcement policy updated',
+      data: saved
+    });
+
+  } catch (error) {
+    console.error('Update enforcement policy error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating enforcement policy'
+    });
+  }
+});
+
+// @route   GET /api/admin/appeals
+// @desc    Pending appeals against account actions and rejected reports, oldest first
+// @access  Private (admin only)
+router.get('/appeals', auth, async (req, res) => {
+  try {
+    const appeals = await AppealService.listPending();
+
+    res.json({
+      success: true,
+      data: appeals
+    });
+
+  } catch (error) {
+    console.error('Get appeals error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching appeals'
+    });
+  }
+});
+
+// @route   PATCH /api/admin/user/:userId/enforcement/:actionId/appeal
+// @desc    Approve (lifts the action) or deny a user's appeal
+// @access  Private (requires user_freeze permission)
+router.patch('/user/:userId/enforcement/:actionId/appeal', auth, requirePermission(PERMISSIONS.USER_FREEZE), async (req, res) => {
+  try {
+    const { decision, response } = req.body;
+
+    if (!['approved', 'denied'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be "approved" or "denied"'
+      });
+    }
+
+    const user = await User.findById(req.params.userId).select('-password');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const result = await EnforcementService.reviewAppeal(user, req.params.actionId, {
+      approve: decision === 'approved',
+      response: typeof response === 'string' ? response.trim().slice(0, 1000) : null,
+      admin: req.admin
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    await createAuditLog(req, decision === 'approved' ? 'user_appeal_approve' : 'user_appeal_deny', 'users',
+      `${decision === 'approved' ? 'Approved' : 'Denied'} appeal against ${result.entry.action} for user: ${user.username || user.email}`, {
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.username || user.email,
+      details: { actionId: result.entry._id, action: result.entry.action, response }
+    }
+    );
+
+    res.json({
+      success: true,
+      message: `Appeal ${decision}`,
+      data: {
+        action: result.entry,
+        isFrozen: user.isFrozen,
+        warnings: user.warnings,
+        restriction: EnforcementService.restriction(user),
+        enforcement: user.enforcement
+      }
+    });
+
+  } catch (error) {
+    console.error('Review appeal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while reviewing appeal'
+    });
+  }
+});
+
+// @route   GET /api/admin/user/:userId/sessions
+// @desc    Devices a user is signed in on
+// @access  Private (requires user_view permission)
+router.get('/user/:userId/sessions', auth, requirePermission(PERMISSIONS.USER_VIEW), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('_id');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const sessions = await SessionService.list({ userId: user._id });
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching user sessions'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/user/:userId/sessions/:sessionId
+// @desc    Sign a user out of one device
+// @access  Private (requires user_freeze permission)
+router.delete('/user/:userId/sessions/:sessionId', auth, requirePermission(PERMISSIONS.USER_FREEZE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('username email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const revoked = mongoose.isValidObjectId(req.params.sessionId) &&
+      await SessionService.revoke(req.params.sessionId, 'admin_signout', { userId: user._id });
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Session not found'
+      });
+    }
+
+    await createAuditLog(req, 'user_sessions_revoke', 'users',
+      `Signed out a device of user: ${user.username || user.email}`, {
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.username || user.email,
+      details: { sessionId: req.params.sessionId }
+    }
+    );
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke user session error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while signing out device'
+    });
+  }
+});
+
+// @route   DELETE /api/admin/user/:userId/sessions
+// @desc    Sign a user out of every device
+// @access  Private (requires user_freeze permission)
+router.delete('/user/:userId/sessions', auth, requirePermission(PERMISSIONS.USER_FREEZE), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId).select('username email');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const count = await SessionService.revokeAll({ userId: user._id }, { reason: 'admin_signout' });
+
+    await createAuditLog(req, 'user_sessions_revoke', 'users',
+      `Signed out all devices of user: ${user.username || user.email}`, {
+      targetType: 'user',
+      targetId: user._id,
+      targetName: user.username || user.email,
+      details: { count }
+    }
+    );
+
+    res.json({
+      success: true,
+      message: `Signed out ${count} device(s)`,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Revoke user sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while signing out devices'
+    });
+  }
+});
+
 // @route   DELETE /api/admin/user/:userId
 // @desc    Delete a user account (Super Admin only)
 // @access  Private (Super Admin only)
@@ -569,6 +914,7 @@ router.delete('/user/:userId', auth, canDeleteUsers, async (req, res) => {
 
     // Delete the user
     await User.findByIdAndDelete(userId);
+    await SessionService.revokeAll({ userId: deletedId }, { reason: 'account_deleted' });
 
     // Log the user deletion
     await createAuditLog(req, 'user_delete', 'users',
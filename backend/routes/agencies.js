@@ -0,0 +1,350 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Agency = require('../models/Agency');
+const Admin = require('../models/Admin');
+const Report = require('../models/Report');
+const {
+  auth,
+  canManageReports,
+  requireSuperAdmin,
+  createAuditLog
+} = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const AGENCY_TYPES = Agency.schema.path('type').enumValues;
+const REPORT_TYPES = Agency.schema.path('reportTypes').caster.enumValues;
+
+// Statuses that still need work from the assigned agency
+const OPEN_QUEUE_STATUSES = Report.ACTIVE_STATUSES;
+
+const QUEUE_FIELDS = 'type description location province city barangay severity status priority createdAt reportedBy assignment images.imageUrl images.mimetype';
+
+// Validate and normalize agency fields from a request body
+const parseAgency = (body, { partial = false } = {}) => {
+  const data = {};
+
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name || name.length > 100) {
+      return { error: 'Name is required (max 100 characters)' };
+    }
+    data.name = name;
+  }
+
+  if (body.type !== undefined) {
+    if (!AGENCY_TYPES.includes(body.type)) {
+      return { error: `Type must be one of: ${AGENCY_TYPES.join(', ')}` };
+    }
+    data.type = body.type;
+  }
+
+  if (body.description !== undefined) data.description = String(body.description).slice(0, 500);
+
+  if (body.contact !== undefined) {
+    data.contact = {
+      phone: body.contact?.phone ? String(body.contact.phone).trim() : '',
+      email: body.contact?.email ? String(body.contact.email).trim() : ''
+    };
+  }
+
+  if (body.jurisdictions !== undefined || !partial) {
+    const jurisdictions = Array.isArray(body.jurisdictions) ? body.jurisdictions : [];
+    const cleaned = jurisdictions.map(area => ({
+      province: typeof area?.province === 'string' ? area.province.trim() : '',
+      city: typeof area?.city === 'string' ? area.city.trim() : '',
+      barangay: typeof area?.barangay === 'string' ? area.barangay.trim() : ''
+    }));
+    if (cleaned.length === 0) {
+      return { error: 'At least one jurisdiction is required' };
+    }
+    if (cleaned.some(area => !area.province || (area.barangay && !area.city))) {
+      return { error: 'Each jurisdiction needs a province, and a city when a barangay is given' };
+    }
+    data.jurisdictions = cleaned;
+  }
+
+  if (body.reportTypes !== undefined) {
+    const reportTypes = Array.isArray(body.reportTypes) ? body.reportTypes : [];
+    if (reportTypes.some(type => !REPORT_TYPES.includes(type))) {
+      return { error: `Report types must be among: ${REPORT_TYPES.join(', ')}` };
+    }
+    data.reportTypes = [...new Set(reportTypes)];
+  }
+
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data };
+};
+
+// @route   GET /api/agencies
+// @desc    Get agencies / field teams with their members
+// @access  Private (Admin only)
+router.get('/', auth, canManageReports, async (req, res) => {
+  try {
+    const filter = req.query.includeInactive === 'true' ? {} : { isActive: true };
+
+    const [agencies, members] = await Promise.all([
+      Agency.find(filter).sort({ name: 1 }).lean(),
+      Admin.find({ agency: { $ne: null } }).select('username agency').lean()
+    ]);
+
+    res.json({
+      success: true,
+      data: agencies.map(agency => ({
+        ...agency,
+        members: members
+          .filter(admin => admin.agency.toString() === agency._id.toString())
+          .map(({ _id, username }) => ({ _id, username }))
+      })),
+      options: { types: AGENCY_TYPES, reportTypes: REPORT_TYPES }
+    });
+
+  } catch (error) {
+    console.error('Get agencies error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching agencies'
+    });
+  }
+});
+
+// @route   GET /api/agencies/queue
+// @desc    Get the report queue of an agency. Admins on a team always get their own
+//          team's queue; admins without a team may pick one with ?agency=
+// @access  Private (Admin only)
+router.get('/queue', auth, canManageReports, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status } = req.query;
+    const agencyId = req.admin.agency || req.query.agency;
+
+    if (!agencyId || !mongoose.Types.ObjectId.isValid(agencyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Select an agency to view its queue'
+      });
+    }
+
+    const agency = await Agency.findById(agencyId).lean();
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agency not found'
+      });
+    }
+
+    const filter = {
+      'assignment.agency': agency._id,
+      status: status ? status : { $in: OPEN_QUEUE_STATUSES }
+    };
+
+    const [reports, totalReports] = await Promise.all([
+      Report.find(filter)
+        .select(QUEUE_FIELDS)
+        .sort({ 'assignment.assignedAt': 1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .lean()
+        .maxTimeMS(30000),
+      Report.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: reports,
+      agency,
+      scoped: !!req.admin.agency,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalReports / parseInt(limit)),
+        totalReports,
+        hasNextPage: parseInt(page) < Math.ceil(totalReports / parseInt(limit)),
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get agency queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching agency queue'
+    });
+  }
+});
+
+// @route   POST /api/agencies
+// @desc    Create an agency / field team
+// @access  Private (Super Admin only)
+router.post('/', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { data, error } = parseAgency(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (await Agency.exists({ name: data.name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'An agency with this name already exists'
+      });
+    }
+
+    const agency = await Agency.create({ ...data, createdBy: req.admin.id });
+
+    await createAuditLog(req, 'agency_create', 'admins', `Created agency: ${agency.name}`, {
+      targetType: 'agency',
+      targetId: agency._id,
+      targetName: agency.name,
+      newValues: data
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Agency created',
+      data: agency
+    });
+
+  } catch (error) {
+    console.error('Create agency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while creating agency'
+    });
+  }
+});
+
+// @route   PUT /api/agencies/:id
+// @desc    Update an agency's details, jurisdictions or report types
+// @access  Private (Super Admin only)
+router.put('/:id', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const { data, error } = parseAgency(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const agency = await Agency.findById(req.params.id);
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agency not found'
+      });
+    }
+
+    if (data.name && data.name !== agency.name && await Agency.exists({ name: data.name })) {
+      return res.status(400).json({
+        success: false,
+        error: 'An agency with this name already exists'
+      });
+    }
+
+    const previousValues = agency.toObject();
+    agency.set(data);
+    await agency.save();
+
+    await createAuditLog(req, 'agency_edit', 'admins', `Updated agency: ${agency.name}`, {
+      targetType: 'agency',
+      targetId: agency._id,
+      targetName: agency.name,
+      previousValues: Object.fromEntries(Object.keys(data).map(key => [key, previousValues[key]])),
+      newValues: data
+    });
+
+    res.json({
+      success: true,
+      message: 'Agency updated',
+      data: agency
+    });
+
+  } catch (error) {
+    console.error('Update agency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating agency'
+    });
+  }
+});
+
+// @route   PUT /api/agencies/:id/members
+// @desc    Set which admins work for this agency (moves them from any other team)
+// @access  Private (Super Admin only)
+router.put('/:id/members', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const adminIds = Array.isArray(req.body.adminIds) ? req.body.adminIds : [];
+    if (adminIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid admin ID'
+      });
+    }
+
+    const agency = await Agency.findById(req.params.id);
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agency not found'
+      });
+    }
+
+    await Admin.updateMany({ agency: agency._id, _id: { $nin: adminIds } }, { agency: null });
+    await Admin.updateMany({ _id: { $in: adminIds }, role: 'admin_user' }, { agency: agency._id });
+
+    const members = await Admin.find({ agency: agency._id }).select('username').lean();
+
+    await createAuditLog(req, 'agency_edit', 'admins', `Updated members of agency: ${agency.name}`, {
+      targetType: 'agency',
+      targetId: agency._id,
+      targetName: agency.name,
+      newValues: { members: members.map(m => m.username) }
+    });
+
+    res.json({
+      success: true,
+      message: 'Agency members updated',
+      data: members
+    });
+
+  } catch (error) {
+    console.error('Update agency members error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating agency members'
+    });
+  }
+});
+
+// @route   DELETE /api/agencies/:id
+// @desc    Deactivate an agency (kept for report history; no longer routed to)
+// @access  Private (Super Admin only)
+router.delete('/:id', auth, requireSuperAdmin, async (req, res) => {
+  try {
+    const agency = await Agency.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agency not found'
+      });
+    }
+
+    await createAuditLog(req, 'agency_deactivate', 'admins', `Deactivated agency: ${agency.name}`, {
+      targetType: 'agency',
+      targetId: agency._id,
+      targetName: agency.name
+    });
+
+    res.json({
+      success: true,
+      message: 'Agency deactivated',
+      data: agency
+    });
+
+  } catch (error) {
+    console.error('Deactivate agency error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deactivating agency'
+    });
+  }
+});
+
+module.exports = router;
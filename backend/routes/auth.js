@@ -1,19 +1,22 @@
 const express = require('express');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
 const Admin = require('../models/Admin');
 const Report = require('../models/Report');
 const Notification = require('../models/Notification');
 const cache = require('../services/cache');
-const { auth } = require('../middleware/roleAuth');
+const { auth, createAuditLog } = require('../middleware/roleAuth');
 const NotificationService = require('../services/NotificationService');
+const SessionService = require('../services/SessionService');
+const TwoFactorService = require('../services/TwoFactorService');
+const EmailVerificationService = require('../services/EmailVerificationService');
+const PasswordResetService = require('../services/PasswordResetService');
+const userAuth = require('../middleware/userAuth');
 const {
   checkRegistrationAllowed,
   validatePasswordRequirements,
-  checkLoginAttempts,
-  getSetting
+  checkLoginAttempts
 } = require('../middleware/settingsEnforcement');
 
 const router = express.Router();
@@ -21,6 +24,85 @@ const router = express.Router();
 // Initialize Google OAuth client
 const googleClient = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
+// Wrong passwords allowed on step-up before it pauses (per admin)
+const STEP_UP_MAX_FAILURES = 5;
+const STEP_UP_LOCKOUT_SECONDS = 15 * 60;
+
+// Start an admin session and build the login response
+const adminLoginResponse = async (admin, req) => {
+  // ⚡ Async update
+  Admin.findByIdAndUpdate(admin._id, { lastLogin: new Date() }).exec().catch(err => console.error('Admin last login update failed:', err));
+
+  const { token, refreshToken } = await SessionService.createSession({ admin }, req);
+
+  return {
+    success: true,
+    token,
+    refreshToken,
+    admin: {
+      id: admin._id,
+      username: admin.username,
+      role: admin.role,
+      email: admin.email,
+      lastLogin: new Date()
+    }
+  };
+};
+
+// Two-factor enrollment runs either in the middle of a login (loginTicket from
+// POST /login when the admin's role requires 2FA) or from the admin's profile
+const ticketOrAuth = async (req, res, next) => {
+  if (!req.body?.loginTicket) {
+    return auth(req, res, next);
+  }
+
+  try {
+    const adminId = TwoFactorService.readLoginTicket(req.body.loginTicket);
+    const admin = adminId ? await Admin.findById(adminId).select('-password') : null;
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ success: false, error: 'Sign-in has expired, please sign in again' });
+    }
+
+    req.admin = {
+      id: admin._id,
+      username: admin.username,
+      role: admin.role,
+      isSuperAdmin: admin.role === 'super_admin',
+      twoFactorEnabled: !!admin.twoFactor?.enabled
+    };
+    req.ticketAdmin = admin;
+    next();
+  } catch (error) {
+    console.error('Login ticket error:', error);
+    res.status(500).json({ success: false, error: 'Server error during authentication' });
+  }
+};
+
+// Base URL for links in emails that point back at this API
+const requestBaseUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Google has already confirmed the address, so no verification email is needed
+const trustGoogleEmail = (user, userInfo) => {
+  if (!userInfo.emailVerified || user.emailVerified) return false;
+  user.emailVerified = true;
+  user.emailVerifiedAt = new Date();
+  return true;
+};
+
+// Small page shown when a verification link is opened in a browser
+const verificationPage = (title, message) => `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${title}</title>
+</head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 80px auto; padding: 0 20px; text-align: center; color: #1f2937;">
+  <h1 style="font-size: 22px;">${title}</h1>
+  <p>${message}</p>
+</body>
+</html>`;
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -60,7 +142,15 @@ router.post('/register', checkRegistrationAllowed, validatePasswordRequirements,
       // Don't fail registration if notification fails
     }
 
-    res.status(201).json({ success: true, message: 'User registered successfully' });
+    // Email a verification link and code; the user can resend from the app
+    let emailVerificationSent = false;
+    try {
+      emailVerificationSent = (await EmailVerificationService.send(user, requestBaseUrl(req))).sent;
+    } catch (mailError) {
+      console.error('Failed to send verification email:', mailError);
+    }
+
+    res.status(201).json({ success: true, message: 'User registered successfully', emailVerificationSent });
 
   } catch (error) {
     console.error('Register error:', error);
@@ -125,11 +215,7 @@ router.post('/login', checkLoginAttempts, async (req, res) => {
     }
 
     if (user) {
-      // ⚡ Fetch settings in parallel with password verification
-      const [isMatch, sessionTimeout] = await Promise.all([
-        bcrypt.compare(password, user.password), // User model comparison or bcrypt directly
-        getSetting('session_timeout_minutes', 1440)
-      ]);
+      const isMatch = await bcrypt.compare(password, user.password); // User model comparison or bcrypt directly
 
       console.log('🔑 Password check for', user.email, '- Match:', isMatch);
 
@@ -143,13 +229,8 @@ router.post('/login', checkLoginAttempts, async (req, res) => {
       // ⚡ Update last login asynchronously (fire-and-forget)
       User.findByIdAndUpdate(user._id, { lastLogin: new Date() }).exec().catch(err => console.error('Last login update failed:', err));
 
-      const expiresIn = sessionTimeout > 0 ? `${sessionTimeout}m` : '7d';
-
-      const token = jwt.sign(
-        { id: user._id, username: user.username, email: user.email },
-        process.env.JWT_SECRET || 'your_jwt_secret',
-        { expiresIn }
-      );
+      // Session idles out after session_timeout_minutes without a refresh
+      const { token, refreshToken } = await SessionService.createSession({ user }, req);
 
       // ⚡ Fire-and-forget: Preload dashboard data into cache
       const userId = user._id;
@@ -187,6 +268,7 @@ router.post('/login', checkLoginAttempts, async (req, res) => {
       return res.json({
         success: true,
         token,
+        refreshToken,
         user: {
           id: user._id,
           username: user.username,
@@ -206,26 +288,24 @@ router.post('/login', checkLoginAttempts, async (req, res) => {
         return res.status(401).json({ error: 'Invalid credentials' });
       }
 
-      // ⚡ Async update
-      Admin.findByIdAndUpdate(admin._id, { lastLogin: new Date() }).exec().catch(err => console.error('Admin last login update failed:', err));
+      // Password is right; a second factor is still needed before a session starts
+      if (admin.twoFactor?.enabled) {
+        return res.json({
+          success: true,
+          twoFactorRequired: true,
+          loginTicket: TwoFactorService.issueLoginTicket(admin)
+        });
+      }
 
-      const token = jwt.sign(
-        { id: admin._id, username: admin.username, role: admin.role },
-        process.env.JWT_SECRET || 'your_jwt_secret',
-        { expiresIn: process.env.JWT_EXPIRE || '7d' }
-      );
+      if (await TwoFactorService.isRequired(admin.role)) {
+        return res.json({
+          success: true,
+          twoFactorSetupRequired: true,
+          loginTicket: TwoFactorService.issueLoginTicket(admin)
+        });
+      }
 
-      return res.json({
-        success: true,
-        token,
-        admin: {
-          id: admin._id,
-          username: admin.username,
-          role: admin.role,
-          email: admin.email,
-          lastLogin: new Date()
-        }
-      });
+      return res.json(await adminLoginResponse(admin, req));
     }
 
     return res.status(401).json({ error: 'Invalid credentials' });
@@ -270,14 +350,260 @@ router.get('/verify', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token (the refresh token rotates)
+// @access  Public (refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const result = await SessionService.refresh(req.body.refreshToken, req);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ success: false, error: 'Server error during token refresh' });
+  }
+});
+
 // @route   POST /api/auth/logout
-// @desc    Logout admin (client-side token removal)
-// @access  Private
-router.post('/logout', auth, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// @desc    Sign out this device (user or admin). Works with an expired access
+//          token as long as the refresh token is sent.
+// @access  Public (refresh token or access token)
+router.post('/logout', async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeByRefreshToken(req.body.refreshToken, 'logout');
+
+    if (!revoked) {
+      const token = req.header('Authorization')?.replace('Bearer ', '');
+      const decoded = token ? await SessionService.verifyAccessToken(token).catch(() => null) : null;
+      if (decoded) {
+        await SessionService.revoke(decoded.sid, 'logout');
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ success: false, error: 'Server error during logout' });
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Second step of an admin login: exchange the login ticket and an
+//          authenticator (or backup) code for a session
+// @access  Public (login ticket)
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { loginTicket, code } = req.body;
+
+    const adminId = TwoFactorService.readLoginTicket(loginTicket);
+    const admin = adminId ? await Admin.findById(adminId).select('-password') : null;
+    if (!admin || !admin.isActive) {
+      return res.status(401).json({ success: false, error: 'Sign-in has expired, please sign in again' });
+    }
+
+    const result = await TwoFactorService.verify(admin._id, code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.json(await adminLoginResponse(admin, req));
+
+  } catch (error) {
+    console.error('Two-factor verify error:', error);
+    res.status(500).json({ success: false, error: 'Server error during two-factor verification' });
+  }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Whether the signed-in admin uses two-factor authentication
+// @access  Private (Admin)
+router.get('/2fa/status', auth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await TwoFactorService.status(req.admin.id, req.admin.role)
+    });
+  } catch (error) {
+    console.error('Two-factor status error:', error);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start two-factor enrollment: returns a new secret and its QR code
+// @access  Private (Admin, or login ticket when the role requires 2FA)
+router.post('/2fa/setup', ticketOrAuth, async (req, res) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const admin = req.ticketAdmin || await Admin.findById(req.admin.id).select('username');
+    const enrollment = await TwoFactorService.beginEnrollment(admin);
+
+    res.json({
+      success: true,
+      data: enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ success: false, error: 'Server error during two-factor setup' });
+  }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Finish enrollment with a code from the authenticator app. Returns
+//          backup codes (shown once), plus a session when enrolling mid-login.
+// @access  Private (Admin, or login ticket when the role requires 2FA)
+router.post('/2fa/enable', ticketOrAuth, async (req, res) => {
+  try {
+    if (req.admin.twoFactorEnabled) {
+      return res.status(400).json({ success: false, error: 'Two-factor authentication is already enabled' });
+    }
+
+    const result = await TwoFactorService.confirmEnrollment(req.admin.id, req.body.code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    await createAuditLog(req, 'two_factor_enable', 'auth', `Enabled two-factor authentication for ${req.admin.username}`, {
+      targetType: 'admin',
+      targetId: req.admin.id,
+      targetName: req.admin.username
+    });
+    console.log(`🔐 Two-factor enabled for admin ${req.admin.username}`);
+
+    const response = {
+      success: true,
+      message: 'Two-factor authentication enabled',
+      data: { backupCodes: result.backupCodes }
+    };
+
+    if (req.ticketAdmin) {
+      Object.assign(response, await adminLoginResponse(req.ticketAdmin, req));
+    }
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ success: false, error: 'Server error while enabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn two-factor authentication off (needs a current code). Not
+//          allowed while the admin's role requires it.
+// @access  Private (Admin)
+router.post('/2fa/disable', auth, async (req, res) => {
+  try {
+    if (await TwoFactorService.isRequired(req.admin.role)) {
+      return res.status(403).json({ success: false, error: 'Two-factor authentication is required for your role' });
+    }
+
+    const result = await TwoFactorService.verify(req.admin.id, req.body.code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    await TwoFactorService.disable(req.admin.id);
+
+    await createAuditLog(req, 'two_factor_disable', 'auth', `Disabled two-factor authentication for ${req.admin.username}`, {
+      targetType: 'admin',
+      targetId: req.admin.id,
+      targetName: req.admin.username
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ success: false, error: 'Server error while disabling two-factor authentication' });
+  }
+});
+
+// @route   POST /api/auth/2fa/backup-codes
+// @desc    Replace the admin's backup codes (needs a current code)
+// @access  Private (Admin)
+router.post('/2fa/backup-codes', auth, async (req, res) => {
+  try {
+    const result = await TwoFactorService.verify(req.admin.id, req.body.code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    const backupCodes = await TwoFactorService.regenerateBackupCodes(req.admin.id);
+
+    res.json({
+      success: true,
+      message: 'New backup codes generated',
+      data: { backupCodes }
+    });
+
+  } catch (error) {
+    console.error('Backup codes error:', error);
+    res.status(500).json({ success: false, error: 'Server error while generating backup codes' });
+  }
+});
+
+// @route   POST /api/auth/step-up
+// @desc    Re-authenticate before destructive actions: an authenticator code
+//          when the admin uses 2FA, otherwise their password
+// @access  Private (Admin)
+router.post('/step-up', auth, async (req, res) => {
+  try {
+    const { code, password } = req.body;
+
+    if (req.admin.twoFactorEnabled) {
+      const result = await TwoFactorService.verify(req.admin.id, code);
+      if (result.error) {
+        return res.status(result.statusCode).json({ success: false, error: result.error });
+      }
+    } else {
+      const failuresKey = `step-up:failures:${req.admin.id}`;
+      const failures = cache.get(failuresKey) || 0;
+      if (failures >= STEP_UP_MAX_FAILURES) {
+        return res.status(429).json({ success: false, error: 'Too many incorrect passwords. Try again in 15 minutes.' });
+      }
+
+      const admin = await Admin.findById(req.admin.id).select('password');
+      if (!password || !(await bcrypt.compare(password, admin.password))) {
+        cache.set(failuresKey, failures + 1, STEP_UP_LOCKOUT_SECONDS);
+        return res.status(401).json({ success: false, error: 'Incorrect password' });
+      }
+      cache.del(failuresKey);
+    }
+
+    await SessionService.markStepUp(req.sessionId);
+
+    await createAuditLog(req, 'step_up', 'auth', `Re-authenticated with ${req.admin.twoFactorEnabled ? 'two-factor code' : 'password'}`);
+
+    res.json({
+      success: true,
+      message: 'Identity confirmed',
+      data: { validUntil: new Date(Date.now() + SessionService.STEP_UP_WINDOW_MS) }
+    });
+
+  } catch (error) {
+    console.error('Step-up error:', error);
+    res.status(500).json({ success: false, error: 'Server error during re-authentication' });
+  }
 });
 
 // @route   PUT /api/auth/change-password
@@ -301,9 +627,11 @@ router.put('/change-password', auth, async (req, res) => {
 
     // Check if it's an admin request (has req.admin.id) or user request (has req.user.id)
     let user;
+    let owner;
     if (req.admin && req.admin.id) {
       // Admin user
       user = await Admin.findById(req.admin.id);
+      owner = { adminId: req.admin.id };
       if (!user) {
         return res.status(404).json({
           error: 'Admin not found'
@@ -313,6 +641,7 @@ router.put('/change-password', auth, async (req, res) => {
       // Regular user
       const User = require('../models/User');
       user = await User.findById(req.user.id);
+      owner = { userId: req.user.id };
       if (!user) {
         return res.status(404).json({
           error: 'User not found'
@@ -336,6 +665,9 @@ router.put('/change-password', auth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Other devices have to sign in again with the new password
+    await SessionService.revokeAll(owner, { reason: 'password_change', except: req.sessionId });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -399,9 +731,9 @@ router.put('/profile', auth, async (req, res) => {
 });
 
 // @route   GET /api/auth/verification-status
-// @desc    Get user verification status
+// @desc    Get the user's email verification status
 // @access  Private
-router.get('/verification-status', require('../middleware/userAuth'), async (req, res) => {
+router.get('/verification-status', userAuth, async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select('-password');
 
@@ -412,17 +744,9 @@ router.get('/verification-status', require('../middleware/userAuth'), async (req
       });
     }
 
-    // For now, return a basic verification status
-    // You can extend this based on your verification logic
-    const verification = {
-      isVerified: user.isActive, // Using isActive as verification status for now
-      verificationDate: user.createdAt,
-      status: user.isActive ? 'verified' : 'pending'
-    };
-
     res.json({
       success: true,
-      verification
+      verification: EmailVerificationService.status(user)
     });
 
   } catch (error) {
@@ -434,6 +758,96 @@ router.get('/verification-status', require('../middleware/userAuth'), async (req
   }
 });
 
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link and code (throttled)
+// @access  Private
+router.post('/resend-verification', userAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const result = await EmailVerificationService.send(user, requestBaseUrl(req));
+    if (!result.sent) {
+      if (result.retryAfter) {
+        res.set('Retry-After', String(result.retryAfter));
+      }
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error,
+        retryAfter: result.retryAfter
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending verification email'
+    });
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Verify the user's email with the 6-digit code from the email
+// @access  Private
+router.post('/verify-email', userAuth, async (req, res) => {
+  try {
+    const result = await EmailVerificationService.verifyCode(req.user.id, req.body.code);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    // /users/me is cached briefly; show the new status right away
+    cache.invalidatePrefix(`profile:${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified',
+      verification: EmailVerificationService.status(result.user)
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during email verification'
+    });
+  }
+});
+
+// @route   GET /api/auth/verify-email/:token
+// @desc    Verification link from the email; answers with a small HTML page
+// @access  Public (signed link)
+router.get('/verify-email/:token', async (req, res) => {
+  try {
+    const result = await EmailVerificationService.verifyToken(req.params.token);
+    if (result.error) {
+      return res.status(result.statusCode).send(verificationPage('Link not valid', `${result.error}. Open the app to request a new verification email.`));
+    }
+
+    cache.invalidatePrefix(`profile:${result.user._id}`);
+    res.send(verificationPage('Email verified', 'Thanks! Your email address is verified. You can go back to the app.'));
+
+  } catch (error) {
+    console.error('Verify email link error:', error);
+    res.status(500).send(verificationPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
 // @route   POST /api/auth/social-login
 // @desc    Social login with Google
 // @access  Public
@@ -455,6 +869,7 @@ router.post('/social-login', async (req, res) => {
         userInfo = {
           id: payload.sub,
           email: payload.email,
+          emailVerified: payload.email_verified === true,
           name: payload.name,
           picture: payload.picture,
           provider: 'google'
@@ -488,9 +903,11 @@ router.post('/social-login', async (req, res) => {
         },
         isActive: true // Auto-activate social login users
       });
+      trustGoogleEmail(user, userInfo);
 
       await user.save();
     } else {
+      let changed = trustGoogleEmail(user, userInfo);
       // Update existing user with social login info if not already set
       if (!user.socialLogin || user.socialLogin.provider !== userInfo.provider) {
         user.socialLogin = {
@@ -498,27 +915,20 @@ router.post('/social-login', async (req, res) => {
           providerId: userInfo.id,
           picture: userInfo.picture
         };
+        changed = true;
+      }
+      if (changed) {
         await user.save();
       }
     }
 
-    // Generate JWT token
-    const jwtPayload = {
-      id: user._id,
-      username: user.username,
-      email: user.email,
-      role: 'user'
-    };
-
-    const jwtToken = jwt.sign(
-      jwtPayload,
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRE || '7d' }
-    );
+    // Start a session
+    const { token: jwtToken, refreshToken } = await SessionService.createSession({ user }, req);
 
     res.json({
       success: true,
       token: jwtToken,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -556,6 +966,7 @@ router.post('/google-login', async (req, res) => {
       userInfo = {
         id: payload.sub,
         email: payload.email,
+        emailVerified: payload.email_verified === true,
         name: payload.name,
         picture: payload.picture,
         provider: 'google'
@@ -591,6 +1002,7 @@ router.post('/google-login', async (req, res) => {
           profileImage: userInfo.picture
         }
       });
+      trustGoogleEmail(user, userInfo);
 
       await user.save();
 
@@ -611,19 +1023,19 @@ router.post('/google-login', async (req, res) => {
       if (!user.profile.profileImage && userInfo.picture) {
         user.profile.profileImage = userInfo.picture;
       }
+      trustGoogleEmail(user, userInfo);
+      await user.save();
+    } else if (trustGoogleEmail(user, userInfo)) {
       await user.save();
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id, username: user.username },
-      process.env.JWT_SECRET || 'your-secret-key',
-      { expiresIn: '24h' }
-    );
+    // Start a session
+    const { token, refreshToken } = await SessionService.createSession({ user }, req);
 
     res.json({
       success: true,
       token,
+      refreshToken,
       user: {
         id: user._id,
         username: user.username,
@@ -722,47 +1134,21 @@ router.post('/forgot-password', async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    // Generate 6-digit OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-
-    // Save OTP to user (valid for 10 minutes)
-    user.resetPasswordOTP = otp;
-    user.resetPasswordExpires = Date.now() + 10 * 60 * 1000;
-    await user.save();
-
-    // Send email using nodemailer
-    const nodemailer = require('nodemailer');
-
-    // Try to get credentials from env
-    const transporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER || 'placeholder@gmail.com',
-        pass: process.env.EMAIL_PASS || 'placeholder_pass'
-      }
-    });
-
-    const mailOptions = {
-      from: process.env.EMAIL_USER,
-      to: user.email,
-      subject: 'Password Reset OTP - Road Alert',
-      text: `Your OTP for password reset is: ${otp}. It will expire in 10 minutes.`
-    };
+    const result = await PasswordResetService.request(user, req.ip);
+    if (!result.sent) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.statusCode).json({ error: result.error, retryAfter: result.retryAfter });
+    }
 
-    // If credentials are placeholder, just log the OTP for the user (useful for local dev/testing)
-    if (!process.env.EMAIL_USER || process.env.EMAIL_USER.includes('placeholder')) {
-      console.log('------------------------------------------');
-      console.log(`🔑 PASSWORD RESET OTP FOR ${user.email}: ${otp}`);
-      console.log('------------------------------------------');
+    // Console and file transports keep the email on the server (local development)
+    if (result.transport.name !== 'smtp') {
       return res.json({
         success: true,
-        message: 'Reset OTP generated. (Development Mode: OTP logged to console)',
+        message: `Reset OTP generated. (Development Mode: OTP ${result.transport.name === 'file' ? 'saved to the mail folder' : 'logged to console'})`,
         devMode: true
       });
     }
 
-    await transporter.sendMail(mailOptions);
-
     res.json({
       success: true,
       message: 'OTP sent to your email'
@@ -775,7 +1161,7 @@ router.post('/forgot-password', async (req, res) => {
 });
 
 // @route   POST /api/auth/verify-otp
-// @desc    Verify password reset OTP
+// @desc    Verify password reset OTP and issue a one-time reset token
 // @access  Public
 router.post('/verify-otp', async (req, res) => {
   try {
@@ -785,19 +1171,15 @@ router.post('/verify-otp', async (req, res) => {
       return res.status(400).json({ error: 'Email and OTP are required' });
     }
 
-    const user = await User.findOne({
-      email,
-      resetPasswordOTP: otp,
-      resetPasswordExpires: { $gt: Date.now() }
-    });
-
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid or expired OTP' });
+    const result = await PasswordResetService.verifyOtp(email, otp, req.ip);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
 
     res.json({
       success: true,
-      message: 'OTP verified'
+      message: 'OTP verified',
+      resetToken: result.resetToken
     });
 
   } catch (error) {
@@ -807,13 +1189,13 @@ router.post('/verify-otp', async (req, res) => {
 });
 
 // @route   POST /api/auth/reset-password
-// @desc    Reset password using OTP
+// @desc    Reset password using the token from /verify-otp; signs out all devices
 // @access  Public
 router.post('/reset-password', async (req, res) => {
   try {
-    const { email, otp, newPassword } = req.body;
+    const { email, resetToken, newPassword } = req.body;
 
-    if (!email || !otp || !newPassword) {
+    if (!email || !resetToken || !newPassword) {
       return res.status(400).json({ error: 'All fields are required' });
     }
 
@@ -821,22 +1203,11 @@ router.post('/reset-password', async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters long' });
     }
 
-    const user = await User.findOne({
-      email,
-      resetPasswordOTP: otp,
-      resetPasswordExpires: { $gt: Date.now() }
-    });
-
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid or expired OTP' });
+    const result = await PasswordResetService.resetPassword(email, resetToken, newPassword);
+    if (result.error) {
+      return res.status(result.statusCode).json({ error: result.error });
     }
 
-    // Update password and clear OTP
-    user.password = newPassword;
-    user.resetPasswordOTP = null;
-    user.resetPasswordExpires = null;
-    await user.save();
-
     res.json({
       success: true,
       message: 'Password reset successful. You can now login with your new password.'
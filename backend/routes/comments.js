@@ -0,0 +1,263 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const Report = require('../models/Report');
+const ReportComment = require('../models/ReportComment');
+const userAuth = require('../middleware/userAuth');
+const { auth, canManageReports, createAuditLog } = require('../middleware/roleAuth');
+const { cloudinary, commentStorage } = require('../services/cloudinaryConfig');
+const NotificationService = require('../services/NotificationService');
+const { emitReportComment, emitCommentsRead } = require('../services/socketService');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: commentStorage,
+  limits: { fileSize: 5 * 1024 * 1024, files: 3 } // 5MB, up to 3 attachments
+});
+
+// Load the report a thread belongs to (404 handled by caller)
+const findReport = (reportId) => {
+  if (!mongoose.Types.ObjectId.isValid(reportId)) return null;
+  return Report.findById(reportId).select('type status reportedBy location.address');
+};
+
+// Check the report exists (and, for users, is theirs) before multer runs, so
+// attachments are only uploaded for requests allowed to post on the thread
+const loadReportForPost = ({ ownOnly = false } = {}) => async (req, res, next) => {
+  try {
+    const report = await findReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    if (ownOnly && report.reportedBy?.id?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only send messages on your own reports'
+      });
+    }
+
+    req.report = report;
+    next();
+  } catch (error) {
+    console.error('Load comment report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending message'
+    });
+  }
+};
+
+// Remove attachments that were uploaded for a message that was then rejected
+const discardUploads = (files = []) => {
+  files.forEach(file => {
+    cloudinary.uploader.destroy(file.public_id, { invalidate: true, resource_type: file.resource_type || 'image' })
+      .catch(error => {
+        console.error('❌ Failed to delete rejected comment attachment:', error.message);
+      });
+  });
+};
+
+// Uploaded files as stored on the comment
+const toAttachments = (files = []) => files.map(file => ({
+  url: file.path || file.secure_url || file.url,
+  filename: file.originalname,
+  mimetype: file.mimetype,
+  size: file.size
+}));
+
+// @route   GET /api/comments/report/:reportId
+// @desc    Get the comment thread of one of the user's reports (internal notes excluded)
+//          and mark admin replies as read
+// @access  Private (Report author only)
+router.get('/report/:reportId', userAuth, async (req, res) => {
+  try {
+    const report = await findReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    if (report.reportedBy?.id?.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view messages on your own reports'
+      });
+    }
+
+    const comments = await ReportComment.find({ report: report._id, internal: false })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const readAt = await ReportComment.markRead(report._id, 'user');
+    if (readAt) {
+      emitCommentsRead({ reportId: report._id, readBy: 'user', readAt }, report.reportedBy.id);
+    }
+
+    res.json({
+      success: true,
+      data: comments
+    });
+
+  } catch (error) {
+    console.error('Get report comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @route   POST /api/comments/report/:reportId
+// @desc    Send a message to the admins about one of the user's reports
+// @access  Private (Report author only)
+router.post('/report/:reportId', userAuth, loadReportForPost({ ownOnly: true }), upload.array('attachments', 3), async (req, res) => {
+  try {
+    const { report } = req;
+
+    const comment = new ReportComment({
+      report: report._id,
+      author: {
+        kind: 'user',
+        id: req.user._id,
+        name: req.user.username
+      },
+      body: typeof req.body.body === 'string' ? req.body.body.trim() : '',
+      attachments: toAttachments(req.files)
+    });
+
+    const validationError = comment.validateSync();
+    if (validationError) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        error: Object.values(validationError.errors)[0].message
+      });
+    }
+
+    await comment.save();
+    emitReportComment(comment.toObject(), report.reportedBy.id);
+
+    console.log(`💬 User ${req.user.username} commented on report ${report._id}`);
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create report comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending message'
+    });
+  }
+});
+
+// @route   GET /api/comments/admin/report/:reportId
+// @desc    Get a report's full thread including internal notes, and mark the
+//          reporter's messages as read
+// @access  Private (Admin only)
+router.get('/admin/report/:reportId', auth, canManageReports, async (req, res) => {
+  try {
+    const report = await findReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    const comments = await ReportComment.find({ report: report._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    const readAt = await ReportComment.markRead(report._id, 'admin');
+    if (readAt) {
+      emitCommentsRead({ reportId: report._id, readBy: 'admin', readAt }, report.reportedBy?.id);
+    }
+
+    res.json({
+      success: true,
+      data: comments
+    });
+
+  } catch (error) {
+    console.error('Get admin report comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching messages'
+    });
+  }
+});
+
+// @route   POST /api/comments/admin/report/:reportId
+// @desc    Reply to the reporter, or add an internal note (internal=true)
+// @access  Private (Admin only)
+router.post('/admin/report/:reportId', auth, canManageReports, loadReportForPost(), upload.array('attachments', 3), async (req, res) => {
+  try {
+    const { report } = req;
+
+    const internal = req.body.internal === true || req.body.internal === 'true';
+
+    const comment = new ReportComment({
+      report: report._id,
+      author: {
+        kind: 'admin',
+        id: req.admin.id,
+        name: req.admin.username
+      },
+      body: typeof req.body.body === 'string' ? req.body.body.trim() : '',
+      attachments: toAttachments(req.files),
+      internal
+    });
+
+    const validationError = comment.validateSync();
+    if (validationError) {
+      discardUploads(req.files);
+      return res.status(400).json({
+        success: false,
+        error: Object.values(validationError.errors)[0].message
+      });
+    }
+
+    await comment.save();
+    emitReportComment(comment.toObject(), report.reportedBy?.id);
+
+    if (!internal) {
+      await NotificationService.createAdminResponseNotification({
+        report,
+        message: comment.body || `Sent ${comment.attachments.length} attachment(s)`,
+        adminId: req.admin.id
+      });
+    }
+
+    await createAuditLog(req, 'report_comment', 'reports',
+      `${internal ? 'Added internal note to' : 'Replied to reporter on'} ${report.type} report`, {
+        targetType: 'report',
+        targetId: report._id,
+        targetName: `${report.type} - ${report.location?.address || 'Unknown location'}`,
+        details: { internal, attachments: comment.attachments.length }
+      });
+
+    res.status(201).json({
+      success: true,
+      data: comment
+    });
+
+  } catch (error) {
+    console.error('Create admin report comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending message'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const Device = require('../models/Device');
 const userAuth = require('../middleware/userAuth');
+const SessionService = require('../services/SessionService');
 
 const router = express.Router();
 
@@ -38,6 +39,9 @@ router.post('/register', userAuth, async (req, res) => {
       appVersion
     });
 
+    // Signing this session out later also stops its push notifications
+    await SessionService.linkDevice(req.sessionId, device._id);
+
     res.json({
       success: true,
       message: isNew ? 'Device registered successfully' : 'Device updated successfully',
@@ -0,0 +1,291 @@
+const express = require('express');
+const multer = require('multer');
+const Incident = require('../models/Incident');
+const Report = require('../models/Report');
+const cache = require('../services/cache');
+const NotificationService = require('../services/NotificationService');
+const ClusteringService = require('../services/ClusteringService');
+const WorkflowService = require('../services/WorkflowService');
+const AgencyService = require('../services/AgencyService');
+const ReputationService = require('../services/ReputationService');
+const ImageStorageService = require('../services/ImageStorageService');
+const { reportStorage } = require('../services/cloudinaryConfig');
+const { auth, canManageReports, createAuditLog } = require('../middleware/roleAuth');
+
+const router = express.Router();
+
+const upload = multer({
+  storage: reportStorage,
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit, same as reports
+});
+
+// Incident-level statuses and the audit action logged for each member report.
+// Whether each member report may make the move is decided by the report workflow.
+const STATUS_ACTIONS = {
+  pending: 'report_edit',
+  verified: 'report_verify',
+  rejected: 'report_reject',
+  resolved: 'report_resolve'
+};
+
+const REPORT_LIST_FIELDS = 'type description location province city barangay severity status priority createdAt reportedBy images.imageUrl images.mimetype';
+
+// @route   GET /api/incidents
+// @desc    Get incidents (clusters of duplicate reports) with filtering and pagination
+// @access  Private (Admin only)
+router.get('/', auth, canManageReports, async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, type, minReports = 2 } = req.query;
+
+    const filter = { reportCount: { $gte: parseInt(minReports) } };
+    if (status) {
+      filter.status = status.includes(',') ? { $in: status.split(',') } : status;
+    }
+    if (type) filter.type = type;
+
+    const [incidents, totalIncidents] = await Promise.all([
+      Incident.find(filter)
+        .sort({ lastReportedAt: -1 })
+        .limit(parseInt(limit))
+        .skip((parseInt(page) - 1) * parseInt(limit))
+        .lean()
+        .maxTimeMS(30000),
+      Incident.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: incidents,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalIncidents / parseInt(limit)),
+        totalIncidents,
+        hasNextPage: parseInt(page) < Math.ceil(totalIncidents / parseInt(limit)),
+        hasPrevPage: parseInt(page) > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get incidents error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching incidents'
+    });
+  }
+});
+
+// @route   GET /api/incidents/:id
+// @desc    Get a single incident with its member reports
+// @access  Private (Admin only)
+router.get('/:id', auth, canManageReports, async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .populate('reports', REPORT_LIST_FIELDS)
+      .populate('verifiedBy', 'username')
+      .populate('resolvedBy', 'username')
+      .lean();
+
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: incident
+    });
+
+  } catch (error) {
+    console.error('Get incident error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching incident'
+    });
+  }
+});
+
+// @route   PATCH /api/incidents/:id/status
+// @desc    Verify, reject or resolve every report in an incident at once
+// @access  Private (Admin only)
+router.patch('/:id/status', auth, canManageReports, upload.single('evidencePhoto'), async (req, res) => {
+  try {
+    const { status, adminNotes, adminFeedback } = req.body;
+
+    if (!status || !STATUS_ACTIONS[status]) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status value',
+        received: status,
+        validValues: Object.keys(STATUS_ACTIONS)
+      });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+    if (!incident) {
+      return res.status(404).json({
+        success: false,
+        error: 'Incident not found'
+      });
+    }
+
+    const reports = await Report.find({ _id: { $in: incident.reports } })
+      .select('-images.data -evidencePhoto.data');
+
+    const evidencePhoto = req.file ? {
+      imageUrl: req.file.path || req.file.secure_url || req.file.url,
+      originalName: req.file.originalname,
+      mimetype: req.file.mimetype,
+      size: req.file.size || req.file.bytes,
+      uploadDate: new Date()
+    } : null;
+
+    // Check every member against the workflow before touching any of them.
+    // Reports the workflow can't move (e.g. already closed) are left as they are,
+    // but a permission or missing-field problem stops the whole update.
+    const movable = [];
+    for (const report of reports) {
+      if (report.status === status) continue;
+
+      const check = await WorkflowService.checkTransition({
+        from: report.status,
+        to: status,
+        admin: req.admin,
+        fields: {
+          adminNotes,
+          adminFeedback,
+          evidencePhoto: evidencePhoto || ImageStorageService.hasImage(report.evidencePhoto)
+        }
+      });
+
+      if (check.statusCode === 403 || check.missingFields) {
+        const { statusCode, ...body } = check;
+        return res.status(statusCode).json({ success: false, ...body });
+      }
+      if (!check.error) movable.push(report);
+    }
+
+    if (movable.length === 0 && reports.some(report => report.status !== status)) {
+      return res.status(400).json({
+        success: false,
+        error: `None of the reports in this incident can be moved to "${status}"`
+      });
+    }
+
+    const now = new Date();
+    const changes = [];
+
+    for (const report of movable) {
+      const oldStatus = WorkflowService.applyTransition(report, status, req.admin, { adminNotes, adminFeedback });
+      if (status === 'resolved' && evidencePhoto) {
+        report.evidencePhoto = evidencePhoto;
+      }
+
+      await report.save();
+      await ReputationService.recordOutcome(report);
+      changes.push({ report, oldStatus });
+
+      await createAuditLog(req, STATUS_ACTIONS[status], 'reports',
+        `Set report to ${status} via incident ${incident._id}`, {
+          targetType: 'report',
+          targetId: report._id,
+          targetName: `${report.type} at ${report.location?.address}`,
+          previousValues: { status: oldStatus },
+          newValues: { status },
+          details: { incidentId: incident._id }
+        });
+    }
+
+    incident.status = status;
+    if (status === 'verified' || status === 'rejected') {
+      incident.verifiedAt = now;
+      incident.verifiedBy = req.admin.id;
+    }
+    if (status === 'resolved') {
+      incident.resolvedAt = now;
+      incident.resolvedBy = req.admin.id;
+    }
+    await incident.save();
+
+    // Everyone who reported this hazard hears about it together
+    await NotificationService.createIncidentStatusNotifications({
+      changes,
+      newStatus: status,
+      adminNotes: adminNotes || adminFeedback || null
+    });
+
+    // 🏢 Hand newly verified reports to the agency responsible for the area
+    if (status === 'verified') {
+      for (const { report } of changes) {
+        await AgencyService.routeReport(report._id);
+      }
+    }
+
+    // ⚡ Invalidate cached report lists for every affected reporter
+    cache.invalidatePrefix('reports:admin:');
+    cache.invalidatePrefix('reports:stats');
+    changes.forEach(({ report }) => {
+      if (report.reportedBy?.id) cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
+    });
+
+    res.json({
+      success: true,
+      message: `Incident ${status} successfully (${changes.length} report${changes.length === 1 ? '' : 's'} updated)`,
+      data: {
+        incident,
+        updatedReports: changes.map(({ report }) => report._id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update incident status error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating incident status'
+    });
+  }
+});
+
+// @route   DELETE /api/incidents/:id/reports/:reportId
+// @desc    Unlink a report that was clustered into the wrong incident
+// @access  Private (Admin only)
+router.delete('/:id/reports/:reportId', auth, canManageReports, async (req, res) => {
+  try {
+    const report = await Report.findOne({ _id: req.params.reportId, incident: req.params.id })
+      .select('-images.data -evidencePhoto.data');
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report is not part of this incident'
+      });
+    }
+
+    const incident = await ClusteringService.detachReport(report);
+
+    await createAuditLog(req, 'report_edit', 'reports',
+      `Unlinked report from incident ${req.params.id}`, {
+        targetType: 'report',
+        targetId: report._id,
+        details: { incidentId: req.params.id, dissolved: !incident }
+      });
+
+    cache.invalidatePrefix('reports:admin:');
+
+    res.json({
+      success: true,
+      message: incident ? 'Report unlinked from incident' : 'Report unlinked and incident dissolved',
+      data: incident
+    });
+
+  } catch (error) {
+    console.error('Detach report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while unlinking report'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,54 +6,39 @@ const path = require('path');
 const fs = require('fs');
 const NotificationService = require('../services/NotificationService');
 const cache = require('../services/cache');
+const ImageStorageService = require('../services/ImageStorageService');
 
 const router = express.Router();
 
+// Multer writes news uploads to a temp folder; they live in the image store afterwards
+const removeTempFiles = (files = []) => {
+  files.forEach(file => {
+    try {
+      fs.unlinkSync(file.path);
+    } catch (unlinkError) {
+      if (unlinkError.code !== 'ENOENT') console.error('Error deleting file:', unlinkError);
+    }
+  });
+};
+
 // =============== ADMIN ROUTES FOR NEWS MANAGEMENT ===============
 
 // @route   POST /api/news/create
-// @desc    Create a new news post (admin users and super admin)
+// @desc    Create a new news post (admin users and super admin). Images are redacted on upload.
 // @access  Private (admin with create_news_posts permission)
 router.post('/create', auth, canCreateNews, handleNewsUpload, async (req, res) => {
+  const storedFiles = [];
   try {
     const { title, content, type, priority, expiryDate, targetAudience, tags } = req.body;
 
     // Validate required fields
     if (!title || !content) {
+      removeTempFiles(req.files);
       return res.status(400).json({
         error: 'Title and content are required'
       });
     }
 
-    // Process uploaded files - read as base64 for persistent MongoDB storage
-    let attachments = [];
-    if (req.files && req.files.length > 0) {
-      attachments = req.files.map(file => {
-        let base64Data = null;
-        let mimetype = file.mimetype;
-        
-        // Read file and convert to base64 for persistent storage
-        try {
-          const fileBuffer = fs.readFileSync(file.path);
-          base64Data = fileBuffer.toString('base64');
-          console.log(`📦 Converted ${file.originalname} to base64 (${Math.round(base64Data.length / 1024)}KB)`);
-        } catch (readError) {
-          console.error(`❌ Failed to read file ${file.originalname}:`, readError.message);
-        }
-        
-        return {
-          filename: file.filename,
-          originalName: file.originalname,
-          path: file.path,
-          url: `/uploads/news/${file.filename}`,
-          type: getFileType(file.filename),
-          size: file.size,
-          data: base64Data,
-          mimetype: mimetype
-        };
-      });
-    }
-
     // Create new news post
     const newsPost = new NewsPost({
       title,
@@ -65,17 +50,31 @@ router.post('/create', auth, canCreateNews, handleNewsUpload, async (req, res) =
       authorName: req.admin.username,
       targetAudience: targetAudience || 'all',
       tags: tags ? (Array.isArray(tags) ? tags : tags.split(',').map(tag => tag.trim())) : [],
-      attachments: attachments.map(att => ({
-        type: att.type,
-        url: att.url,
-        filename: att.filename,
-        originalName: att.originalName,
-        size: att.size,
-        data: att.data,
-        mimetype: att.mimetype
-      }))
+      attachments: []
     });
 
+    // Move uploaded files (already redacted) from the temp folder into the image store
+    for (const [index, file] of (req.files || []).entries()) {
+      const stored = await ImageStorageService.storeImage(`news/${newsPost._id}`, fs.readFileSync(file.path), {
+        mimetype: file.mimetype
+      });
+      storedFiles.push(stored);
+      console.log(`📦 Stored ${file.originalname} as ${stored.storageKey} (${Math.round(stored.size / 1024)}KB)`);
+
+      newsPost.attachments.push({
+        type: getFileType(file.filename),
+        url: `/api/news/image/${newsPost._id}/${index}`,
+        filename: file.filename,
+        originalName: file.originalname,
+        size: stored.size,
+        mimetype: stored.mimetype,
+        storageKey: stored.storageKey,
+        variants: stored.variants,
+        storageDriver: stored.storageDriver,
+        redaction: file.redaction
+      });
+    }
+
     await newsPost.save();
     
     // 📢 Broadcast to ALL users
@@ -88,25 +87,21 @@ router.post('/create', auth, canCreateNews, handleNewsUpload, async (req, res) =
     // Populate author details for response
     await newsPost.populate('author', 'username role');
 
+    removeTempFiles(req.files);
+
     res.status(201).json({
       message: 'News post created successfully',
       newsPost,
-      uploadedFiles: attachments.length
+      uploadedFiles: newsPost.attachments.length
     });
 
   } catch (error) {
     console.error('Create news post error:', error);
     
     // Clean up uploaded files if post creation fails
-    if (req.files && req.files.length > 0) {
-      const fs = require('fs');
-      req.files.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-        } catch (unlinkError) {
-          console.error('Error deleting file:', unlinkError);
-        }
-      });
+    removeTempFiles(req.files);
+    for (const stored of storedFiles) {
+      await ImageStorageService.removeImage(stored);
     }
     
     res.status(500).json({
@@ -237,6 +232,9 @@ router.delete('/admin/post/:id', auth, canCreateNews, async (req, res) => {
     }
 
     await NewsPost.findByIdAndDelete(req.params.id);
+    for (const attachment of newsPost.attachments) {
+      await ImageStorageService.removeImage(attachment);
+    }
 
     res.json({
       message: 'News post deleted successfully'
@@ -263,15 +261,19 @@ router.delete('/admin/bulk-delete', auth, canCreateNews, async (req, res) => {
     // Filter posts to ensure admin only deletes their own unless they are super admin
     const posts = await NewsPost.find({ _id: { $in: ids } });
     
-    const postsToDelete = posts.filter(post => 
+    const deletablePosts = posts.filter(post => 
       req.admin.role === 'super_admin' || post.author.toString() === req.admin.id
-    ).map(post => post._id);
+    );
+    const postsToDelete = deletablePosts.map(post => post._id);
 
     if (postsToDelete.length === 0) {
       return res.status(403).json({ error: 'You are not authorized to delete these posts' });
     }
 
     await NewsPost.deleteMany({ _id: { $in: postsToDelete } });
+    for (const attachment of deletablePosts.flatMap(post => post.attachments)) {
+      await ImageStorageService.removeImage(attachment);
+    }
 
     res.json({
       message: `${postsToDelete.length} news posts deleted successfully`,
@@ -446,35 +448,26 @@ router.get('/public/post/:id', async (req, res) => {
 });
 
 // @route   GET /api/news/image/:postId/:index
-// @desc    Serve news post image from MongoDB base64 data
+// @desc    Serve a news post attachment from the image store (?size=small|medium|large for a variant)
 // @access  Public
 router.get('/image/:postId/:index', async (req, res) => {
   try {
     const { postId, index } = req.params;
     const imageIndex = parseInt(index);
 
-    const newsPost = await NewsPost.findById(postId);
+    const newsPost = await NewsPost.findById(postId).select({ attachments: { $slice: [imageIndex, 1] } }).lean();
     if (!newsPost) {
       return res.status(404).json({ error: 'News post not found' });
     }
 
-    const attachment = newsPost.attachments[imageIndex];
+    const attachment = newsPost.attachments[0];
     if (!attachment) {
       return res.status(404).json({ error: 'Attachment not found' });
     }
 
-    // Serve from base64 data stored in MongoDB
-    if (attachment.data) {
-      const imageBuffer = Buffer.from(attachment.data, 'base64');
-      const contentType = attachment.mimetype || 'image/jpeg';
-      
-      res.set({
-        'Content-Type': contentType,
-        'Content-Length': imageBuffer.length,
-        'Cache-Control': 'public, max-age=86400',
-        'Access-Control-Allow-Origin': '*'
-      });
-      return res.send(imageBuffer);
+    const variant = ImageStorageService.variantFor(req.query.size);
+    if (await ImageStorageService.send(req, res, attachment, { variant })) {
+      return;
     }
 
     // Fallback: try filesystem
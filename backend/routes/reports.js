@@ -4,18 +4,50 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 const cache = require('../services/cache');
-const { reportStorage } = require('../services/cloudinaryConfig');
+const { cloudinary, reportStorage, appealStorage } = require('../services/cloudinaryConfig');
 const { body, validationResult } = require('express-validator');
 const Report = require('../models/Report');
 const User = require('../models/User');
 const SystemSettings = require('../models/SystemSettings');
-const { auth, canManageReports, canDeleteReports, createAuditLog } = require('../middleware/roleAuth');
+const {
+  auth,
+  optionalAdmin,
+  canManageReports,
+  canDeleteReports,
+  requirePermission,
+  requireStepUp,
+  createAuditLog,
+  roleHasPermission,
+  PERMISSIONS
+} = require('../middleware/roleAuth');
 const NotificationService = require('../services/NotificationService');
-const fcmService = require('../services/FcmService');
+const ClusteringService = require('../services/ClusteringService');
+const WorkflowService = require('../services/WorkflowService');
+const AgencyService = require('../services/AgencyService');
+const SlaService = require('../services/SlaService');
+const ConfirmationService = require('../services/ConfirmationService');
+const RedactionService = require('../services/RedactionService');
+const ImageStorageService = require('../services/ImageStorageService');
+const PhotoVerificationService = require('../services/PhotoVerificationService');
+const ImageHashService = require('../services/ImageHashService');
+const ReputationService = require('../services/ReputationService');
+const EnforcementService = require('../services/EnforcementService');
+const AppealService = require('../services/AppealService');
+const { inspectUploads } = require('../services/uploadInspection');
+const Agency = require('../models/Agency');
 const { emitNewReport } = require('../services/socketService');
+const {
+  buildGeoFilter,
+  boundingBox,
+  parseRoute,
+  cumulativeDistances,
+  projectOntoRoute
+} = require('../services/geoService');
 const {
   checkSpamBehavior,
   validateReportRequirements,
+  requireVerifiedEmail,
+  requireVerifiedPhone,
   getSetting
 } = require('../middleware/settingsEnforcement');
 
@@ -27,6 +59,22 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit for reports
 });
 
+// New reports also read photo EXIF (GPS, capture time) before Cloudinary strips
+// it, and hash each photo to spot images reused across reports
+const reportUpload = multer({
+  storage: inspectUploads(reportStorage, async (buffer) => ({
+    exif: await PhotoVerificationService.readExif(buffer),
+    phash: await ImageHashService.hash(buffer)
+  })),
+  limits: { fileSize: 10 * 1024 * 1024 }
+});
+
+// Evidence attached to an appeal against a rejection
+const appealUpload = multer({
+  storage: appealStorage,
+  limits: { fileSize: 5 * 1024 * 1024, files: AppealService.MAX_EVIDENCE }
+});
+
 // Validation rules
 const reportValidation = [
   body('type').isIn(['pothole', 'debris', 'flooding', 'construction', 'accident', 'other', 'emergency', 'caution', 'info', 'safe']),
@@ -39,64 +87,171 @@ const reportValidation = [
   body('barangay').notEmpty().withMessage('Barangay is required')
 ];
 
+// Build the status/type/severity/re-check/search/date part of a reports query
+const buildReportFilter = ({ status, type, severity, search, recheck, startDate, endDate }) => {
+  const filter = {};
+  if (status) {
+    // Support multiple statuses separated by comma
+    if (status.includes(',')) {
+      filter.status = { $in: status.split(',') };
+    } else {
+      filter.status = status;
+    }
+  }
+  if (type) filter.type = type;
+  if (severity) filter.severity = severity;
+  if (recheck === 'true' || recheck === true) filter['recheck.needed'] = true;
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if (start && !isNaN(start)) filter.createdAt = { $gte: start };
+  if (end && !isNaN(end)) {
+    // Dates without a time include the whole day
+    if (/^\d{4}-\d{2}-\d{2}$/.test(endDate)) end.setUTCHours(23, 59, 59, 999);
+    filter.createdAt = { ...filter.createdAt, $lte: end };
+  }
+  if (search) {
+    filter.$or = [
+      { type: { $regex: search, $options: 'i' } },
+      { description: { $regex: search, $options: 'i' } },
+      { 'location.address': { $regex: search, $options: 'i' } },
+      { 'reportedBy.name': { $regex: search, $options: 'i' } }
+    ];
+  }
+  return filter;
+};
+
+// Tell the reporter about a status change on one report and, when it was
+// verified, alert users near the hazard and hand it to the agency for the
+// area. PUT /:id, PATCH /:id/status and auto-verification all go through
+// here, so no verify path skips the alerts.
+// Returns the agency the report was routed to, if any.
+const afterStatusChange = async (report, { oldStatus, newStatus, adminNotes = null, userId = report.reportedBy?.id }) => {
+  if (userId) {
+    await NotificationService.createReportStatusNotification({
+      userId,
+      reportId: report._id,
+      oldStatus,
+      newStatus,
+      reportType: report.type,
+      adminNotes
+    });
+  }
+
+  if (newStatus !== 'verified') return null;
+
+  // 📍 No-op when the status notification already sent them
+  console.log('📤 Sending proximity alerts for verified report:', report._id);
+  await NotificationService.sendProximityAlerts(report);
+
+  // 🏢 Hand it to the agency responsible for the area
+  return AgencyService.routeReport(report._id);
+};
+
+// Delete a report, unlinking it from its incident and removing local image files
+const removeReport = async (report) => {
+  // Unlink from its incident before the report disappears
+  await ClusteringService.detachReport(report);
+
+  await Report.findByIdAndDelete(report._id);
+
+  if (report.images && report.images.length > 0) {
+    report.images.forEach(image => {
+      try {
+        const filename = typeof image === 'string' ? image : image.filename;
+        if (filename && !filename.startsWith('data:') && !filename.startsWith('http')) {
+          const imagePath = path.join(__dirname, '../uploads', filename);
+          if (fs.existsSync(imagePath)) {
+            fs.unlinkSync(imagePath);
+          }
+        }
+      } catch (imgError) {
+        console.warn('Could not delete image file:', imgError.message);
+      }
+    });
+  }
+
+  // Files in the image store
+  for (const image of [...(report.images || []), report.evidencePhoto]) {
+    await ImageStorageService.removeImage(image);
+  }
+};
+
 // @route   GET /api/reports
-// @desc    Get all reports with filtering and pagination
+// @desc    Get all reports with filtering (status, type, severity, search, near/radius, bbox) and pagination.
+//          Reporter trust is only included (and sortable) for admins.
 // @access  Public (for admin dashboard)
-router.get('/', async (req, res) => {
+router.get('/', optionalAdmin, async (req, res) => {
   try {
     const {
       page = 1,
       limit = 10,
-      status,
-      type,
-      severity,
-      search,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
-    // ⚡ Try cache first (15s TTL)
-    const cacheKey = `reports:admin:${JSON.stringify(req.query)}`;
+    // ⚡ Try cache first (15s TTL); admins and the public get different fields
+    const isAdmin = !!req.admin;
+    const cacheKey = `reports:admin:${isAdmin ? 'staff' : 'public'}:${JSON.stringify(req.query)}`;
     const cached = cache.get(cacheKey);
     if (cached) return res.json({ ...cached, fromCache: true });
 
-    // Build filter object
-    const filter = {};
-    if (status) {
-      // Support multiple statuses separated by comma
-      if (status.includes(',')) {
-        filter.status = { $in: status.split(',') };
-      } else {
-        filter.status = status;
-      }
-    }
-    if (type) filter.type = type;
-    if (severity) filter.severity = severity;
-    if (search) {
-      filter.$or = [
-        { description: { $regex: search, $options: 'i' } },
-        { 'location.address': { $regex: search, $options: 'i' } },
-        { 'reportedBy.name': { $regex: search, $options: 'i' } }
-      ];
+    // 🌍 Optional near/radius or bbox filter
+    const geo = buildGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({
+        success: false,
+        error: geo.error
+      });
     }
 
-    // Build sort object
+    // Build filter object
+    const filter = { ...geo.filter, ...buildReportFilter(req.query) };
+
+    // Build sort object. The moderation queue sorts by reporter trust, oldest first within a score.
     const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    if (sortBy === 'reporterTrust' && isAdmin) {
+      sort.reporterTrust = -1;
+      sort.createdAt = 1;
+    } else {
+      sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
     // 🚀 Run queries in parallel and use .lean()
-    const [reports, totalReports] = await Promise.all([
+    const [reports, totalReports, slaConfig] = await Promise.all([
       Report.find(filter)
-        .select('-images.data -evidencePhoto.data')
+        .select(isAdmin ? '-images.data -evidencePhoto.data' : '-images.data -evidencePhoto.data -reporterTrust')
+        .populate('incident', 'reportCount status')
+        .populate('assignment.agency', 'name type')
         .sort(sort)
         .limit(limit * 1)
         .skip((page - 1) * limit)
         .lean()
         .maxTimeMS(30000)
         .exec(),
-      Report.countDocuments(filter).maxTimeMS(5000)
+      Report.countDocuments(filter).maxTimeMS(5000),
+      SlaService.getConfig()
     ]);
 
+    // ⏱️ SLA due date and breach state for each report
+    const now = new Date();
+    reports.forEach(report => {
+      report.sla = { ...report.sla, ...SlaService.evaluate(report, slaConfig, now) };
+      report.confidence = ConfirmationService.confidence(report);
+    });
+
+    // ⭐ Current trust of each reporter (admins only)
+    const reporterIds = isAdmin
+      ? [...new Set(reports.map(report => report.reportedBy?.id?.toString()).filter(Boolean))]
+      : [];
+    if (reporterIds.length > 0) {
+      const reporters = await User.find({ _id: { $in: reporterIds } }).select('reputation').lean();
+      const trustById = new Map(reporters.map(user => [user._id.toString(), ReputationService.summarize(user)]));
+      reports.forEach(report => {
+        const reputation = trustById.get(report.reportedBy?.id?.toString());
+        if (reputation) report.reporterReputation = reputation;
+      });
+    }
+
     // Debug: Log image data for first 3 reports
     console.log('🔍 Backend - Dashboard reports image data:');
     reports.slice(0, 3).forEach((report, idx) => {
@@ -190,7 +345,7 @@ router.get('/my-reports', require('../middleware/userAuth'), async (req, res) =>
     // ⚡ Run find and count in parallel
     const [reports, totalReports] = await Promise.all([
       Report.find(filter)
-        .select('-images.data -evidencePhoto.data') // Exclude heavy image data
+        .select('-images.data -evidencePhoto.data +appeal') // Exclude heavy image data; the reporter sees their appeal
         .sort(sort)
         .limit(parseInt(limit))
         .skip((parseInt(page) - 1) * parseInt(limit))
@@ -272,9 +427,16 @@ router.delete('/my-reports/:id', require('../middleware/userAuth'), async (req,
       }
     }
 
+    // Unlink from its incident before the report disappears
+    await ClusteringService.detachReport(report);
+
     // Delete the report
     await Report.findByIdAndDelete(reportId);
 
+    for (const image of [...report.images, report.evidencePhoto]) {
+      await ImageStorageService.removeImage(image);
+    }
+
     // ⚡ Invalidate cache for the user
     cache.invalidatePrefix(`reports:${userId}`);
 
@@ -396,11 +558,20 @@ router.get('/daily-limit', require('../middleware/userAuth'), async (req, res) =
 // @access  Public
 router.get('/map', async (req, res) => {
   try {
-    const { status, type, severity } = req.query;
-    console.log('🗺️ Map reports request with filters:', { status, type, severity });
+    const { status, type, severity, near, radius, bbox } = req.query;
+    console.log('🗺️ Map reports request with filters:', { status, type, severity, near, radius, bbox });
+
+    // 🌍 Only return what is on screen when the client sends its viewport
+    const geo = buildGeoFilter(req.query);
+    if (geo.error) {
+      return res.status(400).json({
+        success: false,
+        error: geo.error
+      });
+    }
 
     // Build filter - allow all statuses by default, but apply filters if specified
-    const filter = {};
+    const filter = { ...geo.filter };
 
     if (status && status !== 'all') {
       filter.status = status;
@@ -417,13 +588,18 @@ router.get('/map', async (req, res) => {
     console.log('🔍 Final filter object:', filter);
 
     const reports = await Report.find(filter)
-      .select('type location province city barangay severity status createdAt description reportedBy')
+      .select('type location province city barangay severity status createdAt description reportedBy confirmationCounts')
       .select('-images.data -evidencePhoto.data') // Exclude heavy image data
       .limit(1000) // Limit for performance
       .lean()
       .maxTimeMS(30000)
       .exec();
 
+    // 👍 How sure we are the hazard is still there (status + resident confirmations)
+    reports.forEach(report => {
+      report.confidence = ConfirmationService.confidence(report);
+    });
+
     console.log(` Found ${reports.length} reports for map display`);
 
     res.json({
@@ -440,10 +616,108 @@ router.get('/map', async (req, res) => {
   }
 });
 
+// Hazards further than this from a route are ignored
+const DEFAULT_ROUTE_BUFFER_METERS = 100;
+const MAX_ROUTE_BUFFER_METERS = 1000;
+
+// @route   POST /api/reports/along-route
+// @desc    Get active verified hazards within a buffer of a route, ordered by distance along it.
+//          Body: { polyline, precision } (encoded polyline) or { geometry } (GeoJSON LineString),
+//          plus optional bufferMeters
+// @access  Public
+router.post('/along-route', async (req, res) => {
+  try {
+    const { points, error } = parseRoute(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const bufferMeters = req.body.bufferMeters === undefined
+      ? DEFAULT_ROUTE_BUFFER_METERS
+      : parseFloat(req.body.bufferMeters);
+    if (Number.isNaN(bufferMeters) || bufferMeters <= 0 || bufferMeters > MAX_ROUTE_BUFFER_METERS) {
+      return res.status(400).json({
+        success: false,
+        error: `bufferMeters must be between 1 and ${MAX_ROUTE_BUFFER_METERS}`
+      });
+    }
+
+    // Pre-filter with the route's bounding box, padded by the buffer
+    const lats = points.map(p => p.latitude);
+    const lngs = points.map(p => p.longitude);
+    const minLat = Math.min(...lats);
+    const maxLat = Math.max(...lats);
+    // Padding is widest at the latitude furthest from the equator
+    const pad = boundingBox({ latitude: Math.max(Math.abs(minLat), Math.abs(maxLat)), longitude: 0 }, bufferMeters);
+    const latPad = (pad.maxLat - pad.minLat) / 2;
+    const lngPad = pad.maxLng;
+    const bbox = [
+      Math.min(...lngs) - lngPad,
+      minLat - latPad,
+      Math.max(...lngs) + lngPad,
+      maxLat + latPad
+    ].join(',');
+
+    const candidates = await Report.find({
+      ...buildGeoFilter({ bbox }).filter,
+      status: { $in: Report.ACTIVE_STATUSES }
+    })
+      .select('type description location province city barangay severity status priority createdAt incident')
+      .limit(2000)
+      .lean()
+      .maxTimeMS(30000);
+
+    const cumulative = cumulativeDistances(points);
+
+    // Snap each hazard onto the route; keep one report per incident (the closest)
+    const byHazard = new Map();
+    for (const report of candidates) {
+      const { distanceFromRoute, distanceAlongRoute } = projectOntoRoute(report.location.coordinates, points, cumulative);
+      if (distanceFromRoute > bufferMeters) continue;
+
+      const key = (report.incident || report._id).toString();
+      const existing = byHazard.get(key);
+      if (!existing || distanceFromRoute < existing.distanceFromRoute) {
+        byHazard.set(key, {
+          ...report,
+          distanceFromRoute: Math.round(distanceFromRoute),
+          distanceAlongRoute: Math.round(distanceAlongRoute)
+        });
+      }
+    }
+
+    const hazards = [...byHazard.values()].sort((a, b) => a.distanceAlongRoute - b.distanceAlongRoute);
+
+    console.log(`🛣️ Route check: ${points.length} points, ${hazards.length} hazards within ${bufferMeters}m`);
+
+    res.json({
+      success: true,
+      data: hazards,
+      count: hazards.length,
+      route: {
+        type: 'LineString',
+        coordinates: points.map(p => [p.longitude, p.latitude]),
+        lengthMeters: Math.round(cumulative[cumulative.length - 1])
+      },
+      bufferMeters
+    });
+
+  } catch (error) {
+    console.error('❌ Route hazards error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while checking route'
+    });
+  }
+});
+
 // @route   POST /api/reports/emergency
 // @desc    Create emergency report from SOS button
 // @access  Private (requires user token)
-router.post('/emergency', require('../middleware/userAuth'), async (req, res) => {
+router.post('/emergency', require('../middleware/userAuth'), requireVerifiedPhone, async (req, res) => {
   try {
     const { latitude, longitude, address, province, city, barangay } = req.body;
 
@@ -456,11 +730,13 @@ router.post('/emergency', require('../middleware/userAuth'), async (req, res) =>
 
     const user = req.user;
     const userPhone = user.profile?.phone || '';
+    // Tell responders whether the number was confirmed by SMS
+    const phoneLabel = userPhone ? `${userPhone} (${user.phoneVerified ? 'verified' : 'unverified'})` : 'Not available';
 
     // Build the emergency report
     const report = new Report({
       type: 'emergency',
-      description: `🚨 EMERGENCY REPORT - User needs immediate assistance. Phone: ${userPhone || 'Not available'}. Location: ${address || 'Unknown'}`,
+      description: `🚨 EMERGENCY REPORT - User needs immediate assistance. Phone: ${phoneLabel}. Location: ${address || 'Unknown'}`,
       location: {
         address: address || 'Unknown location',
         coordinates: {
@@ -504,7 +780,8 @@ router.post('/emergency', require('../middleware/userAuth'), async (req, res) =>
         reportId: report._id,
         reportType: 'emergency'
       });
-      await NotificationService.broadcastNewReportNotification(report);
+      // 📍 Alert users whose saved areas cover the emergency
+      await NotificationService.sendProximityAlerts(report);
     } catch (notifError) {
       console.error('Failed to send emergency notifications:', notifError);
     }
@@ -528,7 +805,7 @@ router.post('/emergency', require('../middleware/userAuth'), async (req, res) =>
 // @route   POST /api/reports
 // @desc    Create new report (for mobile app)
 // @access  Public
-router.post('/', upload.array('images', 5), async (req, res) => {
+router.post('/', reportUpload.array('images', 5), async (req, res) => {
   try {
     const errors = [];
     const type = req.body.type;
@@ -568,10 +845,14 @@ router.post('/', upload.array('images', 5), async (req, res) => {
 
       const imageData = {
         imageUrl: file.path || file.secure_url || file.url,
+        publicId: file.public_id,
         filename: file.originalname || file.originalName,  // For backward compatibility with Dashboard
         originalName: file.originalname || file.originalName,
         mimetype: file.mimetype,
-        size: file.size || file.bytes
+        size: file.size || file.bytes,
+        phash: file.phash,
+        // Faces/plates were pixelated during upload (see RedactionService)
+        redaction: RedactionService.recordFromUpload(file)
       };
 
       console.log('🔍 Report creation - Image data to save:', imageData);
@@ -595,10 +876,19 @@ router.post('/', upload.array('images', 5), async (req, res) => {
         }
       }
     };
+    // Do photos match where and when the report was made?
+    reportData.photoVerification = PhotoVerificationService.verify(req.files, {
+      coordinates: reportData.location.coordinates,
+      submittedAt: new Date()
+    });
+    reportData.phashBands = ImageHashService.bands(images.map(image => image.phash));
 
     const report = new Report(reportData);
     await report.save();
 
+    // 🔗 Group with nearby duplicates of the same hazard
+    await ClusteringService.assignReport(report);
+
     // 📢 Emit real-time notification to connected admins
     try {
       console.log("🔥 ABOUT TO EMIT REPORT:", report._id);
@@ -614,6 +904,7 @@ router.post('/', upload.array('images', 5), async (req, res) => {
     }
 
     // Send notification to user about report submission
+    // (nearby users are alerted once the report is verified)
     if (report.reportedBy && report.reportedBy.id) {
       try {
         await NotificationService.createReportSubmittedNotification({
@@ -621,9 +912,6 @@ router.post('/', upload.array('images', 5), async (req, res) => {
           reportId: report._id,
           reportType: report.type
         });
-
-        // 📢 NEW: Broadcast to ALL users
-        await NotificationService.broadcastNewReportNotification(report);
       } catch (notifError) {
         console.error('Failed to send notifications:', notifError);
         // Don't fail the request if notification fails
@@ -644,197 +932,591 @@ router.post('/', upload.array('images', 5), async (req, res) => {
   }
 });
 
-// @route   GET /api/reports/acceptance-logs
-// @desc    Get admin acceptance activity logs (for Super Admin Dashboard)
+// @route   GET /api/reports/workflow
+// @desc    Get the report status workflow and which transitions this admin may perform
 // @access  Private (Admin only)
-router.get('/acceptance-logs', auth, async (req, res) => {
+router.get('/workflow', auth, canManageReports, async (req, res) => {
   try {
-    const { limit = 10, page = 1, adminId, startDate, endDate, action } = req.query;
-
-    // Build query filter
-    const filter = {
-      verifiedBy: { $exists: true },
-      verifiedAt: { $exists: true }
-    };
-
-    // Filter by specific admin
-    if (adminId) {
-      filter.verifiedBy = adminId;
-    }
+    const workflow = await WorkflowService.getWorkflow();
 
-    // Filter by date range
-    if (startDate || endDate) {
-      filter.verifiedAt = {};
-      if (startDate) {
-        filter.verifiedAt.$gte = new Date(startDate);
-      }
-      if (endDate) {
-        filter.verifiedAt.$lte = new Date(endDate);
+    res.json({
+      success: true,
+      data: {
+        ...workflow,
+        transitions: workflow.transitions.map(t => ({
+          ...t,
+          allowed: WorkflowService.canPerform(req.admin, t)
+        }))
       }
-    }
+    });
 
-    // Filter by action (verified/rejected)
-    if (action) {
-      filter.status = action; // 'verified' or 'rejected'
-    }
+  } catch (error) {
+    console.error('Get workflow error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching workflow'
+    });
+  }
+});
 
-    // Fetch acceptance logs with pagination
-    const skip = (parseInt(page) - 1) * parseInt(limit);
+// @route   PUT /api/reports/workflow
+// @desc    Replace the report status workflow
+// @access  Private (requires settings_update permission)
+router.put('/workflow', auth, requirePermission(PERMISSIONS.SETTINGS_UPDATE), async (req, res) => {
+  try {
+    const { workflow } = req.body;
 
-    const acceptanceLogs = await Report.find(filter)
-      .select('type description province city barangay status verifiedBy verifiedAt adminNotes _id')
-      .populate('verifiedBy', 'username email profile role')
-      .sort({ verifiedAt: -1 })
-      .limit(parseInt(limit))
-      .skip(skip);
+    const validationError = WorkflowService.validateDefinition(workflow);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
 
-    // Get total count for pagination
-    const totalCount = await Report.countDocuments(filter);
+    const previous = await WorkflowService.getWorkflow();
+    const saved = await WorkflowService.saveWorkflow(workflow, req.admin.id);
 
-    // Format the response
-    const formattedLogs = acceptanceLogs.map(report => ({
-      _id: report._id,
-      reportType: report.type,
-      location: `${report.barangay}, ${report.city}, ${report.province}`,
-      description: report.description,
-      action: report.status, // 'verified', 'rejected', or 'resolved'
-      admin: {
-        id: report.verifiedBy?._id,
-        username: report.verifiedBy?.username,
-        email: report.verifiedBy?.email,
-        name: report.verifiedBy?.profile?.firstName && report.verifiedBy?.profile?.lastName
-          ? `${report.verifiedBy.profile.firstName} ${report.verifiedBy.profile.lastName}`
-          : report.verifiedBy?.username,
-        role: report.verifiedBy?.role,
-        department: report.verifiedBy?.profile?.department
-      },
-      timestamp: report.verifiedAt,
-      adminNotes: report.adminNotes
-    }));
+    await createAuditLog(req, 'settings_update', 'settings', 'Updated report workflow', {
+      targetType: 'setting',
+      targetName: 'report_workflow',
+      previousValues: { value: previous },
+      newValues: { value: saved }
+    });
 
     res.json({
       success: true,
-      data: formattedLogs,
-      pagination: {
-        currentPage: parseInt(page),
-        totalPages: Math.ceil(totalCount / parseInt(limit)),
-        totalCount,
-        limit: parseInt(limit)
-      }
+      message: 'Report workflow updated',
+      data: saved
     });
 
   } catch (error) {
-    console.error('Get acceptance logs error:', error);
+    console.error('Update workflow error:', error);
     res.status(500).json({
       success: false,
-      error: 'Server error while fetching acceptance logs'
+      error: 'Server error while updating workflow'
     });
   }
 });
 
-// @route   GET /api/reports/:id/image/:imageIndex
-// @desc    Get image data for a specific report image
-// @access  Public (for displaying images in cards)
-// NOTE: This route MUST be defined before /:id to avoid being caught by the generic route
-router.get('/:id/image/:imageIndex', async (req, res) => {
+// @route   GET /api/reports/sla
+// @desc    Get the SLA targets (hours to verify / resolve) per type and priority
+// @access  Private (Admin only)
+router.get('/sla', auth, canManageReports, async (req, res) => {
   try {
-    const { id, imageIndex } = req.params;
-    const index = parseInt(imageIndex);
-    const etag = `"${id}-img-${index}"`;
-
-    // ⚡ Check ETag for 304 Not Modified instantly without hitting DB
-    if (req.headers['if-none-match'] === etag) {
-      return res.status(304).end();
-    }
+    const config = await SlaService.getConfig();
 
-    // ⚡ Fetch ONLY the specific image requested, not the entire array of images
-    // Using $slice to get exactly 1 element starting at the requested index
-    const report = await Report.findById(id)
-      .select({ images: { $slice: [index, 1] } })
-      .lean()
-      .maxTimeMS(10000);
+    res.json({
+      success: true,
+      data: config,
+      options: {
+        types: Report.schema.path('type').enumValues,
+        priorities: Report.schema.path('priority').enumValues
+      }
+    });
 
-    if (!report || !report.images || report.images.length === 0) {
-      return res.status(404).json({ error: 'Image not found' });
-    }
+  } catch (error) {
+    console.error('Get SLA config error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching SLA configuration'
+    });
+  }
+});
 
-    // Because of $slice, the requested image is always at index 0 of the returned array
-    const image = report.images[0];
+// @route   PUT /api/reports/sla
+// @desc    Replace the SLA targets
+// @access  Private (requires settings_update permission)
+router.put('/sla', auth, requirePermission(PERMISSIONS.SETTINGS_UPDATE), async (req, res) => {
+  try {
+    const { sla } = req.body;
 
-    if (!image || !image.data) {
-      return res.status(404).json({ error: 'Image data not available' });
+    const validationError = SlaService.validateConfig(sla);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
     }
 
-    // Convert base64 to buffer and send as binary image
-    const imageBuffer = Buffer.from(image.data, 'base64');
+    const previous = await SlaService.getConfig();
+    const saved = await SlaService.saveConfig(sla, req.admin.id);
 
-    res.set({
-      'Content-Type': image.mimetype || 'image/jpeg',
-      'Content-Length': imageBuffer.length,
-      // ⚡ Cache aggressively for 1 year since these images never change
-      'Cache-Control': 'public, max-age=31536000, immutable',
-      'ETag': etag,
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Cross-Origin-Resource-Policy': 'cross-origin'
+    await createAuditLog(req, 'settings_update', 'settings', 'Updated report SLA targets', {
+      targetType: 'setting',
+      targetName: 'report_sla',
+      previousValues: { value: previous },
+      newValues: { value: saved }
     });
 
-    res.send(imageBuffer);
+    res.json({
+      success: true,
+      message: 'SLA targets updated',
+      data: saved
+    });
 
   } catch (error) {
-    console.error('Get image error:', error);
-    res.status(500).json({ error: 'Server error while fetching image' });
+    console.error('Update SLA config error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating SLA configuration'
+    });
   }
 });
 
-// @route   GET /api/reports/:id/evidence-photo
-// @desc    Get evidence photo for a resolved report
-// @access  Public (for displaying evidence in report details)
-router.get('/:id/evidence-photo', async (req, res) => {
+// @route   GET /api/reports/sla/breaches
+// @desc    Breach report: open reports past their SLA and compliance per type/priority
+// @access  Private (Admin only)
+router.get('/sla/breaches', auth, canManageReports, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // Fetch only the evidence photo data we need with lean() for faster query
-    const report = await Report.findById(id)
-      .select('evidencePhoto')
-      .lean()
-      .maxTimeMS(30000);
-
-    if (!report) {
-      return res.status(404).json({ error: 'Report not found' });
-    }
-
-    if (!report.evidencePhoto || !report.evidencePhoto.data) {
-      return res.status(404).json({ error: 'Evidence photo not available' });
-    }
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
 
-    // Convert base64 to buffer and send as binary image
-    const imageBuffer = Buffer.from(report.evidencePhoto.data, 'base64');
+    const report = await SlaService.getBreachReport({ days });
 
-    res.set({
-      'Content-Type': report.evidencePhoto.mimetype || 'image/jpeg',
-      'Content-Length': imageBuffer.length,
-      'Cache-Control': 'public, max-age=604800', // Cache for 7 days
-      'ETag': `"${id}-evidence"`,
-      'Connection': 'keep-alive',
-      'Access-Control-Allow-Origin': '*',
-      'Cross-Origin-Resource-Policy': 'cross-origin'
+    res.json({
+      success: true,
+      data: report
     });
 
-    res.send(imageBuffer);
-
   } catch (error) {
-    console.error('Get evidence photo error:', error);
-    res.status(500).json({ error: 'Server error while fetching evidence photo' });
+    console.error('Get SLA breaches error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while building SLA breach report'
+    });
   }
 });
 
-// @route   GET /api/reports/:id
+// Bulk moderation actions: target status (if any), permission and audit action
+const BULK_ACTIONS = {
+  verify: { status: 'verified', permission: PERMISSIONS.REPORT_VERIFY, auditAction: 'report_verify', label: 'verified' },
+  reject: { status: 'rejected', permission: PERMISSIONS.REPORT_REJECT, auditAction: 'report_reject', label: 'rejected' },
+  resolve: { status: 'resolved', permission: PERMISSIONS.REPORT_RESOLVE, auditAction: 'report_resolve', label: 'resolved' },
+  assign: { permission: PERMISSIONS.REPORT_EDIT, auditAction: 'report_edit', label: 'assigned' },
+  delete: { permission: PERMISSIONS.REPORT_DELETE, auditAction: 'report_delete', label: 'deleted' }
+};
+const BULK_LIMIT = 200;
+
+// Bulk delete is as destructive as DELETE /:id, so it needs the same step-up
+const stepUpForBulkDelete = (req, res, next) =>
+  req.body?.action === 'delete' ? requireStepUp(req, res, next) : next();
+
+// @route   POST /api/reports/bulk
+// @desc    Apply verify/reject/resolve/assign/delete to a list of report IDs or to
+//          every report matching a filter (same fields as GET /api/reports).
+//          Returns a result per report; one report failing does not stop the rest.
+// @access  Private (Admin only, permission depends on the action)
+router.post('/bulk', auth, canManageReports, stepUpForBulkDelete, async (req, res) => {
+  try {
+    const { action, ids, filter: filterQuery, adminNotes, adminFeedback, agencyId } = req.body;
+
+    const spec = BULK_ACTIONS[action];
+    if (!spec) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid bulk action',
+        validValues: Object.keys(BULK_ACTIONS)
+      });
+    }
+
+    if (!req.admin.isSuperAdmin && !roleHasPermission(req.admin.role, spec.permission)) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required permission: ${spec.permission}`,
+        requiredPermission: spec.permission
+      });
+    }
+
+    // Target either the selected reports or everything matching the filter
+    let filter;
+    if (Array.isArray(ids) && ids.length > 0) {
+      if (ids.length > BULK_LIMIT) {
+        return res.status(400).json({
+          success: false,
+          error: `At most ${BULK_LIMIT} reports can be updated at once`
+        });
+      }
+      if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid report ID in selection'
+        });
+      }
+      filter = { _id: { $in: ids } };
+    } else if (filterQuery && typeof filterQuery === 'object') {
+      const geo = buildGeoFilter(filterQuery);
+      if (geo.error) {
+        return res.status(400).json({
+          success: false,
+          error: geo.error
+        });
+      }
+      filter = { ...geo.filter, ...buildReportFilter(filterQuery) };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide report IDs or a filter'
+      });
+    }
+
+    const matched = await Report.countDocuments(filter);
+    if (matched > BULK_LIMIT) {
+      return res.status(400).json({
+        success: false,
+        error: `The filter matches ${matched} reports. Narrow it down to at most ${BULK_LIMIT}.`,
+        matched
+      });
+    }
+
+    let agency = null;
+    if (action === 'assign') {
+      agency = mongoose.Types.ObjectId.isValid(agencyId)
+        ? await Agency.findOne({ _id: agencyId, isActive: true })
+        : null;
+      if (!agency) {
+        return res.status(400).json({
+          success: false,
+          error: 'A valid, active agency is required'
+        });
+      }
+    }
+
+    const reports = await Report.find(filter).select('-images.data -evidencePhoto.data');
+    const results = [];
+    const statusChanges = [];
+
+    if (Array.isArray(ids) && ids.length > 0) {
+      const found = new Set(reports.map(r => r._id.toString()));
+      ids.filter(id => !found.has(id.toString())).forEach(id => {
+        results.push({ id, success: false, error: 'Report not found' });
+      });
+    }
+
+    for (const report of reports) {
+      const targetName = `${report.type} at ${report.location?.address}`;
+      try {
+        if (action === 'delete') {
+          await removeReport(report);
+          await createAuditLog(req, spec.auditAction, 'reports', `Bulk deleted report: ${targetName}`, {
+            targetType: 'report',
+            targetId: report._id,
+            targetName,
+            details: { bulk: true },
+            previousValues: { type: report.type, status: report.status, location: report.location, reportedBy: report.reportedBy }
+          });
+          results.push({ id: report._id, success: true });
+
+        } else if (action === 'assign') {
+          const previousAgency = report.assignment?.agency || null;
+          const { oldStatus, statusChanged } = await AgencyService.assign(report, agency, {
+            admin: req.admin,
+            note: adminNotes ? `Assigned to ${agency.name}: ${adminNotes}` : `Assigned to ${agency.name}`
+          });
+          await report.save();
+
+          await createAuditLog(req, spec.auditAction, 'reports', `Bulk assigned report to ${agency.name}`, {
+            targetType: 'report',
+            targetId: report._id,
+            targetName,
+            details: { bulk: true },
+            previousValues: { agency: previousAgency, status: oldStatus },
+            newValues: { agency: agency._id, status: report.status }
+          });
+          if (statusChanged) {
+            statusChanges.push({ report, oldStatus, newStatus: report.status, adminNotes: `Assigned to ${agency.name}` });
+          }
+          results.push({ id: report._id, success: true, oldStatus, newStatus: report.status });
+
+        } else {
+          const oldStatus = report.status;
+          const check = await WorkflowService.checkTransition({
+            from: oldStatus,
+            to: spec.status,
+            admin: req.admin,
+            fields: {
+              adminNotes,
+              adminFeedback,
+              evidencePhoto: ImageStorageService.hasImage(report.evidencePhoto)
+            }
+          });
+          if (check.error) {
+            results.push({ id: report._id, success: false, error: check.error });
+            continue;
+          }
+
+          const updated = await Report.findByIdAndUpdate(
+            report._id,
+            WorkflowService.buildStatusUpdate(oldStatus, spec.status, req.admin, { adminNotes, adminFeedback }),
+            { new: true }
+          ).select('-images.data -evidencePhoto.data');
+          await ReputationService.recordOutcome(updated);
+
+          await createAuditLog(req, spec.auditAction, 'reports', `Bulk ${spec.label} report: ${targetName}`, {
+            targetType: 'report',
+            targetId: report._id,
+            targetName,
+            details: { bulk: true, adminNotes, adminFeedback },
+            previousValues: { status: oldStatus },
+            newValues: { status: spec.status }
+          });
+          statusChanges.push({ report: updated, oldStatus, newStatus: spec.status, adminNotes });
+
+          // 🏢 Hand verified reports to the agency responsible for the area.
+          // Moving to "assigned" is its own status change, notified in the same batch.
+          let routedTo = null;
+          let newStatus = spec.status;
+          if (spec.status === 'verified') {
+            routedTo = await AgencyService.routeReport(report._id, { notify: false });
+            if (routedTo) {
+              const routed = await Report.findById(report._id).select('-images.data -evidencePhoto.data');
+              if (routed.status !== spec.status) {
+                statusChanges.push({ report: routed, oldStatus: spec.status, newStatus: routed.status, adminNotes: `Assigned to ${routedTo.name}` });
+              }
+              newStatus = routed.status;
+            }
+          }
+          results.push({
+            id: report._id,
+            success: true,
+            oldStatus,
+            newStatus,
+            routedTo: routedTo ? { _id: routedTo._id, name: routedTo.name } : null
+          });
+        }
+      } catch (itemError) {
+        console.error(`Bulk ${action} failed for report ${report._id}:`, itemError);
+        results.push({ id: report._id, success: false, error: 'Server error while updating this report' });
+      }
+    }
+
+    // One batch of notifications for every reporter affected
+    await NotificationService.createBulkStatusNotifications({ changes: statusChanges });
+
+    cache.invalidatePrefix('reports:admin:');
+    const reporterIds = new Set(reports.map(r => r.reportedBy?.id?.toString()).filter(Boolean));
+    reporterIds.forEach(reporterId => cache.invalidatePrefix(`reports:${reporterId}`));
+
+    const succeeded = results.filter(r => r.success).length;
+    console.log(`📦 Bulk ${action} by ${req.admin.username}: ${succeeded}/${results.length} succeeded`);
+
+    res.json({
+      success: true,
+      message: `${succeeded} of ${results.length} report(s) ${spec.label}`,
+      data: {
+        action,
+        matched: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+      }
+    });
+
+  } catch (error) {
+    console.error('Bulk report action error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while applying bulk action'
+    });
+  }
+});
+
+// @route   GET /api/reports/acceptance-logs
+// @desc    Get admin acceptance activity logs (for Super Admin Dashboard)
+// @access  Private (Admin only)
+router.get('/acceptance-logs', auth, async (req, res) => {
+  try {
+    const { limit = 10, page = 1, adminId, startDate, endDate, action } = req.query;
+
+    // Build query filter
+    const filter = {
+      verifiedBy: { $exists: true },
+      verifiedAt: { $exists: true }
+    };
+
+    // Filter by specific admin
+    if (adminId) {
+      filter.verifiedBy = adminId;
+    }
+
+    // Filter by date range
+    if (startDate || endDate) {
+      filter.verifiedAt = {};
+      if (startDate) {
+        filter.verifiedAt.$gte = new Date(startDate);
+      }
+      if (endDate) {
+        filter.verifiedAt.$lte = new Date(endDate);
+      }
+    }
+
+    // Filter by action (verified/rejected)
+    if (action) {
+      filter.status = action; // 'verified' or 'rejected'
+    }
+
+    // Fetch acceptance logs with pagination
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const acceptanceLogs = await Report.find(filter)
+      .select('type description province city barangay status verifiedBy verifiedAt adminNotes _id')
+      .populate('verifiedBy', 'username email profile role')
+      .sort({ verifiedAt: -1 })
+      .limit(parseInt(limit))
+      .skip(skip);
+
+    // Get total count for pagination
+    const totalCount = await Report.countDocuments(filter);
+
+    // Format the response
+    const formattedLogs = acceptanceLogs.map(report => ({
+      _id: report._id,
+      reportType: report.type,
+      location: `${report.barangay}, ${report.city}, ${report.province}`,
+      description: report.description,
+      action: report.status, // 'verified', 'rejected', or 'resolved'
+      admin: {
+        id: report.verifiedBy?._id,
+        username: report.verifiedBy?.username,
+        email: report.verifiedBy?.email,
+        name: report.verifiedBy?.profile?.firstName && report.verifiedBy?.profile?.lastName
+          ? `${report.verifiedBy.profile.firstName} ${report.verifiedBy.profile.lastName}`
+          : report.verifiedBy?.username,
+        role: report.verifiedBy?.role,
+        department: report.verifiedBy?.profile?.department
+      },
+      timestamp: report.verifiedAt,
+      adminNotes: report.adminNotes
+    }));
+
+    res.json({
+      success: true,
+      data: formattedLogs,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(totalCount / parseInt(limit)),
+        totalCount,
+        limit: parseInt(limit)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get acceptance logs error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching acceptance logs'
+    });
+  }
+});
+
+// @route   GET /api/reports/:id/image/:imageIndex
+// @desc    Get a report image from the image store. ?size=small|medium|large
+//          (or thumb) returns a resized WebP variant.
+//          Cloudinary-hosted images redirect to the CDN.
+// @access  Public (for displaying images in cards)
+// NOTE: This route MUST be defined before /:id to avoid being caught by the generic route
+router.get('/:id/image/:imageIndex', async (req, res) => {
+  try {
+    const { id, imageIndex } = req.params;
+    const index = parseInt(imageIndex);
+    const variant = ImageStorageService.variantFor(req.query.size);
+
+    // ⚡ Fetch ONLY the specific image requested, not the entire array of images
+    // Using $slice to get exactly 1 element starting at the requested index
+    const report = await Report.findById(id)
+      .select({ images: { $slice: [index, 1] } })
+      .lean()
+      .maxTimeMS(10000);
+
+    if (!report || !report.images || report.images.length === 0) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+
+    // Because of $slice, the requested image is always at index 0 of the returned array
+    const sent = await ImageStorageService.send(req, res, report.images[0], { variant });
+    if (!sent) {
+      return res.status(404).json({ error: 'Image data not available' });
+    }
+
+  } catch (error) {
+    console.error('Get image error:', error);
+    res.status(500).json({ error: 'Server error while fetching image' });
+  }
+});
+
+// @route   GET /api/reports/:id/evidence-photo
+// @desc    Get evidence photo for a resolved report (?size=small|medium|large for a variant)
+// @access  Public (for displaying evidence in report details)
+router.get('/:id/evidence-photo', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const variant = ImageStorageService.variantFor(req.query.size);
+
+    // Fetch only the evidence photo data we need with lean() for faster query
+    const report = await Report.findById(id)
+      .select('evidencePhoto')
+      .lean()
+      .maxTimeMS(30000);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found' });
+    }
+
+    const sent = await ImageStorageService.send(req, res, report.evidencePhoto, { variant });
+    if (!sent) {
+      return res.status(404).json({ error: 'Evidence photo not available' });
+    }
+
+  } catch (error) {
+    console.error('Get evidence photo error:', error);
+    res.status(500).json({ error: 'Server error while fetching evidence photo' });
+  }
+});
+
+// @route   GET /api/reports/:id/history
+// @desc    Get a report's status timeline and the transitions this admin may perform next
+// @access  Private (Admin only)
+router.get('/:id/history', auth, canManageReports, async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('status statusHistory duplicateOf createdAt')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    const workflow = await WorkflowService.getWorkflow();
+
+    res.json({
+      success: true,
+      data: {
+        status: report.status,
+        createdAt: report.createdAt,
+        duplicateOf: report.duplicateOf,
+        history: report.statusHistory || [],
+        availableTransitions: WorkflowService.getAvailableTransitions(workflow, report.status, req.admin)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get report history error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching report history'
+    });
+  }
+});
+
+// @route   GET /api/reports/:id
 // @desc    Get single report
-// @access  Public (for admin dashboard)
-router.get('/:id', async (req, res) => {
+// @access  Public (for admin dashboard); reporter trust for admins only
+router.get('/:id', optionalAdmin, async (req, res) => {
   try {
     const report = await Report.findById(req.params.id)
+      .select(req.admin ? '' : '-reporterTrust')
       .populate('verifiedBy', 'username')
       .populate('reportedBy', 'username email profile');
 
@@ -879,7 +1561,7 @@ router.put('/:id', auth, async (req, res) => {
     console.log('  - Report ID:', req.params.id);
     console.log('  - Update data:', JSON.stringify(req.body));
 
-    const { type, description, province, city, barangay, status, severity, priority } = req.body;
+    const { type, description, province, city, barangay, status, severity, priority, adminNotes, duplicateOf } = req.body;
 
     // Find the report
     const report = await Report.findById(req.params.id);
@@ -887,294 +1569,803 @@ router.put('/:id', auth, async (req, res) => {
       return res.status(404).json({ error: 'Report not found' });
     }
 
+    // Status changes go through the report workflow like PATCH /:id/status
+    const statusChanged = status && status !== report.status;
+    if (statusChanged) {
+      const check = await WorkflowService.checkTransition({
+        from: report.status,
+        to: status,
+        admin: req.admin,
+        fields: {
+          adminNotes,
+          evidencePhoto: ImageStorageService.hasImage(report.evidencePhoto),
+          duplicateOf
+        }
+      });
+      if (check.error) {
+        const { statusCode, ...body } = check;
+        return res.status(statusCode).json(body);
+      }
+      if (status === 'duplicate' && (duplicateOf === req.params.id || !(await Report.exists({ _id: duplicateOf })))) {
+        return res.status(400).json({ error: 'Original report not found' });
+      }
+    }
+
     // Update fields if provided
     if (type) report.type = type;
     if (description !== undefined) report.description = description; // Allow empty description
     if (province) report.province = province;
     if (city) report.city = city;
     if (barangay) report.barangay = barangay;
-    if (status) report.status = status;
+    const oldStatus = report.status;
+    if (statusChanged) WorkflowService.applyTransition(report, status, req.admin, { adminNotes, duplicateOf });
     if (severity) report.severity = severity;
     if (priority) report.priority = priority;
 
     // Save the updated report
     await report.save();
+    if (statusChanged) await ReputationService.recordOutcome(report);
 
     // ⚡ Invalidate cache for the owner
     if (report.reportedBy && report.reportedBy.id) {
       cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
     }
 
-    console.log('✅ Report updated successfully:', report._id);
+    console.log('✅ Report updated successfully:', report._id);
+
+    // Same notifications, proximity alerts and agency routing as PATCH /:id/status
+    if (statusChanged) {
+      await afterStatusChange(report, { oldStatus, newStatus: status, adminNotes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Report updated successfully',
+      report
+    });
+  } catch (error) {
+    console.error('❌ Error updating report:', error);
+    res.status(500).json({
+      error: 'Failed to update report',
+      details: error.message
+    });
+  }
+});
+
+// @route   PATCH /api/reports/:id/status
+// @desc    Move a report to another status, as allowed by the report workflow
+// @access  Public (for admin dashboard)
+router.patch('/:id/status', auth, async (req, res) => {
+  try {
+    console.log('📝 Status update request received:');
+    console.log('  - Report ID:', req.params.id);
+    console.log('  - Full request body:', JSON.stringify(req.body));
+    console.log('  - Content-Type:', req.headers['content-type']);
+
+    const { status, adminNotes, duplicateOf } = req.body;
+
+    console.log('  - Extracted status:', status);
+    console.log('  - Status type:', typeof status);
+    console.log('  - Status is undefined?', status === undefined);
+    console.log('  - Status is null?', status === null);
+
+    // Validate status exists and is a string
+    if (!status || typeof status !== 'string') {
+      console.error('❌ Status is missing or invalid:', status);
+      return res.status(400).json({
+        error: 'Status is required and must be a string',
+        received: status,
+        type: typeof status
+      });
+    }
+
+    // First, get the current report to access old status and user info
+    const currentReport = await Report.findById(req.params.id).select('status reportedBy evidencePhoto.imageUrl evidencePhoto.storageKey evidencePhoto.data');
+    if (!currentReport) {
+      return res.status(404).json({
+        error: 'Report not found'
+      });
+    }
+
+    const oldStatus = currentReport.status;
+
+    // Check the move against the report workflow (allowed transitions, role, required fields)
+    const check = await WorkflowService.checkTransition({
+      from: oldStatus,
+      to: status,
+      admin: req.admin,
+      fields: {
+        adminNotes,
+        adminFeedback: req.body.adminFeedback,
+        evidencePhoto: ImageStorageService.hasImage(currentReport.evidencePhoto),
+        duplicateOf
+      }
+    });
+    if (check.error) {
+      const { statusCode, ...body } = check;
+      console.error('❌ Status transition refused:', oldStatus, '→', status, '-', body.error);
+      return res.status(statusCode).json(body);
+    }
+
+    if (status === 'duplicate') {
+      const original = await Report.exists({ _id: duplicateOf });
+      if (!original || duplicateOf === req.params.id) {
+        return res.status(400).json({
+          error: 'Original report not found'
+        });
+      }
+    }
+
+    console.log('✅ Status transition allowed:', oldStatus, '→', status);
+
+    const report = await Report.findByIdAndUpdate(
+      req.params.id,
+      WorkflowService.buildStatusUpdate(oldStatus, status, req.admin, {
+        adminNotes,
+        adminFeedback: req.body.adminFeedback,
+        duplicateOf
+      }),
+      { new: true }
+    ).populate('verifiedBy', 'username')
+      .populate('reportedBy', 'username email profile');
+
+    // ⭐ Credit or debit the reporter's reputation
+    await ReputationService.recordOutcome(report);
+
+    // Find the reporter by username to get their ID
+    let reporter = null;
+    if (currentReport.reportedBy && currentReport.reportedBy.username) {
+      reporter = await User.findOne({ username: currentReport.reportedBy.username }).select('_id');
+    }
+
+    // Notify the reporter; verified reports also alert nearby users and get routed
+    const routedTo = await afterStatusChange(report, {
+      oldStatus,
+      newStatus: status,
+      adminNotes,
+      userId: reporter?._id
+    });
+
+    res.json({
+      success: true,
+      message: routedTo ? `Report ${status} and assigned to ${routedTo.name}` : `Report ${status} successfully`,
+      data: report,
+      routedTo: routedTo ? { _id: routedTo._id, name: routedTo.name } : null
+    });
+
+    // ⚡ Invalidate cache for the reporter
+    if (report.reportedBy && report.reportedBy.id) {
+      cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
+    }
+
+  } catch (error) {
+    console.error('Update status error:', error);
+    res.status(500).json({
+      error: 'Server error while updating report status'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/resolve
+// @desc    Mark report as resolved with admin feedback and evidence photo
+// @access  Private (Admin only)
+router.post('/:id/resolve', auth, upload.single('evidencePhoto'), async (req, res) => {
+  try {
+    console.log('📝 Resolve request received for report:', req.params.id);
+    const { adminFeedback } = req.body;
+
+    // Find the report
+    console.log('🔍 Finding report...');
+    const report = await Report.findById(req.params.id);
+    if (!report) {
+      console.log('❌ Report not found:', req.params.id);
+      return res.status(404).json({
+        error: 'Report not found'
+      });
+    }
+
+    console.log('✅ Report found:', report._id);
+    const oldStatus = report.status;
+
+    // Check the move against the report workflow (allowed transitions, role, required fields)
+    const check = await WorkflowService.checkTransition({
+      from: oldStatus,
+      to: 'resolved',
+      admin: req.admin,
+      fields: {
+        adminFeedback,
+        evidencePhoto: req.file || ImageStorageService.hasImage(report.evidencePhoto)
+      }
+    });
+    if (check.error) {
+      const { statusCode, ...body } = check;
+      console.log('❌ Resolve refused:', body.error);
+      return res.status(statusCode).json(body);
+    }
+
+    // Process evidence photo if uploaded - Cloudinary handles the storage
+    let evidencePhoto = null;
+    if (req.file) {
+      console.log('📸 Processing evidence photo:', req.file.originalname);
+      evidencePhoto = {
+        imageUrl: req.file.path || req.file.secure_url || req.file.url,
+        originalName: req.file.originalname,
+        mimetype: req.file.mimetype,
+        size: req.file.size || req.file.bytes,
+        uploadDate: new Date()
+      };
+    }
+
+    // Update report with resolution details
+    console.log('💾 Updating report status to resolved...');
+    WorkflowService.applyTransition(report, 'resolved', req.admin, { adminFeedback });
+    if (evidencePhoto) {
+      report.evidencePhoto = evidencePhoto;
+    }
+
+    await report.save();
+    console.log('✅ Report saved successfully');
+    await ReputationService.recordOutcome(report);
+
+    // Populate for response
+    console.log('📊 Populating report fields...');
+    await report.populate('verifiedBy', 'username');
+    await report.populate('reportedBy', 'username email profile');
+    await report.populate('resolvedBy', 'username');
+
+    // Send notification to user
+    console.log('📧 Attempting to send notification...');
+    try {
+      if (report.reportedBy && (report.reportedBy.username || report.reportedBy.id)) {
+        let user = null;
+
+        // Try to find user by username first
+        if (report.reportedBy.username) {
+          user = await User.findOne({ username: report.reportedBy.username });
+        }
+
+        // If not found, try by ID
+        if (!user && report.reportedBy.id) {
+          user = await User.findById(report.reportedBy.id);
+        }
+
+        if (user) {
+          console.log('✅ User found, creating notification...');
+          await NotificationService.createReportResolvedNotification({
+            userId: user._id,
+            reportId: report._id,
+            reportType: report.type,
+            adminFeedback,
+            hasEvidence: !!evidencePhoto
+          });
+          console.log('✅ Notification created successfully');
+        } else {
+          console.log('⚠️ User not found for notification, but report resolved');
+        }
+      } else {
+        console.log('⚠️ No reporter info available for notification');
+      }
+    } catch (notifError) {
+      console.error('⚠️ Notification error (non-critical):', notifError.message);
+      // Don't fail the whole request if notification fails
+    }
+
+    console.log('✅ Resolve complete, sending response');
+    res.json({
+      success: true,
+      message: 'Report marked as resolved successfully',
+      data: report
+    });
+
+    // ⚡ Invalidate cache for the reporter
+    if (report.reportedBy && report.reportedBy.id) {
+      cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
+    }
+
+  } catch (error) {
+    console.error('❌ Resolve report error:', error);
+    console.error('❌ Error stack:', error.stack);
+    res.status(500).json({
+      error: 'Server error while resolving report',
+      details: error.message
+    });
+  }
+});
+
+// @route   GET /api/reports/:id/confirm
+// @desc    Get confirmation counts, the user's own vote and the confidence score
+// @access  Private (User only)
+router.get('/:id/confirm', require('../middleware/userAuth'), async (req, res) => {
+  try {
+    const report = await Report.findById(req.params.id)
+      .select('+confirmations status reportedBy confirmationCounts recheck')
+      .lean();
+
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: ConfirmationService.summarize(report, req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Get confirmations error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching confirmations'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/confirm
+// @desc    Confirm a verified hazard is still there, or mark it no longer present
+// @access  Private (User only)
+router.post('/:id/confirm', require('../middleware/userAuth'), async (req, res) => {
+  try {
+    const result = await ConfirmationService.vote(req.params.id, req.user._id, req.body.vote);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    cache.invalidatePrefix('reports:admin:');
+
+    res.json({
+      success: true,
+      message: req.body.vote === 'fixed'
+        ? 'Thanks! We will let the team know it may be fixed.'
+        : 'Thanks for confirming the hazard is still there.',
+      data: ConfirmationService.summarize(result.report, req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Confirm report error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while saving confirmation'
+    });
+  }
+});
+
+// @route   DELETE /api/reports/:id/confirm
+// @desc    Withdraw the user's confirmation
+// @access  Private (User only)
+router.delete('/:id/confirm', require('../middleware/userAuth'), async (req, res) => {
+  try {
+    const result = await ConfirmationService.vote(req.params.id, req.user._id, null);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    cache.invalidatePrefix('reports:admin:');
+
+    res.json({
+      success: true,
+      message: 'Confirmation withdrawn',
+      data: ConfirmationService.summarize(result.report, req.user._id)
+    });
+
+  } catch (error) {
+    console.error('Withdraw confirmation error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while withdrawing confirmation'
+    });
+  }
+});
+
+// @route   POST /api/reports/:id/appeal
+// @desc    Appeal the rejection of one of the user's reports, optionally with evidence files
+// @access  Private (Report author only)
+router.post('/:id/appeal', require('../middleware/userAuth'), appealUpload.array('evidence', AppealService.MAX_EVIDENCE), async (req, res) => {
+  try {
+    const invalid = AppealService.validateMessage(req.body.message);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        error: invalid
+      });
+    }
+
+    const report = mongoose.Types.ObjectId.isValid(req.params.id)
+      ? await Report.findById(req.params.id).select('+appeal')
+      : null;
+    if (!report || String(report.reportedBy.id) !== String(req.user._id)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    const result = await AppealService.fileReportAppeal(report, {
+      message: req.body.message.trim(),
+      evidence: AppealService.toEvidence(req.files)
+    });
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    cache.invalidatePrefix(`reports:${req.user._id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted. An administrator will review it.',
+      data: result.report.appeal
+    });
+
+  } catch (error) {
+    console.error('Submit report appeal error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while submitting appeal'
+    });
+  }
+});
+
+// @route   PATCH /api/reports/:id/appeal
+// @desc    Approve (reopens the report) or deny an appeal against a rejection
+// @access  Private (requires report_reject permission; reopening follows the workflow)
+router.patch('/:id/appeal', auth, requirePermission(PERMISSIONS.REPORT_REJECT), async (req, res) => {
+  try {
+    const { decision, response } = req.body;
+
+    if (!['approved', 'denied'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: 'decision must be "approved" or "denied"'
+      });
+    }
+
+    const report = await Report.findById(req.params.id).select('+appeal');
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
+
+    const result = await AppealService.reviewReportAppeal(report, {
+      approve: decision === 'approved',
+      response: typeof response === 'string' ? response.trim().slice(0, 1000) : null,
+      admin: req.admin
+    });
+    if (result.error) {
+      const { statusCode, ...body } = result;
+      return res.status(statusCode).json({ success: false, ...body });
+    }
 
-    // Send notification if status changed to verified
-    if (status === 'verified' && report.reportedBy && report.reportedBy.id) {
-      try {
-        await NotificationService.sendNotification(
-          report.reportedBy.id,
-          'report_verified',
-          `Your report "${report.description.substring(0, 30)}..." has been verified`,
-          { reportId: report._id }
-        );
-      } catch (notifError) {
-        console.error('Failed to send notification:', notifError);
-      }
+    await createAuditLog(req, decision === 'approved' ? 'report_appeal_approve' : 'report_appeal_deny', 'reports',
+      `${decision === 'approved' ? 'Approved' : 'Denied'} appeal against rejection of ${report.type} report`, {
+      targetType: 'report',
+      targetId: report._id,
+      targetName: `${report.type} - ${report.location?.address || 'Unknown location'}`,
+      details: { response, reopened: result.reopened, evidence: report.appeal.evidence.length },
+      previousValues: result.reopened ? { status: 'rejected' } : undefined,
+      newValues: result.reopened ? { status: report.status } : undefined
     }
+    );
+
+    cache.invalidatePrefix('reports:admin:');
+    cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
 
     res.json({
       success: true,
-      message: 'Report updated successfully',
-      report
+      message: result.reopened ? 'Appeal approved and report reopened' : `Appeal ${decision}`,
+      data: {
+        _id: report._id,
+        status: report.status,
+        appeal: report.appeal
+      }
     });
+
   } catch (error) {
-    console.error('❌ Error updating report:', error);
+    console.error('Review report appeal error:', error);
     res.status(500).json({
-      error: 'Failed to update report',
-      details: error.message
+      success: false,
+      error: 'Server error while reviewing appeal'
     });
   }
 });
 
-// @route   PATCH /api/reports/:id/status
-// @desc    Update report status
-// @access  Public (for admin dashboard)
-router.patch('/:id/status', auth, async (req, res) => {
+// @route   POST /api/reports/:id/redact
+// @desc    Re-run privacy redaction (stronger) on one image, or all images, of a report
+// @access  Private (requires report_edit permission)
+router.post('/:id/redact', auth, requirePermission(PERMISSIONS.REPORT_EDIT), async (req, res) => {
   try {
-    console.log('📝 Status update request received:');
-    console.log('  - Report ID:', req.params.id);
-    console.log('  - Full request body:', JSON.stringify(req.body));
-    console.log('  - Content-Type:', req.headers['content-type']);
+    const report = await Report.findById(req.params.id);
 
-    const { status, adminNotes } = req.body;
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
+    }
 
-    console.log('  - Extracted status:', status);
-    console.log('  - Status type:', typeof status);
-    console.log('  - Status is undefined?', status === undefined);
-    console.log('  - Status is null?', status === null);
+    const { imageIndex } = req.body;
+    let indexes = report.images.map((image, index) => index);
+    if (imageIndex !== undefined && imageIndex !== null) {
+      const index = parseInt(imageIndex);
+      if (isNaN(index) || !report.images[index]) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid image index'
+        });
+      }
+      indexes = [index];
+    }
 
-    // Validate status exists and is a string
-    if (!status || typeof status !== 'string') {
-      console.error('❌ Status is missing or invalid:', status);
+    if (indexes.length === 0) {
       return res.status(400).json({
-        error: 'Status is required and must be a string',
-        received: status,
-        type: typeof status
+        success: false,
+        error: 'This report has no images'
       });
     }
 
-    // Validate status value
-    const validStatuses = ['pending', 'verified', 'rejected', 'resolved'];
-    if (!validStatuses.includes(status)) {
-      console.error('❌ Invalid status value:', status);
+    for (const index of indexes) {
+      await RedactionService.reRedactReportImage(report, index, { admin: req.admin });
+    }
+    await report.save();
+
+    await createAuditLog(req, 'report_edit', 'reports', `Re-ran privacy redaction on ${indexes.length} image(s) of ${report.type} report`, {
+      targetType: 'report',
+      targetId: report._id,
+      targetName: `${report.type} - ${report.location?.address || 'Unknown location'}`,
+      details: {
+        imageIndexes: indexes,
+        regions: indexes.map(index => report.images[index].redaction?.regions?.length || 0)
+      }
+    });
+
+    cache.invalidatePrefix('reports:admin:');
+    cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
+
+    console.log(`🕶️ Re-redacted ${indexes.length} image(s) of report ${report._id}`);
+
+    res.json({
+      success: true,
+      message: 'Images redacted again',
+      data: report.images.map(image => ({
+        _id: image._id,
+        imageUrl: image.imageUrl,
+        publicId: image.publicId,
+        originalName: image.originalName,
+        mimetype: image.mimetype,
+        redaction: image.redaction
+      }))
+    });
+
+  } catch (error) {
+    console.error('Re-redact images error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Server error while redacting images'
+    });
+  }
+});
+
+// @route   PUT /api/reports/:id/images/:imageIndex
+// @desc    Replace a report image with one edited in the redaction editor.
+//          Body: multipart `image` plus `redaction` JSON ({ width, height, regions })
+// @access  Private (requires report_edit permission)
+router.put('/:id/images/:imageIndex', auth, requirePermission(PERMISSIONS.REPORT_EDIT), upload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
       return res.status(400).json({
-        error: 'Invalid status value',
-        received: status,
-        validValues: validStatuses
+        success: false,
+        error: 'An image is required'
       });
     }
 
-    console.log('✅ Status validation passed:', status);
+    const report = await Report.findById(req.params.id);
+    const index = parseInt(req.params.imageIndex);
 
-    // First, get the current report to access old status and user info
-    const currentReport = await Report.findById(req.params.id);
-    if (!currentReport) {
+    if (!report || isNaN(index) || !report.images[index]) {
+      // Nothing references the new upload
+      if (req.file.public_id) {
+        cloudinary.uploader.destroy(req.file.public_id).catch(() => {});
+      }
       return res.status(404).json({
-        error: 'Report not found'
+        success: false,
+        error: report ? 'Image not found' : 'Report not found'
       });
     }
 
-    const oldStatus = currentReport.status;
-
-    const updateData = {
-      status,
-      verifiedAt: new Date()
-    };
+    const image = report.images[index];
+    const previousPublicId = RedactionService.publicIdOf(image);
+    const previousStored = ImageStorageService.storedFiles(image);
+    const regions = RedactionService.clientRegions(req.body.redaction, req.file);
+
+    image.imageUrl = req.file.path || req.file.secure_url || req.file.url;
+    image.publicId = req.file.public_id;
+    image.mimetype = req.file.mimetype;
+    image.size = req.file.size || req.file.bytes;
+    image.data = undefined;
+    image.storageKey = undefined;
+    image.variants = undefined;
+    image.storageDriver = undefined;
+    image.uploadDate = new Date();
+    image.redaction = RedactionService.recordFromUpload(req.file, {
+      regions,
+      admin: req.admin,
+      passes: (image.redaction?.passes || 0) + 1
+    });
+    await report.save();
 
-    // Save admin ID who verified/rejected the report
-    if ((status === 'verified' || status === 'rejected') && req.admin) {
-      updateData.verifiedBy = req.admin.id;
+    // The replaced copy is less redacted than the new one, so it is not kept
+    if (previousPublicId && previousPublicId !== image.publicId) {
+      cloudinary.uploader.destroy(previousPublicId, { invalidate: true }).catch(error => {
+        console.error('❌ Failed to delete replaced report image:', error.message);
+      });
     }
+    await ImageStorageService.removeImage(previousStored);
 
-    if (adminNotes) {
-      updateData.adminNotes = adminNotes;
-    }
+    await createAuditLog(req, 'report_edit', 'reports', `Edited redaction of image ${index + 1} on ${report.type} report`, {
+      targetType: 'report',
+      targetId: report._id,
+      targetName: `${report.type} - ${report.location?.address || 'Unknown location'}`,
+      details: { imageIndex: index, manualRegions: regions.length }
+    });
+
+    cache.invalidatePrefix('reports:admin:');
+    cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
 
-    if (status === 'resolved') {
-      updateData.resolvedAt = new Date();
-      if (req.admin) {
-        updateData.resolvedBy = req.admin.id;
+    res.json({
+      success: true,
+      message: 'Image updated',
+      data: {
+        _id: image._id,
+        imageUrl: image.imageUrl,
+        publicId: image.publicId,
+        originalName: image.originalName,
+        mimetype: image.mimetype,
+        redaction: image.redaction
       }
-    }
+    });
+
+  } catch (error) {
+    console.error('Update report image error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating image'
+    });
+  }
+});
 
+// @route   PATCH /api/reports/:id/recheck
+// @desc    Dismiss a re-check flag after confirming the hazard is still there
+// @access  Private (requires report_edit permission)
+router.patch('/:id/recheck', auth, requirePermission(PERMISSIONS.REPORT_EDIT), async (req, res) => {
+  try {
     const report = await Report.findByIdAndUpdate(
       req.params.id,
-      updateData,
+      {
+        $set: {
+          'recheck.needed': false,
+          'recheck.dismissedAt': new Date(),
+          'recheck.dismissedBy': req.admin.id
+        }
+      },
       { new: true }
-    ).populate('verifiedBy', 'username')
-      .populate('reportedBy', 'username email profile');
+    ).select('-images.data -evidencePhoto.data');
 
-    // Create notification for status change
-    if (currentReport.reportedBy && currentReport.reportedBy.username) {
-      // Find user by username to get their ID
-      const user = await User.findOne({ username: currentReport.reportedBy.username });
-      if (user) {
-        await NotificationService.createReportStatusNotification({
-          userId: user._id,
-          reportId: report._id,
-          oldStatus,
-          newStatus: status,
-          reportType: report.type,
-          adminNotes
-        });
-      }
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        error: 'Report not found'
+      });
     }
 
-    // Send FCM push notification when status changes from pending to verified
-    if (oldStatus === 'pending' && status === 'verified') {
-      console.log('📤 Sending FCM push notification for verified report:', report._id);
-      try {
-        await fcmService.sendVerifiedReportNotification(report);
-      } catch (fcmError) {
-        console.error('❌ Failed to send FCM push notification:', fcmError);
-        // Continue even if FCM fails - MongoDB notification already created
-      }
-    }
+    await createAuditLog(req, 'report_edit', 'reports', `Dismissed re-check flag on ${report.type} report`, {
+      targetType: 'report',
+      targetId: report._id,
+      targetName: `${report.type} - ${report.location?.address || 'Unknown location'}`,
+      details: { confirmationCounts: report.confirmationCounts }
+    });
+
+    cache.invalidatePrefix('reports:admin:');
 
     res.json({
       success: true,
-      message: `Report ${status} successfully`,
+      message: 'Re-check flag dismissed',
       data: report
     });
 
-    // ⚡ Invalidate cache for the reporter
-    if (report.reportedBy && report.reportedBy.id) {
-      cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
-    }
-
   } catch (error) {
-    console.error('Update status error:', error);
+    console.error('Dismiss recheck error:', error);
     res.status(500).json({
-      error: 'Server error while updating report status'
+      success: false,
+      error: 'Server error while dismissing re-check flag'
     });
   }
 });
 
-// @route   POST /api/reports/:id/resolve
-// @desc    Mark report as resolved with admin feedback and evidence photo
-// @access  Private (Admin only)
-router.post('/:id/resolve', auth, upload.single('evidencePhoto'), async (req, res) => {
+// @route   PATCH /api/reports/:id/assign
+// @desc    Assign (or reassign) a report to a responding agency
+// @access  Private (requires report_edit permission)
+router.patch('/:id/assign', auth, requirePermission(PERMISSIONS.REPORT_EDIT), async (req, res) => {
   try {
-    console.log('📝 Resolve request received for report:', req.params.id);
-    const { adminFeedback } = req.body;
+    const { agencyId, adminNotes } = req.body;
 
-    // Validate feedback
-    if (!adminFeedback || adminFeedback.trim().length < 10) {
-      console.log('❌ Validation failed: Feedback too short or missing');
+    if (!mongoose.Types.ObjectId.isValid(agencyId)) {
       return res.status(400).json({
-        error: 'Admin feedback is required (minimum 10 characters)'
+        success: false,
+        error: 'A valid agency is required'
       });
     }
 
-    // Find the report
-    console.log('🔍 Finding report...');
-    const report = await Report.findById(req.params.id);
+    const [report, agency] = await Promise.all([
+      Report.findById(req.params.id).select('-images.data -evidencePhoto.data'),
+      Agency.findOne({ _id: agencyId, isActive: true })
+    ]);
+
     if (!report) {
-      console.log('❌ Report not found:', req.params.id);
       return res.status(404).json({
+        success: false,
         error: 'Report not found'
       });
     }
-
-    console.log('✅ Report found:', report._id);
-    const oldStatus = report.status;
-
-    // Process evidence photo if uploaded
-    let evidencePhoto = null;
-    if (req.file) {
-      console.log('📸 Processing evidence photo:', req.file.originalname);
-      evidencePhoto = {
-        data: req.file.buffer.toString('base64'),
-        originalName: req.file.originalname,
-        mimetype: req.file.mimetype,
-        size: req.file.size,
-        uploadDate: new Date()
-      };
-    }
-
-    // Update report with resolution details
-    console.log('💾 Updating report status to resolved...');
-    report.status = 'resolved';
-    report.resolvedAt = new Date();
-    report.adminFeedback = adminFeedback;
-    if (evidencePhoto) {
-      report.evidencePhoto = evidencePhoto;
+    if (!agency) {
+      return res.status(404).json({
+        success: false,
+        error: 'Agency not found or inactive'
+      });
     }
-    report.resolvedBy = req.admin ? req.admin.id : req.user?.id;
 
+    const previousAgency = report.assignment?.agency || null;
+    const { oldStatus, statusChanged } = await AgencyService.assign(report, agency, {
+      admin: req.admin,
+      note: adminNotes ? `Assigned to ${agency.name}: ${adminNotes}` : `Assigned to ${agency.name}`
+    });
     await report.save();
-    console.log('✅ Report saved successfully');
-
-    // Populate for response
-    console.log('📊 Populating report fields...');
-    await report.populate('verifiedBy', 'username');
-    await report.populate('reportedBy', 'username email profile');
-    await report.populate('resolvedBy', 'username');
 
-    // Send notification to user
-    console.log('📧 Attempting to send notification...');
-    try {
-      if (report.reportedBy && (report.reportedBy.username || report.reportedBy.id)) {
-        let user = null;
+    await createAuditLog(req, 'report_edit', 'reports', `Assigned report to ${agency.name}`, {
+      targetType: 'report',
+      targetId: report._id,
+      targetName: `${report.type} at ${report.location?.address}`,
+      previousValues: { agency: previousAgency, status: oldStatus },
+      newValues: { agency: agency._id, status: report.status }
+    });
 
-        // Try to find user by username first
-        if (report.reportedBy.username) {
-          user = await User.findOne({ username: report.reportedBy.username });
-        }
+    if (statusChanged && report.reportedBy?.id) {
+      await NotificationService.createReportStatusNotification({
+        userId: report.reportedBy.id,
+        reportId: report._id,
+        oldStatus,
+        newStatus: report.status,
+        reportType: report.type,
+        adminNotes: `Assigned to ${agency.name}`
+      });
+    }
 
-        // If not found, try by ID
-        if (!user && report.reportedBy.id) {
-          user = await User.findById(report.reportedBy.id);
-        }
+    cache.invalidatePrefix('reports:admin:');
+    if (report.reportedBy?.id) cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
 
-        if (user) {
-          console.log('✅ User found, creating notification...');
-          await NotificationService.createReportResolvedNotification({
-            userId: user._id,
-            reportId: report._id,
-            reportType: report.type,
-            adminFeedback,
-            hasEvidence: !!evidencePhoto
-          });
-          console.log('✅ Notification created successfully');
-        } else {
-          console.log('⚠️ User not found for notification, but report resolved');
-        }
-      } else {
-        console.log('⚠️ No reporter info available for notification');
-      }
-    } catch (notifError) {
-      console.error('⚠️ Notification error (non-critical):', notifError.message);
-      // Don't fail the whole request if notification fails
-    }
+    await report.populate('assignment.agency', 'name type');
 
-    console.log('✅ Resolve complete, sending response');
     res.json({
       success: true,
-      message: 'Report marked as resolved successfully',
+      message: `Report assigned to ${agency.name}`,
       data: report
     });
 
-    // ⚡ Invalidate cache for the reporter
-    if (report.reportedBy && report.reportedBy.id) {
-      cache.invalidatePrefix(`reports:${report.reportedBy.id}`);
-    }
-
   } catch (error) {
-    console.error('❌ Resolve report error:', error);
-    console.error('❌ Error stack:', error.stack);
+    console.error('Assign report error:', error);
     res.status(500).json({
-      error: 'Server error while resolving report',
-      details: error.message
+      success: false,
+      error: 'Server error while assigning report'
     });
   }
 });
@@ -1201,25 +2392,8 @@ router.delete('/:id', auth, canDeleteReports, async (req, res) => {
       reportedBy: report.reportedBy
     };
 
-    // Delete the report
-    await Report.findByIdAndDelete(req.params.id);
-
-    // Delete associated images
-    if (report.images && report.images.length > 0) {
-      report.images.forEach(image => {
-        try {
-          const filename = typeof image === 'string' ? image : image.filename;
-          if (filename && !filename.startsWith('data:') && !filename.startsWith('http')) {
-            const imagePath = path.join(__dirname, '../uploads', filename);
-            if (fs.existsSync(imagePath)) {
-              fs.unlinkSync(imagePath);
-            }
-          }
-        } catch (imgError) {
-          console.warn('Could not delete image file:', imgError.message);
-        }
-      });
-    }
+    // Delete the report and its associated images
+    await removeReport(report);
 
     // Create audit log
     await createAuditLog(req, 'DELETE_REPORT', 'reports', `Deleted report: ${reportData.type} at ${reportData.location?.address}`, {
@@ -1246,17 +2420,91 @@ router.delete('/:id', auth, canDeleteReports, async (req, res) => {
   }
 });
 
+// Response body for a report created through POST /api/reports/user
+const userReportResponse = (report) => ({
+  id: report._id,
+  type: report.type,
+  description: report.description,
+  severity: report.severity,
+  status: report.status,
+  submittedAt: report.submittedAt,
+  incident: report.incident
+});
+
+// Verify a new report straight away when its reporter's trust meets the
+// auto_verify_trust_threshold setting (0 = off). Reports with spam, photo or
+// reused-image warnings always go to a moderator.
+const autoVerifyTrusted = async (report, req) => {
+  const threshold = await getSetting('auto_verify_trust_threshold', 0);
+  if (!threshold || report.reporterTrust < threshold) return false;
+  if (req.spamWarning || report.photoVerification?.status === 'suspicious' || report.imageReuse?.length > 0) return false;
+
+  const workflow = await WorkflowService.getWorkflow();
+  if (!workflow.transitions.some(t => t.from.includes(report.status) && t.to === 'verified')) return false;
+
+  const oldStatus = WorkflowService.applyTransition(report, 'verified', null, {
+    note: `Auto-verified: reporter trust ${report.reporterTrust}`
+  });
+  await report.save();
+  console.log(`⭐ Report ${report._id} auto-verified (reporter trust ${report.reporterTrust})`);
+
+  // No reputation credit: trust would otherwise raise itself without any admin
+  // looking at the report. It is credited once an admin moves the report on.
+  await afterStatusChange(report, { oldStatus, newStatus: 'verified', userId: req.user._id });
+  return true;
+};
+
+const IDEMPOTENCY_KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+// Replay the original response when a submission with the same Idempotency-Key
+// was already stored, so retries skip the upload and spam checks entirely
+const replayIdempotentReport = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (!IDEMPOTENCY_KEY_PATTERN.test(key)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid Idempotency-Key header'
+    });
+  }
+
+  try {
+    const existing = await Report.findOne({ 'reportedBy.id': req.user._id, idempotencyKey: key });
+    if (existing) {
+      console.log(`🔁 Replaying report ${existing._id} for idempotency key ${key}`);
+      return res.status(200).json({
+        success: true,
+        message: 'Report already submitted',
+        data: userReportResponse(existing),
+        replayed: true
+      });
+    }
+    req.idempotencyKey = key;
+    next();
+  } catch (error) {
+    console.error('Idempotency check error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit report. Please try again.'
+    });
+  }
+};
+
 // @route   POST /api/reports/user
-// @desc    Create new report (for authenticated users)
+// @desc    Create new report (for authenticated users). An optional Idempotency-Key
+//          header makes retries return the already-created report.
 // @access  Private
-router.post('/user', require('../middleware/userAuth'), upload.array('images', 5), checkSpamBehavior, async (req, res) => {
+router.post('/user', require('../middleware/userAuth'), requireVerifiedEmail, replayIdempotentReport, reportUpload.array('images', 5), checkSpamBehavior, async (req, res) => {
   try {
-    // Check if user account is frozen
-    if (req.user.isFrozen === true) {
+    // Check if the account is frozen, banned or in a reporting cooldown
+    const restriction = EnforcementService.restriction(req.user);
+    if (restriction) {
       return res.status(403).json({
         success: false,
-        error: 'Account is frozen. You cannot submit reports while your account is frozen.',
-        frozen: true
+        error: restriction.message,
+        frozen: restriction.type !== 'cooldown',
+        restriction: { type: restriction.type, until: restriction.until }
       });
     }
 
@@ -1295,8 +2543,16 @@ router.post('/user', require('../middleware/userAuth'), upload.array('images', 5
       });
     }
 
+    // Boxes the reporter blurred in the redaction editor, one entry per image
+    let imageRedactions = [];
+    try {
+      imageRedactions = req.body.imageRedactions ? JSON.parse(req.body.imageRedactions) : [];
+    } catch (parseError) {
+      console.warn('⚠️ Ignoring malformed imageRedactions:', parseError.message);
+    }
+
     // Process uploaded images - Cloudinary handles the storage
-    const images = req.files ? req.files.map(file => {
+    const images = req.files ? req.files.map((file, index) => {
       console.log('🔍 User report creation - Processing file:', {
         originalname: file.originalname,
         path: file.path,
@@ -1308,10 +2564,17 @@ router.post('/user', require('../middleware/userAuth'), upload.array('images', 5
 
       const imageData = {
         imageUrl: file.path || file.secure_url || file.url,
+        publicId: file.public_id,
         filename: file.originalname || file.originalName,  // For backward compatibility with Dashboard
         originalName: file.originalname || file.originalName,
         mimetype: file.mimetype,
-        size: file.size || file.bytes
+        size: file.size || file.bytes,
+        phash: file.phash,
+        // Faces/plates were pixelated during upload (see RedactionService),
+        // on top of whatever the reporter blurred on their device
+        redaction: RedactionService.recordFromUpload(file, {
+          regions: RedactionService.clientRegions(Array.isArray(imageRedactions) ? imageRedactions[index] : null, file)
+        })
       };
 
       console.log('🔍 User report creation - Image data to save:', imageData);
@@ -1345,15 +2608,52 @@ router.post('/user', require('../middleware/userAuth'), upload.array('images', 5
         email: req.user.email
       },
       submittedAt: new Date(),
-      isAnonymous: false
+      isAnonymous: false,
+      idempotencyKey: req.idempotencyKey
     };
+    // Do photos match where and when the report was made?
+    reportData.photoVerification = PhotoVerificationService.verify(req.files, {
+      coordinates: reportData.location.coordinates,
+      submittedAt: reportData.submittedAt
+    });
+    reportData.phashBands = ImageHashService.bands(images.map(image => image.phash));
+    // Earlier reports with the same photo, found by checkSpamBehavior
+    reportData.imageReuse = req.imageReuse || [];
+    // Moderators review the pending queue by reporter trust
+    reportData.reporterTrust = ReputationService.trust(req.user.reputation);
 
     console.log('Creating report for user:', req.user.username);
     console.log('Report data:', reportData);
 
     // Create the report
     const report = new Report(reportData);
-    await report.save();
+    try {
+      await report.save();
+    } catch (saveError) {
+      // A concurrent retry with the same key won the race - return its report
+      if (saveError.code === 11000 && req.idempotencyKey) {
+        const existing = await Report.findOne({ 'reportedBy.id': req.user._id, idempotencyKey: req.idempotencyKey });
+        if (existing) {
+          return res.status(200).json({
+            success: true,
+            message: 'Report already submitted',
+            data: userReportResponse(existing),
+            replayed: true
+          });
+        }
+      }
+      throw saveError;
+    }
+
+    // 🔗 Group with nearby duplicates of the same hazard
+    await ClusteringService.assignReport(report);
+
+    // ⭐ Skip the queue for highly trusted reporters
+    try {
+      await autoVerifyTrusted(report, req);
+    } catch (autoVerifyError) {
+      console.error('❌ Auto-verify failed:', autoVerifyError);
+    }
 
     // 📢 Emit real-time notification to connected admins
     try {
@@ -1367,14 +2667,7 @@ router.post('/user', require('../middleware/userAuth'), upload.array('images', 5
     res.status(201).json({
       success: true,
       message: 'Report submitted successfully',
-      data: {
-        id: report._id,
-        type: report.type,
-        description: report.description,
-        severity: report.severity,
-        status: report.status,
-        submittedAt: report.submittedAt
-      },
+      data: userReportResponse(report),
       warning: req.spamWarning || null
     });
 
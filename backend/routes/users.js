@@ -5,12 +5,24 @@ const jwt = require('jsonwebtoken');
 const path = require('path');
 const fs = require('fs');
 const cache = require('../services/cache');
-const { profileStorage } = require('../services/cloudinaryConfig');
+const { profileStorage, appealStorage } = require('../services/cloudinaryConfig');
 const multer = require('multer');
 const upload = multer({ storage: profileStorage });
 const User = require('../models/User');
 const Report = require('../models/Report');
+const AlertArea = require('../models/AlertArea');
 const userAuth = require('../middleware/userAuth');
+const EnforcementService = require('../services/EnforcementService');
+const AppealService = require('../services/AppealService');
+const SessionService = require('../services/SessionService');
+const EmailVerificationService = require('../services/EmailVerificationService');
+const PhoneVerificationService = require('../services/PhoneVerificationService');
+const { getSetting } = require('../middleware/settingsEnforcement');
+
+const appealUpload = multer({
+  storage: appealStorage,
+  limits: { fileSize: 5 * 1024 * 1024, files: AppealService.MAX_EVIDENCE } // 5MB per evidence file
+});
 
 const router = express.Router();
 
@@ -57,6 +69,8 @@ router.get('/me', userAuth, async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: !!user.emailVerified,
+        phoneVerified: !!user.phoneVerified,
         profile: user.profile,
         profileImage: user.profile?.profileImage,
         profileGallery: user.profile?.profilePictureGallery || [],
@@ -64,6 +78,9 @@ router.get('/me', userAuth, async (req, res) => {
         lastLogin: user.lastLogin,
         warnings: user.warnings || [],
         spamScore: user.spamScore || 0,
+        isFrozen: user.isFrozen,
+        restriction: EnforcementService.restriction(user),
+        enforcementHistory: user.enforcement?.history || [],
         createdAt: user.createdAt,
         updatedAt: user.updatedAt
       }
@@ -172,17 +189,35 @@ router.put('/me', userAuth, async (req, res) => {
     }
 
     // Update fields if provided
+    const emailChanged = !!email && email !== user.email;
     if (username) user.username = username;
     if (email) user.email = email;
+    // A new address has to be verified again
+    if (emailChanged) {
+      user.emailVerified = false;
+      user.emailVerifiedAt = null;
+      user.emailVerification = undefined;
+    }
     if (profile) {
+      const previousPhone = user.profile?.phone;
       user.profile = {
         ...user.profile,
         ...profile
       };
+      // A new number has to be verified again
+      PhoneVerificationService.resetIfChanged(user, previousPhone);
     }
 
     await user.save();
 
+    if (emailChanged) {
+      try {
+        await EmailVerificationService.send(user, `${req.protocol}://${req.get('host')}`);
+      } catch (mailError) {
+        console.error('Failed to send verification email:', mailError);
+      }
+    }
+
     // ⚡ Invalidate cache
     cache.invalidatePrefix(`profile:${req.user.id}`);
 
@@ -193,6 +228,8 @@ router.put('/me', userAuth, async (req, res) => {
         id: user._id,
         username: user.username,
         email: user.email,
+        emailVerified: !!user.emailVerified,
+        phoneVerified: !!user.phoneVerified,
         profile: user.profile,
         isActive: user.isActive,
         lastLogin: user.lastLogin,
@@ -253,6 +290,9 @@ router.put('/change-password', userAuth, async (req, res) => {
     user.password = newPassword;
     await user.save();
 
+    // Other devices have to sign in again with the new password
+    await SessionService.revokeAll({ userId: user._id }, { reason: 'password_change', except: req.sessionId });
+
     res.json({
       success: true,
       message: 'Password changed successfully'
@@ -586,4 +626,354 @@ router.post('/me/warnings/read', userAuth, async (req, res) => {
   }
 });
 
+// @route   POST /api/users/me/enforcement/:actionId/appeal
+// @desc    Appeal a warning, cooldown, freeze or ban on the current user's account,
+//          optionally with evidence files
+// @access  Private
+router.post('/me/enforcement/:actionId/appeal', userAuth, appealUpload.array('evidence', AppealService.MAX_EVIDENCE), async (req, res) => {
+  try {
+    const invalid = AppealService.validateMessage(req.body.message);
+    if (invalid) {
+      return res.status(400).json({ success: false, error: invalid });
+    }
+
+    const user = await User.findById(req.user.id).select('-password');
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    const result = await EnforcementService.fileAppeal(
+      user,
+      req.params.actionId,
+      req.body.message.trim(),
+      AppealService.toEvidence(req.files)
+    );
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Appeal submitted. An administrator will review it.',
+      data: result.entry
+    });
+
+  } catch (error) {
+    console.error('Submit appeal error:', error);
+    res.status(500).json({ success: false, error: 'Server error while submitting appeal' });
+  }
+});
+
+// @route   GET /api/users/me/phone-verification
+// @desc    Whether the current user's profile phone number is verified
+// @access  Private
+router.get('/me/phone-verification', userAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: PhoneVerificationService.status(req.user)
+    });
+
+  } catch (error) {
+    console.error('Get phone verification error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching phone verification' });
+  }
+});
+
+// @route   POST /api/users/me/phone-verification/send
+// @desc    Text a verification code to the current user's profile phone number
+// @access  Private
+router.post('/me/phone-verification/send', userAuth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const result = await PhoneVerificationService.send(user);
+    if (!result.sent) {
+      if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+      return res.status(result.statusCode).json({ success: false, error: result.error, retryAfter: result.retryAfter });
+    }
+
+    res.json({
+      success: true,
+      message: `We texted a 6-digit code to ${result.phone}`
+    });
+
+  } catch (error) {
+    console.error('Send phone verification error:', error);
+    res.status(500).json({ success: false, error: 'Failed to send the verification code' });
+  }
+});
+
+// @route   POST /api/users/me/phone-verification/verify
+// @desc    Verify the current user's phone number with the texted code
+// @access  Private
+router.post('/me/phone-verification/verify', userAuth, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ success: false, error: 'Verification code is required' });
+    }
+
+    const result = await PhoneVerificationService.verifyCode(req.user._id, code);
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, error: result.error });
+    }
+
+    cache.invalidatePrefix(`profile:${req.user._id}`);
+
+    res.json({
+      success: true,
+      message: 'Phone number verified',
+      data: PhoneVerificationService.status(result.user)
+    });
+
+  } catch (error) {
+    console.error('Verify phone error:', error);
+    res.status(500).json({ success: false, error: 'Server error during phone verification' });
+  }
+});
+
+// @route   GET /api/users/me/sessions
+// @desc    Devices the current user is signed in on, this one flagged as current
+// @access  Private
+router.get('/me/sessions', userAuth, async (req, res) => {
+  try {
+    const sessions = await SessionService.list({ userId: req.user._id }, req.sessionId);
+
+    res.json({
+      success: true,
+      data: sessions
+    });
+
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ success: false, error: 'Server error while fetching sessions' });
+  }
+});
+
+// @route   DELETE /api/users/me/sessions/:sessionId
+// @desc    Sign out one of the current user's devices
+// @access  Private
+router.delete('/me/sessions/:sessionId', userAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.sessionId)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    const revoked = await SessionService.revoke(req.params.sessionId, 'user_signout', { userId: req.user._id });
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Device signed out'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ success: false, error: 'Server error while signing out device' });
+  }
+});
+
+// @route   DELETE /api/users/me/sessions
+// @desc    Sign out every device except this one
+// @access  Private
+router.delete('/me/sessions', userAuth, async (req, res) => {
+  try {
+    const count = await SessionService.revokeAll({ userId: req.user._id }, {
+      reason: 'user_signout',
+      except: req.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: count === 1 ? 'Signed out 1 other device' : `Signed out ${count} other devices`,
+      data: { count }
+    });
+
+  } catch (error) {
+    console.error('Revoke sessions error:', error);
+    res.status(500).json({ success: false, error: 'Server error while signing out devices' });
+  }
+});
+
+// Validate and normalize an alert area payload. Returns { data } or { error }.
+const parseAlertArea = async (body, { partial = false } = {}) => {
+  const data = {};
+  const maxRadius = Number(await getSetting('max_alert_radius_meters', 20000)) || 20000;
+
+  if (body.label !== undefined || !partial) {
+    const label = typeof body.label === 'string' ? body.label.trim() : '';
+    if (!label || label.length > 50) {
+      return { error: 'Label is required (max 50 characters)' };
+    }
+    data.label = label;
+  }
+
+  if (body.latitude !== undefined || body.longitude !== undefined || !partial) {
+    const latitude = parseFloat(body.latitude);
+    const longitude = parseFloat(body.longitude);
+    if (Number.isNaN(latitude) || latitude < -90 || latitude > 90 ||
+        Number.isNaN(longitude) || longitude < -180 || longitude > 180) {
+      return { error: 'Valid latitude and longitude are required' };
+    }
+    data['location.coordinates'] = { latitude, longitude };
+  }
+
+  if (body.address !== undefined) data['location.address'] = String(body.address).slice(0, 200);
+
+  if (body.radiusMeters !== undefined || !partial) {
+    const radiusMeters = body.radiusMeters === undefined ? 2000 : parseInt(body.radiusMeters);
+    if (Number.isNaN(radiusMeters) || radiusMeters < 100 || radiusMeters > maxRadius) {
+      return { error: `Radius must be between 100 and ${maxRadius} meters` };
+    }
+    data.radiusMeters = radiusMeters;
+  }
+
+  if (body.isHome !== undefined) data.isHome = Boolean(body.isHome);
+  if (body.isActive !== undefined) data.isActive = Boolean(body.isActive);
+
+  return { data };
+};
+
+// @route   GET /api/users/me/alert-areas
+// @desc    Get the places the user wants nearby hazard alerts for
+// @access  Private
+router.get('/me/alert-areas', userAuth, async (req, res) => {
+  try {
+    const [areas, maxAreas, maxRadiusMeters] = await Promise.all([
+      AlertArea.find({ userId: req.user.id }).sort({ isHome: -1, createdAt: 1 }).lean(),
+      getSetting('max_alert_areas_per_user', 5),
+      getSetting('max_alert_radius_meters', 20000)
+    ]);
+
+    res.json({
+      success: true,
+      data: areas,
+      limits: { maxAreas, maxRadiusMeters }
+    });
+
+  } catch (error) {
+    console.error('Get alert areas error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching alert areas'
+    });
+  }
+});
+
+// @route   POST /api/users/me/alert-areas
+// @desc    Save a new alert area (home, work...)
+// @access  Private
+router.post('/me/alert-areas', userAuth, async (req, res) => {
+  try {
+    const { data, error } = await parseAlertArea(req.body);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    const maxAreas = Number(await getSetting('max_alert_areas_per_user', 5)) || 5;
+    const count = await AlertArea.countDocuments({ userId: req.user.id });
+    if (count >= maxAreas) {
+      return res.status(400).json({
+        success: false,
+        error: `You can save up to ${maxAreas} alert areas`
+      });
+    }
+
+    // Only one home area per user
+    if (data.isHome) {
+      await AlertArea.updateMany({ userId: req.user.id }, { isHome: false });
+    }
+
+    const area = new AlertArea({
+      userId: req.user.id,
+      label: data.label,
+      isHome: data.isHome || false,
+      isActive: data.isActive !== false,
+      radiusMeters: data.radiusMeters,
+      location: {
+        address: data['location.address'] || '',
+        coordinates: data['location.coordinates']
+      }
+    });
+    await area.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Alert area saved',
+      data: area
+    });
+
+  } catch (error) {
+    console.error('Create alert area error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while saving alert area'
+    });
+  }
+});
+
+// @route   PUT /api/users/me/alert-areas/:id
+// @desc    Update an alert area
+// @access  Private
+router.put('/me/alert-areas/:id', userAuth, async (req, res) => {
+  try {
+    const area = await AlertArea.findOne({ _id: req.params.id, userId: req.user.id });
+    if (!area) {
+      return res.status(404).json({ success: false, error: 'Alert area not found' });
+    }
+
+    const { data, error } = await parseAlertArea(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+
+    if (data.isHome) {
+      await AlertArea.updateMany({ userId: req.user.id, _id: { $ne: area._id } }, { isHome: false });
+    }
+
+    Object.entries(data).forEach(([path, value]) => area.set(path, value));
+    await area.save();
+
+    res.json({
+      success: true,
+      message: 'Alert area updated',
+      data: area
+    });
+
+  } catch (error) {
+    console.error('Update alert area error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while updating alert area'
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/alert-areas/:id
+// @desc    Delete an alert area
+// @access  Private
+router.delete('/me/alert-areas/:id', userAuth, async (req, res) => {
+  try {
+    const area = await AlertArea.findOneAndDelete({ _id: req.params.id, userId: req.user.id });
+    if (!area) {
+      return res.status(404).json({ success: false, error: 'Alert area not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert area deleted'
+    });
+
+  } catch (error) {
+    console.error('Delete alert area error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while deleting alert area'
+    });
+  }
+});
+
 module.exports = router;
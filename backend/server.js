@@ -22,6 +22,13 @@ process.on('uncaughtException', (error) => {
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// req.ip (rate limits, sessions) comes from X-Forwarded-For only through this
+// many trusted proxy hops; clients can't spoof it beyond them
+const trustProxyHops = process.env.TRUST_PROXY
+  ? Number(process.env.TRUST_PROXY) || 0
+  : (process.env.NODE_ENV === 'production' ? 1 : 0);
+app.set('trust proxy', trustProxyHops);
+
 // Enable gzip/brotli compression for all responses
 app.use(compression());
 
@@ -58,7 +65,7 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key']
 }));
 
 // Rate limiting - temporarily disabled for testing
@@ -130,6 +137,7 @@ app.get('/', (req, res) => {
       users: '/api/users',
       notifications: '/api/notifications',
       devices: '/api/devices',
+      incidents: '/api/incidents',
       health: '/api/health',
       status: '/api/system/status',
       fcmStatus: '/api/debug/fcm-status'
@@ -212,6 +220,9 @@ app.use('/api/notifications', checkMaintenanceMode, require('./routes/notificati
 app.use('/api/news', checkMaintenanceMode, require('./routes/news'));
 app.use('/api/dashboard', checkMaintenanceMode, require('./routes/dashboard'));
 app.use('/api/devices', checkMaintenanceMode, require('./routes/devices'));
+app.use('/api/incidents', checkMaintenanceMode, require('./routes/incidents'));
+app.use('/api/agencies', checkMaintenanceMode, require('./routes/agencies'));
+app.use('/api/comments', checkMaintenanceMode, require('./routes/comments'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -371,6 +382,8 @@ const connectDB = require('./config/database');
 const SystemSettings = require('./models/SystemSettings');
 const { clearSettingsCache } = require('./middleware/settingsEnforcement');
 const cache = require('./services/cache');
+const SlaService = require('./services/SlaService');
+const EnforcementService = require('./services/EnforcementService');
 
 // Initialize database and settings
 const initializeDatabase = async () => {
@@ -442,6 +455,16 @@ const startScheduledTasks = () => {
     clearSettingsCache();
   }, 5 * 60 * 1000); // Every 5 minutes
 
+  // Escalate reports that went past their SLA to super admins
+  setInterval(() => {
+    SlaService.checkBreaches();
+  }, 5 * 60 * 1000); // Every 5 minutes
+
+  // Lift timed account freezes that have ended
+  setInterval(() => {
+    EnforcementService.releaseExpired();
+  }, 5 * 60 * 1000); // Every 5 minutes
+
   // Keep-alive: ping own health endpoint every 14 minutes to prevent Render free tier from sleeping
   const KEEP_ALIVE_URL = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
   setInterval(async () => {
@@ -454,7 +477,7 @@ const startScheduledTasks = () => {
     }
   }, 14 * 60 * 1000); // Every 14 minutes
 
-  console.log('⏰ Scheduled tasks started (including keep-alive)');
+  console.log('⏰ Scheduled tasks started (including SLA checks, auto-unfreeze and keep-alive)');
 };
 
 initializeDatabase();
@@ -0,0 +1,95 @@
+const Agency = require('../models/Agency');
+const Report = require('../models/Report');
+const WorkflowService = require('./WorkflowService');
+const NotificationService = require('./NotificationService');
+const { getSetting } = require('../middleware/settingsEnforcement');
+
+class AgencyService {
+
+  /**
+   * Assign a report to an agency and, when the workflow allows it, move the
+   * report to "assigned". The caller saves the report.
+   * @param {Object} report - Report document
+   * @param {Object} agency - Agency document
+   * @param {Object} options
+   * @param {Object} options.admin - req.admin, or null for automatic routing
+   * @param {String} options.note - Note for the status timeline
+   * @param {Boolean} options.autoRouted - Picked by jurisdiction routing
+   * @returns {Object} { oldStatus, statusChanged }
+   */
+  static async assign(report, agency, { admin = null, note = null, autoRouted = false } = {}) {
+    const oldStatus = report.status;
+
+    report.assignment = {
+      agency: agency._id,
+      assignedAt: new Date(),
+      assignedBy: admin ? admin.id : null,
+      autoRouted
+    };
+
+    // Routing is a system action, so only the workflow shape matters for it;
+    // admins also need the permission on the transition.
+    const workflow = await WorkflowService.getWorkflow();
+    const canMove = oldStatus !== 'assigned' && workflow.transitions.some(t =>
+      t.from.includes(oldStatus) && t.to === 'assigned' && (autoRouted || WorkflowService.canPerform(admin, t))
+    );
+
+    if (canMove) {
+      WorkflowService.applyTransition(report, 'assigned', admin, { note: note || `Assigned to ${agency.name}` });
+    }
+
+    return { oldStatus, statusChanged: canMove };
+  }
+
+  /**
+   * Route a verified report to the agency responsible for its location.
+   * Skips reports that already have an agency. Never throws - routing must
+   * not break verification.
+   * @param {String} reportId - Report ID
+   * @param {Object} options
+   * @param {Boolean} options.notify - Tell the reporter it was assigned. Bulk
+   *   actions pass false and batch that notification themselves.
+   * @returns {Object|null} The agency the report was routed to
+   */
+  static async routeReport(reportId, { notify = true } = {}) {
+    try {
+      const enabled = await getSetting('auto_route_reports', true);
+      if (enabled === false) return null;
+
+      const report = await Report.findById(reportId).select('-images.data -evidencePhoto.data');
+      if (!report || report.assignment?.agency) return null;
+
+      const agency = await Agency.findResponsible(report);
+      if (!agency) {
+        console.log(`🏢 No agency covers ${report.barangay}, ${report.city}, ${report.province} for report ${report._id}`);
+        return null;
+      }
+
+      const { oldStatus, statusChanged } = await this.assign(report, agency, {
+        note: `Auto-routed to ${agency.name}`,
+        autoRouted: true
+      });
+      await report.save();
+
+      if (notify && statusChanged && report.reportedBy?.id) {
+        await NotificationService.createReportStatusNotification({
+          userId: report.reportedBy.id,
+          reportId: report._id,
+          oldStatus,
+          newStatus: report.status,
+          reportType: report.type,
+          adminNotes: `Assigned to ${agency.name}`
+        });
+      }
+
+      console.log(`🏢 Report ${report._id} routed to ${agency.name}`);
+      return agency;
+
+    } catch (error) {
+      console.error('Failed to route report to agency:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = AgencyService;
@@ -0,0 +1,172 @@
+const Report = require('../models/Report');
+const User = require('../models/User');
+const NotificationService = require('./NotificationService');
+const WorkflowService = require('./WorkflowService');
+const EnforcementService = require('./EnforcementService');
+
+// Files a user can attach to one appeal
+const MAX_EVIDENCE = 3;
+
+const MESSAGE_MIN = 10;
+const MESSAGE_MAX = 1000;
+
+// Fields the appeals queue shows for an appealed report
+const QUEUE_REPORT_FIELDS = 'type severity description location.address status adminNotes verifiedAt reportedBy createdAt +appeal';
+
+// Fields the appeals queue shows for an appellant
+const QUEUE_USER_FIELDS = 'username email profile.firstName profile.lastName isFrozen spamScore warnings enforcement';
+
+/**
+ * Appeals against rejected reports (Report.appeal) and account actions
+ * (User.enforcement.history[].appeal, decided by EnforcementService),
+ * reviewed by admins from one queue.
+ */
+class AppealService {
+
+  /**
+   * Check an appeal's explanation
+   * @param {*} message
+   * @returns {String|null} Error message, or null when valid
+   */
+  static validateMessage(message) {
+    const length = typeof message === 'string' ? message.trim().length : 0;
+    if (length < MESSAGE_MIN || length > MESSAGE_MAX) {
+      return `Please explain your appeal in ${MESSAGE_MIN} to ${MESSAGE_MAX} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Uploaded evidence files as stored on the appeal
+   * @param {Array} files - req.files from multer
+   */
+  static toEvidence(files = []) {
+    return files.map(file => ({
+      url: file.path || file.secure_url || file.url,
+      filename: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size
+    }));
+  }
+
+  /**
+   * Record the reporter's appeal against the rejection of their report
+   * @param {Object} report - Report document selected with +appeal (saved here)
+   * @param {Object} appeal
+   * @param {String} appeal.message - The user's explanation
+   * @param {Array} appeal.evidence - Attached files (toEvidence)
+   * @returns {Object} { report } or { statusCode, error }
+   */
+  static async fileReportAppeal(report, { message, evidence = [] }) {
+    if (report.status !== 'rejected') {
+      return { statusCode: 400, error: 'Only rejected reports can be appealed' };
+    }
+    if (report.appeal?.status) {
+      return { statusCode: 400, error: 'This report has already been appealed' };
+    }
+
+    report.appeal = { status: 'pending', message, evidence, submittedAt: new Date() };
+    await report.save();
+    return { report };
+  }
+
+  /**
+   * Decide an appeal against a rejection. Approving reopens the report through
+   * the report workflow, so the admin needs the permission that move requires.
+   * @param {Object} report - Report document selected with +appeal (saved here)
+   * @param {Object} decision
+   * @param {Boolean} decision.approve
+   * @param {String} decision.response - Shown to the reporter
+   * @param {Object} decision.admin - req.admin
+   * @returns {Object} { report, reopened } or { statusCode, error }
+   */
+  static async reviewReportAppeal(report, { approve, response, admin }) {
+    if (report.appeal?.status !== 'pending') {
+      return { statusCode: 404, error: 'Pending appeal not found' };
+    }
+
+    // An admin may have reopened the report by hand while the appeal waited
+    const reopen = approve && report.status === 'rejected';
+    if (reopen) {
+      const adminNotes = response || 'Rejection overturned on appeal';
+      const check = await WorkflowService.checkTransition({
+        from: report.status,
+        to: 'reopened',
+        admin,
+        fields: { adminNotes }
+      });
+      if (check.error) return check;
+
+      WorkflowService.applyTransition(report, 'reopened', admin, { adminNotes });
+    }
+
+    report.appeal.status = approve ? 'approved' : 'denied';
+    report.appeal.response = response || null;
+    report.appeal.reviewedBy = admin.id;
+    report.appeal.reviewedAt = new Date();
+    await report.save();
+
+    await NotificationService.createReportAppealNotification({ report, approved: approve, response });
+    return { report, reopened: reopen };
+  }
+
+  /**
+   * Pending appeals of both kinds, oldest first
+   * @returns {Array} [{ kind: 'account', user, action }] and [{ kind: 'report', user, report }]
+   */
+  static async listPending() {
+    const [appellants, reports] = await Promise.all([
+      User.find({ 'enforcement.history.appeal.status': 'pending' })
+        .select(QUEUE_USER_FIELDS)
+        .lean()
+        .maxTimeMS(10000),
+      Report.find({ 'appeal.status': 'pending' })
+        .select(QUEUE_REPORT_FIELDS)
+        .lean()
+        .maxTimeMS(10000)
+    ]);
+
+    const accountAppeals = appellants.flatMap(user => user.enforcement.history
+      .filter(entry => entry.appeal?.status === 'pending')
+      .map(entry => ({ kind: 'account', user: this.summarizeUser(user), action: entry })));
+
+    const reporterIds = [...new Set(reports.map(report => String(report.reportedBy.id)))];
+    const reporters = await User.find({ _id: { $in: reporterIds } })
+      .select(QUEUE_USER_FIELDS)
+      .lean();
+    const reportersById = new Map(reporters.map(user => [String(user._id), user]));
+
+    const reportAppeals = reports.map(report => {
+      const reporter = reportersById.get(String(report.reportedBy.id));
+      return {
+        kind: 'report',
+        user: reporter
+          ? this.summarizeUser(reporter)
+          : { _id: report.reportedBy.id, username: report.reportedBy.username, email: report.reportedBy.email, name: report.reportedBy.name || null },
+        report
+      };
+    });
+
+    const submittedAt = (item) => new Date((item.action || item.report).appeal.submittedAt);
+    return [...accountAppeals, ...reportAppeals].sort((a, b) => submittedAt(a) - submittedAt(b));
+  }
+
+  /**
+   * Appellant details shown in the queue
+   * @param {Object} user - Lean user with QUEUE_USER_FIELDS
+   */
+  static summarizeUser(user) {
+    return {
+      _id: user._id,
+      username: user.username,
+      email: user.email,
+      name: [user.profile?.firstName, user.profile?.lastName].filter(Boolean).join(' ') || null,
+      spamScore: user.spamScore || 0,
+      warningCount: user.warnings?.length || 0,
+      restriction: EnforcementService.restriction(user)
+    };
+  }
+}
+
+module.exports = AppealService;
+module.exports.MAX_EVIDENCE = MAX_EVIDENCE;
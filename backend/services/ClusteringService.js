@@ -0,0 +1,135 @@
+const Report = require('../models/Report');
+const Incident = require('../models/Incident');
+const { getSetting } = require('../middleware/settingsEnforcement');
+const { distanceInMeters, boundingBox } = require('./geoService');
+
+// Reports (and incidents) in these open states can still be merged into an incident
+const CLUSTERABLE_STATUSES = ['pending', 'under_review', 'verified', 'assigned', 'in_progress', 'reopened'];
+
+class ClusteringService {
+
+  /**
+   * Read the clustering configuration from system settings
+   * @returns {Object} { enabled, radiusMeters, timeWindowHours }
+   */
+  static async getConfig() {
+    const [enabled, radiusMeters, timeWindowHours] = await Promise.all([
+      getSetting('clustering_enabled', true),
+      getSetting('cluster_radius_meters', 50),
+      getSetting('cluster_time_window_hours', 24)
+    ]);
+
+    return {
+      enabled: enabled !== false,
+      radiusMeters: Number(radiusMeters) || 50,
+      timeWindowHours: Number(timeWindowHours) || 24
+    };
+  }
+
+  /**
+   * Find the closest recent report of the same type within the cluster radius
+   * @param {Object} report - Newly saved report
+   * @param {Object} config - Clustering configuration
+   * @returns {Object|null} Nearest matching report (lean) with its distance
+   */
+  static async findNearestMatch(report, { radiusMeters, timeWindowHours }) {
+    const center = report.location.coordinates;
+    const box = boundingBox(center, radiusMeters);
+    const reportedAt = report.createdAt || new Date();
+    const windowStart = new Date(reportedAt.getTime() - timeWindowHours * 60 * 60 * 1000);
+
+    const candidates = await Report.find({
+      _id: { $ne: report._id },
+      type: report.type,
+      status: { $in: CLUSTERABLE_STATUSES },
+      createdAt: { $gte: windowStart, $lte: reportedAt },
+      'location.coordinates.latitude': { $gte: box.minLat, $lte: box.maxLat },
+      'location.coordinates.longitude': { $gte: box.minLng, $lte: box.maxLng }
+    })
+      .select('location incident createdAt status')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean()
+      .maxTimeMS(10000);
+
+    let nearest = null;
+    for (const candidate of candidates) {
+      const distance = distanceInMeters(center, candidate.location.coordinates);
+      if (distance <= radiusMeters && (!nearest || distance < nearest.distance)) {
+        nearest = { report: candidate, distance };
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Attach a newly created report to an existing incident, or start a new
+   * incident when it duplicates a standalone report.
+   * Never throws - clustering must not break report submission.
+   * @param {Object} report - Saved Report document
+   * @returns {Object|null} The incident the report now belongs to
+   */
+  static async assignReport(report) {
+    try {
+      const config = await this.getConfig();
+      if (!config.enabled || !report?.location?.coordinates) return null;
+
+      const match = await this.findNearestMatch(report, config);
+      if (!match) return null;
+
+      let incident = match.report.incident
+        ? await Incident.findById(match.report.incident)
+        : null;
+
+      if (!incident || !CLUSTERABLE_STATUSES.includes(incident.status)) {
+        const seed = await Report.findById(match.report._id);
+        incident = Incident.createFromReport(seed);
+        seed.incident = incident._id;
+        await seed.save();
+      }
+
+      incident.addReport(report);
+      await incident.save();
+
+      report.incident = incident._id;
+      await Report.updateOne({ _id: report._id }, { incident: incident._id });
+
+      console.log(`🔗 Report ${report._id} clustered into incident ${incident._id} (${incident.reportCount} reports, ${Math.round(match.distance)}m away)`);
+      return incident;
+
+    } catch (error) {
+      console.error('Failed to cluster report:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Remove a report from its incident. Incidents left with a single
+   * report are dissolved so that report stands alone again.
+   * @param {Object} report - Report document
+   * @returns {Object|null} Remaining incident, or null if dissolved
+   */
+  static async detachReport(report) {
+    if (!report.incident) return null;
+
+    const incident = await Incident.findById(report.incident);
+    report.incident = null;
+    await Report.updateOne({ _id: report._id }, { incident: null });
+
+    if (!incident) return null;
+
+    incident.removeReport(report._id);
+
+    if (incident.reportCount <= 1) {
+      await Report.updateMany({ incident: incident._id }, { incident: null });
+      await Incident.findByIdAndDelete(incident._id);
+      return null;
+    }
+
+    await incident.save();
+    return incident;
+  }
+}
+
+module.exports = ClusteringService;
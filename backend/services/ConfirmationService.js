@@ -0,0 +1,119 @@
+const Report = require('../models/Report');
+const { getSetting } = require('../middleware/settingsEnforcement');
+
+// Statuses in which residents can confirm a hazard (verified and not yet closed)
+const CONFIRMABLE_STATUSES = Report.ACTIVE_STATUSES;
+
+const VOTES = ['still_there', 'fixed'];
+
+// How much the report's status counts against resident votes, expressed as
+// a number of votes. The prior is the confidence before anyone has voted.
+const PRIOR_WEIGHT = 2;
+const STATUS_PRIOR = {
+  pending: 0.4,
+  under_review: 0.5,
+  verified: 0.8,
+  assigned: 0.8,
+  in_progress: 0.7,
+  reopened: 0.7
+};
+
+class ConfirmationService {
+
+  /**
+   * Confidence (0-100) that the hazard is still present, from its status and
+   * resident votes. Closed reports have no confidence score.
+   * @param {Object} report - Report with status and confirmationCounts
+   * @returns {Number|null}
+   */
+  static confidence(report) {
+    const prior = STATUS_PRIOR[report.status];
+    if (prior === undefined) return null;
+
+    const stillThere = report.confirmationCounts?.stillThere || 0;
+    const fixed = report.confirmationCounts?.fixed || 0;
+
+    return Math.round(100 * (prior * PRIOR_WEIGHT + stillThere) / (PRIOR_WEIGHT + stillThere + fixed));
+  }
+
+  /**
+   * Summary of a report's confirmations for one user
+   * @param {Object} report - Report with confirmations selected
+   * @param {String} userId - Viewing user
+   */
+  static summarize(report, userId) {
+    const isReporter = report.reportedBy?.id?.toString() === userId.toString();
+    const mine = (report.confirmations || []).find(c => c.user.toString() === userId.toString());
+
+    return {
+      counts: {
+        stillThere: report.confirmationCounts?.stillThere || 0,
+        fixed: report.confirmationCounts?.fixed || 0
+      },
+      myVote: mine ? mine.vote : null,
+      canVote: !isReporter && CONFIRMABLE_STATUSES.includes(report.status),
+      confidence: this.confidence(report),
+      recheckNeeded: !!report.recheck?.needed
+    };
+  }
+
+  /**
+   * Record, change or withdraw a user's vote, then flag the report for admin
+   * re-check once enough users say the hazard is gone
+   * @param {String} reportId - Report ID
+   * @param {String} userId - Voting user
+   * @param {String|null} vote - 'still_there', 'fixed', or null to withdraw
+   * @returns {Object} { report, flagged } or { statusCode, error }
+   */
+  static async vote(reportId, userId, vote) {
+    if (vote !== null && !VOTES.includes(vote)) {
+      return { statusCode: 400, error: `Vote must be one of: ${VOTES.join(', ')}` };
+    }
+
+    const report = await Report.findById(reportId).select('+confirmations -images.data -evidencePhoto.data');
+    if (!report) {
+      return { statusCode: 404, error: 'Report not found' };
+    }
+
+    if (report.reportedBy?.id?.toString() === userId.toString()) {
+      return { statusCode: 403, error: 'You cannot confirm your own report' };
+    }
+
+    if (!CONFIRMABLE_STATUSES.includes(report.status)) {
+      return { statusCode: 400, error: 'Only verified, open reports can be confirmed' };
+    }
+
+    report.confirmations = report.confirmations.filter(c => c.user.toString() !== userId.toString());
+    if (vote) {
+      report.confirmations.push({ user: userId, vote, at: new Date() });
+    }
+
+    report.confirmationCounts = {
+      stillThere: report.confirmations.filter(c => c.vote === 'still_there').length,
+      fixed: report.confirmations.filter(c => c.vote === 'fixed').length
+    };
+
+    // Only votes since the last admin look count towards a new flag
+    let flagged = false;
+    if (!report.recheck?.needed) {
+      const threshold = await getSetting('recheck_fixed_votes', 3);
+      const since = report.recheck?.dismissedAt || 0;
+      const recent = report.confirmations.filter(c => c.at > since);
+      const fixed = recent.filter(c => c.vote === 'fixed').length;
+      const stillThere = recent.filter(c => c.vote === 'still_there').length;
+
+      if (fixed >= threshold && fixed > stillThere) {
+        report.recheck.needed = true;
+        report.recheck.flaggedAt = new Date();
+        flagged = true;
+        console.log(`🔁 Report ${report._id} flagged for re-check (${fixed} "fixed" votes)`);
+      }
+    }
+
+    await report.save();
+    return { report, flagged };
+  }
+}
+
+module.exports = ConfirmationService;
+module.exports.CONFIRMABLE_STATUSES = CONFIRMABLE_STATUSES;
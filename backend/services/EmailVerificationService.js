@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const { getMailTransport } = require('./mail');
+const { JWT_SECRET } = require('./SessionService');
+
+// Verification links stay valid this long
+const LINK_TTL = '24h';
+
+// The 6-digit code in the same email expires sooner and allows few guesses
+const CODE_TTL_MS = 15 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Resend throttling: a short gap between emails and a cap per hour
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Proves a user owns their email address. Each email carries a signed link
+ * (GET /api/auth/verify-email/:token) and a 6-digit code for entering in the
+ * app; either one verifies. Reporting is blocked for unverified users while
+ * the require_email_verification setting is on (requireVerifiedEmail).
+ */
+class EmailVerificationService {
+
+  /**
+   * Seconds until another verification email may be sent (0 when allowed)
+   * @param {Object} state - user.emailVerification
+   */
+  static retryAfter(state = {}, now = Date.now()) {
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < SEND_WINDOW_MS;
+    if (windowActive && state.sendCount >= MAX_SENDS_PER_WINDOW) {
+      return Math.ceil((state.windowStartedAt.getTime() + SEND_WINDOW_MS - now) / 1000);
+    }
+    if (state.lastSentAt && now - state.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+      return Math.ceil((state.lastSentAt.getTime() + RESEND_COOLDOWN_MS - now) / 1000);
+    }
+    return 0;
+  }
+
+  /**
+   * Email a new verification link and code, unless throttled
+   * @param {Object} user - User document
+   * @param {String} baseUrl - Public URL of the API the link points at
+   * @returns {Object} { sent: true } or { sent: false, statusCode, error, retryAfter }
+   */
+  static async send(user, baseUrl) {
+    if (user.emailVerified) {
+      return { sent: false, statusCode: 400, error: 'Your email address is already verified' };
+    }
+
+    const now = Date.now();
+    const state = user.emailVerification || {};
+    const retryAfter = this.retryAfter(state, now);
+    if (retryAfter > 0) {
+      return {
+        sent: false,
+        statusCode: 429,
+        error: `Please wait ${retryAfter} seconds before requesting another email`,
+        retryAfter
+      };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const token = jwt.sign({ id: user._id, email: user.email, purpose: 'email_verify' }, JWT_SECRET, { expiresIn: LINK_TTL });
+    const link = `${(process.env.PUBLIC_API_URL || baseUrl).replace(/\/$/, '')}/api/auth/verify-email/${token}`;
+
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < SEND_WINDOW_MS;
+    user.emailVerification = {
+      codeHash: hashCode(code),
+      codeExpiresAt: new Date(now + CODE_TTL_MS),
+      attempts: 0,
+      lastSentAt: new Date(now),
+      sendCount: windowActive ? state.sendCount + 1 : 1,
+      windowStartedAt: windowActive ? state.windowStartedAt : new Date(now)
+    };
+    await user.save();
+
+    await getMailTransport().send({
+      to: user.email,
+      subject: 'Verify your email - Road Alert',
+      text: [
+        `Hi ${user.username},`,
+        '',
+        `Your verification code is ${code}. It expires in 15 minutes.`,
+        '',
+        'Or open this link to verify your email address (valid for 24 hours):',
+        link,
+        '',
+        'If you did not create a Road Alert account, you can ignore this email.'
+      ].join('\n')
+    });
+
+    return { sent: true };
+  }
+
+  /**
+   * Mark a user's email as verified
+   */
+  static async markVerified(user) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.emailVerification = undefined;
+    await user.save();
+    console.log(`✉️ Email verified for ${user.email}`);
+    return user;
+  }
+
+  /**
+   * Verify with the signed link token
+   * @returns {Object} { user } or { statusCode, error }
+   */
+  static async verifyToken(token) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch {
+      return { statusCode: 400, error: 'This verification link is invalid or has expired' };
+    }
+    if (decoded.purpose !== 'email_verify') {
+      return { statusCode: 400, error: 'This verification link is invalid or has expired' };
+    }
+
+    const user = await User.findById(decoded.id);
+    // A link sent before the address was changed does not verify the new one
+    if (!user || user.email !== decoded.email) {
+      return { statusCode: 400, error: 'This verification link is no longer valid' };
+    }
+    if (user.emailVerified) {
+      return { user };
+    }
+    return { user: await this.markVerified(user) };
+  }
+
+  /**
+   * Verify with the code from the email
+   * @returns {Object} { user } or { statusCode, error }
+   */
+  static async verifyCode(userId, code) {
+    const user = await User.findById(userId).select('+emailVerification.codeHash');
+    if (!user) {
+      return { statusCode: 404, error: 'User not found' };
+    }
+    if (user.emailVerified) {
+      return { user };
+    }
+
+    const state = user.emailVerification || {};
+    if (!state.codeHash || !state.codeExpiresAt || state.codeExpiresAt <= new Date()) {
+      return { statusCode: 400, error: 'This code has expired. Request a new one.' };
+    }
+    if (state.attempts >= MAX_CODE_ATTEMPTS) {
+      return { statusCode: 429, error: 'Too many incorrect codes. Request a new one.' };
+    }
+
+    if (hashCode(String(code || '').trim()) !== state.codeHash) {
+      user.emailVerification.attempts = state.attempts + 1;
+      await user.save();
+      return { statusCode: 400, error: 'Incorrect code' };
+    }
+
+    return { user: await this.markVerified(user) };
+  }
+
+  /**
+   * Verification state for the app
+   */
+  static status(user) {
+    return {
+      isVerified: !!user.emailVerified,
+      verificationDate: user.emailVerifiedAt || null,
+      status: user.emailVerified ? 'verified' : 'pending',
+      email: user.email,
+      retryAfter: user.emailVerified ? 0 : this.retryAfter(user.emailVerification || {})
+    };
+  }
+}
+
+module.exports = EmailVerificationService;
@@ -0,0 +1,455 @@
+const User = require('../models/User');
+const SystemSettings = require('../models/SystemSettings');
+const NotificationService = require('./NotificationService');
+const cache = require('./cache');
+const { getSetting, clearSettingsCache } = require('../middleware/settingsEnforcement');
+
+const POLICY_SETTING_KEY = 'enforcement_policy';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Least to most severe. A rule's action only applies once per user.
+const ACTIONS = ['warning', 'cooldown', 'freeze', 'ban'];
+
+// What a rule can measure on a user
+const METRICS = {
+  warnings: {
+    label: 'Warnings',
+    value: (user) => user.warnings?.length || 0
+  },
+  spamScore: {
+    label: 'Spam score',
+    value: (user) => user.spamScore || 0
+  },
+  rejectionRatio: {
+    label: 'Rejected report ratio',
+    // Only meaningful once enough reports were moderated (rule.minReports)
+    value: (user, rule) => {
+      const verified = user.reputation?.verifiedReports || 0;
+      const rejected = user.reputation?.rejectedReports || 0;
+      const moderated = verified + rejected;
+      if (moderated === 0 || moderated < (rule.minReports || 1)) return null;
+      return rejected / moderated;
+    }
+  }
+};
+
+// Shipped policy. Admins can replace it through PUT /api/admin/enforcement-policy;
+// until they do, the setting does not exist and this is used as-is.
+const DEFAULT_POLICY = {
+  enabled: true,
+  rules: [
+    { metric: 'spamScore', threshold: 3, action: 'warning' },
+    { metric: 'spamScore', threshold: 6, action: 'cooldown', durationHours: 24 },
+    { metric: 'warnings', threshold: 4, action: 'freeze', durationHours: 72 },
+    { metric: 'rejectionRatio', threshold: 0.6, minReports: 5, action: 'freeze', durationHours: 168 },
+    { metric: 'spamScore', threshold: 15, action: 'ban' }
+  ]
+};
+
+const ACTION_LABELS = {
+  warning: 'warning',
+  cooldown: 'reporting cooldown',
+  freeze: 'account freeze',
+  ban: 'account ban'
+};
+
+const ruleKey = (rule) => `${rule.metric}:${rule.threshold}:${rule.action}`;
+
+// Times in messages are shown in Philippine time, where Road Alert's users are
+const formatTime = (date) => date.toLocaleString('en-US', {
+  month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Manila'
+});
+
+class EnforcementService {
+
+  /**
+   * Get the active enforcement policy (stored setting, or the default)
+   * @returns {Object} { enabled, rules }
+   */
+  static async getPolicy() {
+    const stored = await getSetting(POLICY_SETTING_KEY, null);
+    if (stored && !this.validatePolicy(stored)) {
+      return stored;
+    }
+    if (stored) {
+      console.error('⚠️ Stored enforcement policy is invalid, falling back to default');
+    }
+    return DEFAULT_POLICY;
+  }
+
+  /**
+   * Check an enforcement policy before it is stored
+   * @param {Object} policy - Candidate policy
+   * @returns {String|null} Error message, or null when valid
+   */
+  static validatePolicy(policy) {
+    if (!policy || typeof policy !== 'object') {
+      return 'Enforcement policy must be an object';
+    }
+    if (!Array.isArray(policy.rules)) {
+      return 'rules must be an array';
+    }
+
+    for (const [index, rule] of policy.rules.entries()) {
+      if (!METRICS[rule.metric]) {
+        return `Rule ${index + 1}: metric must be one of ${Object.keys(METRICS).join(', ')}`;
+      }
+      if (!ACTIONS.includes(rule.action)) {
+        return `Rule ${index + 1}: action must be one of ${ACTIONS.join(', ')}`;
+      }
+      if (typeof rule.threshold !== 'number' || rule.threshold <= 0) {
+        return `Rule ${index + 1}: threshold must be a positive number`;
+      }
+      if (rule.metric === 'rejectionRatio' && rule.threshold > 1) {
+        return `Rule ${index + 1}: a rejection ratio threshold is between 0 and 1`;
+      }
+      if (rule.minReports !== undefined && (!Number.isInteger(rule.minReports) || rule.minReports < 1)) {
+        return `Rule ${index + 1}: minReports must be a positive whole number`;
+      }
+      const timed = rule.action === 'cooldown' || rule.action === 'freeze';
+      if (rule.action === 'cooldown' && rule.durationHours === undefined) {
+        return `Rule ${index + 1}: a cooldown needs durationHours`;
+      }
+      if (rule.durationHours !== undefined && (!timed || typeof rule.durationHours !== 'number' ||
+        rule.durationHours <= 0 || rule.durationHours > 24 * 365)) {
+        return `Rule ${index + 1}: durationHours applies to cooldown and freeze, and must be a positive number of hours`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a new enforcement policy
+   * @param {Object} policy - Validated policy
+   * @param {String} adminId - Admin making the change
+   */
+  static async savePolicy(policy, adminId) {
+    const setting = await SystemSettings.setSetting(POLICY_SETTING_KEY, {
+      enabled: policy.enabled !== false,
+      rules: policy.rules
+    }, {
+      category: 'security',
+      description: 'Automatic warnings, cooldowns, freezes and bans for user accounts',
+      dataType: 'object',
+      adminId
+    });
+    clearSettingsCache();
+    return setting.value;
+  }
+
+  /**
+   * What currently stops a user from submitting reports
+   * @param {Object} user - User document or lean user
+   * @param {Date} now
+   * @returns {Object|null} { type: 'ban'|'freeze'|'cooldown', until, reason, message }
+   */
+  static restriction(user, now = new Date()) {
+    const enforcement = user.enforcement || {};
+
+    if (enforcement.bannedAt) {
+      return {
+        type: 'ban',
+        until: null,
+        reason: user.freezeReason,
+        message: 'Your account has been banned from submitting reports. You can appeal from your profile.'
+      };
+    }
+
+    // A timed freeze that has run out no longer counts, even before releaseExpired() runs
+    const frozenUntil = enforcement.frozenUntil ? new Date(enforcement.frozenUntil) : null;
+    if (user.isFrozen && (!frozenUntil || frozenUntil > now)) {
+      return {
+        type: 'freeze',
+        until: frozenUntil,
+        reason: user.freezeReason,
+        message: frozenUntil
+          ? `Account is frozen until ${formatTime(frozenUntil)}. You cannot submit reports while your account is frozen.`
+          : 'Account is frozen. You cannot submit reports while your account is frozen.'
+      };
+    }
+
+    const cooldownUntil = enforcement.cooldownUntil ? new Date(enforcement.cooldownUntil) : null;
+    if (cooldownUntil && cooldownUntil > now) {
+      return {
+        type: 'cooldown',
+        until: cooldownUntil,
+        reason: null,
+        message: `Reporting is paused on your account until ${formatTime(cooldownUntil)}.`
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Apply the policy to a user after their warnings, spam score or moderated
+   * reports changed. Applies the most severe rule that newly matches; rules
+   * that already fired for the user are skipped. Never throws.
+   * @param {String} userId
+   * @returns {Object|null} History entry of the applied action, or null
+   */
+  static async evaluate(userId) {
+    try {
+      const policy = await this.getPolicy();
+      if (!policy.enabled || policy.rules.length === 0) return null;
+
+      const user = await User.findById(userId);
+      if (!user || user.enforcement?.bannedAt) return null;
+
+      const fired = new Set(user.enforcement?.firedRules || []);
+      const matched = policy.rules.filter(rule => {
+        if (fired.has(ruleKey(rule))) return false;
+        const value = METRICS[rule.metric].value(user, rule);
+        return value !== null && value >= rule.threshold;
+      });
+      if (matched.length === 0) return null;
+
+      // Lesser rules that match at the same time are spent too
+      const rule = matched.reduce((worst, candidate) => {
+        const diff = ACTIONS.indexOf(candidate.action) - ACTIONS.indexOf(worst.action);
+        if (diff !== 0) return diff > 0 ? candidate : worst;
+        return (candidate.durationHours || 0) > (worst.durationHours || 0) ? candidate : worst;
+      });
+      user.set('enforcement.firedRules', [...fired, ...matched.map(ruleKey)]);
+
+      const value = METRICS[rule.metric].value(user, rule);
+      const shown = rule.metric === 'rejectionRatio' ? `${Math.round(value * 100)}%` : value;
+      const limit = rule.metric === 'rejectionRatio' ? `${Math.round(rule.threshold * 100)}%` : rule.threshold;
+      const reason = `${METRICS[rule.metric].label} reached ${shown} (limit ${limit})`;
+
+      console.log(`⚖️ Enforcement policy: ${rule.action} for user ${user.username} - ${reason}`);
+      return await this.applyAction(user, rule.action, { reason, durationHours: rule.durationHours });
+    } catch (error) {
+      console.error('❌ Enforcement policy check failed for user', userId, error);
+      return null;
+    }
+  }
+
+  /**
+   * Apply an enforcement action to a user, record it in their history and notify them
+   * @param {Object} user - User document (saved here)
+   * @param {String} action - warning, cooldown, freeze or ban
+   * @param {Object} options
+   * @param {String} options.reason - Shown to the user
+   * @param {Number} options.durationHours - Cooldown/freeze length (freeze without one lasts until lifted)
+   * @param {String} options.message - Warning text (defaults to one built from the reason)
+   * @param {Object} options.admin - req.admin for manual actions (null for the policy)
+   * @returns {Object} The history entry
+   */
+  static async applyAction(user, action, { reason, durationHours, message, admin = null } = {}) {
+    const now = new Date();
+    const until = durationHours ? new Date(now.getTime() + durationHours * HOUR_MS) : null;
+    const entry = {
+      action,
+      reason,
+      source: admin ? 'admin' : 'policy',
+      until,
+      by: admin ? admin.id : null,
+      at: now
+    };
+
+    if (action === 'warning') {
+      user.warnings.push({
+        message: message || `Your account received a warning: ${reason}. Further violations may pause or freeze your account.`,
+        reason: admin ? reason : 'Automated Enforcement',
+        date: now,
+        by: admin ? admin.id : undefined
+      });
+      entry.warning = user.warnings[user.warnings.length - 1]._id;
+    }
+
+    if (action === 'cooldown') {
+      const current = user.enforcement?.cooldownUntil;
+      if (!current || current < until) user.set('enforcement.cooldownUntil', until);
+    }
+
+    if (action === 'freeze' || action === 'ban') {
+      user.isFrozen = true;
+      user.frozenAt = now;
+      user.frozenBy = admin ? admin.id : null;
+      user.freezeReason = reason;
+      user.set('enforcement.frozenUntil', action === 'freeze' ? until : null);
+    }
+
+    if (action === 'ban') {
+      user.set('enforcement.bannedAt', now);
+    }
+
+    user.enforcement.history.push(entry);
+    await user.save();
+    cache.invalidatePrefix(`profile:${user._id}`);
+
+    const saved = user.enforcement.history[user.enforcement.history.length - 1];
+    await NotificationService.createAccountActionNotification({
+      userId: user._id,
+      action,
+      reason,
+      until
+    });
+    return saved;
+  }
+
+  /**
+   * Undo the effect of a history entry after its appeal was approved.
+   * A warning is removed from the user's warnings; a cooldown, freeze or ban is
+   * lifted. The entry stays in the history. Caller saves the user.
+   * @param {Object} user - User document
+   * @param {Object} entry - enforcement.history entry
+   * @param {Object} admin - req.admin
+   */
+  static liftAction(user, entry, admin) {
+    const now = new Date();
+
+    if (entry.action === 'warning' && entry.warning) {
+      user.warnings.pull(entry.warning);
+    }
+    if (entry.action === 'cooldown') {
+      user.set('enforcement.cooldownUntil', null);
+    }
+    // Lifting an earlier freeze leaves a later ban in place
+    if (entry.action === 'ban' || (entry.action === 'freeze' && !user.enforcement.bannedAt)) {
+      this.unfreeze(user);
+      user.set('enforcement.bannedAt', null);
+    }
+
+    entry.liftedAt = now;
+    user.enforcement.history.push({
+      action: 'lift',
+      reason: `Appeal approved: ${ACTION_LABELS[entry.action]} from ${formatTime(entry.at)} lifted`,
+      source: 'admin',
+      by: admin.id,
+      at: now
+    });
+  }
+
+  /**
+   * Clear a user's freeze fields. Caller saves the user.
+   */
+  static unfreeze(user) {
+    user.isFrozen = false;
+    user.frozenAt = null;
+    user.frozenBy = null;
+    user.freezeReason = null;
+    user.set('enforcement.frozenUntil', null);
+  }
+
+  /**
+   * Lift a freeze or ban, record it and notify the user
+   * @param {Object} user - User document (saved here)
+   * @param {Object} options
+   * @param {String} options.reason - Shown to the user
+   * @param {Object} options.admin - req.admin, or null when the freeze period ended
+   */
+  static async release(user, { reason, admin = null } = {}) {
+    this.unfreeze(user);
+    user.set('enforcement.bannedAt', null);
+    user.enforcement.history.push({
+      action: 'unfreeze',
+      reason,
+      source: admin ? 'admin' : 'policy',
+      by: admin ? admin.id : null,
+      at: new Date()
+    });
+    await user.save();
+    cache.invalidatePrefix(`profile:${user._id}`);
+
+    await NotificationService.createAccountActionNotification({
+      userId: user._id,
+      action: 'unfreeze',
+      reason
+    });
+  }
+
+  /**
+   * Unfreeze users whose timed freeze has ended. Run periodically.
+   * @returns {Number} Users unfrozen
+   */
+  static async releaseExpired() {
+    try {
+      const users = await User.find({
+        isFrozen: true,
+        'enforcement.frozenUntil': { $lte: new Date() },
+        'enforcement.bannedAt': null
+      }).select('-password');
+
+      for (const user of users) {
+        await this.release(user, { reason: 'Your freeze period has ended. You can submit reports again' });
+      }
+
+      if (users.length > 0) {
+        console.log(`🔓 Unfroze ${users.length} user(s) whose freeze period ended`);
+      }
+      return users.length;
+    } catch (error) {
+      console.error('❌ Auto-unfreeze failed:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Record an appeal on a history entry
+   * @param {Object} user - User document (saved here)
+   * @param {String} entryId - enforcement.history entry
+   * @param {String} message - The user's explanation
+   * @param {Array} evidence - Attached files (AppealService.toEvidence)
+   * @returns {Object} { entry } or { statusCode, error }
+   */
+  static async fileAppeal(user, entryId, message, evidence = []) {
+    const entry = user.enforcement?.history?.id(entryId);
+    if (!entry || !ACTIONS.includes(entry.action)) {
+      return { statusCode: 404, error: 'Account action not found' };
+    }
+    if (entry.liftedAt) {
+      return { statusCode: 400, error: 'This action has already been lifted' };
+    }
+    if (entry.appeal?.status) {
+      return { statusCode: 400, error: 'This action has already been appealed' };
+    }
+
+    entry.appeal = { status: 'pending', message, evidence, submittedAt: new Date() };
+    await user.save();
+    cache.invalidatePrefix(`profile:${user._id}`);
+    return { entry };
+  }
+
+  /**
+   * Decide an appeal. Approving lifts the action.
+   * @param {Object} user - User document (saved here)
+   * @param {String} entryId - enforcement.history entry
+   * @param {Object} decision
+   * @param {Boolean} decision.approve
+   * @param {String} decision.response - Shown to the user
+   * @param {Object} decision.admin - req.admin
+   * @returns {Object} { entry } or { statusCode, error }
+   */
+  static async reviewAppeal(user, entryId, { approve, response, admin }) {
+    const entry = user.enforcement?.history?.id(entryId);
+    if (!entry || entry.appeal?.status !== 'pending') {
+      return { statusCode: 404, error: 'Pending appeal not found' };
+    }
+
+    entry.appeal.status = approve ? 'approved' : 'denied';
+    entry.appeal.response = response || null;
+    entry.appeal.reviewedBy = admin.id;
+    entry.appeal.reviewedAt = new Date();
+    if (approve) this.liftAction(user, entry, admin);
+
+    await user.save();
+    cache.invalidatePrefix(`profile:${user._id}`);
+
+    await NotificationService.createAccountActionNotification({
+      userId: user._id,
+      action: approve ? 'appeal_approved' : 'appeal_denied',
+      reason: response || (approve
+        ? `Your appeal was approved and the ${ACTION_LABELS[entry.action]} was lifted.`
+        : 'Your appeal was reviewed and the action stays in place.')
+    });
+    return { entry };
+  }
+}
+
+module.exports = EnforcementService;
+module.exports.DEFAULT_POLICY = DEFAULT_POLICY;
+module.exports.ACTIONS = ACTIONS;
@@ -319,6 +319,117 @@ class FcmService {
     }
   }
 
+  /**
+   * Send push notification to a reporter when an admin replies on their report
+   * @param {Object} report - Report object
+   * @param {String} message - Reply text
+   * @returns {Object} Result with success and failure counts
+   */
+  async sendAdminResponseNotification(report, message) {
+    if (!this.isReady()) {
+      console.log('⚠️ FCM not ready, skipping admin response notification');
+      return { successCount: 0, failureCount: 0 };
+    }
+
+    try {
+      const ownerId = report.reportedBy?.id;
+      if (!ownerId) {
+        return { successCount: 0, failureCount: 0 };
+      }
+
+      const devices = await Device.find({ userId: ownerId, isActive: true });
+      if (devices.length === 0) {
+        return { successCount: 0, failureCount: 0 };
+      }
+
+      const tokens = devices.map(d => d.token);
+
+      const notification = {
+        title: '💬 New reply on your report',
+        body: message.length > 100 ? `${message.substring(0, 100)}...` : message
+      };
+
+      const data = {
+        type: 'admin_response',
+        reportId: report._id.toString(),
+        category: report.type,
+        timestamp: new Date().toISOString()
+      };
+
+      return await this.sendNotification(tokens, notification, data);
+    } catch (error) {
+      console.error('❌ Error sending admin response notification:', error);
+      return { successCount: 0, failureCount: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Send push notification to a user about an action on their account
+   * (warning, cooldown, freeze, ban, appeal decision)
+   * @param {String} userId - User ID
+   * @param {Object} notification - { title, body }
+   * @param {String} action - Account action
+   * @returns {Object} Result with success and failure counts
+   */
+  async sendAccountActionNotification(userId, notification, action) {
+    if (!this.isReady()) {
+      console.log('⚠️ FCM not ready, skipping account action notification');
+      return { successCount: 0, failureCount: 0 };
+    }
+
+    try {
+      const devices = await Device.find({ userId, isActive: true });
+      if (devices.length === 0) {
+        return { successCount: 0, failureCount: 0 };
+      }
+
+      const data = {
+        type: 'account_action',
+        action,
+        timestamp: new Date().toISOString()
+      };
+
+      return await this.sendNotification(devices.map(d => d.token), notification, data);
+    } catch (error) {
+      console.error('❌ Error sending account action notification:', error);
+      return { successCount: 0, failureCount: 0, error: error.message };
+    }
+  }
+
+  /**
+   * Send push notification to a reporter about the decision on their appeal
+   * @param {Object} report - The appealed report
+   * @param {Object} notification - { title, body }
+   * @param {Boolean} approved - Whether the appeal was approved
+   * @returns {Object} Result with success and failure counts
+   */
+  async sendReportAppealNotification(report, notification, approved) {
+    if (!this.isReady()) {
+      console.log('⚠️ FCM not ready, skipping report appeal notification');
+      return { successCount: 0, failureCount: 0 };
+    }
+
+    try {
+      const devices = await Device.find({ userId: report.reportedBy?.id, isActive: true });
+      if (devices.length === 0) {
+        return { successCount: 0, failureCount: 0 };
+      }
+
+      const data = {
+        type: 'report_appeal',
+        reportId: report._id.toString(),
+        status: report.status,
+        decision: approved ? 'approved' : 'denied',
+        timestamp: new Date().toISOString()
+      };
+
+      return await this.sendNotification(devices.map(d => d.token), notification, data);
+    } catch (error) {
+      console.error('❌ Error sending report appeal notification:', error);
+      return { successCount: 0, failureCount: 0, error: error.message };
+    }
+  }
+
   /**
    * Send push notification for pending report to admins only
    * @param {Object} report - Report object
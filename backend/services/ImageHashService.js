@@ -0,0 +1,132 @@
+const sharp = require('sharp');
+const Report = require('../models/Report');
+
+// Hashes are 64-bit difference hashes (dHash), stored as 16 hex characters
+const HASH_WIDTH = 8;
+const HASH_HEIGHT = 8;
+
+// Bit differences up to this count are treated as the same photo
+// (re-encoded, resized, lightly cropped or recoloured)
+const MATCH_DISTANCE = 6;
+
+// The hash is split into 8 one-byte bands for the indexed candidate lookup.
+// Two hashes within MATCH_DISTANCE bits share at least one whole band.
+const BAND_COUNT = 8;
+
+// Candidate reports compared per lookup, newest first
+const CANDIDATE_LIMIT = 500;
+
+const POPCOUNT = Array.from({ length: 16 }, (_, n) => (n & 1) + ((n >> 1) & 1) + ((n >> 2) & 1) + ((n >> 3) & 1));
+
+/**
+ * Perceptual hashes of report images, used to find the same photo reused
+ * across reports (Report.images[].phash, indexed through Report.phashBands).
+ */
+class ImageHashService {
+  /**
+   * Perceptual hash of an image
+   * @param {Buffer} buffer - Image bytes
+   * @returns {String|null} 16 hex characters, or null if the image can't be decoded
+   */
+  static async hash(buffer) {
+    try {
+      const pixels = await sharp(buffer)
+        .rotate()
+        .grayscale()
+        .resize(HASH_WIDTH + 1, HASH_HEIGHT, { fit: 'fill' })
+        .raw()
+        .toBuffer();
+
+      // One bit per pixel: is it brighter than its right-hand neighbour?
+      let hex = '';
+      let nibble = 0;
+      for (let row = 0; row < HASH_HEIGHT; row++) {
+        for (let col = 0; col < HASH_WIDTH; col++) {
+          const offset = row * (HASH_WIDTH + 1) + col;
+          nibble = (nibble << 1) | (pixels[offset] > pixels[offset + 1] ? 1 : 0);
+          if ((row * HASH_WIDTH + col) % 4 === 3) {
+            hex += nibble.toString(16);
+            nibble = 0;
+          }
+        }
+      }
+      return hex;
+    } catch (error) {
+      console.error('❌ Image hash failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Number of differing bits between two hashes
+   */
+  static distance(a, b) {
+    let bits = 0;
+    for (let i = 0; i < a.length; i++) {
+      bits += POPCOUNT[parseInt(a[i], 16) ^ parseInt(b[i], 16)];
+    }
+    return bits;
+  }
+
+  /**
+   * Index keys for a set of hashes (Report.phashBands)
+   * @param {Array<String>} hashes - Hashes, empty entries are skipped
+   * @returns {Array<String>} e.g. ['0:a3', '1:7f', ...]
+   */
+  static bands(hashes) {
+    const width = 16 / BAND_COUNT;
+    const keys = new Set();
+    for (const hash of hashes.filter(Boolean)) {
+      for (let band = 0; band < BAND_COUNT; band++) {
+        keys.add(`${band}:${hash.substr(band * width, width)}`);
+      }
+    }
+    return [...keys];
+  }
+
+  /**
+   * Existing reports with images that near-match the given hashes
+   * @param {Array<String>} hashes - Hashes of the new images, by image index
+   * @param {Object} options
+   * @param {String} options.reporterId - Reporter of the new images (marks same-reporter reuse)
+   * @param {String} options.excludeReportId - Report to leave out (the one being checked)
+   * @returns {Array} [{ imageIndex, report, matchImageIndex, distance, sameReporter }], closest first
+   */
+  static async findMatches(hashes, { reporterId, excludeReportId } = {}) {
+    const bands = this.bands(hashes);
+    if (bands.length === 0) return [];
+
+    const filter = { phashBands: { $in: bands } };
+    if (excludeReportId) filter._id = { $ne: excludeReportId };
+
+    const candidates = await Report.find(filter)
+      .select('images.phash reportedBy.id')
+      .sort({ createdAt: -1 })
+      .limit(CANDIDATE_LIMIT)
+      .lean()
+      .maxTimeMS(10000);
+
+    const matches = [];
+    for (const candidate of candidates) {
+      (candidate.images || []).forEach((image, matchImageIndex) => {
+        if (!image.phash) return;
+        hashes.forEach((hash, imageIndex) => {
+          if (!hash) return;
+          const distance = this.distance(hash, image.phash);
+          if (distance > MATCH_DISTANCE) return;
+          matches.push({
+            imageIndex,
+            report: candidate._id,
+            matchImageIndex,
+            distance,
+            sameReporter: !!reporterId && candidate.reportedBy?.id?.toString() === reporterId.toString()
+          });
+        });
+      });
+    }
+
+    return matches.sort((a, b) => a.distance - b.distance);
+  }
+}
+
+module.exports = ImageHashService;
@@ -0,0 +1,257 @@
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { getImageStore } = require('./storage');
+
+// Responsive variants generated for every stored image: longest side in px.
+// Variants are WebP and never larger than the original.
+const VARIANTS = {
+  small: 320,
+  medium: 800,
+  large: 1600
+};
+
+// Older clients ask for `?size=thumb`
+const VARIANT_ALIASES = { thumb: 'small' };
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/jpg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'video/mp4': '.mp4',
+  'video/webm': '.webm'
+};
+
+/**
+ * Stores image bytes outside MongoDB (see services/storage) and serves them back.
+ *
+ * Image entries (Report.images[], Report.evidencePhoto, NewsPost.attachments[])
+ * keep only the storage keys. Every write uses a new key, so a key always
+ * points at the same bytes. Entries from before the store may still carry
+ * base64 `data`, which is read as a fallback until migrate-images-to-store.js runs.
+ */
+class ImageStorageService {
+  /**
+   * Normalise a requested size (e.g. `req.query.size`) to a variant name
+   * @returns {String} 'small', 'medium', 'large' or 'original'
+   */
+  static variantFor(size) {
+    const name = VARIANT_ALIASES[size] || size;
+    return VARIANTS[name] ? name : 'original';
+  }
+
+  /**
+   * Save an image (and its responsive variants) to the image store
+   * @param {String} prefix - Key prefix, e.g. `reports/<reportId>`
+   * @param {Buffer} buffer - File bytes
+   * @param {Object} options
+   * @param {String} options.mimetype - Content type of the file
+   * @returns {Object} Fields to set on the image entry
+   */
+  static async storeImage(prefix, buffer, { mimetype = 'image/jpeg' } = {}) {
+    const store = getImageStore();
+    const id = uuidv4();
+    const storageKey = `${prefix}/${id}${EXTENSIONS[mimetype] || ''}`;
+
+    await store.put(storageKey, buffer, { contentType: mimetype });
+
+    const variants = {};
+    if (mimetype.startsWith('image/')) {
+      for (const [name, size] of Object.entries(VARIANTS)) {
+        try {
+          const resized = await sharp(buffer)
+            .rotate()
+            .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: name === 'small' ? 70 : 80 })
+            .toBuffer();
+          const key = `${prefix}/${id}.${name}.webp`;
+          await store.put(key, resized, { contentType: 'image/webp' });
+          variants[name] = key;
+        } catch (error) {
+          // The original is still served in place of a missing variant
+          console.error(`❌ ${name} variant failed for ${storageKey}:`, error.message);
+        }
+      }
+    }
+
+    return {
+      storageKey,
+      variants,
+      storageDriver: store.name,
+      mimetype,
+      size: buffer.length
+    };
+  }
+
+  /**
+   * Whether an entry has bytes this service can serve (store or legacy base64)
+   */
+  static hasStoredImage(entry) {
+    return !!(entry && (entry.storageKey || entry.data));
+  }
+
+  /**
+   * Whether an entry has an image at all: a Cloudinary URL, or bytes in the store
+   */
+  static hasImage(entry) {
+    return !!(entry && (entry.imageUrl || this.hasStoredImage(entry)));
+  }
+
+  /**
+   * ETag for an entry without reading its bytes
+   * @param {Object} entry - Image entry
+   * @param {String} variant - 'original' or a VARIANTS name
+   */
+  static etagFor(entry, variant = 'original') {
+    const variantKey = entry.variants?.[variant];
+    if (variantKey) return `"${variantKey}"`;
+    if (entry.storageKey) return `"${entry.storageKey}"`;
+    return `"${entry._id}-r${entry.redaction?.passes || 0}"`;
+  }
+
+  /**
+   * Read an entry's bytes. Missing variants fall back to the original.
+   * @param {Object} entry - Image entry
+   * @param {Object} options
+   * @param {String} options.variant - 'original' or a VARIANTS name
+   * @returns {Object|null} { body, contentType, lastModified } or null when not available
+   */
+  static async readImage(entry, { variant = 'original' } = {}) {
+    const store = getImageStore();
+
+    const variantKey = entry.variants?.[variant];
+    if (variantKey) {
+      const resized = await store.get(variantKey);
+      if (resized) return resized;
+    }
+
+    if (entry.storageKey) {
+      const file = await store.get(entry.storageKey);
+      if (file) return { ...file, contentType: entry.mimetype || file.contentType };
+    }
+
+    if (entry.data) {
+      return {
+        body: Buffer.from(entry.data, 'base64'),
+        contentType: entry.mimetype || 'image/jpeg',
+        lastModified: entry.uploadDate || entry.uploadedAt || null
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Bytes of an entry's original image (store or legacy base64)
+   * @returns {Buffer|null}
+   */
+  static async readOriginal(entry) {
+    const file = await this.readImage(entry);
+    return file ? file.body : null;
+  }
+
+  /**
+   * Copy of an entry's store keys, for removing its files after the entry
+   * itself has been overwritten
+   */
+  static storedFiles(entry) {
+    return { storageKey: entry.storageKey, variants: { ...entry.variants } };
+  }
+
+  /**
+   * Delete an entry's files from the store. Failures are logged, not thrown.
+   */
+  static async removeImage(entry) {
+    if (!entry) return;
+    const store = getImageStore();
+    const keys = [entry.storageKey, ...Object.values(entry.variants || {})].filter(Boolean);
+    for (const key of keys) {
+      try {
+        await store.delete(key);
+      } catch (error) {
+        console.error(`❌ Failed to delete stored image ${key}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Cloudinary transformation for a variant. Used both as an `eager` upload
+   * option and to build delivery URLs, so the eagerly generated copy is the
+   * one that gets served.
+   */
+  static cloudinaryVariant(variant) {
+    const size = VARIANTS[variant];
+    return { width: size, height: size, crop: 'limit', quality: 'auto', fetch_format: 'webp' };
+  }
+
+  /**
+   * Cloudinary upload options that pre-generate every variant
+   * @param {Array<String>} names - Variants to generate (default: all)
+   */
+  static cloudinaryEager(names = Object.keys(VARIANTS)) {
+    return {
+      eager: names.map(name => this.cloudinaryVariant(name)),
+      eager_async: true
+    };
+  }
+
+  /**
+   * URL for a remotely hosted image (Cloudinary) in the requested variant
+   */
+  static remoteUrl(url, variant = 'original') {
+    const name = this.variantFor(variant);
+    if (name === 'original' || !url.includes('res.cloudinary.com') || !url.includes('/upload/')) {
+      return url;
+    }
+    // Same parameter order as the Cloudinary SDK, to match the eager copy
+    const size = VARIANTS[name];
+    return url.replace('/upload/', `/upload/c_limit,f_webp,h_${size},q_auto,w_${size}/`);
+  }
+
+  /**
+   * Send an entry as an HTTP response with caching headers. Remote images
+   * redirect; stored ones are served with an ETag that changes with the bytes.
+   * @returns {Boolean} false when there is nothing to serve (caller sends 404)
+   */
+  static async send(req, res, entry, { variant = 'original' } = {}) {
+    if (!entry) return false;
+
+    if (!this.hasStoredImage(entry)) {
+      if (!entry.imageUrl?.startsWith('http')) return false;
+      res.set('Cache-Control', 'public, max-age=3600');
+      res.redirect(302, this.remoteUrl(entry.imageUrl, variant));
+      return true;
+    }
+
+    const etag = this.etagFor(entry, variant);
+    // Revalidate hourly: the same URL gets new bytes when an image is re-redacted
+    const cacheHeaders = {
+      'Cache-Control': 'public, max-age=3600',
+      'ETag': etag,
+      'Access-Control-Allow-Origin': '*',
+      'Cross-Origin-Resource-Policy': 'cross-origin'
+    };
+
+    if (req.headers['if-none-match'] === etag) {
+      res.set(cacheHeaders);
+      res.status(304).end();
+      return true;
+    }
+
+    const file = await this.readImage(entry, { variant });
+    if (!file) return false;
+
+    res.set({
+      ...cacheHeaders,
+      'Content-Type': file.contentType,
+      'Content-Length': file.body.length,
+      ...(file.lastModified ? { 'Last-Modified': new Date(file.lastModified).toUTCString() } : {})
+    });
+    res.send(file.body);
+    return true;
+  }
+}
+
+module.exports = ImageStorageService;
+module.exports.VARIANTS = VARIANTS;
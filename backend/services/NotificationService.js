@@ -54,7 +54,7 @@ class NotificationService {
           const report = await Report.findById(reportId);
           if (report) {
             if (newStatus === 'verified') {
-              await fcmService.sendVerifiedReportNotification(report);
+              await this.sendProximityAlerts(report);
             } else if (newStatus === 'rejected') {
               await fcmService.sendRejectedReportNotification(report);
             } else if (newStatus === 'resolved') {
@@ -74,6 +74,175 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify every reporter of an incident after the whole cluster changed status.
+   * Creates one in-app notification per member report, sends a single personal
+   * push per reporter device, and at most one community broadcast.
+   * @param {Object} params - Notification parameters
+   * @param {Array} params.changes - [{ report, oldStatus }] for each updated member report
+   * @param {String} params.newStatus - New status applied to the incident
+   * @param {String} params.adminNotes - Optional admin notes
+   */
+  static async createIncidentStatusNotifications({
+    changes,
+    newStatus,
+    adminNotes = null
+  }) {
+    try {
+      const updated = changes.filter(({ report, oldStatus }) =>
+        report.reportedBy?.id && oldStatus !== newStatus
+      );
+      if (updated.length === 0) return [];
+
+      const notifications = updated.map(({ report, oldStatus }) => {
+        const { title, message } = this.getStatusUpdateContent({
+          oldStatus,
+          newStatus,
+          reportType: report.type,
+          adminNotes
+        });
+
+        return {
+          userId: report.reportedBy.id,
+          reportId: report._id,
+          type: 'verification_status',
+          title,
+          message,
+          status: newStatus,
+          isRead: false
+        };
+      });
+
+      const created = await Notification.insertMany(notifications);
+      console.log(`📧 Incident notifications created for ${created.length} reports (${newStatus})`);
+
+      // Personal push to each reporter's devices
+      try {
+        const Device = require('../models/Device');
+        const reporterIds = [...new Set(updated.map(({ report }) => report.reportedBy.id.toString()))];
+        const devices = await Device.find({ userId: { $in: reporterIds }, isActive: true }).select('token');
+        const { title, message } = this.getStatusUpdateContent({
+          oldStatus: null,
+          newStatus,
+          reportType: updated[0].report.type,
+          adminNotes
+        });
+
+        await fcmService.sendNotification(
+          devices.map(d => d.token),
+          { title, body: message },
+          {
+            type: `report_${newStatus}`,
+            reportId: updated[0].report._id.toString(),
+            status: newStatus,
+            timestamp: new Date().toISOString()
+          }
+        );
+
+        // Alert nearby users once per hazard, not once per duplicate
+        if (newStatus === 'verified') {
+          await this.sendProximityAlerts(updated[0].report);
+        }
+      } catch (fcmError) {
+        console.error('❌ Failed to send incident push notifications:', fcmError);
+      }
+
+      return created;
+
+    } catch (error) {
+      console.error('Failed to create incident notifications:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Notify reporters after a bulk moderation action. Creates every in-app
+   * notification in one insert and sends one push per reporter, summarising
+   * when several of their reports changed.
+   * @param {Object} params - Notification parameters
+   * @param {Array} params.changes - [{ report, oldStatus, newStatus, adminNotes }]
+   */
+  static async createBulkStatusNotifications({ changes }) {
+    try {
+      const updated = changes.filter(({ report, oldStatus, newStatus }) =>
+        report?.reportedBy?.id && oldStatus !== newStatus
+      );
+      if (updated.length === 0) return [];
+
+      const notifications = updated.map(({ report, oldStatus, newStatus, adminNotes }) => {
+        const { title, message } = this.getStatusUpdateContent({
+          oldStatus,
+          newStatus,
+          reportType: report.type,
+          adminNotes
+        });
+
+        return {
+          userId: report.reportedBy.id,
+          reportId: report._id,
+          type: 'verification_status',
+          title,
+          message,
+          status: newStatus,
+          isRead: false
+        };
+      });
+
+      const created = await Notification.insertMany(notifications);
+      console.log(`📧 Bulk notifications created for ${created.length} reports`);
+
+      try {
+        const Device = require('../models/Device');
+        const byReporter = new Map();
+        updated.forEach(change => {
+          const reporterId = change.report.reportedBy.id.toString();
+          byReporter.set(reporterId, [...(byReporter.get(reporterId) || []), change]);
+        });
+
+        const devices = await Device.find({ userId: { $in: [...byReporter.keys()] }, isActive: true }).select('userId token');
+
+        for (const [reporterId, reporterChanges] of byReporter) {
+          const tokens = devices.filter(d => d.userId.toString() === reporterId).map(d => d.token);
+          if (tokens.length === 0) continue;
+
+          // A report can change twice in one batch (verified, then assigned);
+          // the push describes where it ended up
+          const reportCount = new Set(reporterChanges.map(change => change.report._id.toString())).size;
+          const latest = reporterChanges[reporterChanges.length - 1];
+          const { title, message } = reportCount === 1
+            ? this.getStatusUpdateContent({ ...latest, reportType: latest.report.type })
+            : { title: 'Report Updates', message: `${reportCount} of your reports have been updated. Open the app to see the details.` };
+
+          await fcmService.sendNotification(
+            tokens,
+            { title, body: message },
+            {
+              type: `report_${latest.newStatus}`,
+              reportId: latest.report._id.toString(),
+              status: latest.newStatus,
+              timestamp: new Date().toISOString()
+            }
+          );
+        }
+
+        // Each verified report is its own hazard, so alert users near each one
+        for (const { report, newStatus } of updated) {
+          if (newStatus === 'verified') {
+            await this.sendProximityAlerts(report);
+          }
+        }
+      } catch (fcmError) {
+        console.error('❌ Failed to send bulk push notifications:', fcmError);
+      }
+
+      return created;
+
+    } catch (error) {
+      console.error('Failed to create bulk notifications:', error);
+      return [];
+    }
+  }
+
   /**
    * Generate notification content based on status change
    */
@@ -100,10 +269,35 @@ class NotificationService {
         };
         
       case 'pending':
+      case 'under_review':
         return {
           title: `Report Under Review: ${reportTypeDisplay}`,
           message: `Your ${reportType} report is currently being reviewed by our team. We'll notify you once it's been processed.`
         };
+
+      case 'assigned':
+        return {
+          title: `Crew Assigned: ${reportTypeDisplay}`,
+          message: `Your ${reportType} report has been assigned to a team for action.${adminNotes ? ` Admin notes: ${adminNotes}` : ''}`
+        };
+
+      case 'in_progress':
+        return {
+          title: `Work In Progress: ${reportTypeDisplay}`,
+          message: `Work has started on the ${reportType} issue you reported. We'll let you know once it's resolved.`
+        };
+
+      case 'duplicate':
+        return {
+          title: `Report Merged: ${reportTypeDisplay}`,
+          message: `Your ${reportType} report was already reported by someone else and is being handled under the original report. Thank you for reporting!`
+        };
+
+      case 'reopened':
+        return {
+          title: `Report Reopened: ${reportTypeDisplay}`,
+          message: `Your ${reportType} report has been reopened for another look.${adminNotes ? ` Admin notes: ${adminNotes}` : ''}`
+        };
         
       default:
         return {
@@ -153,6 +347,70 @@ class NotificationService {
     }
   }
 
+  /**
+   * Notify a reporter that an admin replied in their report's comment thread
+   * @param {Object} params - Notification parameters
+   * @param {Object} params.report - Report the comment belongs to
+   * @param {String} params.message - Reply text (or a note about attachments)
+   * @param {String} params.adminId - Admin who replied
+   */
+  static async createAdminResponseNotification({ report, message, adminId }) {
+    try {
+      const userId = report.reportedBy?.id;
+      if (!userId) return null;
+
+      const notification = await Notification.createAdminResponse(report._id, userId, message, adminId);
+      console.log(`📧 Admin response notification created for user ${userId}`);
+
+      fcmService.sendAdminResponseNotification(report, message).catch(error => {
+        console.error('❌ Failed to send admin response push:', error);
+      });
+
+      return notification;
+
+    } catch (error) {
+      console.error('Failed to create admin response notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Escalate SLA breaches to admins: one in-app notification per admin per report
+   * @param {Object} params - Notification parameters
+   * @param {Array} params.adminIds - Admins to notify (super admins)
+   * @param {Array} params.breaches - [{ report, stage, dueAt }]
+   */
+  static async createSlaBreachNotifications({ adminIds, breaches }) {
+    try {
+      if (adminIds.length === 0 || breaches.length === 0) return [];
+
+      const notifications = breaches.flatMap(({ report, stage, dueAt }) => {
+        const what = stage === 'verify' ? 'verified' : 'resolved';
+        const where = report.location?.address || [report.barangay, report.city].filter(Boolean).join(', ');
+
+        return adminIds.map(adminId => ({
+          adminId,
+          reportId: report._id,
+          type: 'sla_breach',
+          title: `⏱️ SLA breached: ${report.type} (${report.priority || 'medium'} priority)`,
+          message: `This report was not ${what} by ${new Date(dueAt).toLocaleString('en-PH')}.${where ? ` Location: ${where}` : ''}`,
+          status: report.status,
+          priority: report.priority === 'urgent' ? 'urgent' : 'high',
+          isRead: false
+        }));
+      });
+
+      const created = await Notification.insertMany(notifications);
+      console.log(`📧 ${created.length} SLA breach notification(s) created for ${adminIds.length} admin(s)`);
+
+      return created;
+
+    } catch (error) {
+      console.error('Failed to create SLA breach notifications:', error);
+      return [];
+    }
+  }
+
   /**
    * Get unread notification count for a user
    */
@@ -258,6 +516,102 @@ class NotificationService {
     }
   }
 
+  /**
+   * Tell a user about an action on their account (EnforcementService)
+   * @param {Object} params - Notification parameters
+   * @param {String} params.userId - User ID
+   * @param {String} params.action - warning, cooldown, freeze, ban, unfreeze, appeal_approved or appeal_denied
+   * @param {String} params.reason - Why, shown in the message
+   * @param {Date} params.until - End of a cooldown or freeze (optional)
+   */
+  static async createAccountActionNotification({ userId, action, reason, until = null }) {
+    try {
+      const titles = {
+        warning: '⚠️ Account Warning',
+        cooldown: '⏸️ Reporting Paused',
+        freeze: '🧊 Account Frozen',
+        ban: '⛔ Account Banned',
+        unfreeze: '🔓 Account Unfrozen',
+        appeal_approved: '✅ Appeal Approved',
+        appeal_denied: '❌ Appeal Denied'
+      };
+      const title = titles[action] || 'Account Update';
+      let message = reason.replace(/\.$/, '');
+      if (until) {
+        message += ` (until ${until.toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short', timeZone: 'Asia/Manila' })})`;
+      }
+      message += '.';
+      if (['warning', 'cooldown', 'freeze', 'ban'].includes(action)) {
+        message += ' You can appeal this from your profile.';
+      }
+
+      const notification = new Notification({
+        userId,
+        type: 'system_alert',
+        title,
+        message,
+        priority: ['freeze', 'ban'].includes(action) ? 'high' : 'normal',
+        isRead: false
+      });
+
+      await notification.save();
+      console.log(`📧 Account ${action} notification created for user ${userId}`);
+
+      fcmService.sendAccountActionNotification(userId, { title, body: notification.message }, action).catch(error => {
+        console.error('❌ Failed to send account action push:', error);
+      });
+
+      return notification;
+
+    } catch (error) {
+      console.error('Failed to create account action notification:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Tell a reporter how their appeal against a rejected report was decided
+   * @param {Object} params - Notification parameters
+   * @param {Object} params.report - The appealed report
+   * @param {Boolean} params.approved - Whether the appeal was approved
+   * @param {String} params.response - Admin's message (optional)
+   */
+  static async createReportAppealNotification({ report, approved, response = null }) {
+    try {
+      const userId = report.reportedBy?.id;
+      if (!userId) return null;
+
+      const title = approved ? '✅ Appeal Approved' : '❌ Appeal Denied';
+      let message = approved
+        ? `Your appeal was approved. Your ${report.type} report has been reopened for review.`
+        : `Your appeal was reviewed and your ${report.type} report stays rejected.`;
+      if (response) message += ` Admin response: ${response}`;
+
+      const notification = new Notification({
+        userId,
+        reportId: report._id,
+        type: 'status_update',
+        title,
+        message: message.slice(0, 1000),
+        status: report.status,
+        isRead: false
+      });
+
+      await notification.save();
+      console.log(`📧 Report appeal notification created for user ${userId}`);
+
+      fcmService.sendReportAppealNotification(report, { title, body: notification.message }, approved).catch(error => {
+        console.error('❌ Failed to send report appeal push:', error);
+      });
+
+      return notification;
+
+    } catch (error) {
+      console.error('Failed to create report appeal notification:', error);
+      return null;
+    }
+  }
+
   /**
    * Create a welcome notification for new users
    * @param {String} userId - User ID
@@ -284,6 +638,32 @@ class NotificationService {
     }
   }
 
+  /**
+   * Tell a user their password was reset (PasswordResetService)
+   * @param {String} userId - User ID
+   */
+  static async createPasswordChangedNotification(userId) {
+    try {
+      const notification = new Notification({
+        userId,
+        type: 'system_alert',
+        title: '🔑 Password Changed',
+        message: 'Your password was reset and all devices were signed out. If this was not you, reset your password again right away.',
+        priority: 'high',
+        isRead: false
+      });
+
+      await notification.save();
+      console.log(`📧 Password changed notification created for user ${userId}`);
+
+      return notification;
+
+    } catch (error) {
+      console.error('Failed to create password changed notification:', error);
+      return null;
+    }
+  }
+
   /**
    * Clean up old notifications (older than 30 days)
    */
@@ -306,39 +686,101 @@ class NotificationService {
   }
 
   /**
-   * Broadcast a notification to all users when a new report is submitted
-   * @param {Object} report - The new report object
+   * Alert users whose saved alert areas cover a hazard.
+   * Sends one in-app notification and one push per user (closest area wins),
+   * respecting the emergencyAlerts / verifiedReports preference toggles.
+   * Safe to call more than once for the same report - later calls are no-ops.
+   * @param {Object} report - Verified report, or an emergency report
+   * @returns {Number} Number of users alerted
    */
-  static async broadcastNewReportNotification(report) {
+  static async sendProximityAlerts(report) {
     try {
-      // Find all active users except the reporter
-      const User = require('../models/User');
-      const users = await User.find({ 
-        _id: { $ne: report.reportedBy?.id },
-        'profile.notificationsEnabled': true,
-        isActive: true 
-      }).select('_id');
+      const coordinates = report?.location?.coordinates;
+      if (!coordinates || typeof coordinates.latitude !== 'number') return 0;
 
-      if (users.length === 0) return;
+      const alreadySent = await Notification.exists({ reportId: report._id, type: 'system_alert' });
+      if (alreadySent) return 0;
+
+      const AlertArea = require('../models/AlertArea');
+      const User = require('../models/User');
+      const NotificationPreferences = require('../models/NotificationPreferences');
+      const Device = require('../models/Device');
+      const { getSetting } = require('../middleware/settingsEnforcement');
+
+      const maxRadius = Number(await getSetting('max_alert_radius_meters', 20000)) || 20000;
+      const areas = await AlertArea.findCovering(coordinates, maxRadius);
+
+      // Closest matching area per user, never the reporter themselves
+      const reporterId = report.reportedBy?.id?.toString();
+      const nearestByUser = new Map();
+      for (const area of areas) {
+        const userId = area.userId.toString();
+        if (userId === reporterId) continue;
+        const current = nearestByUser.get(userId);
+        if (!current || area.distance < current.distance) nearestByUser.set(userId, area);
+      }
+      if (nearestByUser.size === 0) return 0;
+
+      const activeUsers = await User.find({
+        _id: { $in: [...nearestByUser.keys()] },
+        'profile.notificationsEnabled': { $ne: false },
+        isActive: true
+      }).select('_id').lean();
+
+      const isEmergency = report.type === 'emergency' || report.priority === 'urgent';
+      const preferenceType = isEmergency ? 'emergency_alert' : 'report_verified';
+      const recipients = await NotificationPreferences.filterRecipients(
+        activeUsers.map(u => u._id),
+        preferenceType
+      );
+      if (recipients.length === 0) return 0;
 
       const reportTypeDisplay = report.type.charAt(0).toUpperCase() + report.type.slice(1).replace('_', ' ');
-      const location = `${report.barangay}, ${report.city}`;
+      const place = [report.barangay, report.city].filter(Boolean).join(', ') || report.location.address;
 
-      const notifications = users.map(user => ({
-        userId: user._id,
-        reportId: report._id,
-        type: 'system_alert',
-        title: `🚨 NEW HAZARD: ${reportTypeDisplay}`,
-        message: `A new ${report.type.replace('_', ' ')} has been reported at ${location}. Stay safe!`,
-        isRead: false
-      }));
+      const notifications = recipients.map(userId => {
+        const area = nearestByUser.get(userId.toString());
+        const distanceKm = (area.distance / 1000).toFixed(1);
+        return {
+          userId,
+          reportId: report._id,
+          type: 'system_alert',
+          title: isEmergency ? `🚨 EMERGENCY near ${area.label}` : `⚠️ ${reportTypeDisplay} near ${area.label}`,
+          message: `A ${isEmergency ? 'emergency' : `verified ${report.type.replace('_', ' ')}`} was reported at ${place}, ${distanceKm} km from ${area.label}. Stay safe!`,
+          priority: isEmergency ? 'urgent' : 'high',
+          isRead: false
+        };
+      });
 
-      // Insert all notifications at once for performance
       await Notification.insertMany(notifications);
-      console.log(`📢 Broadcasted new report notification to ${users.length} users`);
-      
+      console.log(`📍 Proximity alert for report ${report._id} sent to ${recipients.length} nearby users`);
+
+      try {
+        const devices = await Device.find({ userId: { $in: recipients }, isActive: true }).select('token').lean();
+        await fcmService.sendNotification(
+          devices.map(d => d.token),
+          {
+            title: isEmergency ? '🚨 Emergency Nearby' : `⚠️ ${reportTypeDisplay} Nearby`,
+            body: `Reported at ${place}. Tap for details.`
+          },
+          {
+            type: isEmergency ? 'emergency_alert' : 'report_verified',
+            reportId: report._id.toString(),
+            category: report.type,
+            barangay: report.barangay || '',
+            status: report.status,
+            timestamp: new Date().toISOString()
+          }
+        );
+      } catch (fcmError) {
+        console.error('❌ Failed to send proximity push notifications:', fcmError);
+      }
+
+      return recipients.length;
+
     } catch (error) {
-      console.error('Failed to broadcast notification:', error);
+      console.error('Failed to send proximity alerts:', error);
+      return 0;
     }
   }
 
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const cache = require('./cache');
+const { getMailTransport } = require('./mail');
+const SessionService = require('./SessionService');
+const NotificationService = require('./NotificationService');
+
+// The emailed code is short-lived and allows few guesses before it is discarded
+const OTP_TTL_MS = 10 * 60 * 1000;
+const MAX_OTP_ATTEMPTS = 5;
+
+// Request throttling per account: a short gap between emails and a cap per hour
+const REQUEST_COOLDOWN_MS = 60 * 1000;
+const MAX_REQUESTS_PER_WINDOW = 5;
+const REQUEST_WINDOW_MS = 60 * 60 * 1000;
+
+// Wrong codes and reset requests allowed from one IP before it pauses
+const MAX_IP_FAILURES = 20;
+const MAX_IP_REQUESTS = 20;
+const IP_WINDOW_SECONDS = 60 * 60;
+
+// A verified code is exchanged for a one-time token to set the new password with
+const RESET_TOKEN_TTL_MS = 15 * 60 * 1000;
+
+const hashSecret = (secret) => crypto.createHash('sha256').update(String(secret)).digest('hex');
+
+const ipLimited = (key, max) => (cache.get(key) || 0) >= max;
+const countIp = (key) => cache.set(key, (cache.get(key) || 0) + 1, IP_WINDOW_SECONDS);
+
+/**
+ * Password reset for app users: request an emailed 6-digit code, exchange it
+ * for a one-time reset token (POST /verify-otp), then set the new password
+ * with that token (POST /reset-password). Codes and tokens are stored hashed,
+ * and resetting signs the account out everywhere.
+ */
+class PasswordResetService {
+
+  /**
+   * Seconds until another reset code may be sent (0 when allowed)
+   * @param {Object} state - user.passwordReset
+   */
+  static retryAfter(state = {}, now = Date.now()) {
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < REQUEST_WINDOW_MS;
+    if (windowActive && state.requestCount >= MAX_REQUESTS_PER_WINDOW) {
+      return Math.ceil((state.windowStartedAt.getTime() + REQUEST_WINDOW_MS - now) / 1000);
+    }
+    if (state.lastSentAt && now - state.lastSentAt.getTime() < REQUEST_COOLDOWN_MS) {
+      return Math.ceil((state.lastSentAt.getTime() + REQUEST_COOLDOWN_MS - now) / 1000);
+    }
+    return 0;
+  }
+
+  /**
+   * Email a new reset code, unless the account or IP is throttled
+   * @param {Object} user - User document
+   * @param {String} ip - Requesting IP (req.ip, behind the trusted proxies only)
+   * @returns {Object} { sent: true, transport } or { sent: false, statusCode, error, retryAfter }
+   */
+  static async request(user, ip) {
+    const ipKey = `password-reset:requests:${ip}`;
+    if (ipLimited(ipKey, MAX_IP_REQUESTS)) {
+      return { sent: false, statusCode: 429, error: 'Too many reset requests. Please try again later.' };
+    }
+    countIp(ipKey);
+
+    const now = Date.now();
+    const state = user.passwordReset || {};
+    const retryAfter = this.retryAfter(state, now);
+    if (retryAfter > 0) {
+      return {
+        sent: false,
+        statusCode: 429,
+        error: `Please wait ${retryAfter} seconds before requesting another code`,
+        retryAfter
+      };
+    }
+
+    const otp = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < REQUEST_WINDOW_MS;
+    // A new code replaces any earlier code or unused reset token
+    user.passwordReset = {
+      otpHash: hashSecret(otp),
+      otpExpiresAt: new Date(now + OTP_TTL_MS),
+      attempts: 0,
+      lastSentAt: new Date(now),
+      requestCount: windowActive ? state.requestCount + 1 : 1,
+      windowStartedAt: windowActive ? state.windowStartedAt : new Date(now)
+    };
+    await user.save();
+
+    const transport = getMailTransport();
+    await transport.send({
+      to: user.email,
+      subject: 'Password Reset OTP - Road Alert',
+      text: [
+        `Your OTP for password reset is: ${otp}. It will expire in 10 minutes.`,
+        '',
+        'If you did not ask to reset your password, you can ignore this email.'
+      ].join('\n')
+    });
+
+    return { sent: true, transport };
+  }
+
+  /**
+   * Check an emailed code and exchange it for a one-time reset token
+   * @returns {Object} { resetToken } or { statusCode, error }
+   */
+  static async verifyOtp(email, otp, ip) {
+    const ipKey = `password-reset:failures:${ip}`;
+    if (ipLimited(ipKey, MAX_IP_FAILURES)) {
+      return { statusCode: 429, error: 'Too many incorrect codes. Please try again later.' };
+    }
+
+    const user = await User.findOne({ email }).select('+passwordReset.otpHash');
+    const state = user?.passwordReset || {};
+    if (!state.otpHash || !state.otpExpiresAt || state.otpExpiresAt <= new Date()) {
+      countIp(ipKey);
+      return { statusCode: 400, error: 'Invalid or expired OTP' };
+    }
+
+    // Count the guess before checking it, in one conditional update, so guesses
+    // sent in parallel can't all read the same attempt count
+    const counted = await User.findOneAndUpdate(
+      { _id: user._id, 'passwordReset.attempts': { $lt: MAX_OTP_ATTEMPTS } },
+      { $inc: { 'passwordReset.attempts': 1 } }
+    );
+    if (!counted) {
+      return { statusCode: 429, error: 'Too many incorrect codes. Request a new OTP.' };
+    }
+
+    if (hashSecret(String(otp).trim()) !== state.otpHash) {
+      countIp(ipKey);
+      return { statusCode: 400, error: 'Invalid or expired OTP' };
+    }
+
+    // The code is used up in the same update, so it can't be exchanged twice
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const exchanged = await User.findOneAndUpdate(
+      { _id: user._id, 'passwordReset.otpHash': state.otpHash },
+      {
+        $set: {
+          'passwordReset.attempts': 0,
+          'passwordReset.tokenHash': hashSecret(resetToken),
+          'passwordReset.tokenExpiresAt': new Date(Date.now() + RESET_TOKEN_TTL_MS)
+        },
+        $unset: { 'passwordReset.otpHash': 1, 'passwordReset.otpExpiresAt': 1 }
+      }
+    );
+    if (!exchanged) {
+      return { statusCode: 400, error: 'Invalid or expired OTP' };
+    }
+
+    return { resetToken };
+  }
+
+  /**
+   * Set a new password with a reset token; the token works once
+   * @returns {Object} { user } or { statusCode, error }
+   */
+  static async resetPassword(email, resetToken, newPassword) {
+    const user = await User.findOne({
+      email,
+      'passwordReset.tokenHash': hashSecret(resetToken),
+      'passwordReset.tokenExpiresAt': { $gt: new Date() }
+    });
+    if (!user) {
+      return { statusCode: 400, error: 'This reset link has expired. Please request a new OTP.' };
+    }
+
+    user.password = newPassword;
+    user.passwordReset = undefined;
+    await user.save();
+
+    // Whoever knew the old password is signed out everywhere
+    await SessionService.revokeAll({ userId: user._id }, { reason: 'password_change' });
+    cache.invalidatePrefix(`profile:${user._id}`);
+    console.log(`🔑 Password reset for ${user.email}`);
+
+    await this.notifyPasswordChanged(user);
+    return { user };
+  }
+
+  /**
+   * Tell the user their password changed, in the app and by email
+   */
+  static async notifyPasswordChanged(user) {
+    await NotificationService.createPasswordChangedNotification(user._id);
+    try {
+      await getMailTransport().send({
+        to: user.email,
+        subject: 'Your password was changed - Road Alert',
+        text: [
+          `Hi ${user.username},`,
+          '',
+          'The password for your Road Alert account was just reset, and all devices were signed out.',
+          '',
+          'If this was not you, reset your password again right away and contact us.'
+        ].join('\n')
+      });
+    } catch (error) {
+      console.error('Failed to send password changed email:', error);
+    }
+  }
+}
+
+module.exports = PasswordResetService;
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { getSmsGateway } = require('./sms');
+
+// Texted codes expire quickly and allow few guesses
+const CODE_TTL_MS = 10 * 60 * 1000;
+const MAX_CODE_ATTEMPTS = 5;
+
+// Resend throttling: a short gap between texts and a cap per hour
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Normalize a phone number to E.164. Local Philippine mobile numbers
+ * (09xxxxxxxxx) become +639xxxxxxxxx.
+ * @returns {String|null} E.164 number, or null when it doesn't look like one
+ */
+const normalizePhone = (phone) => {
+  let cleaned = String(phone || '').replace(/[\s()-]/g, '');
+  if (/^09\d{9}$/.test(cleaned)) cleaned = `+63${cleaned.slice(1)}`;
+  else if (/^639\d{9}$/.test(cleaned)) cleaned = `+${cleaned}`;
+  return /^\+\d{10,15}$/.test(cleaned) ? cleaned : null;
+};
+
+/**
+ * Proves a user can receive calls and texts at their profile phone number,
+ * which emergency reports pass on to responders. A 6-digit code is texted
+ * through the configured SMS gateway (services/sms). Emergency reports are
+ * blocked for unverified users while the require_phone_verification_for_sos
+ * setting is on (requireVerifiedPhone).
+ */
+class PhoneVerificationService {
+
+  /**
+   * Seconds until another code may be texted (0 when allowed)
+   * @param {Object} state - user.phoneVerification
+   */
+  static retryAfter(state = {}, now = Date.now()) {
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < SEND_WINDOW_MS;
+    if (windowActive && state.sendCount >= MAX_SENDS_PER_WINDOW) {
+      return Math.ceil((state.windowStartedAt.getTime() + SEND_WINDOW_MS - now) / 1000);
+    }
+    if (state.lastSentAt && now - state.lastSentAt.getTime() < RESEND_COOLDOWN_MS) {
+      return Math.ceil((state.lastSentAt.getTime() + RESEND_COOLDOWN_MS - now) / 1000);
+    }
+    return 0;
+  }
+
+  /**
+   * Text a new code to the user's profile phone, unless throttled
+   * @param {Object} user - User document
+   * @returns {Object} { sent: true, phone } or { sent: false, statusCode, error, retryAfter }
+   */
+  static async send(user) {
+    const phone = normalizePhone(user.profile?.phone);
+    if (!phone) {
+      return { sent: false, statusCode: 400, error: 'Add a valid mobile number to your profile first' };
+    }
+    if (user.phoneVerified) {
+      return { sent: false, statusCode: 400, error: 'Your phone number is already verified' };
+    }
+
+    const now = Date.now();
+    const state = user.phoneVerification || {};
+    const retryAfter = this.retryAfter(state, now);
+    if (retryAfter > 0) {
+      return {
+        sent: false,
+        statusCode: 429,
+        error: `Please wait ${retryAfter} seconds before requesting another code`,
+        retryAfter
+      };
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    const windowActive = state.windowStartedAt && now - state.windowStartedAt.getTime() < SEND_WINDOW_MS;
+    user.phoneVerification = {
+      phone,
+      codeHash: hashCode(code),
+      codeExpiresAt: new Date(now + CODE_TTL_MS),
+      attempts: 0,
+      lastSentAt: new Date(now),
+      sendCount: windowActive ? state.sendCount + 1 : 1,
+      windowStartedAt: windowActive ? state.windowStartedAt : new Date(now)
+    };
+    await user.save();
+
+    await getSmsGateway().send({
+      to: phone,
+      message: `Your Road Alert verification code is ${code}. It expires in 10 minutes. Do not share this code.`
+    });
+
+    return { sent: true, phone };
+  }
+
+  /**
+   * Verify with the texted code
+   * @returns {Object} { user } or { statusCode, error }
+   */
+  static async verifyCode(userId, code) {
+    const user = await User.findById(userId).select('+phoneVerification.codeHash');
+    if (!user) {
+      return { statusCode: 404, error: 'User not found' };
+    }
+    if (user.phoneVerified) {
+      return { user };
+    }
+
+    const state = user.phoneVerification || {};
+    if (!state.codeHash || !state.codeExpiresAt || state.codeExpiresAt <= new Date()) {
+      return { statusCode: 400, error: 'This code has expired. Request a new one.' };
+    }
+    // A code sent before the number was changed does not verify the new one
+    if (state.phone !== normalizePhone(user.profile?.phone)) {
+      return { statusCode: 400, error: 'Your phone number has changed. Request a new code.' };
+    }
+    if (state.attempts >= MAX_CODE_ATTEMPTS) {
+      return { statusCode: 429, error: 'Too many incorrect codes. Request a new one.' };
+    }
+
+    if (hashCode(String(code || '').trim()) !== state.codeHash) {
+      user.phoneVerification.attempts = state.attempts + 1;
+      await user.save();
+      return { statusCode: 400, error: 'Incorrect code' };
+    }
+
+    user.phoneVerified = true;
+    user.phoneVerifiedAt = new Date();
+    user.phoneVerification = undefined;
+    await user.save();
+    console.log(`📱 Phone verified for ${user.email}`);
+
+    return { user };
+  }
+
+  /**
+   * Reset verification when the profile phone number changes
+   * @param {Object} user - User document (not saved here)
+   * @param {String} previousPhone - Number before the update
+   */
+  static resetIfChanged(user, previousPhone) {
+    if (normalizePhone(previousPhone) === normalizePhone(user.profile?.phone)) return false;
+    user.phoneVerified = false;
+    user.phoneVerifiedAt = null;
+    user.phoneVerification = undefined;
+    return true;
+  }
+
+  /**
+   * Verification state for the app
+   */
+  static status(user) {
+    return {
+      isVerified: !!user.phoneVerified,
+      verificationDate: user.phoneVerifiedAt || null,
+      status: user.phoneVerified ? 'verified' : 'pending',
+      phone: user.profile?.phone || null,
+      retryAfter: user.phoneVerified ? 0 : this.retryAfter(user.phoneVerification || {})
+    };
+  }
+}
+
+module.exports = PhoneVerificationService;
+module.exports.normalizePhone = normalizePhone;
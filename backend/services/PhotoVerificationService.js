@@ -0,0 +1,161 @@
+const exifr = require('exifr');
+const { distanceInMeters } = require('./geoService');
+
+// Used when a camera records local time without an offset. Road Alert runs in
+// the Philippines, so phone clocks are normally on UTC+8.
+const DEFAULT_EXIF_OFFSET = process.env.PHOTO_EXIF_DEFAULT_OFFSET || '+08:00';
+
+// How far the photo's GPS fix may be from the report location
+const NEAR_METERS = 200;
+const MISMATCH_METERS = 1000;
+const FAR_METERS = 20000;
+
+// How old a photo may be when the report is submitted
+const RECENT_MINUTES = 60;
+const OLD_MINUTES = 24 * 60;
+const VERY_OLD_MINUTES = 30 * 24 * 60;
+// Camera clocks drift; only flag capture times well after submission
+const FUTURE_TOLERANCE_MINUTES = 60;
+
+const EDITING_SOFTWARE = /photoshop|gimp|lightroom|snapseed|picsart|canva|pixlr|facetune/i;
+
+const EXIF_FIELDS = [
+  'DateTimeOriginal', 'CreateDate', 'OffsetTimeOriginal', 'OffsetTime',
+  'GPSDateStamp', 'GPSTimeStamp', 'Software',
+  'GPSLatitude', 'GPSLatitudeRef', 'GPSLongitude', 'GPSLongitudeRef'
+];
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+// 'YYYY:MM:DD HH:MM:SS' plus an offset like '+08:00'
+const exifDate = (value, offset) => {
+  const match = /^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  if (!match) return null;
+  const [, year, month, day, hour, minute, second] = match;
+  const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${offset}`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Checks that report photos were taken where and when the report says.
+ *
+ * EXIF is read from each upload as it streams to Cloudinary (see
+ * uploadInspection), whose incoming transformation strips the metadata before
+ * the image is stored. Only the comparison results are kept on the report
+ * (distance and capture time), never the photo's own coordinates.
+ */
+class PhotoVerificationService {
+  /**
+   * Location, capture time and editing software from image bytes
+   * @param {Buffer} buffer - Image bytes
+   * @returns {Object|null} { latitude, longitude, takenAt, software } or null without EXIF
+   */
+  static async readExif(buffer) {
+    let tags;
+    try {
+      tags = await exifr.parse(buffer, { gps: true, reviveValues: false, pick: EXIF_FIELDS });
+    } catch (error) {
+      // Unsupported or corrupt metadata is treated like missing metadata
+      console.warn('⚠️ Could not read photo EXIF:', error.message);
+      return null;
+    }
+    if (!tags) return null;
+
+    const hasGps = Number.isFinite(tags.latitude) && Number.isFinite(tags.longitude);
+
+    // Prefer the camera's own offset, then the GPS clock (always UTC)
+    const localTime = tags.DateTimeOriginal || tags.CreateDate;
+    const offset = tags.OffsetTimeOriginal || tags.OffsetTime;
+    let takenAt = offset ? exifDate(localTime, offset) : null;
+    if (!takenAt && tags.GPSDateStamp && Array.isArray(tags.GPSTimeStamp)) {
+      const [hours, minutes, seconds] = tags.GPSTimeStamp.map(n => String(Math.floor(n)).padStart(2, '0'));
+      takenAt = exifDate(`${tags.GPSDateStamp} ${hours}:${minutes}:${seconds}`, 'Z');
+    }
+    if (!takenAt) takenAt = exifDate(localTime, DEFAULT_EXIF_OFFSET);
+
+    if (!hasGps && !takenAt && !tags.Software) return null;
+
+    return {
+      latitude: hasGps ? tags.latitude : null,
+      longitude: hasGps ? tags.longitude : null,
+      takenAt,
+      software: tags.Software || null
+    };
+  }
+
+  /**
+   * Compare one photo's EXIF with the report
+   * @param {Object|null} exif - From readExif()
+   * @param {Object} report
+   * @param {Object} report.coordinates - { latitude, longitude } of the report
+   * @param {Date} report.submittedAt - Submission time
+   * @returns {Object} { score, flags, distanceMeters, takenAt, ageMinutes }
+   */
+  static checkPhoto(exif, { coordinates, submittedAt }) {
+    const flags = [];
+    let score = 50;
+
+    if (!exif) {
+      // Camera captures and messaging apps drop EXIF, so this alone is neutral
+      return { score, flags: ['no_exif'], distanceMeters: null, takenAt: null, ageMinutes: null };
+    }
+
+    let distanceMeters = null;
+    if (exif.latitude !== null && exif.longitude !== null) {
+      distanceMeters = Math.round(distanceInMeters(coordinates, exif));
+      if (distanceMeters <= NEAR_METERS) score += 25;
+      else if (distanceMeters <= MISMATCH_METERS) score += 15;
+      else {
+        flags.push(distanceMeters > FAR_METERS ? 'location_far' : 'location_mismatch');
+        score -= distanceMeters > FAR_METERS ? 45 : 30;
+      }
+    } else {
+      flags.push('no_gps');
+    }
+
+    let ageMinutes = null;
+    if (exif.takenAt) {
+      ageMinutes = Math.round((submittedAt - exif.takenAt) / 60000);
+      if (ageMinutes < -FUTURE_TOLERANCE_MINUTES) {
+        flags.push('future_timestamp');
+        score -= 20;
+      } else if (ageMinutes <= RECENT_MINUTES) score += 25;
+      else if (ageMinutes <= OLD_MINUTES) score += 10;
+      else {
+        flags.push(ageMinutes > VERY_OLD_MINUTES ? 'very_old_photo' : 'old_photo');
+        score -= ageMinutes > VERY_OLD_MINUTES ? 40 : 25;
+      }
+    } else {
+      flags.push('no_timestamp');
+    }
+
+    if (exif.software && EDITING_SOFTWARE.test(exif.software)) {
+      flags.push('edited');
+      score -= 10;
+    }
+
+    return { score: clamp(score), flags, distanceMeters, takenAt: exif.takenAt, ageMinutes };
+  }
+
+  /**
+   * Verification record for a report. The weakest photo sets the score.
+   * @param {Array} files - Uploaded files with `exif` from readExif()
+   * @param {Object} report - { coordinates, submittedAt }, see checkPhoto()
+   * @returns {Object|undefined} Report.photoVerification, or undefined without photos
+   */
+  static verify(files, report) {
+    if (!files || files.length === 0) return undefined;
+
+    const photos = files.map((file, index) => ({ index, ...this.checkPhoto(file.exif || null, report) }));
+    const score = Math.min(...photos.map(photo => photo.score));
+    const flags = [...new Set(photos.flatMap(photo => photo.flags))];
+
+    let status = 'unverified';
+    if (score >= 75) status = 'consistent';
+    else if (score <= 35) status = 'suspicious';
+
+    return { score, status, flags, photos, checkedAt: new Date() };
+  }
+}
+
+module.exports = PhotoVerificationService;
@@ -0,0 +1,262 @@
+const cloudinary = require('cloudinary').v2;
+const axios = require('axios');
+const ImageStorageService = require('./ImageStorageService');
+
+// Pixelation block size in px. Re-redaction requested by an admin uses bigger blocks.
+const PIXELATE_SIZE = {
+  standard: 15,
+  strong: 30
+};
+
+// Temporary folder for images that are only passed through Cloudinary to be redacted
+const PASS_THROUGH_FOLDER = 'road_alert/redaction_tmp';
+
+// Text (licence plate) detection needs the Cloudinary OCR add-on, so it is opt-in
+const ocrEnabled = () => process.env.CLOUDINARY_OCR_REDACTION === 'true';
+
+// Kinds the redaction editor may report for a box it blurred
+const CLIENT_REGION_KINDS = ['face', 'plate', 'text', 'manual'];
+
+// Boxes per image accepted from the redaction editor
+const MAX_CLIENT_REGIONS = 50;
+
+// Bounding box of an OCR polygon
+const boxFromVertices = (vertices = []) => {
+  if (vertices.length === 0) return null;
+  const xs = vertices.map(v => v.x || 0);
+  const ys = vertices.map(v => v.y || 0);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+};
+
+const uploadBuffer = (buffer, options) => new Promise((resolve, reject) => {
+  const stream = cloudinary.uploader.upload_stream(options, (error, result) => {
+    if (error) return reject(error);
+    resolve(result);
+  });
+  stream.end(buffer);
+});
+
+/**
+ * Server-side privacy redaction for uploaded images.
+ *
+ * Redaction runs as a Cloudinary incoming transformation, so the stored asset
+ * is already pixelated and no unredacted original is kept. Each image gets a
+ * redaction record listing the regions that were covered.
+ */
+class RedactionService {
+  /**
+   * Transformation steps that pixelate faces, detected text (when OCR is
+   * enabled) and any extra regions given by an admin
+   * @param {Object} options
+   * @param {String} options.strength - 'standard' or 'strong'
+   * @param {Array} options.regions - Extra [{ x, y, width, height }] to cover
+   */
+  static transformation({ strength = 'standard', regions = [] } = {}) {
+    const size = PIXELATE_SIZE[strength] || PIXELATE_SIZE.standard;
+    const steps = [{ effect: `pixelate_faces:${size}` }];
+
+    if (ocrEnabled()) {
+      steps.push({ effect: `pixelate_region:${size}`, gravity: 'ocr_text' });
+    }
+
+    regions.forEach(region => {
+      steps.push({
+        effect: `pixelate_region:${size}`,
+        x: Math.round(region.x),
+        y: Math.round(region.y),
+        width: Math.round(region.width),
+        height: Math.round(region.height)
+      });
+    });
+
+    return steps;
+  }
+
+  /**
+   * Cloudinary upload options that redact the image on the way in and
+   * report what was detected
+   * @param {Object} options - See transformation()
+   * @param {Array} options.before - Steps to run before redaction (e.g. resizing)
+   */
+  static uploadOptions({ before = [], ...options } = {}) {
+    return {
+      transformation: [...before, ...this.transformation(options)],
+      faces: true,
+      ...(ocrEnabled() ? { ocr: 'adv_ocr' } : {})
+    };
+  }
+
+  /**
+   * Build the redaction record for an image from its Cloudinary upload result
+   * (multer uploads carry the result fields on req.files)
+   * @param {Object} result - Cloudinary upload result
+   * @param {Object} options
+   * @param {String} options.strength - Strength that was applied
+   * @param {Array} options.regions - Extra regions that were covered by hand
+   * @param {Object} options.admin - req.admin when an admin requested it
+   * @param {Number} options.passes - Times this image has been redacted
+   */
+  static recordFromUpload(result, { strength = 'standard', regions = [], admin = null, passes = 1 } = {}) {
+    const faces = (result.faces || []).map(([x, y, width, height]) => ({ kind: 'face', x, y, width, height }));
+
+    // The first OCR annotation is the whole text block, the rest are single words
+    const annotations = result.info?.ocr?.adv_ocr?.data?.[0]?.textAnnotations || [];
+    const text = annotations.slice(1)
+      .map(annotation => boxFromVertices(annotation.boundingPoly?.vertices))
+      .filter(Boolean)
+      .map(box => ({ kind: 'text', ...box }));
+
+    // Boxes from the redaction editor keep the kind the client detected them as
+    const manual = regions.map(({ kind, x, y, width, height }) => ({
+      kind: CLIENT_REGION_KINDS.includes(kind) ? kind : 'manual',
+      x,
+      y,
+      width,
+      height
+    }));
+
+    // Without OCR only faces are found automatically. Unless an admin redacted
+    // it or the editor covered plates/text, the record is 'partial' so admins
+    // can see plates may still be visible.
+    const textCovered = ocrEnabled() || !!admin || manual.some(region => ['plate', 'text'].includes(region.kind));
+
+    return {
+      status: textCovered ? 'redacted' : 'partial',
+      engine: 'cloudinary',
+      strength,
+      regions: [...faces, ...text, ...manual],
+      passes,
+      redactedAt: new Date(),
+      redactedBy: admin ? admin.id : null
+    };
+  }
+
+  /**
+   * Regions a client already blurred into an image (redaction editor), scaled
+   * from the size the client edited at to the size that was stored.
+   * Invalid input is dropped rather than rejected; the image itself is already redacted.
+   * @param {Object|String} submitted - { width, height, regions: [{ kind, x, y, width, height }] } or its JSON
+   * @param {Object} stored - Upload result / multer file with width and height
+   * @returns {Array} Regions in stored image pixels
+   */
+  static clientRegions(submitted, stored = {}) {
+    let parsed = submitted;
+    if (typeof submitted === 'string') {
+      try {
+        parsed = JSON.parse(submitted);
+      } catch {
+        return [];
+      }
+    }
+    if (!parsed || !Array.isArray(parsed.regions)) return [];
+
+    const scaleX = parsed.width > 0 && stored.width > 0 ? stored.width / parsed.width : 1;
+    const scaleY = parsed.height > 0 && stored.height > 0 ? stored.height / parsed.height : 1;
+
+    return parsed.regions
+      .slice(0, MAX_CLIENT_REGIONS)
+      .filter(region => region && ['x', 'y', 'width', 'height'].every(key => Number.isFinite(Number(region[key]))))
+      .filter(region => Number(region.width) > 0 && Number(region.height) > 0)
+      .map(region => ({
+        kind: region.kind,
+        x: Math.round(Number(region.x) * scaleX),
+        y: Math.round(Number(region.y) * scaleY),
+        width: Math.round(Number(region.width) * scaleX),
+        height: Math.round(Number(region.height) * scaleY)
+      }));
+  }
+
+  /**
+   * Redact an image held in memory (storage that does not go through Cloudinary).
+   * The image is passed through Cloudinary and the temporary asset deleted.
+   * @param {Buffer} buffer - Image bytes
+   * @param {Object} options - See recordFromUpload()
+   * @returns {Object} { buffer, mimetype, redaction }
+   */
+  static async redactBuffer(buffer, options = {}) {
+    const result = await uploadBuffer(buffer, {
+      folder: PASS_THROUGH_FOLDER,
+      ...this.uploadOptions(options)
+    });
+
+    try {
+      const response = await axios.get(result.secure_url, { responseType: 'arraybuffer', timeout: 30000 });
+      return {
+        buffer: Buffer.from(response.data),
+        mimetype: `image/${result.format === 'jpg' ? 'jpeg' : result.format}`,
+        redaction: this.recordFromUpload(result, options)
+      };
+    } finally {
+      cloudinary.uploader.destroy(result.public_id, { invalidate: true }).catch(error => {
+        console.error('❌ Failed to delete temporary redaction asset:', error.message);
+      });
+    }
+  }
+
+  /**
+   * Cloudinary public ID of a stored image, from its record or its URL
+   */
+  static publicIdOf(image) {
+    if (image.publicId) return image.publicId;
+    const match = image.imageUrl?.match(/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:v\d+\/)?(.+)\.\w+$/);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Redact a stored report image again, replacing it in place. Used when an
+   * admin spots something the first pass missed.
+   * @param {Object} report - Report document (caller saves it)
+   * @param {Number} index - Index in report.images
+   * @param {Object} options
+   * @param {Object} options.admin - req.admin
+   * @param {String} options.strength - Defaults to 'strong'
+   * @param {Array} options.regions - Extra [{ x, y, width, height }] to cover
+   * @returns {Object} The updated image entry
+   */
+  static async reRedactReportImage(report, index, { admin = null, strength = 'strong', regions = [] } = {}) {
+    const image = report.images[index];
+    if (!image) {
+      throw Object.assign(new Error('Image not found'), { statusCode: 404 });
+    }
+
+    const passes = (image.redaction?.passes || 0) + 1;
+    const options = { strength, regions, admin, passes };
+    const publicId = this.publicIdOf(image);
+
+    if (publicId) {
+      // Overwrite the asset with a redacted copy of itself; invalidate drops CDN copies
+      const result = await cloudinary.uploader.upload(image.imageUrl, {
+        public_id: publicId,
+        overwrite: true,
+        invalidate: true,
+        ...this.uploadOptions(options)
+      });
+      image.imageUrl = result.secure_url;
+      image.publicId = result.public_id;
+      image.redaction = this.recordFromUpload(result, options);
+    } else if (ImageStorageService.hasStoredImage(image)) {
+      const original = await ImageStorageService.readOriginal(image);
+      if (!original) {
+        throw Object.assign(new Error('Image file is missing from storage'), { statusCode: 404 });
+      }
+      const redacted = await this.redactBuffer(original, options);
+      const previous = ImageStorageService.storedFiles(image);
+
+      Object.assign(image, await ImageStorageService.storeImage(`reports/${report._id}`, redacted.buffer, {
+        mimetype: redacted.mimetype
+      }));
+      image.data = undefined;
+      image.redaction = redacted.redaction;
+      // The less redacted copy is not kept
+      await ImageStorageService.removeImage(previous);
+    } else {
+      throw Object.assign(new Error('This image is not stored in a format that can be redacted'), { statusCode: 400 });
+    }
+
+    return image;
+  }
+}
+
+module.exports = RedactionService;
@@ -0,0 +1,153 @@
+const Report = require('../models/Report');
+const User = require('../models/User');
+const EnforcementService = require('./EnforcementService');
+
+// Points a report earns its reporter once moderated. Reopened reports keep
+// whatever they had; statuses not listed here count as unmoderated (0).
+const STATUS_POINTS = {
+  pending: 0,
+  under_review: 0,
+  verified: 1,
+  assigned: 1,
+  in_progress: 1,
+  resolved: 1,
+  rejected: -2,
+  duplicate: 0
+};
+
+// Points lose half their weight every 90 days, so old behaviour fades out
+const HALF_LIFE_MS = 90 * 24 * 60 * 60 * 1000;
+
+// Points at which trust reaches ~88/100 (trust follows tanh, so it saturates)
+const TRUST_SCALE = 5;
+
+// Reports still waiting for a moderator, ordered by their reporter's trust
+const QUEUE_STATUSES = ['pending', 'under_review'];
+
+/**
+ * Reporter reputation: decaying points from moderated reports (User.reputation),
+ * shown to admins as a 0-100 trust score. New reporters start at 50.
+ */
+class ReputationService {
+
+  /**
+   * Reputation points after decay
+   * @param {Object} reputation - User.reputation
+   * @param {Date} now
+   * @returns {Number}
+   */
+  static decayedPoints(reputation, now = new Date()) {
+    if (!reputation?.points || !reputation.updatedAt) return 0;
+    const elapsed = Math.max(0, now - new Date(reputation.updatedAt));
+    return reputation.points * Math.pow(0.5, elapsed / HALF_LIFE_MS);
+  }
+
+  /**
+   * Trust score (0-100) of a reporter
+   * @param {Object} reputation - User.reputation
+   * @param {Date} now
+   * @returns {Number}
+   */
+  static trust(reputation, now = new Date()) {
+    return Math.round(50 + 50 * Math.tanh(this.decayedPoints(reputation, now) / TRUST_SCALE));
+  }
+
+  /**
+   * Reputation summary for admin views
+   * @param {Object} user - User with reputation
+   */
+  static summarize(user) {
+    return {
+      trust: this.trust(user.reputation),
+      verifiedReports: user.reputation?.verifiedReports || 0,
+      rejectedReports: user.reputation?.rejectedReports || 0
+    };
+  }
+
+  /**
+   * Credit (or debit) a report's reporter for its current status. Safe to call
+   * after any status change: the points already credited for the report are
+   * stored on it, so only the difference is applied.
+   * Never throws - reputation must not break moderation.
+   * @param {Object} report - Report (or { _id, status }) after the change
+   * @returns {Number|null} The reporter's new trust, or null when nothing changed
+   */
+  static async recordOutcome(report) {
+    try {
+      return await this.applyOutcome(report);
+    } catch (error) {
+      console.error('❌ Reputation update failed for report', report?._id, error);
+      return null;
+    }
+  }
+
+  static async applyOutcome(report) {
+    const target = STATUS_POINTS[report.status];
+    if (target === undefined) return null;
+
+    // Claim the change on the report first so concurrent calls can't double count
+    const previous = await Report.findOneAndUpdate(
+      { _id: report._id, status: report.status },
+      { $set: { reputationPoints: target } },
+      { projection: { reputationPoints: 1, 'reportedBy.id': 1 } }
+    ).lean();
+    if (!previous?.reportedBy?.id) return null;
+
+    const before = previous.reputationPoints || 0;
+    const delta = target - before;
+    if (delta === 0) return null;
+
+    const counted = (points, sign) => (Math.sign(points) === sign ? 1 : 0);
+    const rejected = counted(target, -1) - counted(before, -1);
+    const trust = await this.addPoints(previous.reportedBy.id, delta, {
+      verified: counted(target, 1) - counted(before, 1),
+      rejected
+    });
+
+    // A new rejection can cross the enforcement policy's rejection ratio
+    if (rejected > 0) await EnforcementService.evaluate(previous.reportedBy.id);
+    return trust;
+  }
+
+  /**
+   * Apply decay and add points to a user's reputation in one atomic update,
+   * then refresh the trust stored on their reports awaiting moderation
+   * @param {String} userId
+   * @param {Number} delta - Points to add (negative to remove)
+   * @param {Object} counts - Changes to the verified/rejected report counters
+   * @returns {Number|null} New trust score
+   */
+  static async addPoints(userId, delta, { verified = 0, rejected = 0 } = {}) {
+    const now = new Date();
+    const elapsed = { $max: [0, { $subtract: [now, { $ifNull: ['$reputation.updatedAt', now] }] }] };
+
+    const user = await User.findOneAndUpdate(
+      { _id: userId },
+      [{
+        $set: {
+          'reputation.points': {
+            $add: [
+              { $multiply: [{ $ifNull: ['$reputation.points', 0] }, { $pow: [0.5, { $divide: [elapsed, HALF_LIFE_MS] }] }] },
+              delta
+            ]
+          },
+          'reputation.verifiedReports': { $add: [{ $ifNull: ['$reputation.verifiedReports', 0] }, verified] },
+          'reputation.rejectedReports': { $add: [{ $ifNull: ['$reputation.rejectedReports', 0] }, rejected] },
+          'reputation.updatedAt': now
+        }
+      }],
+      { new: true, projection: { reputation: 1 } }
+    ).lean();
+    if (!user) return null;
+
+    const reporterTrust = this.trust(user.reputation, now);
+    await Report.updateMany(
+      { 'reportedBy.id': userId, status: { $in: QUEUE_STATUSES } },
+      { $set: { reporterTrust } }
+    );
+    return reporterTrust;
+  }
+}
+
+module.exports = ReputationService;
+module.exports.STATUS_POINTS = STATUS_POINTS;
@@ -0,0 +1,313 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const Device = require('../models/Device');
+const cache = require('./cache');
+const { getSetting } = require('../middleware/settingsEnforcement');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your_jwt_secret';
+
+// Access tokens are short-lived; clients renew them with the refresh token
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_EXPIRE || '15m';
+
+// Idle lifetime of a session when session_timeout_minutes is 0 (no timeout)
+const DEFAULT_SESSION_MINUTES = 7 * 24 * 60;
+
+// Two tabs refreshing at once both present the same token; the loser gets a
+// 401 instead of the session being revoked as stolen
+const REUSE_GRACE_MS = 30 * 1000;
+
+// How long an authenticated request trusts a cached session lookup (seconds)
+const SESSION_CACHE_TTL = 30;
+
+// lastSeenAt is written at most this often per session
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// How long a sign-in or step-up re-authentication covers destructive admin actions
+const STEP_UP_WINDOW_MS = 5 * 60 * 1000;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// req.ip honours X-Forwarded-For only through the proxies trusted in server.js
+const requestIP = (req) => req.ip || req.connection?.remoteAddress || null;
+
+const requestUserAgent = (req) => (req.headers?.['user-agent'] || '').slice(0, 500) || null;
+
+/**
+ * Signed-in devices of users and admins. Every sign-in creates a Session;
+ * access tokens carry its id (sid) and stop working as soon as it is revoked.
+ * Refresh tokens are opaque ("<sessionId>.<secret>"), rotate on every use and
+ * are stored only as a hash.
+ */
+class SessionService {
+
+  /**
+   * Access token claims for a signed-in account
+   * @param {Object} account - User or Admin
+   * @param {String} kind - 'user' or 'admin'
+   */
+  static accessPayload(account, kind) {
+    return kind === 'admin'
+      ? { id: account._id, username: account.username, role: account.role }
+      : { id: account._id, username: account.username, email: account.email };
+  }
+
+  /**
+   * When a session idles out if it is not refreshed
+   */
+  static async nextExpiry() {
+    const minutes = await getSetting('session_timeout_minutes', 1440);
+    return new Date(Date.now() + (minutes > 0 ? minutes : DEFAULT_SESSION_MINUTES) * 60 * 1000);
+  }
+
+  /**
+   * Sign an access token for a session and pair it with a refresh token
+   */
+  static issueTokens(session, payload, secret) {
+    const token = jwt.sign({ ...payload, sid: session._id }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+    return {
+      token,
+      refreshToken: `${session._id}.${secret}`,
+      session
+    };
+  }
+
+  /**
+   * Start a session after a successful sign-in
+   * @param {Object} options
+   * @param {Object} options.user - Signed-in user (or)
+   * @param {Object} options.admin - Signed-in admin
+   * @param {Object} req - Express request (IP and user agent)
+   * @returns {Object} { token, refreshToken, session }
+   */
+  static async createSession({ user, admin }, req) {
+    const kind = admin ? 'admin' : 'user';
+    const account = admin || user;
+    const secret = crypto.randomBytes(32).toString('hex');
+
+    const session = await Session.create({
+      userId: user ? user._id : null,
+      adminId: admin ? admin._id : null,
+      refreshTokenHash: hashToken(secret),
+      userAgent: requestUserAgent(req),
+      ip: requestIP(req),
+      expiresAt: await this.nextExpiry()
+    });
+
+    return this.issueTokens(session, this.accessPayload(account, kind), secret);
+  }
+
+  /**
+   * Split a refresh token into its session id and secret
+   * @returns {Object|null} { sessionId, secret }
+   */
+  static parseRefreshToken(refreshToken) {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+    return { sessionId, secret };
+  }
+
+  /**
+   * Exchange a refresh token for a new access token and refresh token.
+   * Presenting an already-rotated token outside the grace window revokes the
+   * session, since one of the two holders must have copied it.
+   * @returns {Object} { token, refreshToken, session } or { statusCode, error }
+   */
+  static async refresh(refreshToken, req) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return { statusCode: 401, error: 'Invalid refresh token' };
+
+    const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash');
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return { statusCode: 401, error: 'Session has ended, please sign in again' };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    if (presentedHash !== session.refreshTokenHash) {
+      if (presentedHash === session.previousTokenHash) {
+        if (session.rotatedAt && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS) {
+          return { statusCode: 401, error: 'Refresh token was already used' };
+        }
+        console.warn(`🚨 Refresh token reuse on session ${session._id}, revoking`);
+        await this.revoke(session._id, 'token_reuse');
+      }
+      return { statusCode: 401, error: 'Invalid refresh token' };
+    }
+
+    const kind = session.adminId ? 'admin' : 'user';
+    const account = kind === 'admin'
+      ? await Admin.findById(session.adminId).select('username role isActive').lean()
+      : await User.findById(session.userId).select('username email isActive').lean();
+    if (!account || !account.isActive) {
+      return { statusCode: 401, error: 'Account is deactivated' };
+    }
+
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    // Conditional on the presented hash so two concurrent refreshes cannot both rotate
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+      {
+        $set: {
+          refreshTokenHash: hashToken(secret),
+          previousTokenHash: presentedHash,
+          rotatedAt: now,
+          lastSeenAt: now,
+          ip: requestIP(req),
+          userAgent: requestUserAgent(req),
+          expiresAt: await this.nextExpiry()
+        }
+      },
+      { new: true }
+    );
+    if (!rotated) return { statusCode: 401, error: 'Refresh token was already used' };
+
+    cache.del(`session:${session._id}`);
+    return this.issueTokens(rotated, this.accessPayload(account, kind), secret);
+  }
+
+  /**
+   * Verify an access token and check that its session is still signed in.
+   * Throws the usual jsonwebtoken errors for bad or expired tokens.
+   * @param {String} token
+   * @param {Object} req - Express request (records when the session was last seen)
+   * @returns {Object|null} Decoded claims, or null when the session was revoked
+   */
+  static async verifyAccessToken(token, req) {
+    const decoded = jwt.verify(token, JWT_SECRET);
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return null;
+
+    const key = `session:${decoded.sid}`;
+    let session = cache.get(key);
+    if (!session) {
+      session = await Session.findById(decoded.sid).select('revokedAt lastSeenAt').lean();
+      if (!session) return null;
+      cache.set(key, session, SESSION_CACHE_TTL);
+    }
+    if (session.revokedAt) return null;
+
+    if (req && Date.now() - new Date(session.lastSeenAt).getTime() > LAST_SEEN_INTERVAL_MS) {
+      session.lastSeenAt = new Date();
+      Session.updateOne({ _id: decoded.sid }, { lastSeenAt: session.lastSeenAt, ip: requestIP(req) })
+        .exec()
+        .catch(err => console.error('Session last seen update failed:', err));
+    }
+
+    return decoded;
+  }
+
+  /**
+   * Sign out one session. Its push device stops receiving notifications.
+   * @param {String} sessionId
+   * @param {String} reason - Session.revokedReason
+   * @param {Object} owner - { userId } or { adminId } the session must belong to
+   * @returns {Boolean} Whether a signed-in session was revoked
+   */
+  static async revoke(sessionId, reason, owner = {}) {
+    const session = await Session.findOneAndUpdate(
+      { _id: sessionId, ...owner, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+      { new: true }
+    ).lean();
+    cache.del(`session:${sessionId}`);
+    if (!session) return false;
+
+    if (session.device) {
+      await Device.updateOne({ _id: session.device }, { isActive: false });
+    }
+    return true;
+  }
+
+  /**
+   * Sign out the session a refresh token belongs to (logout)
+   * @returns {Boolean} Whether a signed-in session was revoked
+   */
+  static async revokeByRefreshToken(refreshToken, reason) {
+    const parsed = this.parseRefreshToken(refreshToken);
+    if (!parsed) return false;
+
+    const session = await Session.findById(parsed.sessionId).select('+refreshTokenHash +previousTokenHash').lean();
+    const presentedHash = hashToken(parsed.secret);
+    if (!session || (presentedHash !== session.refreshTokenHash && presentedHash !== session.previousTokenHash)) {
+      return false;
+    }
+    return this.revoke(session._id, reason);
+  }
+
+  /**
+   * Sign out every session of an account
+   * @param {Object} owner - { userId } or { adminId }
+   * @param {Object} options
+   * @param {String} options.reason - Session.revokedReason
+   * @param {String} options.except - Session to keep (the caller's own)
+   * @returns {Number} Sessions revoked
+   */
+  static async revokeAll(owner, { reason, except = null } = {}) {
+    const filter = { ...owner, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const sessions = await Session.find(filter).select('_id device').lean();
+    if (sessions.length === 0) return 0;
+
+    const ids = sessions.map(session => session._id);
+    await Session.updateMany({ _id: { $in: ids }, revokedAt: null }, { revokedAt: new Date(), revokedReason: reason });
+    ids.forEach(id => cache.del(`session:${id}`));
+
+    const devices = sessions.map(session => session.device).filter(Boolean);
+    if (devices.length > 0) {
+      await Device.updateMany({ _id: { $in: devices } }, { isActive: false });
+    }
+    return ids.length;
+  }
+
+  /**
+   * Signed-in sessions of an account, most recently used first
+   * @param {Object} owner - { userId } or { adminId }
+   * @param {String} currentSessionId - Marked as current (the caller's own)
+   */
+  static async list(owner, currentSessionId = null) {
+    const sessions = await Session.find({ ...owner, revokedAt: null, expiresAt: { $gt: new Date() } })
+      .select('device userAgent ip lastSeenAt expiresAt createdAt')
+      .populate('device', 'platform model osVersion appVersion lastActive')
+      .sort({ lastSeenAt: -1 })
+      .lean();
+
+    return sessions.map(session => ({
+      ...session,
+      current: currentSessionId !== null && String(session._id) === String(currentSessionId)
+    }));
+  }
+
+  /**
+   * Record that the signed-in person just re-proved who they are
+   */
+  static async markStepUp(sessionId) {
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { stepUpAt: new Date() });
+  }
+
+  /**
+   * Whether a session signed in or stepped up recently enough for a
+   * destructive action
+   */
+  static async hasRecentStepUp(sessionId) {
+    if (!sessionId || !mongoose.isValidObjectId(sessionId)) return false;
+    const session = await Session.findById(sessionId).select('stepUpAt revokedAt').lean();
+    return !!session && !session.revokedAt && !!session.stepUpAt &&
+      Date.now() - session.stepUpAt.getTime() < STEP_UP_WINDOW_MS;
+  }
+
+  /**
+   * Remember which push device belongs to a session
+   */
+  static async linkDevice(sessionId, deviceId) {
+    if (!sessionId) return;
+    await Session.updateOne({ _id: sessionId, revokedAt: null }, { device: deviceId });
+  }
+}
+
+module.exports = SessionService;
+module.exports.JWT_SECRET = JWT_SECRET;
+module.exports.STEP_UP_WINDOW_MS = STEP_UP_WINDOW_MS;
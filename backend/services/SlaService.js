@@ -0,0 +1,335 @@
+const Report = require('../models/Report');
+const Admin = require('../models/Admin');
+const SystemSettings = require('../models/SystemSettings');
+const NotificationService = require('./NotificationService');
+const { emitSlaBreach } = require('./socketService');
+const { getSetting, clearSettingsCache } = require('../middleware/settingsEnforcement');
+
+const SLA_SETTING_KEY = 'report_sla';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Statuses in which each SLA clock is running
+const STAGE_STATUSES = {
+  verify: ['pending', 'under_review'],
+  resolve: ['verified', 'assigned', 'in_progress', 'reopened']
+};
+
+// Shipped SLA targets (hours from submission). Rules may name a type, a
+// priority or both; the most specific matching rule wins, then `default`.
+const DEFAULT_SLA = {
+  enabled: true,
+  default: { verifyHours: 48, resolveHours: 168 },
+  rules: [
+    { priority: 'urgent', verifyHours: 2, resolveHours: 24 },
+    { priority: 'high', verifyHours: 12, resolveHours: 72 },
+    { priority: 'low', verifyHours: 72, resolveHours: 336 },
+    { type: 'emergency', verifyHours: 1, resolveHours: 12 },
+    { type: 'accident', verifyHours: 1, resolveHours: 24 }
+  ]
+};
+
+const isHours = (value) => typeof value === 'number' && value > 0 && value <= 24 * 365;
+
+class SlaService {
+
+  /**
+   * Get the active SLA configuration (stored setting, or the default)
+   * @returns {Object} { enabled, default, rules }
+   */
+  static async getConfig() {
+    const stored = await getSetting(SLA_SETTING_KEY, null);
+    if (stored && !this.validateConfig(stored)) {
+      return stored;
+    }
+    if (stored) {
+      console.error('⚠️ Stored SLA configuration is invalid, falling back to default');
+    }
+    return DEFAULT_SLA;
+  }
+
+  /**
+   * Check an SLA configuration before it is stored
+   * @param {Object} config - Candidate configuration
+   * @returns {String|null} Error message, or null when valid
+   */
+  static validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+      return 'SLA configuration must be an object';
+    }
+
+    const types = Report.schema.path('type').enumValues;
+    const priorities = Report.schema.path('priority').enumValues;
+
+    if (!config.default || !isHours(config.default.verifyHours) || !isHours(config.default.resolveHours)) {
+      return 'default must set verifyHours and resolveHours (positive numbers)';
+    }
+
+    if (!Array.isArray(config.rules)) {
+      return 'rules must be an array';
+    }
+
+    for (const [index, rule] of config.rules.entries()) {
+      if (!rule.type && !rule.priority) {
+        return `Rule ${index + 1}: set a type, a priority or both`;
+      }
+      if (rule.type && !types.includes(rule.type)) {
+        return `Rule ${index + 1}: unknown type "${rule.type}"`;
+      }
+      if (rule.priority && !priorities.includes(rule.priority)) {
+        return `Rule ${index + 1}: unknown priority "${rule.priority}"`;
+      }
+      if (!isHours(rule.verifyHours) || !isHours(rule.resolveHours)) {
+        return `Rule ${index + 1}: verifyHours and resolveHours must be positive numbers`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a new SLA configuration
+   * @param {Object} config - Validated configuration
+   * @param {String} adminId - Admin making the change
+   */
+  static async saveConfig(config, adminId) {
+    const setting = await SystemSettings.setSetting(SLA_SETTING_KEY, {
+      enabled: config.enabled !== false,
+      default: config.default,
+      rules: config.rules
+    }, {
+      category: 'reports',
+      description: 'Report SLA targets (hours to verify / resolve) per type and priority',
+      dataType: 'object',
+      adminId
+    });
+    clearSettingsCache();
+    return setting.value;
+  }
+
+  /**
+   * SLA targets that apply to a report
+   * @param {Object} config - Active SLA configuration
+   * @param {Object} report - Report with type and priority
+   * @returns {Object} { verifyHours, resolveHours }
+   */
+  static targetsFor(config, report) {
+    let best = null;
+    let bestScore = 0;
+    for (const rule of config.rules) {
+      if (rule.type && rule.type !== report.type) continue;
+      if (rule.priority && rule.priority !== (report.priority || 'medium')) continue;
+
+      const score = (rule.type ? 2 : 0) + (rule.priority ? 1 : 0);
+      if (score > bestScore) {
+        best = rule;
+        bestScore = score;
+      }
+    }
+    const { verifyHours, resolveHours } = best || config.default;
+    return { verifyHours, resolveHours };
+  }
+
+  /**
+   * Evaluate a report against its SLA
+   * @param {Object} report - Report (lean or document)
+   * @param {Object} config - Active SLA configuration
+   * @param {Date} now - Evaluation time
+   * @returns {Object} { stage, dueAt, breached, verify: {dueAt, met}, resolve: {dueAt, met} }
+   */
+  static evaluate(report, config, now = new Date()) {
+    const createdAt = new Date(report.createdAt).getTime();
+    const { verifyHours, resolveHours } = this.targetsFor(config, report);
+    const verifyDueAt = new Date(createdAt + verifyHours * HOUR_MS);
+    const resolveDueAt = new Date(createdAt + resolveHours * HOUR_MS);
+
+    // met: true/false once the stage is over, null while it is still running
+    const verifyMet = report.verifiedAt ? new Date(report.verifiedAt) <= verifyDueAt : null;
+    const resolveMet = report.resolvedAt ? new Date(report.resolvedAt) <= resolveDueAt : null;
+
+    let stage = null;
+    if (STAGE_STATUSES.verify.includes(report.status)) stage = 'verify';
+    else if (STAGE_STATUSES.resolve.includes(report.status)) stage = 'resolve';
+
+    const dueAt = stage === 'verify' ? verifyDueAt : stage === 'resolve' ? resolveDueAt : null;
+
+    return {
+      stage,
+      dueAt,
+      breached: !!dueAt && now > dueAt,
+      verify: { dueAt: verifyDueAt, met: verifyMet },
+      resolve: { dueAt: resolveDueAt, met: resolveMet }
+    };
+  }
+
+  /**
+   * Find open reports that just went past their SLA, mark them and escalate
+   * to super admins. Each stage of a report is escalated once.
+   * @returns {Number} Number of new breaches
+   */
+  static async checkBreaches() {
+    try {
+      const config = await this.getConfig();
+      if (!config.enabled) return 0;
+
+      const now = new Date();
+      const shortestVerify = Math.min(config.default.verifyHours, ...config.rules.map(r => r.verifyHours));
+      const shortestResolve = Math.min(config.default.resolveHours, ...config.rules.map(r => r.resolveHours));
+
+      const candidates = await Report.find({
+        $or: [
+          {
+            status: { $in: STAGE_STATUSES.verify },
+            'sla.verifyBreachedAt': null,
+            createdAt: { $lte: new Date(now - shortestVerify * HOUR_MS) }
+          },
+          {
+            status: { $in: STAGE_STATUSES.resolve },
+            'sla.resolveBreachedAt': null,
+            createdAt: { $lte: new Date(now - shortestResolve * HOUR_MS) }
+          }
+        ]
+      })
+        .select('type priority severity status createdAt location.address barangay city province assignment sla')
+        .lean()
+        .maxTimeMS(30000);
+
+      const breaches = [];
+      for (const report of candidates) {
+        const result = this.evaluate(report, config, now);
+        if (!result.breached) continue;
+
+        await Report.updateOne(
+          { _id: report._id },
+          { $set: { [`sla.${result.stage}BreachedAt`]: now } }
+        );
+        breaches.push({ report, stage: result.stage, dueAt: result.dueAt });
+      }
+
+      if (breaches.length > 0) {
+        await this.escalate(breaches);
+        console.log(`⏱️ SLA check: ${breaches.length} new breach(es) escalated`);
+      }
+
+      return breaches.length;
+
+    } catch (error) {
+      console.error('SLA check failed:', error);
+      return 0;
+    }
+  }
+
+  /**
+   * Notify super admins about new SLA breaches (in-app and over the socket)
+   * @param {Array} breaches - [{ report, stage, dueAt }]
+   */
+  static async escalate(breaches) {
+    const superAdmins = await Admin.find({ role: 'super_admin', isActive: true }).select('_id').lean();
+
+    await NotificationService.createSlaBreachNotifications({
+      adminIds: superAdmins.map(admin => admin._id),
+      breaches
+    });
+
+    emitSlaBreach(breaches.map(({ report, stage, dueAt }) => ({
+      _id: report._id,
+      type: report.type,
+      priority: report.priority,
+      status: report.status,
+      address: report.location?.address,
+      stage,
+      dueAt
+    })));
+  }
+
+  /**
+   * Breach report: open reports past their SLA plus compliance of reports
+   * submitted in the period, grouped by type and priority
+   * @param {Object} options
+   * @param {Number} options.days - Look-back period for compliance stats
+   */
+  static async getBreachReport({ days = 30 } = {}) {
+    const config = await this.getConfig();
+    const now = new Date();
+    const since = new Date(now - days * 24 * HOUR_MS);
+
+    const reports = await Report.find({
+      $or: [
+        { createdAt: { $gte: since } },
+        { status: { $in: [...STAGE_STATUSES.verify, ...STAGE_STATUSES.resolve] } }
+      ]
+    })
+      .select('type priority severity status description createdAt verifiedAt resolvedAt location barangay city province reportedBy images.imageUrl images.mimetype adminNotes incident assignment sla')
+      .populate('assignment.agency', 'name')
+      .lean()
+      .maxTimeMS(30000);
+
+    const open = [];
+    const groups = {};
+    const totals = { verifyMet: 0, verifyMissed: 0, resolveMet: 0, resolveMissed: 0 };
+
+    for (const report of reports) {
+      const result = this.evaluate(report, config, now);
+
+      if (result.breached) {
+        open.push({
+          ...report,
+          sla: {
+            ...report.sla,
+            ...result,
+            overdueHours: Math.round((now - result.dueAt) / HOUR_MS)
+          }
+        });
+      }
+
+      if (report.createdAt < since) continue;
+
+      const key = `${report.type}|${report.priority || 'medium'}`;
+      const group = groups[key] || (groups[key] = {
+        type: report.type,
+        priority: report.priority || 'medium',
+        total: 0,
+        verifyMet: 0,
+        verifyMissed: 0,
+        resolveMet: 0,
+        resolveMissed: 0
+      });
+      group.total++;
+
+      // A running stage that is already overdue counts as missed
+      const verifyMet = result.verify.met ?? (result.stage === 'verify' && result.breached ? false : null);
+      const resolveMet = result.resolve.met ?? (result.stage === 'resolve' && result.breached ? false : null);
+
+      if (verifyMet === true) { group.verifyMet++; totals.verifyMet++; }
+      if (verifyMet === false) { group.verifyMissed++; totals.verifyMissed++; }
+      if (resolveMet === true) { group.resolveMet++; totals.resolveMet++; }
+      if (resolveMet === false) { group.resolveMissed++; totals.resolveMissed++; }
+    }
+
+    const rate = (met, missed) => (met + missed > 0 ? Math.round((met / (met + missed)) * 100) : null);
+
+    open.sort((a, b) => b.sla.overdueHours - a.sla.overdueHours);
+
+    return {
+      config,
+      days,
+      open,
+      summary: {
+        ...totals,
+        openBreaches: open.length,
+        verifyCompliance: rate(totals.verifyMet, totals.verifyMissed),
+        resolveCompliance: rate(totals.resolveMet, totals.resolveMissed)
+      },
+      byTypeAndPriority: Object.values(groups)
+        .map(group => ({
+          ...group,
+          verifyCompliance: rate(group.verifyMet, group.verifyMissed),
+          resolveCompliance: rate(group.resolveMet, group.resolveMissed)
+        }))
+        .sort((a, b) => (b.verifyMissed + b.resolveMissed) - (a.verifyMissed + a.resolveMissed))
+    };
+  }
+}
+
+module.exports = SlaService;
+module.exports.DEFAULT_SLA = DEFAULT_SLA;
@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const QRCode = require('qrcode');
+const Admin = require('../models/Admin');
+const cache = require('./cache');
+const { getSetting } = require('../middleware/settingsEnforcement');
+const { JWT_SECRET } = require('./SessionService');
+
+// Name shown next to the account in authenticator apps
+const ISSUER = process.env.TOTP_ISSUER || 'DalanPh Admin';
+
+// RFC 6238 defaults understood by every authenticator app
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+
+// Codes from one step either side are accepted, for clock drift
+const DRIFT_STEPS = 1;
+
+const BACKUP_CODE_COUNT = 10;
+
+// Wrong codes allowed per admin before verification pauses
+const MAX_FAILED_ATTEMPTS = 5;
+const LOCKOUT_SECONDS = 15 * 60;
+
+// How long the password step of a two-step login stays valid
+const LOGIN_TICKET_TTL = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) continue;
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+const hashBackupCode = (code) => crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * TOTP two-factor authentication for admin accounts: enrollment, code and
+ * backup code checks, the per-role requirement (admin_2fa_required_roles) and
+ * the short-lived ticket that links the password and code steps of a login.
+ */
+class TwoFactorService {
+
+  /**
+   * HOTP value of a secret at a time step (RFC 4226)
+   */
+  static codeAt(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+  }
+
+  /**
+   * Find the time step a code belongs to
+   * @param {String} secret - Base32 secret
+   * @param {String} code - Code typed by the admin
+   * @param {Number} lastUsedStep - Steps up to this one were already used
+   * @returns {Number|null} The matching step
+   */
+  static matchStep(secret, code, lastUsedStep = -1) {
+    const clean = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(clean)) return null;
+
+    const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+    for (let step = current - DRIFT_STEPS; step <= current + DRIFT_STEPS; step++) {
+      if (step <= lastUsedStep) continue;
+      const expected = Buffer.from(this.codeAt(secret, step));
+      if (crypto.timingSafeEqual(expected, Buffer.from(clean))) return step;
+    }
+    return null;
+  }
+
+  /**
+   * Whether admins with this role must use two-factor authentication
+   */
+  static async isRequired(role) {
+    const roles = await getSetting('admin_2fa_required_roles', []);
+    return Array.isArray(roles) && roles.includes(role);
+  }
+
+  /**
+   * Start enrollment: store a new pending secret and return what the
+   * authenticator app needs
+   * @param {Object} admin - Admin document
+   * @returns {Object} { secret, otpauthUrl, qrCode } (qrCode is a data URL)
+   */
+  static async beginEnrollment(admin) {
+    const secret = base32Encode(crypto.randomBytes(20));
+    await Admin.updateOne({ _id: admin._id }, { 'twoFactor.pendingSecret': secret });
+
+    const label = encodeURIComponent(`${ISSUER}:${admin.username}`);
+    const otpauthUrl = `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${DIGITS}&period=${STEP_SECONDS}`;
+    const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+    return { secret, otpauthUrl, qrCode };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the app
+   * @returns {Object} { backupCodes } (shown once) or { statusCode, error }
+   */
+  static async confirmEnrollment(adminId, code) {
+    const admin = await Admin.findById(adminId).select('+twoFactor.pendingSecret');
+    if (!admin?.twoFactor?.pendingSecret) {
+      return { statusCode: 400, error: 'Start two-factor setup first' };
+    }
+
+    const step = this.matchStep(admin.twoFactor.pendingSecret, code);
+    if (step === null) {
+      return { statusCode: 400, error: 'That code is not valid. Check the time on your phone and try again.' };
+    }
+
+    const { codes, hashes } = this.generateBackupCodes();
+    admin.twoFactor.secret = admin.twoFactor.pendingSecret;
+    admin.twoFactor.pendingSecret = undefined;
+    admin.twoFactor.backupCodes = hashes;
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save();
+
+    return { backupCodes: codes };
+  }
+
+  /**
+   * Turn two-factor authentication off for an admin
+   */
+  static async disable(adminId) {
+    await Admin.updateOne({ _id: adminId }, {
+      $set: { 'twoFactor.enabled': false },
+      $unset: {
+        'twoFactor.secret': 1,
+        'twoFactor.pendingSecret': 1,
+        'twoFactor.backupCodes': 1,
+        'twoFactor.lastUsedStep': 1,
+        'twoFactor.enabledAt': 1
+      }
+    });
+  }
+
+  /**
+   * New one-time backup codes, as shown to the admin and as stored
+   */
+  static generateBackupCodes() {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+      const hex = crypto.randomBytes(4).toString('hex');
+      return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+    });
+    return { codes, hashes: codes.map(hashBackupCode) };
+  }
+
+  /**
+   * Replace an admin's backup codes
+   * @returns {Array} The new codes (shown once)
+   */
+  static async regenerateBackupCodes(adminId) {
+    const { codes, hashes } = this.generateBackupCodes();
+    await Admin.updateOne({ _id: adminId }, { 'twoFactor.backupCodes': hashes });
+    return codes;
+  }
+
+  /**
+   * Check an authenticator or backup code for an admin with 2FA enabled.
+   * Used codes cannot be used again; repeated failures pause verification.
+   * @returns {Object} { method: 'totp' | 'backup' } or { statusCode, error }
+   */
+  static async verify(adminId, code) {
+    const attemptsKey = `2fa:failures:${adminId}`;
+    const failures = cache.get(attemptsKey) || 0;
+    if (failures >= MAX_FAILED_ATTEMPTS) {
+      return { statusCode: 429, error: 'Too many incorrect codes. Try again in 15 minutes.' };
+    }
+
+    const admin = await Admin.findById(adminId)
+      .select('+twoFactor.secret +twoFactor.backupCodes +twoFactor.lastUsedStep');
+    if (!admin?.twoFactor?.enabled || !admin.twoFactor.secret) {
+      return { statusCode: 400, error: 'Two-factor authentication is not enabled' };
+    }
+
+    const step = this.matchStep(admin.twoFactor.secret, code, admin.twoFactor.lastUsedStep ?? -1);
+    if (step !== null) {
+      // Conditional so the same code cannot be accepted twice concurrently
+      const updated = await Admin.updateOne(
+        { _id: admin._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': { $exists: false } }] },
+        { 'twoFactor.lastUsedStep': step }
+      );
+      if (updated.modifiedCount === 1) {
+        cache.del(attemptsKey);
+        return { method: 'totp' };
+      }
+    }
+
+    const backupHash = hashBackupCode(String(code || ''));
+    if (admin.twoFactor.backupCodes?.includes(backupHash)) {
+      const updated = await Admin.updateOne(
+        { _id: admin._id, 'twoFactor.backupCodes': backupHash },
+        { $pull: { 'twoFactor.backupCodes': backupHash } }
+      );
+      if (updated.modifiedCount === 1) {
+        cache.del(attemptsKey);
+        console.log(`🔑 Admin ${admin.username} used a backup code (${admin.twoFactor.backupCodes.length - 1} left)`);
+        return { method: 'backup' };
+      }
+    }
+
+    cache.set(attemptsKey, failures + 1, LOCKOUT_SECONDS);
+    return { statusCode: 401, error: 'Invalid authentication code' };
+  }
+
+  /**
+   * Two-factor state shown on the admin's profile
+   */
+  static async status(adminId, role) {
+    const admin = await Admin.findById(adminId).select('+twoFactor.backupCodes').lean();
+    return {
+      enabled: !!admin?.twoFactor?.enabled,
+      enabledAt: admin?.twoFactor?.enabledAt || null,
+      required: await this.isRequired(role),
+      backupCodesRemaining: admin?.twoFactor?.backupCodes?.length || 0
+    };
+  }
+
+  /**
+   * Ticket proving the password step of a login passed; exchanged for a
+   * session once the code step (or enrollment) succeeds
+   */
+  static issueLoginTicket(admin) {
+    return jwt.sign({ id: admin._id, purpose: 'admin_2fa' }, JWT_SECRET, { expiresIn: LOGIN_TICKET_TTL });
+  }
+
+  /**
+   * @returns {String|null} Admin id from a valid login ticket
+   */
+  static readLoginTicket(ticket) {
+    try {
+      const decoded = jwt.verify(ticket, JWT_SECRET);
+      return decoded.purpose === 'admin_2fa' ? decoded.id : null;
+    } catch {
+      return null;
+    }
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,295 @@
+const mongoose = require('mongoose');
+const Report = require('../models/Report');
+const SystemSettings = require('../models/SystemSettings');
+const { getSetting, clearSettingsCache } = require('../middleware/settingsEnforcement');
+const { PERMISSIONS, roleHasPermission } = require('../middleware/roleAuth');
+
+const WORKFLOW_SETTING_KEY = 'report_workflow';
+
+// Fields a transition can demand before it is allowed, and how each is checked
+const REQUIRED_FIELDS = {
+  adminNotes: {
+    label: 'Admin notes',
+    isValid: (value) => typeof value === 'string' && value.trim().length > 0
+  },
+  adminFeedback: {
+    label: 'Admin feedback (minimum 10 characters)',
+    isValid: (value) => typeof value === 'string' && value.trim().length >= 10
+  },
+  evidencePhoto: {
+    label: 'Evidence photo',
+    isValid: (value) => !!value
+  },
+  duplicateOf: {
+    label: 'Original report ID',
+    isValid: (value) => mongoose.Types.ObjectId.isValid(value)
+  }
+};
+
+// Shipped workflow. Admins can replace it through PUT /api/reports/workflow;
+// until they do, the setting does not exist and this is used as-is.
+const DEFAULT_WORKFLOW = {
+  initialState: 'pending',
+  states: {
+    pending: { label: 'Pending' },
+    under_review: { label: 'Under Review' },
+    verified: { label: 'Verified' },
+    assigned: { label: 'Assigned' },
+    in_progress: { label: 'In Progress' },
+    resolved: { label: 'Resolved', final: true },
+    rejected: { label: 'Rejected', final: true },
+    duplicate: { label: 'Duplicate', final: true },
+    reopened: { label: 'Reopened' }
+  },
+  transitions: [
+    { from: ['pending', 'reopened'], to: 'under_review', permission: PERMISSIONS.REPORT_EDIT },
+    { from: ['pending', 'under_review', 'reopened'], to: 'verified', permission: PERMISSIONS.REPORT_VERIFY },
+    { from: ['pending', 'under_review', 'reopened'], to: 'rejected', permission: PERMISSIONS.REPORT_REJECT },
+    { from: ['pending', 'under_review', 'verified', 'reopened'], to: 'duplicate', permission: PERMISSIONS.REPORT_REJECT, requires: ['duplicateOf'] },
+    { from: ['verified', 'reopened'], to: 'assigned', permission: PERMISSIONS.REPORT_EDIT, requires: ['adminNotes'] },
+    { from: ['verified', 'assigned'], to: 'in_progress', permission: PERMISSIONS.REPORT_RESOLVE },
+    { from: ['verified', 'assigned', 'in_progress'], to: 'resolved', permission: PERMISSIONS.REPORT_RESOLVE, requires: ['adminFeedback', 'evidencePhoto'] },
+    { from: ['resolved', 'rejected', 'duplicate'], to: 'reopened', permission: PERMISSIONS.OVERRIDE, requires: ['adminNotes'] }
+  ]
+};
+
+class WorkflowService {
+
+  /**
+   * Get the active report workflow (stored setting, or the default)
+   * @returns {Object} { initialState, states, transitions }
+   */
+  static async getWorkflow() {
+    const stored = await getSetting(WORKFLOW_SETTING_KEY, null);
+    if (stored && !this.validateDefinition(stored)) {
+      return stored;
+    }
+    if (stored) {
+      console.error('⚠️ Stored report workflow is invalid, falling back to default');
+    }
+    return DEFAULT_WORKFLOW;
+  }
+
+  /**
+   * Check a workflow definition before it is stored
+   * @param {Object} definition - Candidate workflow
+   * @returns {String|null} Error message, or null when the definition is valid
+   */
+  static validateDefinition(definition) {
+    if (!definition || typeof definition !== 'object') {
+      return 'Workflow must be an object';
+    }
+
+    const { initialState, states, transitions } = definition;
+    const knownStatuses = Report.schema.path('status').enumValues;
+    const permissions = Object.values(PERMISSIONS);
+
+    if (!states || typeof states !== 'object' || Object.keys(states).length === 0) {
+      return 'Workflow must define at least one state';
+    }
+
+    const unknownState = Object.keys(states).find(state => !knownStatuses.includes(state));
+    if (unknownState) {
+      return `Unknown state "${unknownState}". Valid states: ${knownStatuses.join(', ')}`;
+    }
+
+    if (!states[initialState]) {
+      return 'initialState must be one of the workflow states';
+    }
+
+    if (!Array.isArray(transitions)) {
+      return 'transitions must be an array';
+    }
+
+    for (const [index, transition] of transitions.entries()) {
+      const from = Array.isArray(transition.from) ? transition.from : [];
+      if (from.length === 0 || from.some(state => !states[state])) {
+        return `Transition ${index + 1}: "from" must list existing states`;
+      }
+      if (!states[transition.to]) {
+        return `Transition ${index + 1}: "to" must be an existing state`;
+      }
+      if (!permissions.includes(transition.permission)) {
+        return `Transition ${index + 1}: unknown permission "${transition.permission}"`;
+      }
+      const requires = transition.requires || [];
+      if (!Array.isArray(requires) || requires.some(field => !REQUIRED_FIELDS[field])) {
+        return `Transition ${index + 1}: requires may only contain ${Object.keys(REQUIRED_FIELDS).join(', ')}`;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Store a new workflow definition
+   * @param {Object} definition - Validated workflow
+   * @param {String} adminId - Admin making the change
+   */
+  static async saveWorkflow(definition, adminId) {
+    const setting = await SystemSettings.setSetting(WORKFLOW_SETTING_KEY, definition, {
+      category: 'reports',
+      description: 'Report status workflow: states, allowed transitions and required fields',
+      dataType: 'object',
+      adminId
+    });
+    clearSettingsCache();
+    return setting.value;
+  }
+
+  /**
+   * Whether an admin's role allows a transition
+   * @param {Object} admin - req.admin
+   * @param {Object} transition - Workflow transition
+   */
+  static canPerform(admin, transition) {
+    if (!admin) return false;
+    return admin.isSuperAdmin || roleHasPermission(admin.role, transition.permission);
+  }
+
+  /**
+   * Transitions out of a status that this admin may perform
+   * @param {Object} workflow - Active workflow
+   * @param {String} fromStatus - Current report status
+   * @param {Object} admin - req.admin
+   * @returns {Array} [{ to, label, requires }]
+   */
+  static getAvailableTransitions(workflow, fromStatus, admin) {
+    return workflow.transitions
+      .filter(t => t.from.includes(fromStatus) && this.canPerform(admin, t))
+      .map(t => ({
+        to: t.to,
+        label: workflow.states[t.to]?.label || t.to,
+        requires: t.requires || []
+      }));
+  }
+
+  /**
+   * Validate a status change against the workflow
+   * @param {Object} params
+   * @param {String} params.from - Current status
+   * @param {String} params.to - Requested status
+   * @param {Object} params.admin - req.admin
+   * @param {Object} params.fields - Values for required fields (adminNotes, adminFeedback, evidencePhoto, duplicateOf)
+   * @returns {Object} { transition } when allowed, otherwise { statusCode, error, ... }
+   */
+  static async checkTransition({ from, to, admin, fields = {} }) {
+    const workflow = await this.getWorkflow();
+
+    if (!workflow.states[to]) {
+      return {
+        statusCode: 400,
+        error: 'Invalid status value',
+        validValues: Object.keys(workflow.states)
+      };
+    }
+
+    const candidates = workflow.transitions.filter(t => t.from.includes(from) && t.to === to);
+    if (candidates.length === 0) {
+      return {
+        statusCode: 400,
+        error: `Cannot change status from "${from}" to "${to}"`,
+        allowedTransitions: this.getAvailableTransitions(workflow, from, admin).map(t => t.to)
+      };
+    }
+
+    const transition = candidates.find(t => this.canPerform(admin, t));
+    if (!transition) {
+      return {
+        statusCode: 403,
+        error: `Access denied. Required permission: ${candidates[0].permission}`,
+        requiredPermission: candidates[0].permission
+      };
+    }
+
+    const missing = (transition.requires || []).filter(field => !REQUIRED_FIELDS[field].isValid(fields[field]));
+    if (missing.length > 0) {
+      return {
+        statusCode: 400,
+        error: `Missing required fields: ${missing.map(field => REQUIRED_FIELDS[field].label).join(', ')}`,
+        missingFields: missing
+      };
+    }
+
+    return { transition };
+  }
+
+  /**
+   * Build the update for an approved status change, including its history entry
+   * @param {String} from - Previous status
+   * @param {String} to - New status
+   * @param {Object} admin - req.admin
+   * @param {Object} fields - adminNotes, adminFeedback, duplicateOf, and note (timeline only)
+   * @returns {Object} { $set, $push } usable with findByIdAndUpdate
+   */
+  static buildStatusUpdate(from, to, admin, { adminNotes, adminFeedback, duplicateOf, note } = {}) {
+    const now = new Date();
+    const set = { status: to };
+
+    if (adminNotes) set.adminNotes = adminNotes;
+
+    // An admin moving the report answers any citizen re-check flag
+    if (admin) {
+      set['recheck.needed'] = false;
+      set['recheck.dismissedAt'] = now;
+      set['recheck.dismissedBy'] = admin.id;
+    }
+
+    if (to === 'verified' || to === 'rejected') {
+      set.verifiedAt = now;
+      if (admin) set.verifiedBy = admin.id;
+    }
+
+    if (to === 'resolved') {
+      set.resolvedAt = now;
+      if (admin) set.resolvedBy = admin.id;
+      if (adminFeedback) set.adminFeedback = adminFeedback;
+    }
+
+    if (to === 'duplicate') {
+      set.duplicateOf = duplicateOf;
+    }
+
+    return {
+      $set: set,
+      $push: { statusHistory: this.historyEntry(from, to, admin, note || adminNotes || adminFeedback) }
+    };
+  }
+
+  /**
+   * Apply an approved status change to a loaded report document (caller saves it)
+   * @param {Object} report - Report document
+   * @param {String} to - New status
+   * @param {Object} admin - req.admin (null for automatic changes)
+   * @param {Object} fields - adminNotes, adminFeedback, duplicateOf, note
+   * @returns {String} The previous status
+   */
+  static applyTransition(report, to, admin, fields = {}) {
+    const oldStatus = report.status;
+    const { $set, $push } = this.buildStatusUpdate(oldStatus, to, admin, fields);
+    report.set($set);
+    report.statusHistory.push($push.statusHistory);
+    return oldStatus;
+  }
+
+  /**
+   * Build a status history entry for Report.statusHistory
+   * @param {String} from - Previous status
+   * @param {String} to - New status
+   * @param {Object} admin - req.admin (optional)
+   * @param {String} note - Optional note shown on the timeline
+   */
+  static historyEntry(from, to, admin = null, note = null) {
+    return {
+      from,
+      to,
+      changedBy: admin ? admin.id : null,
+      changedByName: admin ? admin.username : null,
+      note: note || null,
+      at: new Date()
+    };
+  }
+}
+
+module.exports = WorkflowService;
+module.exports.DEFAULT_WORKFLOW = DEFAULT_WORKFLOW;
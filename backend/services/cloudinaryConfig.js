@@ -2,6 +2,8 @@ const cloudinary = require('cloudinary').v2;
 const cloudinaryRoot = require('cloudinary');
 const CloudinaryStorage = require('multer-storage-cloudinary').CloudinaryStorage || require('multer-storage-cloudinary');
 const dotenv = require('dotenv');
+const RedactionService = require('./RedactionService');
+const ImageStorageService = require('./ImageStorageService');
 
 dotenv.config();
 
@@ -11,12 +13,18 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
+// Report photos are redacted as they are uploaded (incoming transformation),
+// so the unredacted original is never stored. The small/medium/large WebP
+// variants are generated from the redacted image right after upload.
 const reportStorage = new CloudinaryStorage({
   cloudinary: cloudinaryRoot,
   params: {
     folder: 'road_alert/reports',
     allowed_formats: ['jpg', 'png', 'jpeg', 'webp'],
-    transformation: [{ width: 1000, crop: 'limit', quality: 'auto' }]
+    ...RedactionService.uploadOptions({
+      before: [{ width: 1000, crop: 'limit', quality: 'auto' }]
+    }),
+    ...ImageStorageService.cloudinaryEager()
   }
 });
 
@@ -25,12 +33,38 @@ const profileStorage = new CloudinaryStorage({
   params: {
     folder: 'road_alert/profiles',
     allowed_formats: ['jpg', 'png', 'jpeg', 'webp'],
-    transformation: [{ width: 500, height: 500, crop: 'fill', gravity: 'face', quality: 'auto' }]
+    transformation: [{ width: 500, height: 500, crop: 'fill', gravity: 'face', quality: 'auto' }],
+    // Avatars in lists use the small variant
+    ...ImageStorageService.cloudinaryEager(['small'])
+  }
+});
+
+// Photos and PDFs attached to report comments. Photos are redacted on the way
+// in like report photos; PDFs are stored as sent.
+const commentStorage = new CloudinaryStorage({
+  cloudinary: cloudinaryRoot,
+  params: (req, file, cb) => cb(undefined, {
+    folder: 'road_alert/comments',
+    resource_type: 'auto',
+    allowed_formats: ['jpg', 'png', 'jpeg', 'webp', 'pdf'],
+    ...(file.mimetype.startsWith('image/') ? RedactionService.uploadOptions() : {})
+  })
+});
+
+// Evidence users attach to appeals (photos and PDFs)
+const appealStorage = new CloudinaryStorage({
+  cloudinary: cloudinaryRoot,
+  params: {
+    folder: 'road_alert/appeals',
+    resource_type: 'auto',
+    allowed_formats: ['jpg', 'png', 'jpeg', 'webp', 'pdf']
   }
 });
 
 module.exports = {
   cloudinary,
   reportStorage,
-  profileStorage
+  profileStorage,
+  commentStorage,
+  appealStorage
 };
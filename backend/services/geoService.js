@@ -0,0 +1,324 @@
+/**
+ * 🌍 Geo helpers
+ *
+ * Small, dependency-free helpers for distance math on report coordinates.
+ * Coordinates are plain { latitude, longitude } objects, same as
+ * Report.location.coordinates. GeoJSON positions are [longitude, latitude],
+ * same as Report.location.geo.coordinates.
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+// Defaults for the near/radius query parameters
+const DEFAULT_NEAR_RADIUS_METERS = 5000;
+const MAX_NEAR_RADIUS_METERS = 100000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points in meters (haversine formula)
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {Number} Distance in meters
+ */
+const distanceInMeters = (a, b) => {
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLng = toRadians(b.longitude - a.longitude);
+  const lat1 = toRadians(a.latitude);
+  const lat2 = toRadians(b.latitude);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+};
+
+/**
+ * Lat/lng bounding box that fully contains a circle of the given radius.
+ * Used to pre-filter candidates with a cheap indexed range query.
+ * @param {Object} center - { latitude, longitude }
+ * @param {Number} radiusMeters - Radius in meters
+ * @returns {Object} { minLat, maxLat, minLng, maxLng }
+ */
+const boundingBox = (center, radiusMeters) => {
+  const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+  const lngDelta = latDelta / Math.max(Math.cos(toRadians(center.latitude)), 0.000001);
+
+  return {
+    minLat: center.latitude - latDelta,
+    maxLat: center.latitude + latDelta,
+    minLng: center.longitude - lngDelta,
+    maxLng: center.longitude + lngDelta
+  };
+};
+
+/**
+ * Build a GeoJSON Point from plain coordinates
+ * @param {Object} coordinates - { latitude, longitude }
+ * @returns {Object} { type: 'Point', coordinates: [lng, lat] }
+ */
+const toGeoPoint = ({ latitude, longitude }) => ({
+  type: 'Point',
+  coordinates: [Number(longitude), Number(latitude)]
+});
+
+const parseNumberList = (value, expectedLength) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map(part => parseFloat(part.trim()));
+  if (parts.length !== expectedLength || parts.some(Number.isNaN)) return null;
+  return parts;
+};
+
+const isValidLatLng = (lat, lng) => lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+/**
+ * Translate the near/radius/bbox query parameters into a MongoDB filter
+ * on a GeoJSON field. Uses $geoWithin so the filter also works with
+ * countDocuments() for paginated endpoints.
+ *
+ *   near=lat,lng&radius=meters          reports within a circle
+ *   bbox=minLng,minLat,maxLng,maxLat    reports inside the map viewport
+ *                                       (Leaflet's getBounds().toBBoxString())
+ *
+ * @param {Object} query - Express req.query
+ * @param {String} field - GeoJSON field to filter on
+ * @returns {Object} { filter } on success (empty when no geo params), { error } on bad input
+ */
+const buildGeoFilter = (query = {}, field = 'location.geo') => {
+  const { near, radius, bbox } = query;
+
+  if (near && bbox) {
+    return { error: 'Use either near/radius or bbox, not both' };
+  }
+
+  if (near) {
+    const point = parseNumberList(near, 2);
+    if (!point || !isValidLatLng(point[0], point[1])) {
+      return { error: 'near must be "latitude,longitude"' };
+    }
+
+    const radiusMeters = radius === undefined ? DEFAULT_NEAR_RADIUS_METERS : parseFloat(radius);
+    if (Number.isNaN(radiusMeters) || radiusMeters <= 0 || radiusMeters > MAX_NEAR_RADIUS_METERS) {
+      return { error: `radius must be between 1 and ${MAX_NEAR_RADIUS_METERS} meters` };
+    }
+
+    const [lat, lng] = point;
+    return {
+      filter: {
+        [field]: {
+          $geoWithin: { $centerSphere: [[lng, lat], radiusMeters / EARTH_RADIUS_METERS] }
+        }
+      }
+    };
+  }
+
+  if (radius !== undefined) {
+    return { error: 'radius requires near' };
+  }
+
+  if (bbox) {
+    const box = parseNumberList(bbox, 4);
+    if (!box) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+    }
+
+    // Leaflet can report longitudes past ±180 when the world wraps; clamp them
+    const minLng = Math.max(box[0], -180);
+    const minLat = Math.max(box[1], -90);
+    const maxLng = Math.min(box[2], 180);
+    const maxLat = Math.min(box[3], 90);
+
+    if (minLng >= maxLng || minLat >= maxLat) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat" with min < max' };
+    }
+
+    // GeoJSON polygon edges are great circles, so a viewport spanning half the
+    // globe or more cannot be expressed as one polygon - treat it as "everything"
+    if (maxLng - minLng >= 180) {
+      return { filter: {} };
+    }
+
+    return {
+      filter: {
+        [field]: {
+          $geoWithin: {
+            $geometry: {
+              type: 'Polygon',
+              coordinates: [[
+                [minLng, minLat],
+                [maxLng, minLat],
+                [maxLng, maxLat],
+                [minLng, maxLat],
+                [minLng, minLat]
+              ]]
+            }
+          }
+        }
+      }
+    };
+  }
+
+  return { filter: {} };
+};
+
+/**
+ * Decode a Google encoded polyline into coordinates
+ * @param {String} encoded - Encoded polyline string
+ * @param {Number} precision - Decimal places used when encoding (5 for Google/OSRM, 6 for Valhalla)
+ * @returns {Array|null} [{ latitude, longitude }], or null if the string is malformed
+ */
+const decodePolyline = (encoded, precision = 5) => {
+  const factor = Math.pow(10, precision);
+  const points = [];
+  let index = 0;
+  let lat = 0;
+  let lng = 0;
+
+  const nextValue = () => {
+    let result = 0;
+    let shift = 0;
+    let byte;
+    do {
+      if (index >= encoded.length) return null;
+      byte = encoded.charCodeAt(index++) - 63;
+      result |= (byte & 0x1f) << shift;
+      shift += 5;
+    } while (byte >= 0x20);
+    return (result & 1) ? ~(result >> 1) : (result >> 1);
+  };
+
+  while (index < encoded.length) {
+    const dLat = nextValue();
+    const dLng = nextValue();
+    if (dLat === null || dLng === null) return null;
+
+    lat += dLat;
+    lng += dLng;
+    points.push({ latitude: lat / factor, longitude: lng / factor });
+  }
+
+  return points;
+};
+
+/**
+ * Read a route from a request body. Accepts either an encoded polyline or a
+ * GeoJSON LineString (bare geometry, Feature, or JSON string of either).
+ * @param {Object} body - { polyline, precision } or { geometry }
+ * @param {Number} maxPoints - Largest number of vertices accepted
+ * @returns {Object} { points: [{ latitude, longitude }] } or { error }
+ */
+const parseRoute = ({ polyline, precision, geometry } = {}, maxPoints = 5000) => {
+  let points = null;
+
+  if (typeof polyline === 'string' && polyline.length > 0) {
+    const digits = precision === undefined ? 5 : parseInt(precision);
+    if (![5, 6].includes(digits)) {
+      return { error: 'precision must be 5 or 6' };
+    }
+    points = decodePolyline(polyline, digits);
+    if (!points) {
+      return { error: 'polyline is not a valid encoded polyline' };
+    }
+  } else if (geometry) {
+    let shape = geometry;
+    if (typeof shape === 'string') {
+      try {
+        shape = JSON.parse(shape);
+      } catch {
+        return { error: 'geometry must be valid GeoJSON' };
+      }
+    }
+    if (shape?.type === 'Feature') shape = shape.geometry;
+
+    if (shape?.type !== 'LineString' || !Array.isArray(shape.coordinates)) {
+      return { error: 'geometry must be a GeoJSON LineString' };
+    }
+    points = shape.coordinates.map(position => ({
+      latitude: Number(position?.[1]),
+      longitude: Number(position?.[0])
+    }));
+  } else {
+    return { error: 'Provide a route as an encoded polyline or a GeoJSON LineString' };
+  }
+
+  if (points.length < 2) {
+    return { error: 'A route needs at least two points' };
+  }
+  if (points.length > maxPoints) {
+    return { error: `Routes are limited to ${maxPoints} points` };
+  }
+  if (points.some(p => Number.isNaN(p.latitude) || Number.isNaN(p.longitude) || !isValidLatLng(p.latitude, p.longitude))) {
+    return { error: 'Route contains invalid coordinates' };
+  }
+
+  return { points };
+};
+
+/**
+ * Cumulative distance in meters at each vertex of a route
+ * @param {Array} points - [{ latitude, longitude }]
+ * @returns {Array} Distances, starting at 0
+ */
+const cumulativeDistances = (points) => {
+  const distances = [0];
+  for (let i = 1; i < points.length; i++) {
+    distances.push(distances[i - 1] + distanceInMeters(points[i - 1], points[i]));
+  }
+  return distances;
+};
+
+/**
+ * Snap a point onto a route. Each segment is flattened with a local
+ * equirectangular projection, which is accurate at street scale.
+ * @param {Object} point - { latitude, longitude }
+ * @param {Array} points - Route vertices [{ latitude, longitude }]
+ * @param {Array} cumulative - Result of cumulativeDistances(points)
+ * @returns {Object} { distanceFromRoute, distanceAlongRoute } in meters
+ */
+const projectOntoRoute = (point, points, cumulative) => {
+  const metersPerDegLat = EARTH_RADIUS_METERS * Math.PI / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(point.latitude));
+
+  // Point is the origin; vertices are expressed in meters relative to it
+  const toXY = (p) => ({
+    x: (p.longitude - point.longitude) * metersPerDegLng,
+    y: (p.latitude - point.latitude) * metersPerDegLat
+  });
+
+  let best = { distanceFromRoute: Infinity, distanceAlongRoute: 0 };
+  let a = toXY(points[0]);
+
+  for (let i = 1; i < points.length; i++) {
+    const b = toXY(points[i]);
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSq = dx * dx + dy * dy;
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSq));
+    const cx = a.x + t * dx;
+    const cy = a.y + t * dy;
+    const distance = Math.sqrt(cx * cx + cy * cy);
+
+    if (distance < best.distanceFromRoute) {
+      best = {
+        distanceFromRoute: distance,
+        distanceAlongRoute: cumulative[i - 1] + t * (cumulative[i] - cumulative[i - 1])
+      };
+    }
+    a = b;
+  }
+
+  return best;
+};
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  toRadians,
+  distanceInMeters,
+  boundingBox,
+  toGeoPoint,
+  buildGeoFilter,
+  decodePolyline,
+  parseRoute,
+  cumulativeDistances,
+  projectOntoRoute
+};
@@ -0,0 +1,20 @@
+/**
+ * Mail transport for development: prints every message to the server log
+ * instead of sending it.
+ */
+class ConsoleTransport {
+  constructor({ from }) {
+    this.name = 'console';
+    this.from = from || 'no-reply@localhost';
+  }
+
+  async send({ to, subject, text }) {
+    console.log('------------------------------------------');
+    console.log(`📧 MAIL TO ${to}: ${subject}`);
+    console.log(text);
+    console.log('------------------------------------------');
+    return { messageId: null };
+  }
+}
+
+module.exports = ConsoleTransport;
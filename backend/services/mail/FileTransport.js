@@ -0,0 +1,29 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport for local testing: every message is written to a directory
+ * as an .eml file that any mail client can open.
+ */
+class FileTransport {
+  constructor({ dir, from }) {
+    this.name = 'file';
+    this.dir = path.resolve(dir);
+    this.from = from || 'no-reply@localhost';
+    this.transporter = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+  }
+
+  async send(message) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message });
+    const recipient = String(message.to).replace(/[^a-zA-Z0-9@._-]/g, '_');
+    const filePath = path.join(this.dir, `${Date.now()}-${recipient}.eml`);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(filePath, info.message);
+    console.log(`📧 Mail to ${message.to} written to ${filePath}`);
+    return { messageId: info.messageId, filePath };
+  }
+}
+
+module.exports = FileTransport;
@@ -0,0 +1,26 @@
+const nodemailer = require('nodemailer');
+
+/**
+ * Mail transport that delivers through an SMTP server (or a nodemailer
+ * well-known service such as Gmail).
+ */
+class SmtpTransport {
+  constructor({ host, port, secure, service, user, pass, from }) {
+    this.name = 'smtp';
+    this.from = from || user;
+    this.transporter = nodemailer.createTransport(host
+      ? { host, port: port || 587, secure: !!secure, auth: user ? { user, pass } : undefined }
+      : { service: service || 'gmail', auth: { user, pass } });
+  }
+
+  /**
+   * @param {Object} message - { to, subject, text, html }
+   * @returns {Object} { messageId }
+   */
+  async send(message) {
+    const info = await this.transporter.sendMail({ from: this.from, ...message });
+    return { messageId: info.messageId };
+  }
+}
+
+module.exports = SmtpTransport;
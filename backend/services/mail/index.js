@@ -0,0 +1,61 @@
+const path = require('path');
+const SmtpTransport = require('./SmtpTransport');
+const FileTransport = require('./FileTransport');
+const ConsoleTransport = require('./ConsoleTransport');
+
+// Placeholder credentials from .env.example mean SMTP is not set up
+const smtpConfigured = () =>
+  !!(process.env.SMTP_HOST || (process.env.EMAIL_USER && !process.env.EMAIL_USER.includes('placeholder')));
+
+/**
+ * Create a mail transport from options (or the MAIL_* / SMTP_* environment).
+ * Every transport exposes: name, send({ to, subject, text, html })
+ * @param {Object} options
+ * @param {String} options.driver - 'smtp', 'file' or 'console'. Defaults to
+ *   'smtp' when SMTP credentials are configured, else 'console'.
+ */
+const createMailTransport = (options = {}) => {
+  const driver = options.driver || process.env.MAIL_TRANSPORT || (smtpConfigured() ? 'smtp' : 'console');
+  const from = options.from || process.env.MAIL_FROM || process.env.EMAIL_USER;
+
+  if (driver === 'smtp') {
+    return new SmtpTransport({
+      host: options.host || process.env.SMTP_HOST,
+      port: Number(options.port || process.env.SMTP_PORT) || undefined,
+      secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+      service: options.service || process.env.EMAIL_SERVICE,
+      user: options.user || process.env.EMAIL_USER,
+      pass: options.pass || process.env.EMAIL_PASS,
+      from
+    });
+  }
+
+  if (driver === 'file') {
+    return new FileTransport({
+      dir: options.dir || process.env.MAIL_FILE_DIR || path.join(__dirname, '../../uploads/mail'),
+      from
+    });
+  }
+
+  if (driver === 'console') {
+    return new ConsoleTransport({ from });
+  }
+
+  throw new Error(`Unknown mail transport: ${driver}`);
+};
+
+let transport = null;
+
+// Shared transport for the app, created on first use
+const getMailTransport = () => {
+  if (!transport) {
+    transport = createMailTransport();
+    console.log(`📧 Mail transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+module.exports = {
+  createMailTransport,
+  getMailTransport
+};
@@ -0,0 +1,27 @@
+// Messages the mock keeps for inspection (oldest dropped first)
+const MAX_KEPT_MESSAGES = 50;
+
+/**
+ * SMS gateway for development and tests: prints every message to the server
+ * log and keeps the most recent ones in memory (gateway.sent) instead of
+ * sending them.
+ */
+class MockGateway {
+  constructor() {
+    this.name = 'mock';
+    this.sent = [];
+  }
+
+  async send({ to, message }) {
+    const messageId = `mock-${Date.now()}-${this.sent.length}`;
+    this.sent.push({ messageId, to, message, sentAt: new Date() });
+    if (this.sent.length > MAX_KEPT_MESSAGES) this.sent.shift();
+
+    console.log('------------------------------------------');
+    console.log(`📱 SMS TO ${to}: ${message}`);
+    console.log('------------------------------------------');
+    return { messageId };
+  }
+}
+
+module.exports = MockGateway;
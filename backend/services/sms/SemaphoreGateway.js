@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+const SEMAPHORE_API_URL = 'https://api.semaphore.co/api/v4/messages';
+
+/**
+ * SMS gateway for Semaphore (semaphore.co), a Philippine SMS provider.
+ */
+class SemaphoreGateway {
+  constructor({ apiKey, senderName }) {
+    if (!apiKey) {
+      throw new Error('Semaphore SMS gateway needs SEMAPHORE_API_KEY');
+    }
+    this.name = 'semaphore';
+    this.apiKey = apiKey;
+    this.senderName = senderName;
+  }
+
+  /**
+   * @param {Object} sms - { to, message }; to is an E.164 number
+   * @returns {Object} { messageId }
+   */
+  async send({ to, message }) {
+    const params = new URLSearchParams({
+      apikey: this.apiKey,
+      number: to.replace(/^\+/, ''),
+      message
+    });
+    if (this.senderName) params.append('sendername', this.senderName);
+
+    const response = await axios.post(SEMAPHORE_API_URL, params, { timeout: 15000 });
+    // Semaphore answers with one entry per recipient
+    const [result] = Array.isArray(response.data) ? response.data : [response.data];
+    return { messageId: result?.message_id ? String(result.message_id) : null };
+  }
+}
+
+module.exports = SemaphoreGateway;
@@ -0,0 +1,31 @@
+const axios = require('axios');
+
+/**
+ * SMS gateway for Twilio's Messages API.
+ */
+class TwilioGateway {
+  constructor({ accountSid, authToken, from }) {
+    if (!accountSid || !authToken || !from) {
+      throw new Error('Twilio SMS gateway needs TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM_NUMBER');
+    }
+    this.name = 'twilio';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+  }
+
+  /**
+   * @param {Object} sms - { to, message }; to is an E.164 number
+   * @returns {Object} { messageId }
+   */
+  async send({ to, message }) {
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: to, From: this.from, Body: message }),
+      { auth: { username: this.accountSid, password: this.authToken }, timeout: 15000 }
+    );
+    return { messageId: response.data?.sid || null };
+  }
+}
+
+module.exports = TwilioGateway;
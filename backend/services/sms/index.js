@@ -0,0 +1,52 @@
+const MockGateway = require('./MockGateway');
+const SemaphoreGateway = require('./SemaphoreGateway');
+const TwilioGateway = require('./TwilioGateway');
+
+/**
+ * Create an SMS gateway from options (or the SMS_* / provider environment).
+ * Every gateway exposes: name, send({ to, message }) -> { messageId }
+ * @param {Object} options
+ * @param {String} options.driver - 'mock', 'semaphore' or 'twilio'. Defaults
+ *   to the provider whose credentials are configured, else 'mock'.
+ */
+const createSmsGateway = (options = {}) => {
+  const driver = options.driver || process.env.SMS_PROVIDER ||
+    (process.env.SEMAPHORE_API_KEY ? 'semaphore' : process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'mock');
+
+  if (driver === 'semaphore') {
+    return new SemaphoreGateway({
+      apiKey: options.apiKey || process.env.SEMAPHORE_API_KEY,
+      senderName: options.senderName || process.env.SEMAPHORE_SENDER_NAME
+    });
+  }
+
+  if (driver === 'twilio') {
+    return new TwilioGateway({
+      accountSid: options.accountSid || process.env.TWILIO_ACCOUNT_SID,
+      authToken: options.authToken || process.env.TWILIO_AUTH_TOKEN,
+      from: options.from || process.env.TWILIO_FROM_NUMBER
+    });
+  }
+
+  if (driver === 'mock') {
+    return new MockGateway();
+  }
+
+  throw new Error(`Unknown SMS provider: ${driver}`);
+};
+
+let gateway = null;
+
+// Shared gateway for the app, created on first use
+const getSmsGateway = () => {
+  if (!gateway) {
+    gateway = createSmsGateway();
+    console.log(`📱 SMS gateway: ${gateway.name}`);
+  }
+  return gateway;
+};
+
+module.exports = {
+  createSmsGateway,
+  getSmsGateway
+};
@@ -1,8 +1,10 @@
 const { Server } = require('socket.io');
-const jwt = require('jsonwebtoken');
+const SessionService = require('./SessionService');
 
 let io = null;
 
+const ADMIN_ROLES = ['super_admin', 'admin_user'];
+
 /**
  * Initialize Socket.IO server
  * @param {Object} httpServer - The HTTP server instance
@@ -34,7 +36,7 @@ const initializeSocket = (httpServer) => {
   });
 
   // Authentication middleware for Socket.IO
-  io.use((socket, next) => {
+  io.use(async (socket, next) => {
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization;
 
     if (!token) {
@@ -46,16 +48,27 @@ const initializeSocket = (httpServer) => {
       // Extract token from Bearer format if present
       const tokenString = token.startsWith('Bearer ') ? token.slice(7) : token;
       
-      const decoded = jwt.verify(tokenString, process.env.JWT_SECRET || 'your-secret-key');
-      
-      // Attach admin info to socket
-      socket.admin = {
-        id: decoded.id || decoded.adminId,
-        username: decoded.username,
-        role: decoded.role
-      };
-
-      console.log(`✅ Socket authenticated: ${socket.admin.username} (${socket.admin.role})`);
+      const decoded = await SessionService.verifyAccessToken(tokenString);
+      if (!decoded) {
+        console.log('❌ Socket connection rejected: Session signed out');
+        return next(new Error('Authentication error'));
+      }
+
+      // Admin tokens carry an admin role; anything else is a resident
+      if (ADMIN_ROLES.includes(decoded.role)) {
+        socket.admin = {
+          id: decoded.id || decoded.adminId,
+          username: decoded.username,
+          role: decoded.role
+        };
+        console.log(`✅ Socket authenticated: ${socket.admin.username} (${socket.admin.role})`);
+      } else {
+        socket.user = {
+          id: decoded.id || decoded.userId,
+          username: decoded.username
+        };
+        console.log(`✅ Socket authenticated: ${socket.user.username} (user)`);
+      }
       next();
     } catch (error) {
       console.log('❌ Socket connection rejected: Invalid token');
@@ -64,17 +77,31 @@ const initializeSocket = (httpServer) => {
   });
 
   io.on('connection', (socket) => {
-    console.log(`🔌 Admin connected: ${socket.admin.username} (Socket ID: ${socket.id})`);
+    const client = socket.admin || socket.user;
+
+    if (socket.admin) {
+      console.log(`🔌 Admin connected: ${client.username} (Socket ID: ${socket.id})`);
 
-    // Join admin room for receiving notifications
-    socket.join('admins');
+      // Join admin room for receiving notifications
+      socket.join('admins');
+
+      // Super admins also receive escalations
+      if (socket.admin.role === 'super_admin') {
+        socket.join('super_admins');
+      }
+    } else {
+      console.log(`🔌 User connected: ${client.username} (Socket ID: ${socket.id})`);
+
+      // Residents only receive events about their own reports
+      socket.join(`user:${client.id}`);
+    }
 
     socket.on('disconnect', (reason) => {
-      console.log(`🔌 Admin disconnected: ${socket.admin.username} (Reason: ${reason})`);
+      console.log(`🔌 ${socket.admin ? 'Admin' : 'User'} disconnected: ${client.username} (Reason: ${reason})`);
     });
 
     socket.on('error', (error) => {
-      console.error(`❌ Socket error for ${socket.admin.username}:`, error);
+      console.error(`❌ Socket error for ${client.username}:`, error);
     });
   });
 
@@ -119,15 +146,60 @@ const emitNewReport = (report) => {
     description: report.description,
     reportedBy: report.reportedBy,
     createdAt: report.createdAt,
-    images: report.images
+    images: report.images,
+    incident: report.incident || null
   });
 
   console.log("✅ new_report emitted");
   console.log("=================================");
 };
 
+/**
+ * Emit SLA breach escalations to connected super admins
+ * @param {Array} breaches - [{ _id, type, priority, status, address, stage, dueAt }]
+ */
+const emitSlaBreach = (breaches) => {
+  if (!io) return;
+
+  io.to('super_admins').emit('sla_breach', { breaches });
+  console.log(`⏱️ sla_breach emitted (${breaches.length} report(s))`);
+};
+
+/**
+ * Deliver a new report comment: admins get every comment, the reporter only
+ * comments that are not internal notes
+ * @param {Object} comment - ReportComment document
+ * @param {String} reporterId - User ID of the report's author
+ */
+const emitReportComment = (comment, reporterId) => {
+  if (!io) return;
+
+  io.to('admins').emit('report_comment', comment);
+  if (!comment.internal && reporterId) {
+    io.to(`user:${reporterId}`).emit('report_comment', comment);
+  }
+};
+
+/**
+ * Tell the other side of a report thread that its messages were read
+ * @param {Object} receipt - { reportId, readBy: 'user' | 'admin', readAt }
+ * @param {String} reporterId - User ID of the report's author
+ */
+const emitCommentsRead = (receipt, reporterId) => {
+  if (!io) return;
+
+  if (receipt.readBy === 'admin' && reporterId) {
+    io.to(`user:${reporterId}`).emit('report_comments_read', receipt);
+  } else {
+    io.to('admins').emit('report_comments_read', receipt);
+  }
+};
+
 module.exports = {
   initializeSocket,
   getIO,
-  emitNewReport
+  emitNewReport,
+  emitSlaBreach,
+  emitReportComment,
+  emitCommentsRead
 };
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const path = require('path');
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm'
+};
+
+/**
+ * Image store backed by a directory on the server's disk.
+ * Keys map to relative file paths (e.g. reports/<id>/<uuid>.jpg).
+ */
+class LocalDiskStore {
+  constructor({ root }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  // Absolute path for a key, refusing anything that escapes the root
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * @returns {Object|null} { body, contentType, size, lastModified } or null when missing
+   */
+  async get(key) {
+    const filePath = this.resolve(key);
+    try {
+      const [body, stats] = await Promise.all([
+        fs.promises.readFile(filePath),
+        fs.promises.stat(filePath)
+      ]);
+      return {
+        body,
+        contentType: CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream',
+        size: stats.size,
+        lastModified: stats.mtime
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = LocalDiskStore;
@@ -0,0 +1,62 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+
+/**
+ * Image store backed by an S3-compatible bucket (AWS S3, MinIO, R2, ...).
+ * A custom endpoint switches to path-style addressing, which is what
+ * self-hosted stand-ins like MinIO expect.
+ */
+class S3Store {
+  constructor({ bucket, region, endpoint, accessKeyId, secretAccessKey }) {
+    if (!bucket) {
+      throw new Error('S3 image store needs a bucket (IMAGE_STORE_S3_BUCKET)');
+    }
+
+    this.name = 's3';
+    this.bucket = bucket;
+    this.client = new S3Client({
+      region: region || 'us-east-1',
+      ...(endpoint ? { endpoint, forcePathStyle: true } : {}),
+      ...(accessKeyId && secretAccessKey ? { credentials: { accessKeyId, secretAccessKey } } : {})
+    });
+  }
+
+  async put(key, buffer, { contentType } = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return { key, size: buffer.length };
+  }
+
+  /**
+   * @returns {Object|null} { body, contentType, size, lastModified } or null when missing
+   */
+  async get(key) {
+    try {
+      const result = await this.client.send(new GetObjectCommand({ Bucket: this.bucket, Key: key }));
+      const body = Buffer.from(await result.Body.transformToByteArray());
+      return {
+        body,
+        contentType: result.ContentType || 'application/octet-stream',
+        size: body.length,
+        lastModified: result.LastModified
+      };
+    } catch (error) {
+      if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({ Bucket: this.bucket, Key: key }));
+  }
+}
+
+module.exports = S3Store;
@@ -0,0 +1,47 @@
+const path = require('path');
+const LocalDiskStore = require('./LocalDiskStore');
+const S3Store = require('./S3Store');
+
+/**
+ * Create an image store from options (or the IMAGE_STORE_* environment).
+ * Every store exposes: name, put(key, buffer, { contentType }), get(key), delete(key)
+ * @param {Object} options
+ * @param {String} options.driver - 'local' (default) or 's3'
+ */
+const createImageStore = (options = {}) => {
+  const driver = options.driver || process.env.IMAGE_STORE_DRIVER || 'local';
+
+  if (driver === 's3') {
+    return new S3Store({
+      bucket: options.bucket || process.env.IMAGE_STORE_S3_BUCKET,
+      region: options.region || process.env.IMAGE_STORE_S3_REGION,
+      endpoint: options.endpoint || process.env.IMAGE_STORE_S3_ENDPOINT,
+      accessKeyId: options.accessKeyId || process.env.IMAGE_STORE_S3_ACCESS_KEY_ID,
+      secretAccessKey: options.secretAccessKey || process.env.IMAGE_STORE_S3_SECRET_ACCESS_KEY
+    });
+  }
+
+  if (driver === 'local') {
+    return new LocalDiskStore({
+      root: options.root || process.env.IMAGE_STORE_DIR || path.join(__dirname, '../../uploads/store')
+    });
+  }
+
+  throw new Error(`Unknown image store driver: ${driver}`);
+};
+
+let store = null;
+
+// Shared store for the app, created on first use
+const getImageStore = () => {
+  if (!store) {
+    store = createImageStore();
+    console.log(`🗄️ Image store: ${store.name}`);
+  }
+  return store;
+};
+
+module.exports = {
+  createImageStore,
+  getImageStore
+};
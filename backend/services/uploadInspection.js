@@ -0,0 +1,46 @@
+/**
+ * 🔍 Upload inspection
+ *
+ * Wraps a multer storage engine (e.g. Cloudinary) so the uploaded bytes can
+ * be inspected on the way through. The file still streams to the wrapped
+ * storage; a copy is buffered (bounded by multer's fileSize limit) and handed
+ * to `inspect` once the upload has finished.
+ */
+
+const { PassThrough } = require('stream');
+
+/**
+ * @param {Object} storage - Multer storage engine
+ * @param {Function} inspect - async (buffer, file) => fields to add to the file
+ * @returns {Object} Multer storage engine
+ */
+const inspectUploads = (storage, inspect) => ({
+  _handleFile(req, file, cb) {
+    // Tee the upload before anything reads it: listening on file.stream itself
+    // would start it flowing before the wrapped storage pipes it, losing bytes
+    const chunks = [];
+    const copy = new PassThrough();
+    const stream = new PassThrough();
+    file.stream.pipe(copy);
+    file.stream.pipe(stream);
+    copy.on('data', chunk => chunks.push(chunk));
+
+    storage._handleFile(req, { ...file, stream }, (error, info) => {
+      if (error) return cb(error);
+      Promise.resolve()
+        .then(() => inspect(Buffer.concat(chunks), file))
+        .then(fields => cb(null, { ...info, ...fields }))
+        .catch(inspectError => {
+          // The upload itself succeeded; a failed inspection only loses the extra fields
+          console.error('❌ Upload inspection failed:', inspectError.message);
+          cb(null, info);
+        });
+    });
+  },
+
+  _removeFile(req, file, cb) {
+    storage._removeFile(req, file, cb);
+  }
+});
+
+module.exports = { inspectUploads };
@@ -15,6 +15,8 @@ import Users from './pages/Users'
 import SystemSettings from './pages/SystemSettings'
 import AuditLogs from './pages/AuditLogs'
 import AcceptanceActivity from './pages/AcceptanceActivity'
+import AgencyManagement from './pages/AgencyManagement'
+import AgencyQueue from './pages/AgencyQueue'
 import Navbar from './components/Navbar'
 import './App.css'
 
@@ -46,6 +48,11 @@ function App() {
                     <ReportsManagement />
                   </PrivateRoute>
                 } />
+                <Route path="/agency-queue" element={
+                  <PrivateRoute>
+                    <AgencyQueue />
+                  </PrivateRoute>
+                } />
                 <Route path="/users" element={
                   <PrivateRoute>
                     <Users />
@@ -102,6 +109,11 @@ function App() {
                     <AcceptanceActivity />
                   </PrivateRoute>
                 } />
+                <Route path="/admin/agencies" element={
+                  <PrivateRoute>
+                    <AgencyManagement />
+                  </PrivateRoute>
+                } />
                 <Route path="/" element={<Navigate to="/dashboard" replace />} />
               </Routes>
             </main>
@@ -0,0 +1,190 @@
+import { Link } from 'react-router-dom'
+
+// Enforcement actions on a user account (`user.enforcement.history`) and appeals
+// against them or against rejected reports (`report.appeal`)
+
+const ACTION_STYLES = {
+  warning: { label: 'Warning', className: 'bg-yellow-100 text-yellow-800' },
+  cooldown: { label: 'Reporting paused', className: 'bg-orange-100 text-orange-800' },
+  freeze: { label: 'Frozen', className: 'bg-blue-100 text-blue-800' },
+  ban: { label: 'Banned', className: 'bg-red-100 text-red-800' },
+  unfreeze: { label: 'Unfrozen', className: 'bg-green-100 text-green-800' },
+  lift: { label: 'Lifted', className: 'bg-green-100 text-green-800' }
+}
+
+const APPEAL_STYLES = {
+  pending: 'text-amber-700',
+  approved: 'text-green-700',
+  denied: 'text-red-700'
+}
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+})
+
+// Pill for what currently blocks the user (`user.restriction`)
+export const RestrictionBadge = ({ restriction }) => {
+  if (!restriction || restriction.type === 'freeze') return null
+  const style = ACTION_STYLES[restriction.type]
+
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${style.className}`}
+      title={restriction.until ? `Until ${formatDateTime(restriction.until)}` : restriction.message}
+    >
+      {restriction.type === 'ban' ? '⛔' : '⏸️'} {style.label}
+    </span>
+  )
+}
+
+// Files the user attached to an appeal
+const AppealEvidence = ({ evidence }) => {
+  if (!evidence || evidence.length === 0) return null
+
+  return (
+    <div className="flex flex-wrap gap-2 mt-1">
+      {evidence.map(file => (
+        <a
+          key={file.url}
+          href={file.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="text-xs text-blue-600 hover:underline"
+        >
+          📎 {file.filename || 'Evidence'}
+        </a>
+      ))}
+    </div>
+  )
+}
+
+const AppealButtons = ({ onReview, disabled, approveLabel = 'Approve & lift' }) => (
+  <div className="flex gap-2 mt-2">
+    <button
+      type="button"
+      onClick={() => onReview('approved')}
+      disabled={disabled}
+      className="px-3 py-1 text-xs font-medium rounded-md bg-green-600 text-white hover:bg-green-700 disabled:opacity-50"
+    >
+      {approveLabel}
+    </button>
+    <button
+      type="button"
+      onClick={() => onReview('denied')}
+      disabled={disabled}
+      className="px-3 py-1 text-xs font-medium rounded-md bg-gray-600 text-white hover:bg-gray-700 disabled:opacity-50"
+    >
+      Deny
+    </button>
+  </div>
+)
+
+// Timeline of actions on one account, newest first, with appeal review
+export const EnforcementHistory = ({ history, onReviewAppeal, reviewingId }) => {
+  if (!history || history.length === 0) {
+    return <p className="text-sm text-gray-500">No enforcement actions on this account.</p>
+  }
+
+  return (
+    <ul className="space-y-2">
+      {[...history].reverse().map(entry => {
+        const style = ACTION_STYLES[entry.action] || ACTION_STYLES.warning
+        return (
+          <li key={entry._id} className="border border-gray-200 rounded-md p-3">
+            <div className="flex items-center justify-between gap-2">
+              <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${style.className}`}>{style.label}</span>
+              <span className="text-xs text-gray-500">
+                {entry.source === 'policy' ? 'Automatic' : 'Admin'} · {formatDateTime(entry.at)}
+              </span>
+            </div>
+            {entry.reason && <p className="text-sm text-gray-700 mt-1">{entry.reason}</p>}
+            {entry.until && <p className="text-xs text-gray-500">Until {formatDateTime(entry.until)}</p>}
+            {entry.liftedAt && <p className="text-xs text-green-700">Lifted {formatDateTime(entry.liftedAt)}</p>}
+            {entry.appeal?.status && (
+              <div className="mt-2 bg-gray-50 rounded p-2">
+                <p className={`text-xs font-semibold capitalize ${APPEAL_STYLES[entry.appeal.status]}`}>
+                  Appeal {entry.appeal.status} · {formatDateTime(entry.appeal.submittedAt)}
+                </p>
+                <p className="text-sm text-gray-700 whitespace-pre-wrap">{entry.appeal.message}</p>
+                <AppealEvidence evidence={entry.appeal.evidence} />
+                {entry.appeal.response && <p className="text-xs text-gray-600 mt-1">Response: {entry.appeal.response}</p>}
+                {entry.appeal.status === 'pending' && onReviewAppeal && (
+                  <AppealButtons onReview={decision => onReviewAppeal(entry, decision)} disabled={reviewingId === entry._id} />
+                )}
+              </div>
+            )}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+// Who filed an appeal; opens their profile
+const Appellant = ({ user, onOpenUser }) => (
+  <button type="button" onClick={() => onOpenUser(user._id)} className="text-left">
+    <span className="font-medium text-gray-900 hover:underline">{user.name || user.username}</span>
+    <span className="block text-xs text-gray-500">
+      {user.email} · spam score {user.spamScore || 0} · {user.warningCount || 0} warnings
+    </span>
+  </button>
+)
+
+// Pending appeals across all users (GET /api/admin/appeals): account actions and rejected reports
+export const AppealsQueue = ({ appeals, onReviewAppeal, onReviewReportAppeal, onOpenUser, reviewingId }) => {
+  if (!appeals || appeals.length === 0) return null
+
+  return (
+    <div className="bg-white rounded-lg shadow-md mb-6">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <h2 className="text-xl font-semibold text-gray-900">Pending Appeals ({appeals.length})</h2>
+        <p className="text-gray-600 text-sm">Users asking to lift a warning, cooldown, freeze or ban, or to reconsider a rejected report</p>
+      </div>
+      <ul className="divide-y divide-gray-200">
+        {appeals.map(({ kind, user, action, report }) => {
+          if (kind === 'report') {
+            return (
+              <li key={report._id} className="px-6 py-4">
+                <div className="flex items-center justify-between gap-3">
+                  <Appellant user={user} onOpenUser={onOpenUser} />
+                  <span className="px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap bg-red-100 text-red-800">Rejected report</span>
+                </div>
+                <p className="text-xs text-gray-500 mt-2">
+                  <Link to={`/reports?reportId=${report._id}`} className="text-blue-600 hover:underline capitalize">
+                    {report.type} report
+                  </Link>
+                  {' '}· {report.location?.address}
+                  {report.verifiedAt && ` · rejected ${formatDateTime(report.verifiedAt)}`}
+                </p>
+                {report.adminNotes && <p className="text-xs text-gray-500">Reason: {report.adminNotes}</p>}
+                <p className="text-sm text-gray-800 mt-1 whitespace-pre-wrap">“{report.appeal.message}”</p>
+                <AppealEvidence evidence={report.appeal.evidence} />
+                <AppealButtons
+                  onReview={decision => onReviewReportAppeal(report, decision)}
+                  disabled={reviewingId === report._id}
+                  approveLabel="Approve & reopen"
+                />
+              </li>
+            )
+          }
+
+          const style = ACTION_STYLES[action.action] || ACTION_STYLES.warning
+          return (
+            <li key={action._id} className="px-6 py-4">
+              <div className="flex items-center justify-between gap-3">
+                <Appellant user={user} onOpenUser={onOpenUser} />
+                <span className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${style.className}`}>{style.label}</span>
+              </div>
+              <p className="text-xs text-gray-500 mt-2">
+                {action.reason} · {formatDateTime(action.at)}
+              </p>
+              <p className="text-sm text-gray-800 mt-1 whitespace-pre-wrap">“{action.appeal.message}”</p>
+              <AppealEvidence evidence={action.appeal.evidence} />
+              <AppealButtons onReview={decision => onReviewAppeal(user._id, action, decision)} disabled={reviewingId === action._id} />
+            </li>
+          )
+        })}
+      </ul>
+    </div>
+  )
+}
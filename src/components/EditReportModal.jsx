@@ -1,5 +1,23 @@
 import { useState, useEffect } from 'react'
 import { XMarkIcon } from '@heroicons/react/24/outline'
+import { reportsAPI } from '../services/api'
+import config from '../config/index.js'
+import RedactionEditor from './RedactionEditor'
+
+const REGION_LABELS = { face: 'face', text: 'plate/text', manual: 'manual' }
+
+// e.g. "2 face, 1 plate/text"
+const summarizeRegions = (regions = []) => {
+  const counts = regions.reduce((acc, region) => ({ ...acc, [region.kind]: (acc[region.kind] || 0) + 1 }), {})
+  const parts = Object.entries(counts).map(([kind, count]) => `${count} ${REGION_LABELS[kind] || kind}`)
+  return parts.length > 0 ? parts.join(', ') : 'nothing detected'
+}
+
+const formatStatus = (status) => status ? status.replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase()) : ''
+
+// Transitions that need feedback or a photo are done from the Resolve dialog instead
+const needsResolveDialog = (transition) =>
+  transition.requires.includes('evidencePhoto') || transition.requires.includes('adminFeedback')
 
 const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
   const [formData, setFormData] = useState({
@@ -10,10 +28,18 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
     barangay: '',
     status: '',
     severity: '',
-    priority: ''
+    priority: '',
+    adminNotes: '',
+    duplicateOf: ''
   })
   const [isLoading, setIsLoading] = useState(false)
   const [showSuccess, setShowSuccess] = useState(false)
+  const [history, setHistory] = useState([])
+  const [transitions, setTransitions] = useState([])
+  const [images, setImages] = useState([])
+  const [redactingIndex, setRedactingIndex] = useState(null)
+  const [redactError, setRedactError] = useState('')
+  const [editingImageIndex, setEditingImageIndex] = useState(null)
 
   useEffect(() => {
     if (report) {
@@ -25,11 +51,32 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
         barangay: report.barangay || '',
         status: report.status || '',
         severity: report.severity || 'medium',
-        priority: report.priority || 'medium'
+        priority: report.priority || 'medium',
+        adminNotes: '',
+        duplicateOf: ''
       })
+      setImages(report.images || [])
+      setRedactError('')
     }
   }, [report])
 
+  // Load the status timeline and the moves the workflow allows from here
+  useEffect(() => {
+    setHistory([])
+    setTransitions([])
+    if (!isOpen || !report?._id) return
+
+    reportsAPI.getReportHistory(report._id)
+      .then(response => {
+        setHistory(response.data.data.history || [])
+        setTransitions(response.data.data.availableTransitions || [])
+      })
+      .catch(error => console.error('Failed to fetch report history:', error))
+  }, [isOpen, report])
+
+  const selectedTransition = transitions.find(t => t.to === formData.status)
+  const requires = selectedTransition?.requires || []
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setIsLoading(true)
@@ -55,6 +102,30 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
     }
   }
 
+  const imageSrc = (image, index) => image.imageUrl?.startsWith('http')
+    ? image.imageUrl
+    : `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}?r=${image.redaction?.passes || 0}`
+
+  // The editor uploads a replacement image; swap it into the list
+  const handleImageEdited = (updated) => {
+    setImages(prev => prev.map((image, index) => index === editingImageIndex ? { ...image, ...updated } : image))
+    setEditingImageIndex(null)
+  }
+
+  // Ask the server to pixelate an image again when the upload pass missed a face or plate
+  const handleReRedact = async (index) => {
+    setRedactingIndex(index)
+    setRedactError('')
+    try {
+      const response = await reportsAPI.reRedactImage(report._id, index)
+      setImages(response.data.data)
+    } catch (error) {
+      setRedactError(error.response?.data?.error || 'Failed to redact image')
+    } finally {
+      setRedactingIndex(null)
+    }
+  }
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -142,10 +213,12 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
                     className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
                     required
                   >
-                    <option value="pending">Pending</option>
-                    <option value="verified">Verified</option>
-                    <option value="rejected">Rejected</option>
-                    <option value="resolved">Resolved</option>
+                    <option value={report.status}>{formatStatus(report.status)}</option>
+                    {transitions.map(transition => (
+                      <option key={transition.to} value={transition.to} disabled={needsResolveDialog(transition)}>
+                        → {transition.label}{needsResolveDialog(transition) ? ' (use Mark Resolved)' : ''}
+                      </option>
+                    ))}
                   </select>
                 </div>
                 <div>
@@ -182,6 +255,119 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
                   </select>
                 </div>
               </div>
+
+              {/* Fields the selected status change requires */}
+              {requires.includes('adminNotes') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Admin Notes <span className="text-red-500">*</span>
+                  </label>
+                  <textarea
+                    name="adminNotes"
+                    value={formData.adminNotes}
+                    onChange={handleChange}
+                    rows="2"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white"
+                    placeholder={`Why is this report being moved to ${selectedTransition.label}?`}
+                    required
+                  />
+                </div>
+              )}
+              {requires.includes('duplicateOf') && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">
+                    Original Report ID <span className="text-red-500">*</span>
+                  </label>
+                  <input
+                    type="text"
+                    name="duplicateOf"
+                    value={formData.duplicateOf}
+                    onChange={handleChange}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 text-gray-900 bg-white font-mono text-sm"
+                    placeholder="ID of the report this one duplicates"
+                    required
+                  />
+                </div>
+              )}
+
+              {/* Privacy Redaction */}
+              {images.length > 0 && (
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Privacy Redaction
+                  </label>
+                  {redactError && <p className="text-xs text-red-600 mb-2">{redactError}</p>}
+                  <ul className="space-y-2">
+                    {images.map((image, index) => (
+                      <li key={image._id || index} className="flex items-center gap-3 border border-gray-200 rounded-md p-2">
+                        <img
+                          src={imageSrc(image, index)}
+                          alt={`Report image ${index + 1}`}
+                          className="h-12 w-12 object-cover rounded"
+                        />
+                        <div className="flex-1 text-xs text-gray-600">
+                          <p className="font-medium text-gray-800">Image {index + 1}</p>
+                          {image.redaction?.status === 'redacted' ? (
+                            <p>
+                              Redacted: {summarizeRegions(image.redaction.regions)}
+                              {image.redaction.passes > 1 ? ` · ${image.redaction.passes} passes` : ''}
+                            </p>
+                          ) : image.redaction?.status === 'partial' ? (
+                            <>
+                              <p>Redacted: {summarizeRegions(image.redaction.regions)}</p>
+                              <p className="text-yellow-700">Licence plates not covered (text detection is off). Check the photo and add boxes if needed.</p>
+                            </>
+                          ) : (
+                            <p className="text-yellow-700">Not redacted (uploaded before redaction was enabled)</p>
+                          )}
+                        </div>
+                        <button
+                          type="button"
+                          onClick={() => setEditingImageIndex(index)}
+                          disabled={redactingIndex !== null}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          Edit boxes
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleReRedact(index)}
+                          disabled={redactingIndex !== null}
+                          className="px-2 py-1 text-xs border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                        >
+                          {redactingIndex === index ? 'Redacting...' : 'Re-run redaction'}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Status Timeline */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Status History
+                </label>
+                <ol className="border-l-2 border-gray-200 ml-2 space-y-3">
+                  <li className="ml-4 relative">
+                    <span className="absolute -left-[1.4rem] top-1 h-3 w-3 rounded-full bg-gray-300"></span>
+                    <p className="text-sm font-medium text-gray-800">Submitted</p>
+                    <p className="text-xs text-gray-500">{new Date(report.createdAt).toLocaleString()}</p>
+                  </li>
+                  {history.map(entry => (
+                    <li key={entry._id} className="ml-4 relative">
+                      <span className="absolute -left-[1.4rem] top-1 h-3 w-3 rounded-full bg-blue-500"></span>
+                      <p className="text-sm font-medium text-gray-800">
+                        {formatStatus(entry.from)} → {formatStatus(entry.to)}
+                      </p>
+                      <p className="text-xs text-gray-500">
+                        {new Date(entry.at).toLocaleString()}{entry.changedByName ? ` · by ${entry.changedByName}` : ''}
+                      </p>
+                      {entry.note && <p className="text-xs text-gray-600 mt-1 bg-gray-50 p-2 rounded">{entry.note}</p>}
+                    </li>
+                  ))}
+                </ol>
+              </div>
             </div>
 
             {/* Actions */}
@@ -220,6 +406,17 @@ const EditReportModal = ({ isOpen, onClose, report, onUpdate }) => {
             </div>
           </form>
 
+          {editingImageIndex !== null && images[editingImageIndex] && (
+            <RedactionEditor
+              reportId={report._id}
+              imageIndex={editingImageIndex}
+              image={images[editingImageIndex]}
+              imageSrc={imageSrc(images[editingImageIndex], editingImageIndex)}
+              onSaved={handleImageEdited}
+              onClose={() => setEditingImageIndex(null)}
+            />
+          )}
+
           {/* Success Modal Overlay */}
           {showSuccess && (
             <div className="absolute inset-0 bg-white bg-opacity-95 flex items-center justify-center z-[10001]">
@@ -0,0 +1,44 @@
+import config from '../config/index.js'
+
+// Earlier reports whose photos near-match this report's photos (`report.imageReuse`)
+const ImageReuseBanner = ({ matches, onOpenReport }) => {
+  if (!matches || matches.length === 0) return null
+
+  const sameReporter = matches.some(match => match.sameReporter)
+
+  return (
+    <div className="bg-amber-50 border border-amber-300 rounded-lg p-4">
+      <p className="text-sm font-semibold text-amber-800">♻️ Possible reused image</p>
+      <p className="text-xs text-amber-700 mt-1">
+        {matches.length === 1 ? 'A photo in this report matches an image' : `Photos in this report match ${matches.length} images`} in
+        earlier reports{sameReporter ? ', including reports from the same reporter' : ''}. Check that it shows this hazard.
+      </p>
+      <div className="flex flex-wrap gap-3 mt-3">
+        {matches.map(match => (
+          <button
+            key={`${match.imageIndex}-${match.report}-${match.matchImageIndex}`}
+            type="button"
+            onClick={() => onOpenReport(match.report)}
+            className="flex items-center gap-2 bg-white border border-amber-200 rounded-md p-1.5 pr-3 text-left hover:bg-amber-100"
+            title={`Image ${match.imageIndex + 1} of this report, ${match.distance === 0 ? 'identical' : `${match.distance} bits different`}`}
+          >
+            <img
+              src={`${config.BACKEND_URL}/api/reports/${match.report}/image/${match.matchImageIndex}?size=small`}
+              alt="Matching report"
+              className="h-10 w-10 rounded object-cover bg-gray-100"
+              onError={(e) => { e.target.style.visibility = 'hidden' }}
+            />
+            <span className="text-xs text-gray-700">
+              Report …{String(match.report).slice(-6)}
+              <span className="block text-gray-500">
+                {match.sameReporter ? 'Same reporter' : 'Other reporter'} · {match.distance === 0 ? 'identical' : 'near match'}
+              </span>
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ImageReuseBanner
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { MapContainer, TileLayer, Marker, Popup, useMap } from 'react-leaflet'
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
 import L from 'leaflet'
 import 'leaflet/dist/leaflet.css'
 import config from '../config/index.js'
@@ -74,7 +74,20 @@ const MapController = ({ center, zoom, bounds, filteredReports }) => {
   return null
 }
 
-const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReportId }) => {
+// Reports the visible area as "minLng,minLat,maxLng,maxLat" whenever the view settles
+const ViewportWatcher = ({ onBoundsChange }) => {
+  const map = useMapEvents({
+    moveend: () => onBoundsChange(map.getBounds().toBBoxString())
+  })
+
+  useEffect(() => {
+    onBoundsChange(map.getBounds().toBBoxString())
+  }, [map, onBoundsChange])
+
+  return null
+}
+
+const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReportId, onBoundsChange }) => {
   const [mapCenter, setMapCenter] = useState([10.2397, 122.8203]) // Kabankalan City center, Negros Occidental
   const [mapZoom, setMapZoom] = useState(14) // Balanced zoom for city view
   const [filteredReports, setFilteredReports] = useState([])
@@ -120,6 +133,10 @@ const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReport
     }
 
     setFilteredReports(filtered)
+
+    // When the parent fetches by viewport, the user drives the view -
+    // auto-fitting to the results would move the map and refetch in a loop
+    if (onBoundsChange) return
     
     // Auto-center map when filters change and reports are available
     if (filtered.length > 0) {
@@ -190,7 +207,7 @@ const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReport
       setMapZoom(14);
       setMapBounds(null);
     }
-  }, [reports, filters])
+  }, [reports, filters, onBoundsChange])
 
   // Auto-focus on the report with focusReportId
   useEffect(() => {
@@ -249,6 +266,7 @@ const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReport
           bounds={mapBounds} 
           filteredReports={filteredReports} 
         />
+        {onBoundsChange && <ViewportWatcher onBoundsChange={onBoundsChange} />}
         {/* Base map layer */}
         <TileLayer
           key={mapStyle}
@@ -326,7 +344,7 @@ const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReport
                               imageUrl = image.filename;
                             } else {
                               // Use image API endpoint
-                              imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}`;
+                              imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}?size=small`;
                             }
                           } else if (typeof image === 'string') {
                             if (image.startsWith('http://') || image.startsWith('https://')) {
@@ -335,11 +353,11 @@ const InteractiveMap = ({ reports = [], filters = {}, onReportClick, focusReport
                               imageUrl = image;
                             } else {
                               // Use image API endpoint
-                              imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}`;
+                              imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}?size=small`;
                             }
                           } else {
-                            // Fallback to image API endpoint
-                            imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}`;
+                            // Image API endpoint, small variant for the popup thumbnail
+                            imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}?size=small`;
                           }
                           
                           console.log('🖼️ Popup image:', { index, image, imageUrl });
@@ -1,10 +1,11 @@
 import { Link, useLocation } from 'react-router-dom'
-import { MapPinIcon, ChartBarIcon, DocumentTextIcon, UserIcon, ChevronDownIcon, CogIcon, KeyIcon, UserPlusIcon, ArrowRightOnRectangleIcon, UsersIcon, NewspaperIcon, ShieldCheckIcon, Bars3Icon, XMarkIcon, PresentationChartLineIcon, ClipboardDocumentListIcon, Cog6ToothIcon, WrenchScrewdriverIcon, ClipboardDocumentCheckIcon, PrinterIcon } from '@heroicons/react/24/outline'
+import { MapPinIcon, ChartBarIcon, DocumentTextIcon, UserIcon, ChevronDownIcon, CogIcon, KeyIcon, UserPlusIcon, ArrowRightOnRectangleIcon, UsersIcon, NewspaperIcon, ShieldCheckIcon, Bars3Icon, XMarkIcon, PresentationChartLineIcon, ClipboardDocumentListIcon, Cog6ToothIcon, WrenchScrewdriverIcon, ClipboardDocumentCheckIcon, PrinterIcon, BuildingOffice2Icon, QueueListIcon } from '@heroicons/react/24/outline'
 import { useState, useEffect } from 'react'
 import AdminLogoutConfirmModal from './AdminLogoutConfirmModal'
 import NotificationBell from './NotificationBell'
 import axios from 'axios'
 import config from '../config/index.js'
+import { clearSession, signOut } from '../services/session.js'
 
 const Navbar = () => {
   const location = useLocation()
@@ -50,7 +51,7 @@ const Navbar = () => {
       console.error('Error fetching current admin:', err)
       // If token is invalid, redirect to login
       if (err.response?.status === 401) {
-        localStorage.removeItem('adminToken')
+        clearSession()
         window.location.href = '/login'
       }
     }
@@ -59,6 +60,7 @@ const Navbar = () => {
   const navigation = [
     { name: 'Dashboard', href: '/dashboard', icon: ChartBarIcon },
     { name: 'Reports', href: '/reports', icon: DocumentTextIcon },
+    { name: 'Team Queue', href: '/agency-queue', icon: QueueListIcon },
     { name: 'Users', href: '/users', icon: UsersIcon },
     { name: 'Map View', href: '/map', icon: MapPinIcon },
     // News Management - available to both roles
@@ -77,9 +79,9 @@ const Navbar = () => {
     setShowLogoutModal(true)
   }
 
-  const handleLogoutConfirm = () => {
-    localStorage.removeItem('adminToken')
+  const handleLogoutConfirm = async () => {
     setShowLogoutModal(false)
+    await signOut()
     window.location.href = '/login'
   }
 
@@ -226,6 +228,18 @@ const Navbar = () => {
                         <UserPlusIcon className="h-4 w-4 mr-3" />
                         Create Admin Account
                       </Link>
+                      <Link
+                        to="/admin/agencies"
+                        className={`flex items-center px-4 py-2 text-sm transition-colors ${
+                          location.pathname === '/admin/agencies'
+                            ? 'bg-red-50 text-red-700 border-r-2 border-red-500'
+                            : 'text-gray-700 hover:bg-gray-100'
+                        }`}
+                        onClick={() => setShowAdminDropdown(false)}
+                      >
+                        <BuildingOffice2Icon className="h-4 w-4 mr-3" />
+                        Agencies &amp; Teams
+                      </Link>
                       <Link
                         to="/admin/settings"
                         className={`flex items-center px-4 py-2 text-sm transition-colors ${
@@ -376,6 +390,14 @@ const Navbar = () => {
                       <UserPlusIcon className="h-5 w-5 mr-3" />
                       Create New Admin
                     </Link>
+                    <Link
+                      to="/admin/agencies"
+                      onClick={() => setMobileMenuOpen(false)}
+                      className="flex items-center px-4 py-2 text-base font-medium text-gray-600 hover:text-gray-900 hover:bg-gray-100"
+                    >
+                      <BuildingOffice2Icon className="h-5 w-5 mr-3" />
+                      Agencies &amp; Teams
+                    </Link>
                     <Link
                       to="/admin/settings"
                       onClick={() => setMobileMenuOpen(false)}
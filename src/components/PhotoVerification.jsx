@@ -0,0 +1,84 @@
+// What each flag from the backend photo check means
+const FLAG_LABELS = {
+  no_exif: 'No photo metadata',
+  no_gps: 'No GPS in photo',
+  no_timestamp: 'No capture time',
+  location_mismatch: 'Taken over 1 km away',
+  location_far: 'Taken over 20 km away',
+  old_photo: 'Taken over a day before',
+  very_old_photo: 'Taken over a month before',
+  future_timestamp: 'Capture time after submission',
+  edited: 'Edited with photo software'
+}
+
+const STATUS_STYLES = {
+  consistent: { label: 'Photo matches', className: 'text-green-700 bg-green-100', icon: '✓' },
+  unverified: { label: 'Photo unverified', className: 'text-gray-600 bg-gray-100', icon: '?' },
+  suspicious: { label: 'Photo suspicious', className: 'text-red-700 bg-red-100', icon: '⚠️' }
+}
+
+const formatDistance = (meters) => meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`
+
+const formatAge = (minutes) => {
+  const abs = Math.abs(minutes)
+  let text
+  if (abs < 60) text = `${abs} min`
+  else if (abs < 48 * 60) text = `${Math.round(abs / 60)} h`
+  else text = `${Math.round(abs / 1440)} days`
+  return minutes < 0 ? `${text} after submission` : `${text} before submission`
+}
+
+// Compact status pill for tables, from `report.photoVerification`
+export const PhotoVerificationBadge = ({ verification }) => {
+  if (!verification?.status) return null
+  const style = STATUS_STYLES[verification.status] || STATUS_STYLES.unverified
+
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${style.className}`}
+      title={`${style.label} (score ${verification.score}/100)${
+        verification.flags?.length ? `: ${verification.flags.map(flag => FLAG_LABELS[flag] || flag).join(', ')}` : ''
+      }`}
+    >
+      {style.icon} {verification.score}
+    </span>
+  )
+}
+
+// Per-photo results of the EXIF location/time check
+const PhotoVerification = ({ verification }) => {
+  if (!verification?.status) return null
+  const style = STATUS_STYLES[verification.status] || STATUS_STYLES.unverified
+
+  return (
+    <div>
+      <div className="flex items-center gap-2 mb-2">
+        <p className="text-xs font-medium text-gray-500">Photo Check</p>
+        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${style.className}`}>
+          {style.icon} {style.label} · {verification.score}/100
+        </span>
+      </div>
+      <ul className="space-y-1">
+        {(verification.photos || []).map(photo => (
+          <li key={photo.index} className="text-xs text-gray-700 bg-gray-50 rounded-md px-3 py-2">
+            <span className="font-semibold">Image {photo.index + 1}:</span>{' '}
+            {photo.distanceMeters !== null && photo.distanceMeters !== undefined && (
+              <span>{formatDistance(photo.distanceMeters)} from report location · </span>
+            )}
+            {photo.ageMinutes !== null && photo.ageMinutes !== undefined && (
+              <span>taken {formatAge(photo.ageMinutes)} · </span>
+            )}
+            {photo.flags?.length
+              ? <span className="text-amber-700">{photo.flags.map(flag => FLAG_LABELS[flag] || flag).join(', ')}</span>
+              : <span className="text-green-700">no issues</span>}
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-400 mt-1">
+        Compares photo metadata with the report. Missing metadata is common for in-app camera shots.
+      </p>
+    </div>
+  )
+}
+
+export default PhotoVerification
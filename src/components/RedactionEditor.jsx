@@ -0,0 +1,319 @@
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { XMarkIcon, PlusIcon } from '@heroicons/react/24/outline'
+import { reportsAPI } from '../services/api'
+
+const KIND_STYLES = {
+  face: 'border-blue-500',
+  plate: 'border-amber-500',
+  text: 'border-amber-500',
+  manual: 'border-green-500'
+}
+
+const MIN_BOX_SIZE = 12
+
+let nextRegionId = 1
+const withId = (region) => ({ ...region, id: nextRegionId++ })
+
+// Pixelate one box on the canvas (block size scales with the box)
+const pixelate = (context, { x, y, width, height }) => {
+  const canvas = context.canvas
+  const left = Math.max(0, Math.floor(x))
+  const top = Math.max(0, Math.floor(y))
+  const w = Math.min(canvas.width - left, Math.ceil(width))
+  const h = Math.min(canvas.height - top, Math.ceil(height))
+  if (w <= 0 || h <= 0) return
+
+  const tiny = document.createElement('canvas')
+  tiny.width = Math.max(4, Math.floor(w / 15))
+  tiny.height = Math.max(4, Math.floor(h / 15))
+  tiny.getContext('2d').drawImage(canvas, left, top, w, h, 0, 0, tiny.width, tiny.height)
+
+  context.save()
+  context.imageSmoothingEnabled = false
+  context.drawImage(tiny, 0, 0, tiny.width, tiny.height, left, top, w, h)
+  context.restore()
+}
+
+/**
+ * Edit the privacy redaction of a stored report image: start from the boxes
+ * the server recorded, add/move/resize/remove boxes, then upload the
+ * re-pixelated image with the final boxes.
+ */
+const RedactionEditor = ({ reportId, imageIndex, imageSrc, image, onSaved, onClose }) => {
+  const [loadedImage, setLoadedImage] = useState(null)
+  const [regions, setRegions] = useState([])
+  const [selectedId, setSelectedId] = useState(null)
+  const [scale, setScale] = useState(1)
+  const [saving, setSaving] = useState(false)
+  const [error, setError] = useState('')
+  const imgRef = useRef(null)
+  const dragRef = useRef(null)
+
+  useEffect(() => {
+    setError('')
+    setLoadedImage(null)
+    setRegions((image.redaction?.regions || []).map(withId))
+
+    // Anonymous CORS keeps the canvas exportable
+    const img = new Image()
+    img.crossOrigin = 'anonymous'
+    img.onload = () => setLoadedImage(img)
+    img.onerror = () => setError('Could not load this image for editing')
+    img.src = imageSrc
+  }, [imageSrc, image])
+
+  const updateScale = useCallback(() => {
+    if (imgRef.current && loadedImage) {
+      setScale(imgRef.current.clientWidth / loadedImage.naturalWidth || 1)
+    }
+  }, [loadedImage])
+
+  useEffect(() => {
+    updateScale()
+    window.addEventListener('resize', updateScale)
+    return () => window.removeEventListener('resize', updateScale)
+  }, [updateScale])
+
+  // Pointer position in image pixels
+  const toImagePoint = (e) => {
+    const rect = imgRef.current.getBoundingClientRect()
+    return {
+      x: Math.min(Math.max((e.clientX - rect.left) / scale, 0), loadedImage.naturalWidth),
+      y: Math.min(Math.max((e.clientY - rect.top) / scale, 0), loadedImage.naturalHeight)
+    }
+  }
+
+  const startDrag = (e, mode, region) => {
+    if (!loadedImage || saving) return
+    e.preventDefault()
+    e.stopPropagation()
+    e.currentTarget.setPointerCapture?.(e.pointerId)
+
+    const point = toImagePoint(e)
+    let target = region
+    if (mode === 'draw') {
+      target = withId({ kind: 'manual', x: point.x, y: point.y, width: 0, height: 0 })
+      setRegions(prev => [...prev, target])
+    }
+    setSelectedId(target.id)
+    dragRef.current = { mode, id: target.id, start: point, original: { ...target } }
+  }
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current
+    if (!drag) return
+
+    const point = toImagePoint(e)
+    const dx = point.x - drag.start.x
+    const dy = point.y - drag.start.y
+    const { original } = drag
+    const { naturalWidth, naturalHeight } = loadedImage
+
+    setRegions(prev => prev.map(region => {
+      if (region.id !== drag.id) return region
+      if (drag.mode === 'move') {
+        return {
+          ...region,
+          x: Math.min(Math.max(original.x + dx, 0), naturalWidth - original.width),
+          y: Math.min(Math.max(original.y + dy, 0), naturalHeight - original.height)
+        }
+      }
+      if (drag.mode === 'resize') {
+        return {
+          ...region,
+          width: Math.min(Math.max(original.width + dx, MIN_BOX_SIZE), naturalWidth - original.x),
+          height: Math.min(Math.max(original.height + dy, MIN_BOX_SIZE), naturalHeight - original.y)
+        }
+      }
+      return {
+        ...region,
+        x: Math.min(drag.start.x, point.x),
+        y: Math.min(drag.start.y, point.y),
+        width: Math.abs(dx),
+        height: Math.abs(dy)
+      }
+    }))
+  }
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current
+    dragRef.current = null
+    if (drag?.mode === 'draw') {
+      setRegions(prev => prev.filter(region =>
+        region.id !== drag.id || (region.width >= MIN_BOX_SIZE && region.height >= MIN_BOX_SIZE)
+      ))
+    }
+  }
+
+  const addRegion = () => {
+    if (!loadedImage) return
+    const width = loadedImage.naturalWidth * 0.2
+    const height = loadedImage.naturalHeight * 0.1
+    const region = withId({
+      kind: 'manual',
+      x: (loadedImage.naturalWidth - width) / 2,
+      y: (loadedImage.naturalHeight - height) / 2,
+      width,
+      height
+    })
+    setRegions(prev => [...prev, region])
+    setSelectedId(region.id)
+  }
+
+  const removeRegion = (id) => {
+    setRegions(prev => prev.filter(region => region.id !== id))
+    if (selectedId === id) setSelectedId(null)
+  }
+
+  const handleSave = () => {
+    if (!loadedImage) return
+    setSaving(true)
+    setError('')
+
+    const canvas = document.createElement('canvas')
+    canvas.width = loadedImage.naturalWidth
+    canvas.height = loadedImage.naturalHeight
+    const context = canvas.getContext('2d')
+    context.drawImage(loadedImage, 0, 0)
+
+    const finalRegions = regions.map(({ kind, x, y, width, height }) => ({
+      kind,
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round(width),
+      height: Math.round(height)
+    }))
+    finalRegions.forEach(region => pixelate(context, region))
+
+    try {
+      canvas.toBlob(async (blob) => {
+        if (!blob) {
+          setError('Could not export the edited image')
+          setSaving(false)
+          return
+        }
+
+        const formData = new FormData()
+        formData.append('image', blob, `report-${reportId}-${imageIndex}.jpg`)
+        formData.append('redaction', JSON.stringify({
+          width: canvas.width,
+          height: canvas.height,
+          regions: finalRegions
+        }))
+
+        try {
+          const response = await reportsAPI.updateReportImage(reportId, imageIndex, formData)
+          onSaved(response.data.data)
+        } catch (err) {
+          setError(err.response?.data?.error || 'Failed to save the image')
+        } finally {
+          setSaving(false)
+        }
+      }, 'image/jpeg', 0.92)
+    } catch (err) {
+      // A canvas tainted by a cross-origin image cannot be exported
+      console.error('Failed to export edited image:', err)
+      setError('This image cannot be edited in the browser')
+      setSaving(false)
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 z-[10002] bg-gray-900 bg-opacity-90 flex flex-col items-center justify-center p-4">
+      <div className="text-center text-white mb-3 max-w-xl">
+        <h3 className="text-lg font-semibold">Edit Redaction · Image {imageIndex + 1}</h3>
+        <p className="text-sm text-gray-300 mt-1">
+          Drag on the image to add a box, drag a box to move it, use its corner to resize it.
+          Removing a box does not restore pixels that were already redacted.
+        </p>
+      </div>
+
+      {error && <p className="text-sm text-red-300 mb-2">{error}</p>}
+
+      <div
+        className="relative select-none leading-none"
+        style={{ touchAction: 'none' }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {loadedImage ? (
+          <img
+            ref={imgRef}
+            src={loadedImage.src}
+            alt={`Report image ${imageIndex + 1}`}
+            crossOrigin="anonymous"
+            onLoad={updateScale}
+            onPointerDown={(e) => startDrag(e, 'draw')}
+            draggable={false}
+            className="block max-w-[90vw] max-h-[65vh] rounded cursor-crosshair"
+          />
+        ) : !error && (
+          <p className="text-sm text-gray-300 py-10 px-16">Loading image...</p>
+        )}
+
+        {loadedImage && regions.map(region => (
+          <div
+            key={region.id}
+            onPointerDown={(e) => startDrag(e, 'move', region)}
+            className={`absolute border-2 bg-black bg-opacity-20 cursor-move ${KIND_STYLES[region.kind] || KIND_STYLES.manual} ${
+              region.id === selectedId ? 'border-solid' : 'border-dashed'
+            }`}
+            style={{
+              left: `${region.x * scale}px`,
+              top: `${region.y * scale}px`,
+              width: `${region.width * scale}px`,
+              height: `${region.height * scale}px`
+            }}
+          >
+            <button
+              type="button"
+              aria-label="Remove box"
+              onPointerDown={(e) => e.stopPropagation()}
+              onClick={() => removeRegion(region.id)}
+              className="absolute -top-2.5 -right-2.5 h-5 w-5 rounded-full bg-red-500 text-white flex items-center justify-center"
+            >
+              <XMarkIcon className="h-3 w-3" />
+            </button>
+            <div
+              onPointerDown={(e) => startDrag(e, 'resize', region)}
+              className="absolute -right-1.5 -bottom-1.5 h-3 w-3 rounded-sm bg-white cursor-nwse-resize"
+            />
+          </div>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-300 mt-2">{regions.length} box(es) will be pixelated</p>
+
+      <div className="flex flex-wrap justify-center gap-2 mt-3">
+        <button
+          type="button"
+          onClick={onClose}
+          disabled={saving}
+          className="px-4 py-2 bg-white border border-gray-300 rounded-md text-sm font-medium text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+        >
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={addRegion}
+          disabled={!loadedImage || saving}
+          className="px-4 py-2 bg-green-600 rounded-md text-sm font-medium text-white hover:bg-green-700 disabled:opacity-50 inline-flex items-center gap-1"
+        >
+          <PlusIcon className="h-4 w-4" />
+          Add Box
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!loadedImage || saving}
+          className="px-4 py-2 bg-blue-600 rounded-md text-sm font-medium text-white hover:bg-blue-700 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Redaction'}
+        </button>
+      </div>
+    </div>
+  )
+}
+
+export default RedactionEditor
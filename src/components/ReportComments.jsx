@@ -0,0 +1,180 @@
+import { useState, useEffect, useRef } from 'react'
+import { PaperClipIcon, LockClosedIcon } from '@heroicons/react/24/outline'
+import { commentsAPI } from '../services/api'
+import { useNotification } from '../context/NotificationContext'
+
+const isImage = (attachment) => attachment.mimetype?.startsWith('image/')
+
+// Message thread between the reporter and admins, plus admin-only internal notes
+const ReportComments = ({ reportId }) => {
+  const { socket } = useNotification()
+  const [comments, setComments] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [body, setBody] = useState('')
+  const [files, setFiles] = useState([])
+  const [internal, setInternal] = useState(false)
+  const [sending, setSending] = useState(false)
+  const [error, setError] = useState('')
+  const fileInputRef = useRef(null)
+  const bottomRef = useRef(null)
+
+  useEffect(() => {
+    setLoading(true)
+    setComments([])
+    commentsAPI.getThread(reportId)
+      .then(response => setComments(response.data.data))
+      .catch(err => console.error('Failed to fetch comments:', err))
+      .finally(() => setLoading(false))
+  }, [reportId])
+
+  // Live messages and read receipts for this report
+  useEffect(() => {
+    if (!socket) return
+
+    const handleComment = (comment) => {
+      if (comment.report !== reportId) return
+      setComments(prev => prev.some(c => c._id === comment._id) ? prev : [...prev, comment])
+    }
+    const handleRead = (receipt) => {
+      if (receipt.reportId !== reportId || receipt.readBy !== 'user') return
+      setComments(prev => prev.map(c =>
+        c.author.kind === 'admin' && !c.internal && !c.readAt ? { ...c, readAt: receipt.readAt } : c
+      ))
+    }
+
+    socket.on('report_comment', handleComment)
+    socket.on('report_comments_read', handleRead)
+    return () => {
+      socket.off('report_comment', handleComment)
+      socket.off('report_comments_read', handleRead)
+    }
+  }, [socket, reportId])
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ block: 'nearest' })
+  }, [comments])
+
+  const handleSend = async (e) => {
+    e.preventDefault()
+    if (!body.trim() && files.length === 0) return
+
+    setSending(true)
+    setError('')
+    try {
+      const formData = new FormData()
+      formData.append('body', body.trim())
+      formData.append('internal', internal)
+      files.forEach(file => formData.append('attachments', file))
+
+      const response = await commentsAPI.sendComment(reportId, formData)
+      const comment = response.data.data
+      setComments(prev => prev.some(c => c._id === comment._id) ? prev : [...prev, comment])
+      setBody('')
+      setFiles([])
+      if (fileInputRef.current) fileInputRef.current.value = ''
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send message')
+    } finally {
+      setSending(false)
+    }
+  }
+
+  return (
+    <div>
+      <p className="text-xs font-medium text-gray-500 mb-1">Messages</p>
+      <div className="border border-gray-200 rounded-lg">
+        <div className="max-h-64 overflow-y-auto p-3 space-y-2 bg-gray-50">
+          {loading ? (
+            <p className="text-sm text-gray-500 text-center py-2">Loading messages...</p>
+          ) : comments.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center py-2">No messages yet</p>
+          ) : (
+            comments.map(comment => {
+              const fromAdmin = comment.author.kind === 'admin'
+              return (
+                <div key={comment._id} className={`flex ${fromAdmin ? 'justify-end' : 'justify-start'}`}>
+                  <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm ${
+                    comment.internal
+                      ? 'bg-yellow-50 border border-yellow-200 text-gray-800'
+                      : fromAdmin ? 'bg-blue-600 text-white' : 'bg-white border border-gray-200 text-gray-800'
+                  }`}>
+                    <div className={`text-xs mb-1 flex items-center gap-1 ${fromAdmin && !comment.internal ? 'text-blue-100' : 'text-gray-500'}`}>
+                      {comment.internal && <LockClosedIcon className="h-3 w-3" />}
+                      <span className="font-semibold">{comment.author.name || (fromAdmin ? 'Admin' : 'Reporter')}</span>
+                      <span>· {new Date(comment.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}</span>
+                      {comment.internal && <span>· internal note</span>}
+                    </div>
+                    {comment.body && <p className="whitespace-pre-wrap">{comment.body}</p>}
+                    {comment.attachments?.length > 0 && (
+                      <div className="flex flex-wrap gap-2 mt-2">
+                        {comment.attachments.map((attachment, index) => (
+                          <a key={index} href={attachment.url} target="_blank" rel="noopener noreferrer">
+                            {isImage(attachment) ? (
+                              <img src={attachment.url} alt={attachment.filename || 'Attachment'} className="h-16 w-16 object-cover rounded" />
+                            ) : (
+                              <span className="inline-flex items-center gap-1 underline text-xs">
+                                <PaperClipIcon className="h-3 w-3" />
+                                {attachment.filename || 'Attachment'}
+                              </span>
+                            )}
+                          </a>
+                        ))}
+                      </div>
+                    )}
+                    {fromAdmin && !comment.internal && (
+                      <div className="text-[10px] text-right mt-1 text-blue-100">
+                        {comment.readAt ? `Seen ${new Date(comment.readAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' })}` : 'Sent'}
+                      </div>
+                    )}
+                  </div>
+                </div>
+              )
+            })
+          )}
+          <div ref={bottomRef} />
+        </div>
+
+        <form onSubmit={handleSend} className="border-t border-gray-200 p-2 space-y-2">
+          {error && <p className="text-xs text-red-600">{error}</p>}
+          <textarea
+            value={body}
+            onChange={(e) => setBody(e.target.value)}
+            maxLength={2000}
+            rows={2}
+            placeholder={internal ? 'Internal note (only admins can see this)...' : 'Reply to the reporter...'}
+            className={`w-full border rounded-md px-2 py-1 text-sm ${internal ? 'border-yellow-300 bg-yellow-50' : 'border-gray-300'}`}
+          />
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-3">
+              <label className="inline-flex items-center gap-1 text-xs text-gray-600 cursor-pointer">
+                <PaperClipIcon className="h-4 w-4" />
+                {files.length > 0 ? `${files.length} file(s)` : 'Attach'}
+                <input
+                  ref={fileInputRef}
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp,application/pdf"
+                  multiple
+                  className="hidden"
+                  onChange={(e) => setFiles(Array.from(e.target.files).slice(0, 3))}
+                />
+              </label>
+              <label className="inline-flex items-center gap-1 text-xs text-gray-600">
+                <input type="checkbox" checked={internal} onChange={(e) => setInternal(e.target.checked)} />
+                Internal note
+              </label>
+            </div>
+            <button
+              type="submit"
+              disabled={sending || (!body.trim() && files.length === 0)}
+              className={`px-3 py-1 text-white text-sm rounded-md disabled:opacity-50 ${internal ? 'bg-yellow-600 hover:bg-yellow-700' : 'bg-blue-600 hover:bg-blue-700'}`}
+            >
+              {sending ? 'Sending...' : internal ? 'Add Note' : 'Send'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
+export default ReportComments
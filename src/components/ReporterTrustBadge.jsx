@@ -0,0 +1,21 @@
+// Reporter trust (0-100) from `ReputationService.summarize`; new reporters start at 50
+const trustStyle = (trust) => {
+  if (trust >= 75) return 'text-green-700 bg-green-100'
+  if (trust <= 30) return 'text-red-700 bg-red-100'
+  return 'text-gray-600 bg-gray-100'
+}
+
+const ReporterTrustBadge = ({ reputation }) => {
+  if (typeof reputation?.trust !== 'number') return null
+
+  return (
+    <span
+      className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${trustStyle(reputation.trust)}`}
+      title={`Reporter trust ${reputation.trust}/100: ${reputation.verifiedReports || 0} verified, ${reputation.rejectedReports || 0} rejected`}
+    >
+      ⭐ {reputation.trust}
+    </span>
+  )
+}
+
+export default ReporterTrustBadge
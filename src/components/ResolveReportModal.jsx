@@ -3,7 +3,7 @@ import { XMarkIcon, CheckCircleIcon, CameraIcon, ArrowPathIcon, TrashIcon } from
 
 const MAX_IMAGE_SIZE = 5 * 1024 * 1024; // 5 MB
 
-const ResolveReportModal = ({ report, onClose, onResolve }) => {
+const ResolveReportModal = ({ report, onClose, onResolve, requirePhoto = false }) => {
   const [adminFeedback, setAdminFeedback] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [showSuccess, setShowSuccess] = useState(false);
@@ -144,6 +144,11 @@ const ResolveReportModal = ({ report, onClose, onResolve }) => {
       return;
     }
 
+    if (requirePhoto && !capturedBlob) {
+      setError('A proof photo is required to resolve this report');
+      return;
+    }
+
     setIsLoading(true);
 
     try {
@@ -253,7 +258,7 @@ const ResolveReportModal = ({ report, onClose, onResolve }) => {
           <div className="border border-gray-200 rounded-lg p-4">
             <h3 className="font-medium text-gray-900 mb-3 flex items-center gap-2">
               <CameraIcon className="h-5 w-5 text-blue-600" />
-              Proof Image (Camera Capture)
+              Proof Image (Camera Capture){requirePhoto && <span className="text-red-500">*</span>}
             </h3>
 
             {/* Camera Error */}
@@ -365,7 +370,7 @@ const ResolveReportModal = ({ report, onClose, onResolve }) => {
             )}
 
             <p className="mt-2 text-xs text-gray-500">
-              Optional — capture a real-time photo as proof of resolution. Gallery uploads are not allowed.
+              {requirePhoto ? 'Required' : 'Optional'} — capture a real-time photo as proof of resolution. Gallery uploads are not allowed.
             </p>
           </div>
 
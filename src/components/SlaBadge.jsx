@@ -0,0 +1,53 @@
+// Human-friendly duration for SLA countdowns ("5h", "2d 3h")
+const formatHours = (hours) => {
+  const abs = Math.abs(Math.round(hours))
+  if (abs < 24) return `${abs}h`
+  const days = Math.floor(abs / 24)
+  const rest = abs % 24
+  return rest ? `${days}d ${rest}h` : `${days}d`
+}
+
+// SLA state of a report as returned by the API in `report.sla`
+const SlaBadge = ({ sla }) => {
+  if (!sla) return null
+
+  // Stage still running: show time left, or how long it is overdue
+  if (sla.stage && sla.dueAt) {
+    const hoursLeft = (new Date(sla.dueAt) - Date.now()) / 3600000
+    const label = sla.stage === 'verify' ? 'verify' : 'resolve'
+
+    if (sla.breached) {
+      return (
+        <span
+          className="px-2 py-0.5 rounded-full text-xs font-semibold text-red-700 bg-red-100 whitespace-nowrap"
+          title={`Should have been ${label === 'verify' ? 'verified' : 'resolved'} by ${new Date(sla.dueAt).toLocaleString()}`}
+        >
+          ⏱️ {formatHours(hoursLeft)} overdue
+        </span>
+      )
+    }
+
+    return (
+      <span
+        className={`px-2 py-0.5 rounded-full text-xs font-semibold whitespace-nowrap ${
+          hoursLeft < 6 ? 'text-amber-700 bg-amber-100' : 'text-gray-600 bg-gray-100'
+        }`}
+        title={`Due ${new Date(sla.dueAt).toLocaleString()}`}
+      >
+        {label} in {formatHours(hoursLeft)}
+      </span>
+    )
+  }
+
+  // Closed report: did it make its resolve (or verify) target?
+  const met = sla.resolve?.met ?? sla.verify?.met
+  if (met === null || met === undefined) return <span className="text-xs text-gray-400">—</span>
+
+  return met ? (
+    <span className="px-2 py-0.5 rounded-full text-xs font-semibold text-green-700 bg-green-100 whitespace-nowrap">✓ Met</span>
+  ) : (
+    <span className="px-2 py-0.5 rounded-full text-xs font-semibold text-gray-600 bg-gray-100 whitespace-nowrap">Missed</span>
+  )
+}
+
+export default SlaBadge
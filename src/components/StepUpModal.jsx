@@ -0,0 +1,104 @@
+import { useState, useEffect, useRef } from 'react'
+import { ShieldCheckIcon } from '@heroicons/react/24/outline'
+import axios from 'axios'
+import config from '../config/index.js'
+import { setStepUpHandler } from '../services/session.js'
+
+// Asks the signed-in admin to confirm it is them (authenticator code, or
+// password when they have no two-factor set up) before a destructive action.
+// Opened through requestStepUp() in services/session.js.
+const StepUpModal = () => {
+  const [method, setMethod] = useState(null) // null while closed
+  const [value, setValue] = useState('')
+  const [error, setError] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+  const resolveRef = useRef(null)
+
+  useEffect(() => {
+    return setStepUpHandler((stepUpMethod) => new Promise((resolve) => {
+      resolveRef.current = resolve
+      setMethod(stepUpMethod === 'totp' ? 'totp' : 'password')
+      setValue('')
+      setError('')
+    }))
+  }, [])
+
+  const close = (confirmed) => {
+    resolveRef.current?.(confirmed)
+    resolveRef.current = null
+    setMethod(null)
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    setError('')
+    try {
+      const token = localStorage.getItem('adminToken')
+      await axios.post(`${config.API_BASE_URL}/auth/step-up`,
+        method === 'totp' ? { code: value.trim() } : { password: value },
+        { headers: { Authorization: `Bearer ${token}` } }
+      )
+      close(true)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Could not confirm your identity')
+    } finally {
+      setSubmitting(false)
+    }
+  }
+
+  if (!method) return null
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[60]">
+      <form
+        onSubmit={handleSubmit}
+        className="bg-white rounded-lg shadow-xl p-6 max-w-sm w-full mx-4"
+      >
+        <div className="flex items-center mb-4">
+          <ShieldCheckIcon className="h-6 w-6 text-red-600 mr-2" />
+          <h3 className="text-lg font-bold text-gray-900">Confirm it's you</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          {method === 'totp'
+            ? 'Enter the 6-digit code from your authenticator app, or a backup code, to continue.'
+            : 'Enter your password to continue.'}
+        </p>
+
+        <input
+          type={method === 'totp' ? 'text' : 'password'}
+          inputMode={method === 'totp' ? 'numeric' : undefined}
+          autoComplete={method === 'totp' ? 'one-time-code' : 'current-password'}
+          autoFocus
+          required
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={method === 'totp' ? '123456' : 'Password'}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+        />
+
+        {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-6 flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={() => close(false)}
+            disabled={submitting}
+            className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={submitting || !value}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+          >
+            {submitting ? 'Checking...' : 'Confirm'}
+          </button>
+        </div>
+      </form>
+    </div>
+  )
+}
+
+export default StepUpModal
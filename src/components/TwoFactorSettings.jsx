@@ -0,0 +1,211 @@
+import { useState, useEffect } from 'react'
+import { DevicePhoneMobileIcon } from '@heroicons/react/24/outline'
+import axios from 'axios'
+import config from '../config/index.js'
+
+// Two-factor authentication for the signed-in admin: enroll with an
+// authenticator app, regenerate backup codes, or turn it off (unless the
+// admin_2fa_required_roles setting requires it for their role)
+
+const authHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('adminToken')}` })
+
+const TwoFactorSettings = () => {
+  const [status, setStatus] = useState(null)
+  const [enrollment, setEnrollment] = useState(null)
+  const [action, setAction] = useState(null) // 'disable' | 'backupCodes' while asking for a code
+  const [code, setCode] = useState('')
+  const [backupCodes, setBackupCodes] = useState([])
+  const [busy, setBusy] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+
+  const fetchStatus = async () => {
+    try {
+      const response = await axios.get(`${config.API_BASE_URL}/auth/2fa/status`, { headers: authHeaders() })
+      setStatus(response.data.data)
+    } catch (err) {
+      console.error('Error fetching two-factor status:', err)
+      setError('Failed to load two-factor settings')
+    }
+  }
+
+  useEffect(() => {
+    fetchStatus()
+  }, [])
+
+  const run = async (request, onSuccess) => {
+    setBusy(true)
+    setError('')
+    setMessage('')
+    try {
+      const response = await request()
+      await onSuccess(response.data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Something went wrong. Please try again.')
+    } finally {
+      setBusy(false)
+      setCode('')
+    }
+  }
+
+  const startSetup = () => run(
+    () => axios.post(`${config.API_BASE_URL}/auth/2fa/setup`, {}, { headers: authHeaders() }),
+    (data) => {
+      setBackupCodes([])
+      setEnrollment(data.data)
+    }
+  )
+
+  const confirmSetup = (e) => {
+    e.preventDefault()
+    run(
+      () => axios.post(`${config.API_BASE_URL}/auth/2fa/enable`, { code: code.trim() }, { headers: authHeaders() }),
+      async (data) => {
+        setEnrollment(null)
+        setBackupCodes(data.data.backupCodes)
+        setMessage(data.message)
+        await fetchStatus()
+      }
+    )
+  }
+
+  const confirmAction = (e) => {
+    e.preventDefault()
+    const endpoint = action === 'disable' ? '2fa/disable' : '2fa/backup-codes'
+    run(
+      () => axios.post(`${config.API_BASE_URL}/auth/${endpoint}`, { code: code.trim() }, { headers: authHeaders() }),
+      async (data) => {
+        setAction(null)
+        setBackupCodes(data.data?.backupCodes || [])
+        setMessage(data.message)
+        await fetchStatus()
+      }
+    )
+  }
+
+  const codeForm = (onSubmit, submitLabel, onCancel) => (
+    <form onSubmit={onSubmit} className="flex flex-col sm:flex-row gap-3 mt-4">
+      <input
+        type="text"
+        inputMode="numeric"
+        autoComplete="one-time-code"
+        required
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+        placeholder="6-digit code"
+        className="px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-red-500 focus:border-red-500 text-gray-900"
+      />
+      <button
+        type="submit"
+        disabled={busy || !code}
+        className="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {busy ? 'Checking...' : submitLabel}
+      </button>
+      <button
+        type="button"
+        onClick={onCancel}
+        disabled={busy}
+        className="px-4 py-2 rounded-lg text-gray-700 bg-gray-100 hover:bg-gray-200 disabled:opacity-50"
+      >
+        Cancel
+      </button>
+    </form>
+  )
+
+  return (
+    <div className="bg-white rounded-lg shadow p-6">
+      <div className="flex items-center space-x-4 mb-6">
+        <div className="bg-green-100 p-3 rounded-full">
+          <DevicePhoneMobileIcon className="h-8 w-8 text-green-600" />
+        </div>
+        <div>
+          <h2 className="text-xl font-semibold text-gray-900">Two-Factor Authentication</h2>
+          <p className="text-gray-600">Require a code from an authenticator app when you sign in</p>
+        </div>
+      </div>
+
+      {message && (
+        <div className="mb-4 p-4 bg-green-50 border border-green-200 rounded-lg text-green-700">{message}</div>
+      )}
+      {error && (
+        <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg text-red-700">{error}</div>
+      )}
+
+      {!status ? (
+        <p className="text-sm text-gray-500">Loading...</p>
+      ) : (
+        <>
+          <p className="text-sm text-gray-700">
+            Status:{' '}
+            <span className={`font-medium ${status.enabled ? 'text-green-700' : 'text-gray-900'}`}>
+              {status.enabled ? 'On' : 'Off'}
+            </span>
+            {status.enabled && ` · ${status.backupCodesRemaining} backup codes left`}
+            {status.required && ' · Required for your role'}
+          </p>
+
+          {!status.enabled && !enrollment && (
+            <button
+              onClick={startSetup}
+              disabled={busy}
+              className="mt-4 bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700 disabled:opacity-50 transition-colors"
+            >
+              Set up two-factor authentication
+            </button>
+          )}
+
+          {enrollment && (
+            <div className="mt-4">
+              <p className="text-sm text-gray-600">
+                Scan this QR code with your authenticator app, then enter the code it shows.
+              </p>
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-48 w-48 mt-3 border border-gray-200 rounded-md" />
+              <p className="text-xs text-gray-500 mt-2 break-all">
+                Can't scan? Enter this key instead: <span className="font-mono text-gray-900">{enrollment.secret}</span>
+              </p>
+              {codeForm(confirmSetup, 'Turn on', () => setEnrollment(null))}
+            </div>
+          )}
+
+          {status.enabled && !action && (
+            <div className="mt-4 flex flex-wrap gap-3">
+              <button
+                onClick={() => setAction('backupCodes')}
+                className="px-4 py-2 rounded-lg text-gray-700 bg-gray-100 hover:bg-gray-200"
+              >
+                New backup codes
+              </button>
+              {!status.required && (
+                <button
+                  onClick={() => setAction('disable')}
+                  className="px-4 py-2 rounded-lg text-red-700 bg-red-50 hover:bg-red-100"
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+          )}
+
+          {action && codeForm(
+            confirmAction,
+            action === 'disable' ? 'Turn off' : 'Generate',
+            () => setAction(null)
+          )}
+
+          {backupCodes.length > 0 && (
+            <div className="mt-6">
+              <p className="text-sm font-medium text-gray-900">Save your backup codes</p>
+              <p className="text-sm text-gray-600">Each code works once if you lose your phone. They will not be shown again.</p>
+              <div className="mt-3 grid grid-cols-2 sm:grid-cols-5 gap-2 bg-gray-100 rounded-md p-4 font-mono text-sm text-gray-900">
+                {backupCodes.map(backupCode => <span key={backupCode}>{backupCode}</span>)}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+export default TwoFactorSettings
@@ -0,0 +1,147 @@
+import { useState, useEffect } from 'react'
+import { DevicePhoneMobileIcon, ComputerDesktopIcon } from '@heroicons/react/24/outline'
+import { useAuth, PERMISSIONS } from '../context/AuthContext'
+import config from '../config/index.js'
+
+// Devices a user is signed in on (GET /admin/user/:userId/sessions), with
+// sign-out for admins who can freeze accounts
+
+const PLATFORM_LABELS = {
+  android: 'Android',
+  ios: 'iOS',
+  web: 'Web'
+}
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true
+})
+
+// Registered push device if there is one, else a guess from the user agent
+const describeSession = (session) => {
+  if (session.device) {
+    const { model, platform, osVersion } = session.device
+    const os = [PLATFORM_LABELS[platform] || platform, osVersion].filter(Boolean).join(' ')
+    return model ? `${model} (${os})` : os
+  }
+
+  const agent = session.userAgent || ''
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => agent.includes(`${name}/`))
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => agent.includes(name))
+  if (!browser && !os) return 'Unknown device'
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ')
+}
+
+const isMobile = (session) =>
+  ['android', 'ios'].includes(session.device?.platform) || /Android|iPhone|iPad/.test(session.userAgent || '')
+
+const UserSessions = ({ userId }) => {
+  const { hasPermission } = useAuth()
+  const [sessions, setSessions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [signingOut, setSigningOut] = useState(null) // session id or 'all'
+
+  const canSignOut = hasPermission(PERMISSIONS.USER_FREEZE)
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      setLoading(true)
+      try {
+        const token = localStorage.getItem('adminToken')
+        const response = await fetch(`${config.API_BASE_URL}/admin/user/${userId}/sessions`, {
+          headers: {
+            'Authorization': `Bearer ${token}`,
+            'Content-Type': 'application/json'
+          }
+        })
+        if (response.ok) {
+          const data = await response.json()
+          setSessions(data.data || [])
+        }
+      } catch (err) {
+        console.error('Error fetching user sessions:', err)
+      } finally {
+        setLoading(false)
+      }
+    }
+
+    fetchSessions()
+  }, [userId])
+
+  const signOut = async (sessionId) => {
+    const all = sessionId === 'all'
+    if (!window.confirm(all ? 'Sign this user out of every device?' : 'Sign this user out of this device?')) return
+
+    try {
+      setSigningOut(sessionId)
+      const token = localStorage.getItem('adminToken')
+      const res = await fetch(`${config.API_BASE_URL}/admin/user/${userId}/sessions${all ? '' : `/${sessionId}`}`, {
+        method: 'DELETE',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to sign out')
+
+      setSessions(prev => all ? [] : prev.filter(session => session._id !== sessionId))
+    } catch (err) {
+      console.error('Error signing out user session:', err)
+      alert(err.message || 'Failed to sign out. Please try again.')
+    } finally {
+      setSigningOut(null)
+    }
+  }
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading sessions...</p>
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-sm text-gray-500">Not signed in on any device</p>
+  }
+
+  return (
+    <div className="space-y-2">
+      {sessions.map(session => {
+        const Icon = isMobile(session) ? DevicePhoneMobileIcon : ComputerDesktopIcon
+        return (
+          <div key={session._id} className="flex items-center justify-between bg-white border border-gray-200 rounded-md px-3 py-2">
+            <div className="flex items-start">
+              <Icon className="h-5 w-5 mr-2 text-gray-500 flex-shrink-0" />
+              <div>
+                <p className="text-sm font-medium text-gray-900">{describeSession(session)}</p>
+                <p className="text-xs text-gray-500">
+                  {session.ip ? `${session.ip} · ` : ''}Last seen {formatDateTime(session.lastSeenAt)} · Signed in {formatDateTime(session.createdAt)}
+                </p>
+              </div>
+            </div>
+            {canSignOut && (
+              <button
+                onClick={() => signOut(session._id)}
+                disabled={signingOut !== null}
+                className="px-2 py-1 text-xs font-medium rounded-md bg-red-50 text-red-700 hover:bg-red-100 disabled:opacity-50"
+              >
+                {signingOut === session._id ? 'Signing out...' : 'Sign out'}
+              </button>
+            )}
+          </div>
+        )
+      })}
+
+      {canSignOut && sessions.length > 1 && (
+        <div className="flex justify-end">
+          <button
+            onClick={() => signOut('all')}
+            disabled={signingOut !== null}
+            className="px-3 py-1 text-xs font-medium rounded-md bg-red-600 text-white hover:bg-red-700 disabled:opacity-50"
+          >
+            {signingOut === 'all' ? 'Signing out...' : 'Sign out all devices'}
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default UserSessions
@@ -1,6 +1,8 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react'
 import axios from 'axios'
 import config from '../config/index.js'
+import { saveSession, clearSession, signOut, refreshSession, tokenNeedsRefresh, attachSessionInterceptors, startSessionKeepAlive } from '../services/session.js'
+import StepUpModal from '../components/StepUpModal'
 
 // Create the Auth Context
 const AuthContext = createContext(null)
@@ -54,6 +56,10 @@ export const AuthProvider = ({ children }) => {
   const [roleInfo, setRoleInfo] = useState(null)
   const [loading, setLoading] = useState(true)
   const [error, setError] = useState(null)
+  // A token left from an earlier visit may have expired; pages wait until it is renewed
+  const [sessionReady, setSessionReady] = useState(
+    () => !localStorage.getItem('adminRefreshToken') || !tokenNeedsRefresh()
+  )
 
   // Fetch admin role info from backend
   const fetchRoleInfo = useCallback(async () => {
@@ -81,7 +87,7 @@ export const AuthProvider = ({ children }) => {
       console.error('Error fetching role info:', err)
       if (err.response?.status === 401) {
         // Token invalid, clear it
-        localStorage.removeItem('adminToken')
+        clearSession()
         setAdmin(null)
         setRoleInfo(null)
       }
@@ -91,10 +97,42 @@ export const AuthProvider = ({ children }) => {
     }
   }, [])
 
+  // Renew a stale access token before anything uses it
+  useEffect(() => {
+    if (sessionReady) return
+
+    refreshSession()
+      .then((token) => {
+        if (!token) clearSession()
+      })
+      .catch((err) => console.error('Session refresh failed:', err))
+      .finally(() => setSessionReady(true))
+  }, [sessionReady])
+
   // Initialize auth state on mount
   useEffect(() => {
-    fetchRoleInfo()
-  }, [fetchRoleInfo])
+    if (sessionReady) fetchRoleInfo()
+  }, [sessionReady, fetchRoleInfo])
+
+  // While signed in, keep the short-lived access token fresh for pages that
+  // call axios or fetch directly, and go to login once the session is revoked
+  useEffect(() => {
+    if (!admin) return
+
+    const handleSessionEnded = () => {
+      clearSession()
+      setAdmin(null)
+      setRoleInfo(null)
+      window.location.href = '/login'
+    }
+
+    const detachInterceptors = attachSessionInterceptors(axios, handleSessionEnded)
+    const stopKeepAlive = startSessionKeepAlive(handleSessionEnded)
+    return () => {
+      detachInterceptors()
+      stopKeepAlive()
+    }
+  }, [admin])
 
   // Check if admin has a specific permission
   const hasPermission = useCallback((permission) => {
@@ -148,10 +186,16 @@ export const AuthProvider = ({ children }) => {
       const response = await axios.post(`${config.API_BASE_URL}/auth/login`, credentials)
       
       if (response.data.success && response.data.token) {
-        localStorage.setItem('adminToken', response.data.token)
+        saveSession(response.data)
         await fetchRoleInfo()
         return { success: true }
       }
+
+      // Password accepted; the caller continues with a code or enrollment step
+      const { twoFactorRequired, twoFactorSetupRequired, loginTicket } = response.data
+      if (twoFactorRequired || twoFactorSetupRequired) {
+        return { success: false, twoFactorRequired, twoFactorSetupRequired, loginTicket }
+      }
       
       return { success: false, error: 'Login failed' }
     } catch (err) {
@@ -164,7 +208,7 @@ export const AuthProvider = ({ children }) => {
 
   // Logout function
   const logout = useCallback(() => {
-    localStorage.removeItem('adminToken')
+    signOut()
     setAdmin(null)
     setRoleInfo(null)
   }, [])
@@ -204,7 +248,8 @@ export const AuthProvider = ({ children }) => {
 
   return (
     <AuthContext.Provider value={value}>
-      {children}
+      {sessionReady ? children : null}
+      {admin && <StepUpModal />}
     </AuthContext.Provider>
   )
 }
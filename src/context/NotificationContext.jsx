@@ -93,6 +93,40 @@ export const NotificationProvider = ({ children }) => {
     }, 5000);
   }, []);
 
+  // Show toast for reports that went past their SLA
+  const showSlaBreachToast = useCallback((breaches) => {
+    const first = breaches[0];
+    const toast = document.createElement('div');
+    toast.className = 'fixed top-4 right-4 bg-gray-900 text-white px-6 py-4 rounded-lg shadow-lg z-50 cursor-pointer transform transition-all duration-300 translate-x-full';
+    toast.innerHTML = `
+      <div class="flex items-center gap-3">
+        <span class="text-2xl">⏱️</span>
+        <div>
+          <p class="font-semibold">${breaches.length === 1 ? 'Report past its SLA' : `${breaches.length} reports past their SLA`}</p>
+          <p class="text-sm opacity-90">${first.type} | ${first.priority || 'medium'} priority | not ${first.stage === 'verify' ? 'verified' : 'resolved'} in time</p>
+        </div>
+      </div>
+    `;
+
+    document.body.appendChild(toast);
+
+    setTimeout(() => {
+      toast.classList.remove('translate-x-full');
+    }, 10);
+
+    toast.addEventListener('click', () => {
+      window.location.href = breaches.length === 1 ? `/reports?reportId=${first._id}` : '/reports';
+    });
+
+    // Escalations stay on screen longer than new-report toasts
+    setTimeout(() => {
+      toast.classList.add('translate-x-full');
+      setTimeout(() => {
+        toast.remove();
+      }, 300);
+    }, 10000);
+  }, []);
+
   // Process notification queue with delay to prevent overlapping
   const processNotificationQueue = useCallback(() => {
     if (isProcessingQueue.current || notificationQueue.current.length === 0) {
@@ -171,7 +205,14 @@ export const NotificationProvider = ({ children }) => {
       setUnreadCount(prev => prev + 1);
       setNotifications(prev => [report, ...prev]);
     });
-  }, [processNotificationQueue]);
+
+    // Escalations are only sent to super admins
+    newSocket.on('sla_breach', ({ breaches }) => {
+      console.log('⏱️ SLA breach escalation received', breaches);
+      playNotificationSound();
+      showSlaBreachToast(breaches);
+    });
+  }, [processNotificationQueue, playNotificationSound, showSlaBreachToast]);
 
   // Clear unread count
   const clearUnread = useCallback(() => {
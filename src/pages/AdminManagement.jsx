@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react'
-import { PlusIcon, UserIcon, ShieldExclamationIcon, TrashIcon, EyeIcon, EyeSlashIcon, DocumentTextIcon, ClockIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { PlusIcon, UserIcon, ShieldExclamationIcon, TrashIcon, EyeIcon, EyeSlashIcon, DocumentTextIcon, ClockIcon, ExclamationTriangleIcon, KeyIcon } from '@heroicons/react/24/outline'
 import axios from 'axios'
 import config from '../config/index.js'
 import { useAuth } from '../context/AuthContext.jsx'
@@ -118,6 +118,22 @@ const AdminManagement = () => {
     }
   }
 
+  // Turn off an admin's two-factor authentication (lost phone and backup codes)
+  const resetTwoFactor = async (admin) => {
+    if (!window.confirm(`Reset two-factor authentication for ${admin.username}? They will be signed out everywhere.`)) return
+
+    try {
+      const token = localStorage.getItem('adminToken')
+      const response = await axios.delete(`${config.API_BASE_URL}/admin/admin-user/${admin._id}/two-factor`, {
+        headers: { Authorization: `Bearer ${token}` }
+      })
+      setMessage(response.data.message)
+      fetchAdminUsers()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to reset two-factor authentication')
+    }
+  }
+
   // Open delete confirmation modal
   const confirmDeleteAdmin = (admin) => {
     if (!isSuperAdmin()) {
@@ -283,6 +299,9 @@ const AdminManagement = () => {
                         {admin.isActive ? 'Active' : 'Inactive'}
                       </span>
                       <div className="text-xs text-gray-500 mt-1">Admin User</div>
+                      {admin.twoFactor?.enabled && (
+                        <div className="text-xs text-green-700 mt-1">2FA on</div>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {new Date(admin.createdAt).toLocaleDateString()}
@@ -321,6 +340,15 @@ const AdminManagement = () => {
                           <DocumentTextIcon className="w-4 h-4 mr-1" />
                           View Activity
                         </button>
+                        {admin.twoFactor?.enabled && (
+                          <button
+                            onClick={() => resetTwoFactor(admin)}
+                            className="inline-flex items-center px-3 py-1 text-xs bg-yellow-100 text-yellow-800 rounded-md hover:bg-yellow-200"
+                          >
+                            <KeyIcon className="w-4 h-4 mr-1" />
+                            Reset 2FA
+                          </button>
+                        )}
                         <button
                           onClick={() => confirmDeleteAdmin(admin)}
                           className="inline-flex items-center px-3 py-1 text-xs bg-red-100 text-red-800 rounded-md hover:bg-red-200"
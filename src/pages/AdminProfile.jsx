@@ -1,6 +1,7 @@
 import { useState, useEffect } from 'react'
 import { UserIcon, CheckIcon, ShieldCheckIcon, ClockIcon, KeyIcon } from '@heroicons/react/24/outline'
 import axios from 'axios'
+import TwoFactorSettings from '../components/TwoFactorSettings'
 
 const AdminProfile = () => {
   const [profile, setProfile] = useState({
@@ -303,6 +304,8 @@ const AdminProfile = () => {
         </div>
       </form>
     </div>
+
+    <TwoFactorSettings />
   </div>
   )
 }
@@ -0,0 +1,471 @@
+import { useState, useEffect, useCallback } from 'react'
+import {
+  BuildingOffice2Icon,
+  PlusIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  UserGroupIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+import { agenciesAPI } from '../services/api'
+import api from '../services/api'
+import { useAuth } from '../context/AuthContext'
+
+const TYPE_LABELS = {
+  dpwh_district: 'DPWH District',
+  city_engineering: 'City Engineering',
+  barangay: 'Barangay',
+  mdrrmo: 'MDRRMO',
+  police: 'Police / Traffic',
+  other: 'Other'
+}
+
+const EMPTY_FORM = {
+  name: '',
+  type: 'other',
+  description: '',
+  contact: { phone: '', email: '' },
+  jurisdictions: [{ province: '', city: '', barangay: '' }],
+  reportTypes: [],
+  memberIds: []
+}
+
+const describeArea = (area) => [area.barangay, area.city, area.province].filter(Boolean).join(', ')
+
+const AgencyManagement = () => {
+  const { isSuperAdmin } = useAuth()
+  const [agencies, setAgencies] = useState([])
+  const [options, setOptions] = useState({ types: Object.keys(TYPE_LABELS), reportTypes: [] })
+  const [adminUsers, setAdminUsers] = useState([])
+  const [loading, setLoading] = useState(true)
+  const [saving, setSaving] = useState(false)
+  const [message, setMessage] = useState('')
+  const [error, setError] = useState('')
+  const [showInactive, setShowInactive] = useState(false)
+  const [editing, setEditing] = useState(null) // null = closed, 'new' or agency
+  const [form, setForm] = useState(EMPTY_FORM)
+
+  const fetchAgencies = useCallback(async () => {
+    setLoading(true)
+    try {
+      const response = await agenciesAPI.getAgencies({ includeInactive: showInactive })
+      setAgencies(response.data.data)
+      setOptions(response.data.options)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load agencies')
+    } finally {
+      setLoading(false)
+    }
+  }, [showInactive])
+
+  const fetchAdminUsers = async () => {
+    try {
+      const response = await api.get('/admin/admin-users')
+      setAdminUsers(response.data.adminUsers || [])
+    } catch (err) {
+      console.error('Error fetching admin users:', err)
+    }
+  }
+
+  useEffect(() => {
+    if (isSuperAdmin()) {
+      fetchAgencies()
+      fetchAdminUsers()
+    }
+  }, [isSuperAdmin, fetchAgencies])
+
+  const openEditor = (agency = null) => {
+    setError('')
+    setEditing(agency || 'new')
+    setForm(agency ? {
+      name: agency.name,
+      type: agency.type,
+      description: agency.description || '',
+      contact: { phone: agency.contact?.phone || '', email: agency.contact?.email || '' },
+      jurisdictions: agency.jurisdictions.length > 0
+        ? agency.jurisdictions.map(area => ({ ...area }))
+        : EMPTY_FORM.jurisdictions,
+      reportTypes: agency.reportTypes || [],
+      memberIds: agency.members.map(member => member._id)
+    } : EMPTY_FORM)
+  }
+
+  const updateJurisdiction = (index, field, value) => {
+    setForm(prev => ({
+      ...prev,
+      jurisdictions: prev.jurisdictions.map((area, i) => i === index ? { ...area, [field]: value } : area)
+    }))
+  }
+
+  const toggleInList = (field, value) => {
+    setForm(prev => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter(item => item !== value)
+        : [...prev[field], value]
+    }))
+  }
+
+  const handleSave = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSaving(true)
+
+    const { memberIds, ...data } = form
+    data.jurisdictions = data.jurisdictions.filter(area => area.province.trim())
+
+    try {
+      const response = editing === 'new'
+        ? await agenciesAPI.createAgency(data)
+        : await agenciesAPI.updateAgency(editing._id, data)
+
+      await agenciesAPI.setMembers(response.data.data._id, memberIds)
+
+      setMessage(response.data.message)
+      setEditing(null)
+      fetchAgencies()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save agency')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const handleDeactivate = async (agency) => {
+    if (!window.confirm(`Deactivate ${agency.name}? New reports will no longer be routed to it.`)) return
+
+    try {
+      const response = await agenciesAPI.deactivateAgency(agency._id)
+      setMessage(response.data.message)
+      fetchAgencies()
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to deactivate agency')
+    }
+  }
+
+  if (!isSuperAdmin()) {
+    return (
+      <div className="bg-red-50 border border-red-200 rounded-lg p-8 text-center">
+        <BuildingOffice2Icon className="h-16 w-16 text-red-400 mx-auto mb-4" />
+        <h2 className="text-xl font-semibold text-red-700 mb-2">Access Denied</h2>
+        <p className="text-red-600">Only Super Admins can manage agencies.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm border p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <BuildingOffice2Icon className="h-7 w-7 mr-2 text-red-600" />
+            Agencies &amp; Field Teams
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            Verified reports are routed to the agency whose jurisdiction matches the report location most closely.
+          </p>
+        </div>
+        <div className="flex items-center gap-4">
+          <label className="flex items-center text-sm text-gray-600">
+            <input
+              type="checkbox"
+              checked={showInactive}
+              onChange={(e) => setShowInactive(e.target.checked)}
+              className="mr-2"
+            />
+            Show inactive
+          </label>
+          <button
+            onClick={() => openEditor()}
+            className="bg-red-600 hover:bg-red-700 text-white font-medium py-2 px-4 rounded-lg flex items-center gap-2"
+          >
+            <PlusIcon className="w-5 h-5" />
+            New Agency
+          </button>
+        </div>
+      </div>
+
+      {message && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+          {message}
+        </div>
+      )}
+
+      {error && !editing && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      {/* Agency List */}
+      <div className="bg-white shadow-sm border rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading agencies...</p>
+          </div>
+        ) : agencies.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <BuildingOffice2Icon className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+            <p>No agencies yet. Add one so verified reports can be routed automatically.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Agency</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Jurisdiction</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Handles</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Members</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {agencies.map((agency) => (
+                  <tr key={agency._id} className={agency.isActive ? 'hover:bg-gray-50' : 'bg-gray-50 opacity-60'}>
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900">{agency.name}</div>
+                      <div className="text-xs text-gray-500">{TYPE_LABELS[agency.type] || agency.type}</div>
+                      {agency.contact?.phone && <div className="text-xs text-gray-400">{agency.contact.phone}</div>}
+                      {!agency.isActive && <div className="text-xs text-red-600 font-medium">Inactive</div>}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {agency.jurisdictions.map((area, i) => (
+                        <div key={i}>{describeArea(area)}</div>
+                      ))}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700 capitalize">
+                      {agency.reportTypes.length > 0 ? agency.reportTypes.join(', ') : 'All types'}
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      {agency.members.length > 0
+                        ? agency.members.map(member => member.username).join(', ')
+                        : <span className="text-gray-400">None</span>}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm">
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => openEditor(agency)}
+                          className="inline-flex items-center px-3 py-1 text-xs bg-blue-100 text-blue-800 rounded-md hover:bg-blue-200"
+                        >
+                          <PencilSquareIcon className="w-4 h-4 mr-1" />
+                          Edit
+                        </button>
+                        {agency.isActive && (
+                          <button
+                            onClick={() => handleDeactivate(agency)}
+                            className="inline-flex items-center px-3 py-1 text-xs bg-red-100 text-red-800 rounded-md hover:bg-red-200"
+                          >
+                            <TrashIcon className="w-4 h-4 mr-1" />
+                            Deactivate
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Create / Edit Modal */}
+      {editing && (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50 p-4">
+          <div className="bg-white rounded-lg shadow-xl w-full max-w-2xl max-h-[90vh] overflow-y-auto">
+            <div className="flex items-center justify-between px-6 py-4 border-b">
+              <h2 className="text-lg font-semibold text-gray-900">
+                {editing === 'new' ? 'New Agency' : `Edit ${editing.name}`}
+              </h2>
+              <button onClick={() => setEditing(null)} className="text-gray-400 hover:text-gray-600">
+                <XMarkIcon className="h-6 w-6" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSave} className="p-6 space-y-5">
+              {error && (
+                <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded text-sm">
+                  {error}
+                </div>
+              )}
+
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Name *</label>
+                  <input
+                    type="text"
+                    value={form.name}
+                    onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    maxLength={100}
+                    required
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Type</label>
+                  <select
+                    value={form.type}
+                    onChange={(e) => setForm({ ...form, type: e.target.value })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  >
+                    {options.types.map(type => (
+                      <option key={type} value={type}>{TYPE_LABELS[type] || type}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Phone</label>
+                  <input
+                    type="text"
+                    value={form.contact.phone}
+                    onChange={(e) => setForm({ ...form, contact: { ...form.contact, phone: e.target.value } })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+                  <input
+                    type="email"
+                    value={form.contact.email}
+                    onChange={(e) => setForm({ ...form, contact: { ...form.contact, email: e.target.value } })}
+                    className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+                <textarea
+                  value={form.description}
+                  onChange={(e) => setForm({ ...form, description: e.target.value })}
+                  maxLength={500}
+                  rows={2}
+                  className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm"
+                />
+              </div>
+
+              {/* Jurisdictions */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Jurisdiction *</label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Leave barangay empty to cover a whole city, or city empty to cover a whole province.
+                </p>
+                <div className="space-y-2">
+                  {form.jurisdictions.map((area, index) => (
+                    <div key={index} className="flex gap-2">
+                      <input
+                        type="text"
+                        placeholder="Province"
+                        value={area.province}
+                        onChange={(e) => updateJurisdiction(index, 'province', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
+                      <input
+                        type="text"
+                        placeholder="City / Municipality"
+                        value={area.city}
+                        onChange={(e) => updateJurisdiction(index, 'city', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
+                      <input
+                        type="text"
+                        placeholder="Barangay"
+                        value={area.barangay}
+                        onChange={(e) => updateJurisdiction(index, 'barangay', e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-md px-3 py-2 text-sm"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => setForm(prev => ({ ...prev, jurisdictions: prev.jurisdictions.filter((_, i) => i !== index) }))}
+                        disabled={form.jurisdictions.length === 1}
+                        className="text-gray-400 hover:text-red-600 disabled:opacity-30"
+                      >
+                        <XMarkIcon className="h-5 w-5" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+                <button
+                  type="button"
+                  onClick={() => setForm(prev => ({ ...prev, jurisdictions: [...prev.jurisdictions, { province: '', city: '', barangay: '' }] }))}
+                  className="mt-2 text-sm text-blue-600 hover:text-blue-800"
+                >
+                  + Add area
+                </button>
+              </div>
+
+              {/* Report types */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Report types handled</label>
+                <p className="text-xs text-gray-500 mb-2">None selected = all types.</p>
+                <div className="flex flex-wrap gap-2">
+                  {options.reportTypes.map(type => (
+                    <label key={type} className="flex items-center text-sm text-gray-700 capitalize border rounded px-2 py-1">
+                      <input
+                        type="checkbox"
+                        checked={form.reportTypes.includes(type)}
+                        onChange={() => toggleInList('reportTypes', type)}
+                        className="mr-1"
+                      />
+                      {type}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Members */}
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1 flex items-center">
+                  <UserGroupIcon className="h-4 w-4 mr-1" />
+                  Team members
+                </label>
+                <p className="text-xs text-gray-500 mb-2">
+                  Members only see this agency's queue. Adding an admin here moves them out of any other team.
+                </p>
+                {adminUsers.length === 0 ? (
+                  <p className="text-sm text-gray-400">No admin users available.</p>
+                ) : (
+                  <div className="grid grid-cols-2 sm:grid-cols-3 gap-2">
+                    {adminUsers.map(admin => (
+                      <label key={admin._id} className="flex items-center text-sm text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={form.memberIds.includes(admin._id)}
+                          onChange={() => toggleInList('memberIds', admin._id)}
+                          className="mr-2"
+                        />
+                        {admin.username}
+                      </label>
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className="flex justify-end gap-3 pt-2 border-t">
+                <button
+                  type="button"
+                  onClick={() => setEditing(null)}
+                  className="px-4 py-2 text-sm text-gray-700 bg-gray-100 rounded-md hover:bg-gray-200"
+                >
+                  Cancel
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 text-sm text-white bg-red-600 rounded-md hover:bg-red-700 disabled:opacity-50"
+                >
+                  {saving ? 'Saving...' : 'Save Agency'}
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AgencyManagement
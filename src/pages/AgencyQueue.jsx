@@ -0,0 +1,223 @@
+import { useState, useEffect, useCallback } from 'react'
+import { useNavigate } from 'react-router-dom'
+import {
+  QueueListIcon,
+  ChevronLeftIcon,
+  ChevronRightIcon,
+  MapPinIcon
+} from '@heroicons/react/24/outline'
+import { agenciesAPI } from '../services/api'
+
+const STATUS_COLORS = {
+  verified: 'bg-green-100 text-green-800',
+  assigned: 'bg-indigo-100 text-indigo-800',
+  in_progress: 'bg-amber-100 text-amber-800',
+  reopened: 'bg-orange-100 text-orange-800',
+  resolved: 'bg-blue-100 text-blue-800'
+}
+
+const SEVERITY_COLORS = {
+  high: 'text-red-600',
+  medium: 'text-yellow-600',
+  low: 'text-green-600'
+}
+
+const formatStatus = (status) => (status || '').replace(/_/g, ' ')
+
+const AgencyQueue = () => {
+  const navigate = useNavigate()
+  const [agencies, setAgencies] = useState([])
+  const [selectedAgency, setSelectedAgency] = useState('')
+  const [queue, setQueue] = useState(null)
+  const [statusFilter, setStatusFilter] = useState('')
+  const [page, setPage] = useState(1)
+  const [loading, setLoading] = useState(true)
+  const [error, setError] = useState('')
+
+  const fetchAgencies = useCallback(async () => {
+    try {
+      const response = await agenciesAPI.getAgencies()
+      setAgencies(response.data.data)
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load agencies')
+    }
+  }, [])
+
+  const fetchQueue = useCallback(async () => {
+    setLoading(true)
+    setError('')
+    try {
+      const response = await agenciesAPI.getQueue({
+        page,
+        limit: 20,
+        ...(selectedAgency && { agency: selectedAgency }),
+        ...(statusFilter && { status: statusFilter })
+      })
+      setQueue(response.data)
+    } catch (err) {
+      // Admins without a team have to pick an agency first
+      setQueue(null)
+      if (err.response?.status === 400 && !selectedAgency) {
+        fetchAgencies()
+      } else {
+        setError(err.response?.data?.error || 'Failed to load queue')
+      }
+    } finally {
+      setLoading(false)
+    }
+  }, [selectedAgency, statusFilter, page, fetchAgencies])
+
+  useEffect(() => {
+    fetchQueue()
+  }, [fetchQueue])
+
+  const openReport = (report) => {
+    navigate(`/reports?reportId=${report._id}`, { state: { report } })
+  }
+
+  const scoped = queue?.scoped
+  const reports = queue?.data || []
+  const pagination = queue?.pagination
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="bg-white rounded-lg shadow-sm border p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-900 flex items-center">
+            <QueueListIcon className="h-7 w-7 mr-2 text-red-600" />
+            {queue?.agency ? `${queue.agency.name} Queue` : 'Team Queue'}
+          </h1>
+          <p className="text-sm text-gray-500 mt-1">
+            {scoped
+              ? 'Reports assigned to your team, oldest assignment first.'
+              : 'Reports assigned to an agency, oldest assignment first.'}
+          </p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          {!scoped && (
+            <select
+              value={selectedAgency}
+              onFocus={() => agencies.length === 0 && fetchAgencies()}
+              onChange={(e) => { setSelectedAgency(e.target.value); setPage(1) }}
+              className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+            >
+              <option value="">Select agency...</option>
+              {agencies.map(agency => (
+                <option key={agency._id} value={agency._id}>{agency.name}</option>
+              ))}
+            </select>
+          )}
+          <select
+            value={statusFilter}
+            onChange={(e) => { setStatusFilter(e.target.value); setPage(1) }}
+            className="border border-gray-300 rounded-md px-3 py-2 text-sm"
+          >
+            <option value="">Open work</option>
+            <option value="verified">Verified</option>
+            <option value="assigned">Assigned</option>
+            <option value="in_progress">In Progress</option>
+            <option value="reopened">Reopened</option>
+            <option value="resolved">Resolved</option>
+          </select>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
+          {error}
+        </div>
+      )}
+
+      <div className="bg-white shadow-sm border rounded-lg overflow-hidden">
+        {loading ? (
+          <div className="p-8 text-center">
+            <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-red-600 mx-auto"></div>
+            <p className="mt-4 text-gray-600">Loading queue...</p>
+          </div>
+        ) : !queue ? (
+          <div className="p-8 text-center text-gray-500">
+            <QueueListIcon className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+            <p>Select an agency to view its queue.</p>
+          </div>
+        ) : reports.length === 0 ? (
+          <div className="p-8 text-center text-gray-500">
+            <QueueListIcon className="w-16 h-16 mx-auto mb-4 text-gray-300" />
+            <p>No reports in this queue.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Report</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Location</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Assigned</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {reports.map(report => (
+                  <tr
+                    key={report._id}
+                    onClick={() => openReport(report)}
+                    className="hover:bg-gray-50 cursor-pointer"
+                  >
+                    <td className="px-6 py-4">
+                      <div className="text-sm font-medium text-gray-900 capitalize">{report.type}</div>
+                      <div className={`text-xs font-medium capitalize ${SEVERITY_COLORS[report.severity] || 'text-gray-500'}`}>
+                        {report.severity} severity
+                      </div>
+                      <div className="text-xs text-gray-500 line-clamp-1 max-w-xs">{report.description}</div>
+                    </td>
+                    <td className="px-6 py-4 text-sm text-gray-700">
+                      <div className="flex items-start">
+                        <MapPinIcon className="h-4 w-4 mr-1 mt-0.5 text-gray-400 flex-shrink-0" />
+                        <span>{[report.barangay, report.city].filter(Boolean).join(', ') || report.location?.address}</span>
+                      </div>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <span className={`inline-flex px-2 py-1 text-xs font-semibold rounded-full capitalize ${STATUS_COLORS[report.status] || 'bg-gray-100 text-gray-800'}`}>
+                        {formatStatus(report.status)}
+                      </span>
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
+                      {report.assignment?.assignedAt ? new Date(report.assignment.assignedAt).toLocaleString() : '-'}
+                      {report.assignment?.autoRouted && <div className="text-xs text-gray-400">Auto-routed</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {pagination && pagination.totalPages > 1 && (
+          <div className="flex items-center justify-between px-6 py-3 border-t bg-gray-50">
+            <span className="text-sm text-gray-600">
+              Page {pagination.currentPage} of {pagination.totalPages} ({pagination.totalReports} reports)
+            </span>
+            <div className="flex gap-2">
+              <button
+                onClick={() => setPage(p => p - 1)}
+                disabled={!pagination.hasPrevPage}
+                className="p-2 rounded-md border bg-white disabled:opacity-40"
+              >
+                <ChevronLeftIcon className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => setPage(p => p + 1)}
+                disabled={!pagination.hasNextPage}
+                className="p-2 rounded-md border bg-white disabled:opacity-40"
+              >
+                <ChevronRightIcon className="h-4 w-4" />
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default AgencyQueue
@@ -7,7 +7,8 @@ import {
   CalendarDaysIcon,
   ArrowTrendingUpIcon,
   ArrowTrendingDownIcon,
-  FunnelIcon
+  FunnelIcon,
+  ClockIcon
 } from '@heroicons/react/24/outline'
 import { reportsAPI } from '../services/api'
 import api from '../services/api'
@@ -16,6 +17,7 @@ const Analytics = () => {
   const [loading, setLoading] = useState(true)
   const [analyticsData, setAnalyticsData] = useState(null)
   const [error, setError] = useState(null)
+  const [slaReport, setSlaReport] = useState(null)
   
   // Filter states
   const [dateRange, setDateRange] = useState('30') // days
@@ -31,12 +33,15 @@ const Analytics = () => {
     setLoading(true)
     try {
       // Fetch comprehensive analytics
-      const [statsRes, reportsRes, usersRes] = await Promise.all([
+      const [statsRes, reportsRes, usersRes, slaRes] = await Promise.all([
         reportsAPI.getReportsStats(),
         reportsAPI.getAllReports({ limit: 1000 }),
-        api.get('/users').catch(() => ({ data: { data: [] } }))
+        api.get('/users').catch(() => ({ data: { data: [] } })),
+        reportsAPI.getSlaBreaches(parseInt(dateRange)).catch(() => null)
       ])
 
+      setSlaReport(slaRes?.data?.data || null)
+
       const reports = reportsRes.data.data || []
       const users = usersRes.data?.data || usersRes.data?.users || []
       
@@ -653,6 +658,78 @@ const Analytics = () => {
         </div>
       </div>
 
+      {/* SLA Compliance */}
+      {slaReport && (
+        <div className="bg-white rounded-xl shadow-sm p-6">
+          <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center gap-2">
+            <ClockIcon className="h-5 w-5 text-red-600" />
+            SLA Compliance
+          </h2>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6">
+            <div className="bg-green-50 rounded-lg p-4">
+              <p className="text-sm text-green-600">Verified on Time</p>
+              <p className="text-2xl font-bold text-green-900">
+                {slaReport.summary.verifyCompliance ?? '—'}{slaReport.summary.verifyCompliance !== null && '%'}
+              </p>
+              <p className="text-xs text-green-700">{slaReport.summary.verifyMissed} missed</p>
+            </div>
+            <div className="bg-blue-50 rounded-lg p-4">
+              <p className="text-sm text-blue-600">Resolved on Time</p>
+              <p className="text-2xl font-bold text-blue-900">
+                {slaReport.summary.resolveCompliance ?? '—'}{slaReport.summary.resolveCompliance !== null && '%'}
+              </p>
+              <p className="text-xs text-blue-700">{slaReport.summary.resolveMissed} missed</p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-4">
+              <p className="text-sm text-red-600">Open Breaches</p>
+              <p className="text-2xl font-bold text-red-900">{slaReport.summary.openBreaches}</p>
+              <p className="text-xs text-red-700">past due right now</p>
+            </div>
+            <div className="bg-gray-50 rounded-lg p-4">
+              <p className="text-sm text-gray-600">Default Targets</p>
+              <p className="text-lg font-bold text-gray-900">
+                {slaReport.config.default.verifyHours}h / {slaReport.config.default.resolveHours}h
+              </p>
+              <p className="text-xs text-gray-600">verify / resolve</p>
+            </div>
+          </div>
+
+          {slaReport.byTypeAndPriority.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b border-gray-200 text-left text-gray-600">
+                    <th className="py-2 pr-4 font-medium">Type</th>
+                    <th className="py-2 pr-4 font-medium">Priority</th>
+                    <th className="py-2 pr-4 font-medium">Reports</th>
+                    <th className="py-2 pr-4 font-medium">Verified on Time</th>
+                    <th className="py-2 pr-4 font-medium">Resolved on Time</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {slaReport.byTypeAndPriority.map(group => (
+                    <tr key={`${group.type}-${group.priority}`}>
+                      <td className="py-2 pr-4 capitalize text-gray-800">{group.type}</td>
+                      <td className="py-2 pr-4 capitalize text-gray-700">{group.priority}</td>
+                      <td className="py-2 pr-4 text-gray-700">{group.total}</td>
+                      <td className={`py-2 pr-4 font-medium ${group.verifyMissed > 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                        {group.verifyCompliance !== null ? `${group.verifyCompliance}% (${group.verifyMissed} missed)` : '—'}
+                      </td>
+                      <td className={`py-2 pr-4 font-medium ${group.resolveMissed > 0 ? 'text-red-600' : 'text-gray-700'}`}>
+                        {group.resolveCompliance !== null ? `${group.resolveCompliance}% (${group.resolveMissed} missed)` : '—'}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <p className="text-gray-500 text-center py-4">No reports in this period</p>
+          )}
+        </div>
+      )}
+
       {/* Summary Cards */}
       <div className="bg-gradient-to-r from-blue-600 to-indigo-600 rounded-xl shadow-lg p-6 text-white">
         <h2 className="text-xl font-bold mb-4">📊 Quick Insights</h2>
@@ -55,23 +55,38 @@ const AuditLogs = () => {
     { value: 'login', label: 'Login' },
     { value: 'logout', label: 'Logout' },
     { value: 'password_change', label: 'Password Change' },
+    { value: 'two_factor_enable', label: 'Two-Factor Enable' },
+    { value: 'two_factor_disable', label: 'Two-Factor Disable' },
+    { value: 'two_factor_reset', label: 'Two-Factor Reset' },
+    { value: 'step_up', label: 'Step-Up Re-authentication' },
     // Reports
     { value: 'report_view', label: 'Report View' },
     { value: 'report_edit', label: 'Report Edit' },
     { value: 'report_verify', label: 'Report Verify' },
     { value: 'report_reject', label: 'Report Reject' },
     { value: 'report_delete', label: 'Report Delete' },
+    { value: 'report_comment', label: 'Report Comment' },
+    { value: 'report_appeal_approve', label: 'Report Appeal Approve' },
+    { value: 'report_appeal_deny', label: 'Report Appeal Deny' },
     // Users
     { value: 'user_view', label: 'User View' },
     { value: 'user_freeze', label: 'User Freeze' },
     { value: 'user_unfreeze', label: 'User Unfreeze' },
     { value: 'user_delete', label: 'User Delete' },
+    { value: 'user_warning', label: 'User Warning' },
+    { value: 'user_appeal_approve', label: 'User Appeal Approve' },
+    { value: 'user_appeal_deny', label: 'User Appeal Deny' },
+    { value: 'user_sessions_revoke', label: 'User Sessions Revoke' },
     // Admins
     { value: 'admin_create', label: 'Admin Create' },
     { value: 'admin_edit', label: 'Admin Edit' },
     { value: 'admin_delete', label: 'Admin Delete' },
     { value: 'admin_activate', label: 'Admin Activate' },
     { value: 'admin_deactivate', label: 'Admin Deactivate' },
+    // Agencies
+    { value: 'agency_create', label: 'Agency Create' },
+    { value: 'agency_edit', label: 'Agency Edit' },
+    { value: 'agency_deactivate', label: 'Agency Deactivate' },
     // Settings
     { value: 'settings_view', label: 'Settings View' },
     { value: 'settings_update', label: 'Settings Update' }
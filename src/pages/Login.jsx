@@ -3,6 +3,7 @@ import { MapPinIcon } from '@heroicons/react/24/outline'
 import axios from 'axios'
 import AdminConfirmModal from '../components/AdminConfirmModal'
 import config from '../config/index.js'
+import { saveSession } from '../services/session.js'
 
 const Login = () => {
   const [credentials, setCredentials] = useState({
@@ -14,6 +15,40 @@ const Login = () => {
   const [modalType, setModalType] = useState('success')
   const [isLoading, setIsLoading] = useState(false) // Add loading state
 
+  // Two-factor steps after the password: 'code' (enter a code), 'setup'
+  // (enrollment required by role) and 'backupCodes' (shown once after setup)
+  const [step, setStep] = useState('credentials')
+  const [loginTicket, setLoginTicket] = useState(null)
+  const [code, setCode] = useState('')
+  const [enrollment, setEnrollment] = useState(null)
+  const [backupCodes, setBackupCodes] = useState([])
+  const [pendingSession, setPendingSession] = useState(null)
+
+  const showError = (message) => {
+    setModalMessage('❌ ' + message)
+    setModalType('error')
+    setShowModal(true)
+  }
+
+  const finishLogin = (session) => {
+    // Store tokens as adminToken / adminRefreshToken for axios interceptors
+    saveSession(session)
+    setModalMessage('✅ Login successful! Redirecting to dashboard...')
+    setModalType('success')
+    setShowModal(true)
+    // Redirect after modal is shown
+    setTimeout(() => {
+      window.location.href = '/reports' // or your admin dashboard route
+    }, 2000) // Increased to 2 seconds to show success message
+  }
+
+  const backToCredentials = () => {
+    setStep('credentials')
+    setLoginTicket(null)
+    setEnrollment(null)
+    setCode('')
+  }
+
   const handleSubmit = async (e) => {
     e.preventDefault()
     setIsLoading(true) // Start loading
@@ -23,17 +58,23 @@ const Login = () => {
         username: credentials.username,
         password: credentials.password
       })
-      if (response.data && response.data.token) {
-        // Store token as adminToken for axios interceptor
-        localStorage.setItem('adminToken', response.data.token)
+      if (response.data?.twoFactorRequired) {
+        setLoginTicket(response.data.loginTicket)
+        setCode('')
+        setStep('code')
+        setIsLoading(false)
+      } else if (response.data?.twoFactorSetupRequired) {
+        const setup = await axios.post(`${config.API_BASE_URL}/auth/2fa/setup`, {
+          loginTicket: response.data.loginTicket
+        })
+        setLoginTicket(response.data.loginTicket)
+        setEnrollment(setup.data.data)
+        setCode('')
+        setStep('setup')
+        setIsLoading(false)
+      } else if (response.data && response.data.token) {
         setIsLoading(false) // Stop loading
-        setModalMessage('✅ Login successful! Redirecting to dashboard...')
-        setModalType('success')
-        setShowModal(true)
-        // Redirect after modal is shown
-        setTimeout(() => {
-          window.location.href = '/reports' // or your admin dashboard route
-        }, 2000) // Increased to 2 seconds to show success message
+        finishLogin(response.data)
       } else {
         setIsLoading(false) // Stop loading
         setModalMessage('❌ Login failed: No token received')
@@ -48,6 +89,75 @@ const Login = () => {
     }
   }
 
+  const handleVerifyCode = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    try {
+      const response = await axios.post(`${config.API_BASE_URL}/auth/2fa/verify`, {
+        loginTicket,
+        code: code.trim()
+      })
+      setIsLoading(false)
+      finishLogin(response.data)
+    } catch (error) {
+      setIsLoading(false)
+      setCode('')
+      showError(error.response?.data?.error || error.message)
+    }
+  }
+
+  const handleEnable = async (e) => {
+    e.preventDefault()
+    setIsLoading(true)
+    try {
+      const response = await axios.post(`${config.API_BASE_URL}/auth/2fa/enable`, {
+        loginTicket,
+        code: code.trim()
+      })
+      setBackupCodes(response.data.data.backupCodes)
+      setPendingSession(response.data)
+      setStep('backupCodes')
+    } catch (error) {
+      setCode('')
+      showError(error.response?.data?.error || error.message)
+    } finally {
+      setIsLoading(false)
+    }
+  }
+
+  const codeInput = (
+    <input
+      id="code"
+      name="code"
+      type="text"
+      inputMode="numeric"
+      autoComplete="one-time-code"
+      autoFocus
+      required
+      disabled={isLoading}
+      className="appearance-none rounded-md relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 text-center tracking-widest focus:outline-none focus:ring-red-500 focus:border-red-500 sm:text-sm"
+      placeholder="123456"
+      value={code}
+      onChange={(e) => setCode(e.target.value)}
+    />
+  )
+
+  const submitButtonClass = `group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white ${
+    isLoading
+      ? 'bg-gray-400 cursor-not-allowed'
+      : 'bg-gray-900 hover:bg-black focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-800'
+  }`
+
+  const backLink = (
+    <button
+      type="button"
+      onClick={backToCredentials}
+      className="w-full text-center text-sm text-gray-600 hover:text-gray-900"
+    >
+      Back to sign in
+    </button>
+  )
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
@@ -62,70 +172,120 @@ const Login = () => {
             Sign in to access the admin dashboard
           </p>
         </div>
-        <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
-          <div className="rounded-md shadow-sm -space-y-px">
-            <div>
-              <label htmlFor="username" className="sr-only">
-                Username
-              </label>
-              <input
-                id="username"
-                name="username"
-                type="text"
-                required
-                disabled={isLoading}
-                className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-red-500 focus:border-red-500 focus:z-10 sm:text-sm ${
-                  isLoading ? 'bg-gray-100 cursor-not-allowed' : ''
-                }`}
-                placeholder="Username"
-                value={credentials.username}
-                onChange={(e) => setCredentials({...credentials, username: e.target.value})}
-              />
+        {step === 'code' && (
+          <form className="mt-8 space-y-6" onSubmit={handleVerifyCode}>
+            <p className="text-sm text-gray-600 text-center">
+              Enter the 6-digit code from your authenticator app. Lost your phone? Use one of your backup codes.
+            </p>
+            {codeInput}
+            <button type="submit" disabled={isLoading} className={submitButtonClass}>
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
+            {backLink}
+          </form>
+        )}
+
+        {step === 'setup' && enrollment && (
+          <form className="mt-8 space-y-6" onSubmit={handleEnable}>
+            <div className="text-sm text-gray-600 space-y-2">
+              <p className="font-medium text-gray-900">Two-factor authentication is required for your account.</p>
+              <p>Scan this QR code with an authenticator app (Google Authenticator, Microsoft Authenticator, Authy), then enter the code it shows.</p>
             </div>
-            <div>
-              <label htmlFor="password" className="sr-only">
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                required
-                disabled={isLoading}
-                className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-red-500 focus:border-red-500 focus:z-10 sm:text-sm ${
-                  isLoading ? 'bg-gray-100 cursor-not-allowed' : ''
-                }`}
-                placeholder="Password"
-                value={credentials.password}
-                onChange={(e) => setCredentials({...credentials, password: e.target.value})}
-              />
+            <div className="flex justify-center">
+              <img src={enrollment.qrCode} alt="Two-factor QR code" className="h-48 w-48 border border-gray-200 rounded-md" />
             </div>
-          </div>
+            <p className="text-xs text-gray-500 text-center break-all">
+              Can't scan? Enter this key instead: <span className="font-mono text-gray-900">{enrollment.secret}</span>
+            </p>
+            {codeInput}
+            <button type="submit" disabled={isLoading} className={submitButtonClass}>
+              {isLoading ? 'Verifying...' : 'Turn on and sign in'}
+            </button>
+            {backLink}
+          </form>
+        )}
 
-          <div>
-            <button
-              type="submit"
-              disabled={isLoading}
-              className={`group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white ${
-                isLoading 
-                  ? 'bg-gray-400 cursor-not-allowed' 
-                  : 'bg-gray-900 hover:bg-black focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-800'
-              }`}
-            >
-              {isLoading ? (
-                <div className="flex items-center gap-2">
-                  <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
-                    <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
-                    <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
-                  </svg>
-                  <span>Verifying credentials...</span>
-                </div>
-              ) : (
-                'Sign in'
-              )}
+        {step === 'backupCodes' && (
+          <div className="mt-8 space-y-6">
+            <div className="text-sm text-gray-600 space-y-2">
+              <p className="font-medium text-gray-900">Save your backup codes</p>
+              <p>Each code works once if you lose access to your authenticator app. They will not be shown again.</p>
+            </div>
+            <div className="grid grid-cols-2 gap-2 bg-gray-100 rounded-md p-4 font-mono text-sm text-gray-900 text-center">
+              {backupCodes.map(backupCode => <span key={backupCode}>{backupCode}</span>)}
+            </div>
+            <button type="button" onClick={() => finishLogin(pendingSession)} className={submitButtonClass}>
+              I've saved my codes, continue
             </button>
           </div>
-        </form>
+        )}
+
+        {step === 'credentials' && (
+          <form className="mt-8 space-y-6" onSubmit={handleSubmit}>
+            <div className="rounded-md shadow-sm -space-y-px">
+              <div>
+                <label htmlFor="username" className="sr-only">
+                  Username
+                </label>
+                <input
+                  id="username"
+                  name="username"
+                  type="text"
+                  required
+                  disabled={isLoading}
+                  className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-t-md focus:outline-none focus:ring-red-500 focus:border-red-500 focus:z-10 sm:text-sm ${
+                    isLoading ? 'bg-gray-100 cursor-not-allowed' : ''
+                  }`}
+                  placeholder="Username"
+                  value={credentials.username}
+                  onChange={(e) => setCredentials({...credentials, username: e.target.value})}
+                />
+              </div>
+              <div>
+                <label htmlFor="password" className="sr-only">
+                  Password
+                </label>
+                <input
+                  id="password"
+                  name="password"
+                  type="password"
+                  required
+                  disabled={isLoading}
+                  className={`appearance-none rounded-none relative block w-full px-3 py-2 border border-gray-300 placeholder-gray-500 text-gray-900 rounded-b-md focus:outline-none focus:ring-red-500 focus:border-red-500 focus:z-10 sm:text-sm ${
+                    isLoading ? 'bg-gray-100 cursor-not-allowed' : ''
+                  }`}
+                  placeholder="Password"
+                  value={credentials.password}
+                  onChange={(e) => setCredentials({...credentials, password: e.target.value})}
+                />
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isLoading}
+                className={`group relative w-full flex justify-center py-2 px-4 border border-transparent text-sm font-medium rounded-md text-white ${
+                  isLoading 
+                    ? 'bg-gray-400 cursor-not-allowed' 
+                    : 'bg-gray-900 hover:bg-black focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-800'
+                }`}
+              >
+                {isLoading ? (
+                  <div className="flex items-center gap-2">
+                    <svg className="animate-spin h-5 w-5 text-white" xmlns="http://www.w3.org/2000/svg" fill="none" viewBox="0 0 24 24">
+                      <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
+                      <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
+                    </svg>
+                    <span>Verifying credentials...</span>
+                  </div>
+                ) : (
+                  'Sign in'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
 
       {/* Confirmation Modal */}
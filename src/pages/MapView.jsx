@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback } from 'react'
 import { MagnifyingGlassIcon, FunnelIcon } from '@heroicons/react/24/outline'
 import InteractiveMap from '../components/InteractiveMap'
 import { reportsAPI } from '../services/api'
@@ -13,14 +13,23 @@ const MapView = () => {
     severity: 'all'
   })
   const [selectedReport, setSelectedReport] = useState(null)
-  // Fetch reports from API
+  // Visible map area ("minLng,minLat,maxLng,maxLat"), set once the map mounts
+  const [bbox, setBbox] = useState(null)
+
+  const handleBoundsChange = useCallback((nextBbox) => {
+    setBbox(nextBbox)
+  }, [])
+
+  // Fetch reports inside the current viewport from API
   useEffect(() => {
+    if (!bbox) return
+
     const fetchReports = async () => {
       try {
         setLoading(true)
         setError(null)
         console.log('Fetching map reports with filters:', filters)
-        const response = await reportsAPI.getMapReports(filters)
+        const response = await reportsAPI.getMapReports({ ...filters, bbox })
         console.log('Map reports response:', response.data)
         console.log('Number of reports received:', response.data.data?.length || 0)
         
@@ -43,7 +52,7 @@ const MapView = () => {
     // Remove auto-refresh - now using manual refresh button
     // const interval = setInterval(fetchReports, 10000) // Poll every 10 seconds
     // return () => clearInterval(interval)
-  }, [filters])
+  }, [filters, bbox])
 
   // Manual refresh function
   const handleRefresh = async () => {
@@ -51,7 +60,7 @@ const MapView = () => {
       setLoading(true)
       setError(null)
       console.log('Manually refreshing map reports with filters:', filters)
-      const response = await reportsAPI.getMapReports(filters)
+      const response = await reportsAPI.getMapReports(bbox ? { ...filters, bbox } : filters)
       console.log('Map reports response:', response.data)
       setReports(response.data.data || [])
     } catch (err) {
@@ -92,15 +101,6 @@ const MapView = () => {
     }
   }
 
-  if (loading) {
-    return (
-      <div className="flex items-center justify-center h-64">
-        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
-        <span className="ml-2 text-gray-600">Loading map...</span>
-      </div>
-    )
-  }
-
   return (
     <div className="space-y-6">
       {/* Header */}
@@ -177,10 +177,10 @@ const MapView = () => {
         <div className="flex items-center justify-between">
           <div>
             <h3 className="text-lg font-medium text-blue-900">
-              Showing {reports.length} report{reports.length !== 1 ? 's' : ''}
+              {loading ? 'Loading reports...' : `Showing ${reports.length} report${reports.length !== 1 ? 's' : ''} in view`}
             </h3>
             <p className="text-sm text-blue-700">
-              Map centered on Kabankalan City, Negros Occidental
+              Pan or zoom the map to load reports for another area
             </p>
           </div>
           {error && (
@@ -198,6 +198,7 @@ const MapView = () => {
           reports={reports}
           filters={filters}
           onReportClick={handleReportClick}
+          onBoundsChange={handleBoundsChange}
         />
       </div>
 
@@ -1,11 +1,29 @@
 import { useState, useEffect } from 'react'
 import { useLocation, useSearchParams } from 'react-router-dom'
 import { MagnifyingGlassIcon, FunnelIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
-import { reportsAPI } from '../services/api'
+import { reportsAPI, incidentsAPI, agenciesAPI } from '../services/api'
 import { useAuth } from '../context/AuthContext'
 import config from '../config/index.js'
 import EditReportModal from '../components/EditReportModal'
 import ResolveReportModal from '../components/ResolveReportModal'
+import SlaBadge from '../components/SlaBadge'
+import PhotoVerification, { PhotoVerificationBadge } from '../components/PhotoVerification'
+import ImageReuseBanner from '../components/ImageReuseBanner'
+import ReporterTrustBadge from '../components/ReporterTrustBadge'
+import ReportComments from '../components/ReportComments'
+
+const STATUS_FILTERS = ['pending', 'under_review', 'verified', 'assigned', 'in_progress', 'resolved', 'rejected', 'duplicate', 'reopened']
+
+const formatStatus = (status) => status?.replace(/_/g, ' ').toUpperCase()
+
+// Actions offered for selected reports; notes is the optional text field sent with them
+const BULK_ACTIONS = [
+  { action: 'verify', label: 'Verify', className: 'bg-green-600 hover:bg-green-700', notes: 'Admin notes (optional)' },
+  { action: 'reject', label: 'Reject', className: 'bg-red-600 hover:bg-red-700', notes: 'Reason shown to reporters (optional)' },
+  { action: 'resolve', label: 'Resolve', className: 'bg-blue-600 hover:bg-blue-700', notes: 'Feedback for reporters (required)' },
+  { action: 'assign', label: 'Assign', className: 'bg-indigo-600 hover:bg-indigo-700', notes: 'Assignment notes (optional)' },
+  { action: 'delete', label: 'Delete', className: 'bg-gray-700 hover:bg-gray-800', superAdminOnly: true }
+]
 
 const ReportsManagement = () => {
   const location = useLocation()
@@ -34,16 +52,68 @@ const ReportsManagement = () => {
   const [selectedImage, setSelectedImage] = useState(null)
   const [detailModalOpen, setDetailModalOpen] = useState(false)
   const [detailReport, setDetailReport] = useState(null)
+  const [detailIncident, setDetailIncident] = useState(null)
+  const [resolveIncident, setResolveIncident] = useState(null)
+  const [workflow, setWorkflow] = useState(null)
+  const [agencies, setAgencies] = useState([])
+  const [assignAgencyId, setAssignAgencyId] = useState('')
+  const [slaBreaches, setSlaBreaches] = useState(null)
+  const [showSlaBreaches, setShowSlaBreaches] = useState(false)
+  const [selectedIds, setSelectedIds] = useState([])
+  const [applyToFilter, setApplyToFilter] = useState(false)
+  const [bulkAction, setBulkAction] = useState(null)
+  const [bulkNotes, setBulkNotes] = useState('')
+  const [bulkAgencyId, setBulkAgencyId] = useState('')
+  const [bulkLoading, setBulkLoading] = useState(false)
+  const [bulkResult, setBulkResult] = useState(null)
+
+  // Report workflow decides which actions are offered for each status
+  useEffect(() => {
+    reportsAPI.getWorkflow()
+      .then(response => setWorkflow(response.data.data))
+      .catch(error => console.error('Failed to fetch report workflow:', error))
+    agenciesAPI.getAgencies()
+      .then(response => setAgencies(response.data.data))
+      .catch(error => console.error('Failed to fetch agencies:', error))
+  }, [])
+
+  // The workflow transition this admin may use to move a report from one status to another
+  const findTransition = (from, to) =>
+    workflow?.transitions.find(t => t.allowed && t.from.includes(from) && t.to === to)
+  const canMove = (from, to) => !!findTransition(from, to)
 
   const handleRowClick = (report) => {
     setDetailReport(report)
+    setAssignAgencyId('')
     setDetailModalOpen(true)
   }
+
+  // Open a report that may not be on the current page (e.g. a reused-image match)
+  const handleOpenReport = async (reportId) => {
+    try {
+      const response = await reportsAPI.getReportById(reportId)
+      handleRowClick(response.data.data)
+    } catch (error) {
+      console.error('❌ Failed to load report:', error)
+      alert('Failed to load report: ' + (error.response?.data?.error || error.message))
+    }
+  }
   
+  // Load the linked incident (cluster of duplicate reports) for the open report
+  useEffect(() => {
+    const incidentId = detailReport?.incident?._id || detailReport?.incident
+    setDetailIncident(null)
+    if (!detailModalOpen || !incidentId) return
+
+    incidentsAPI.getIncidentById(incidentId)
+      .then(response => setDetailIncident(response.data.data))
+      .catch(error => console.error('Failed to fetch incident:', error))
+  }, [detailModalOpen, detailReport])
+
   // Set initial filter from URL parameter
   useEffect(() => {
     const filterParam = searchParams.get('filter')
-    if (filterParam && ['all', 'pending', 'verified', 'rejected', 'resolved'].includes(filterParam)) {
+    if (filterParam && (filterParam === 'all' || STATUS_FILTERS.includes(filterParam))) {
       setFilterStatus(filterParam)
     }
   }, [searchParams])
@@ -73,6 +143,7 @@ const ReportsManagement = () => {
     }
   }, [searchParams, reports, location])
   
+  // Refetch when the status filter changes: the pending queue is ordered by reporter trust
   useEffect(() => {
     fetchReports(1)
     
@@ -82,13 +153,18 @@ const ReportsManagement = () => {
     // }, 5000) // Poll every 5 seconds
     // 
     // return () => clearInterval(interval)
-  }, [])
+  }, [filterStatus])
   
   const fetchReports = async (page = currentPage) => {
     try {
       setLoading(true)
       console.log('Fetching reports from API...')
-      const response = await reportsAPI.getAllReports({ page, limit: 10 })
+      const params = { page, limit: 10 }
+      if (filterStatus === 'pending') {
+        params.status = 'pending'
+        params.sortBy = 'reporterTrust'
+      }
+      const response = await reportsAPI.getAllReports(params)
       console.log('API Response:', response.data)
       setReports(response.data.data || [])
       setCurrentPage(response.data.pagination.currentPage)
@@ -103,10 +179,24 @@ const ReportsManagement = () => {
     }
   }
 
+  // Open reports that are past their SLA
+  const fetchSlaBreaches = async () => {
+    try {
+      const response = await reportsAPI.getSlaBreaches()
+      setSlaBreaches(response.data.data)
+    } catch (error) {
+      console.error('Failed to fetch SLA breaches:', error)
+    }
+  }
+
+  useEffect(() => {
+    fetchSlaBreaches()
+  }, [])
+
   // Manual refresh function
   const handleRefresh = async () => {
     console.log('Manually refreshing reports...')
-    await fetchReports(currentPage)
+    await Promise.all([fetchReports(currentPage), fetchSlaBreaches()])
   }
   const handleAccept = async (reportId) => {
     setActionLoading(true)
@@ -213,6 +303,126 @@ const ReportsManagement = () => {
     }
   }
 
+  const toggleSelected = (reportId) => {
+    setSelectedIds(prev => prev.includes(reportId) ? prev.filter(id => id !== reportId) : [...prev, reportId])
+  }
+
+  // Current search/status/date filters in the shape GET /api/reports understands
+  const buildServerFilter = () => {
+    const filter = {}
+    if (filterStatus !== 'all') filter.status = filterStatus
+    if (searchTerm) filter.search = searchTerm
+    if (startDate) filter.startDate = startDate
+    if (endDate) filter.endDate = endDate
+    return filter
+  }
+
+  const openBulkAction = (action) => {
+    setBulkAction(action)
+    setBulkNotes('')
+    setBulkAgencyId('')
+  }
+
+  // Apply the chosen action to the selected reports, or to all reports matching the filters
+  const handleBulkAction = async () => {
+    setBulkLoading(true)
+    try {
+      const target = applyToFilter ? { filter: buildServerFilter() } : { ids: selectedIds }
+      const extra = bulkAction.action === 'resolve'
+        ? { adminFeedback: bulkNotes }
+        : { adminNotes: bulkNotes || undefined, agencyId: bulkAgencyId || undefined }
+
+      const response = await reportsAPI.bulkAction(bulkAction.action, target, extra)
+      setBulkResult(response.data)
+      setBulkAction(null)
+      setSelectedIds([])
+      setApplyToFilter(false)
+      await fetchReports(currentPage)
+    } catch (error) {
+      console.error('❌ Bulk action failed:', error.response?.data || error)
+      alert('Bulk action failed: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setBulkLoading(false)
+    }
+  }
+
+  // Apply a status to every report in the incident at once
+  const handleIncidentStatus = async (incident, status) => {
+    if (status === 'resolved') {
+      // Feedback and proof photo are collected by the Resolve dialog
+      setSelectedReport(detailReport)
+      setResolveIncident(incident)
+      setResolveModalOpen(true)
+      setDetailModalOpen(false)
+      return
+    }
+
+    setActionLoading(true)
+    try {
+      const response = await incidentsAPI.updateIncidentStatus(incident._id, status)
+      await fetchReports()
+      setDetailModalOpen(false)
+
+      setSuccessMessage(`🔗 ${response.data.message}`)
+      setShowSuccessModal(true)
+      setTimeout(() => setShowSuccessModal(false), 2000)
+    } catch (error) {
+      console.error('❌ Failed to update incident:', error)
+      alert('Failed to update incident: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  const handleDetachFromIncident = async (incident, reportId) => {
+    try {
+      await incidentsAPI.detachReport(incident._id, reportId)
+      const response = await incidentsAPI.getIncidentById(incident._id).catch(() => null)
+      setDetailIncident(response?.data?.data || null)
+      await fetchReports()
+    } catch (error) {
+      console.error('❌ Failed to unlink report:', error)
+      alert('Failed to unlink report: ' + (error.response?.data?.error || error.message))
+    }
+  }
+
+  // Hazard confirmed still present: clear the residents' re-check flag
+  const handleDismissRecheck = async (report) => {
+    setActionLoading(true)
+    try {
+      const response = await reportsAPI.dismissRecheck(report._id)
+      setDetailReport(prev => ({ ...prev, recheck: response.data.data.recheck }))
+      await fetchReports()
+    } catch (error) {
+      console.error('❌ Failed to dismiss re-check:', error)
+      alert('Failed to dismiss re-check: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
+  // Hand the report to a responding agency (overrides automatic routing)
+  const handleAssign = async (report) => {
+    if (!assignAgencyId) return
+
+    setActionLoading(true)
+    try {
+      const response = await reportsAPI.assignReport(report._id, assignAgencyId)
+      setDetailReport(prev => ({ ...prev, ...response.data.data }))
+      setAssignAgencyId('')
+      await fetchReports()
+
+      setSuccessMessage(`🏢 ${response.data.message}`)
+      setShowSuccessModal(true)
+      setTimeout(() => setShowSuccessModal(false), 2000)
+    } catch (error) {
+      console.error('❌ Failed to assign report:', error)
+      alert('Failed to assign report: ' + (error.response?.data?.error || error.message))
+    } finally {
+      setActionLoading(false)
+    }
+  }
+
   const handleEdit = (report) => {
     setSelectedReport(report)
     setEditModalOpen(true)
@@ -231,18 +441,25 @@ const ReportsManagement = () => {
         console.log('  ', pair[0], ':', pair[1] instanceof File ? `File: ${pair[1].name}` : pair[1]);
       }
       
-      const response = await reportsAPI.resolveReport(reportId, formData)
+      let response
+      if (resolveIncident) {
+        formData.append('status', 'resolved')
+        response = await incidentsAPI.resolveIncident(resolveIncident._id, formData)
+      } else {
+        response = await reportsAPI.resolveReport(reportId, formData)
+      }
       console.log('✅ Resolve response:', response.data)
       
       await fetchReports()
       
       // Show success modal
-      setSuccessMessage('✅ Report resolved and user notified!')
+      setSuccessMessage(resolveIncident ? `🔗 ${response.data.message}` : '✅ Report resolved and user notified!')
       setShowSuccessModal(true)
       setTimeout(() => setShowSuccessModal(false), 2000)
       
       setResolveModalOpen(false)
       setSelectedReport(null)
+      setResolveIncident(null)
     } catch (error) {
       console.error('❌ Failed to resolve report:', error)
       console.error('❌ Error response:', error.response)
@@ -283,11 +500,11 @@ const ReportsManagement = () => {
             imageUrl = filename;
           } else {
             // Use the image API endpoint
-          imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
+          imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/0?size=large`;
           }
         } else {
           // Use the image API endpoint as fallback
-          imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
+          imageUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/0?size=large`;
         }
       }
       
@@ -299,9 +516,13 @@ const ReportsManagement = () => {
   const getStatusColor = (status) => {
     switch (status) {
       case 'pending': return 'text-yellow-600 bg-yellow-100'
+      case 'under_review': return 'text-amber-700 bg-amber-100'
       case 'verified': return 'text-green-600 bg-green-100'
+      case 'assigned': return 'text-indigo-600 bg-indigo-100'
+      case 'in_progress': return 'text-cyan-700 bg-cyan-100'
       case 'rejected': return 'text-red-600 bg-red-100'
       case 'resolved': return 'text-blue-600 bg-blue-100'
+      case 'reopened': return 'text-orange-600 bg-orange-100'
       default: return 'text-gray-600 bg-gray-100'
     }
   }
@@ -339,6 +560,10 @@ const ReportsManagement = () => {
     return matchesSearch && matchesStatus && matchesDate
   })
 
+  const hasActiveFilter = filterStatus !== 'all' || !!searchTerm || !!startDate || !!endDate
+  const allVisibleSelected = filteredReports.length > 0 && filteredReports.every(r => selectedIds.includes(r._id))
+  const availableBulkActions = BULK_ACTIONS.filter(a => !a.superAdminOnly || isSuperAdmin() || canDeleteReports())
+
   if (loading) {
     return <div className="flex justify-center items-center h-64">Loading reports...</div>
   }
@@ -351,7 +576,7 @@ const ReportsManagement = () => {
           {filterStatus !== 'all' && (
             <div className="mt-1 flex items-center text-sm text-blue-600">
               <span>Filtered by: </span>
-              <span className="font-semibold capitalize ml-1">{filterStatus} Reports</span>
+              <span className="font-semibold capitalize ml-1">{filterStatus.replace(/_/g, ' ')} Reports</span>
               <button 
                 onClick={() => setFilterStatus('all')}
                 className="ml-2 text-gray-500 hover:text-gray-700"
@@ -366,6 +591,18 @@ const ReportsManagement = () => {
           <div className="text-xs sm:text-sm font-medium text-gray-700">
             Total: {totalReportsCount} | Showing: {filteredReports.length}
           </div>
+          {slaBreaches && (
+            <button
+              onClick={() => setShowSlaBreaches(prev => !prev)}
+              className={`px-3 sm:px-4 py-2 rounded-lg text-sm font-medium transition-colors ${
+                slaBreaches.open.length > 0
+                  ? 'bg-red-100 text-red-700 hover:bg-red-200'
+                  : 'bg-gray-100 text-gray-600 hover:bg-gray-200'
+              }`}
+            >
+              ⏱️ SLA Breaches ({slaBreaches.open.length})
+            </button>
+          )}
           <button
             onClick={handleRefresh}
             disabled={loading}
@@ -379,6 +616,54 @@ const ReportsManagement = () => {
         </div>
       </div>
 
+      {/* SLA breach report */}
+      {showSlaBreaches && slaBreaches && (
+        <div className="bg-white rounded-xl shadow-lg border border-red-100 overflow-hidden">
+          <div className="px-6 py-3 bg-red-50 border-b border-red-100 flex flex-wrap items-center justify-between gap-2">
+            <h2 className="font-semibold text-red-800">Open reports past their SLA</h2>
+            <span className="text-xs text-gray-600">
+              Last {slaBreaches.days} days: verified on time {slaBreaches.summary.verifyCompliance ?? '—'}%
+              {' '}| resolved on time {slaBreaches.summary.resolveCompliance ?? '—'}%
+            </span>
+          </div>
+          {slaBreaches.open.length === 0 ? (
+            <p className="px-6 py-4 text-sm text-gray-500">No open SLA breaches. 🎉</p>
+          ) : (
+            <div className="overflow-x-auto custom-scrollbar" style={{ maxHeight: '260px' }}>
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Type</th>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Priority</th>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Location</th>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Status</th>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Overdue</th>
+                    <th className="text-left px-6 py-2 font-semibold text-gray-700">Agency</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {slaBreaches.open.map(report => (
+                    <tr key={report._id} onClick={() => handleRowClick(report)} className="hover:bg-red-50 cursor-pointer">
+                      <td className="px-6 py-2 capitalize font-medium text-gray-800">{report.type}</td>
+                      <td className="px-6 py-2 capitalize text-gray-700">{report.priority || 'medium'}</td>
+                      <td className="px-6 py-2 text-gray-700 truncate max-w-[250px]">{report.location?.address || [report.barangay, report.city].filter(Boolean).join(', ')}</td>
+                      <td className="px-6 py-2">
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getStatusColor(report.status)}`}>{formatStatus(report.status)}</span>
+                      </td>
+                      <td className="px-6 py-2 whitespace-nowrap">
+                        <SlaBadge sla={report.sla} />
+                        <span className="ml-2 text-xs text-gray-500">{report.sla.stage === 'verify' ? 'not verified' : 'not resolved'}</span>
+                      </td>
+                      <td className="px-6 py-2 text-gray-700">{report.assignment?.agency?.name || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Search and Filter */}
       <div className="flex flex-col sm:flex-row gap-4 items-center">
         <div className="relative flex-1 w-full">
@@ -431,14 +716,49 @@ const ReportsManagement = () => {
             onChange={(e) => setFilterStatus(e.target.value)}
           >
             <option value="all">All Status</option>
-            <option value="pending">Pending</option>
-            <option value="verified">Verified</option>
-            <option value="rejected">Rejected</option>
-            <option value="resolved">Resolved</option>
+            {STATUS_FILTERS.map(status => (
+              <option key={status} value={status}>
+                {workflow?.states[status]?.label || status.replace(/_/g, ' ')}
+              </option>
+            ))}
           </select>
         </div>
       </div>
 
+      {/* Bulk actions */}
+      {(selectedIds.length > 0 || hasActiveFilter) && (
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3 bg-blue-50 border border-blue-100 rounded-lg px-4 py-3">
+          <div className="flex-1 text-sm text-gray-700">
+            {applyToFilter ? (
+              <span>All reports matching the current filters</span>
+            ) : (
+              <span>{selectedIds.length} report(s) selected</span>
+            )}
+            {selectedIds.length > 0 && !applyToFilter && (
+              <button onClick={() => setSelectedIds([])} className="ml-2 text-xs text-blue-600 hover:text-blue-800">Clear</button>
+            )}
+            {hasActiveFilter && (
+              <label className="ml-4 inline-flex items-center gap-1 text-xs text-gray-600">
+                <input type="checkbox" checked={applyToFilter} onChange={(e) => setApplyToFilter(e.target.checked)} />
+                Apply to all matching filter (not just this page)
+              </label>
+            )}
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {availableBulkActions.map(option => (
+              <button
+                key={option.action}
+                onClick={() => openBulkAction(option)}
+                disabled={!applyToFilter && selectedIds.length === 0}
+                className={`px-3 py-1.5 text-white text-xs font-medium rounded-md disabled:opacity-50 disabled:cursor-not-allowed ${option.className}`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Reports Table */}
       <style>{`
         .custom-scrollbar::-webkit-scrollbar {
@@ -465,18 +785,29 @@ const ReportsManagement = () => {
           <table className="w-full text-sm">
             <thead className="sticky top-0 z-10">
               <tr className="bg-gradient-to-r from-blue-50 to-indigo-50 border-b border-gray-200">
+                <th className="pl-6 py-3 w-8">
+                  <input
+                    type="checkbox"
+                    title="Select all reports on this page"
+                    checked={allVisibleSelected}
+                    onChange={() => setSelectedIds(prev => allVisibleSelected
+                      ? prev.filter(id => !filteredReports.some(r => r._id === id))
+                      : [...new Set([...prev, ...filteredReports.map(r => r._id)])])}
+                  />
+                </th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Type</th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Reporter</th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Date</th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Location</th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Status</th>
                 <th className="text-left px-6 py-3 font-semibold text-gray-700">Priority</th>
+                <th className="text-left px-6 py-3 font-semibold text-gray-700">SLA</th>
               </tr>
             </thead>
             <tbody className="divide-y divide-gray-100">
               {filteredReports.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="text-center py-12 text-gray-500">
+                  <td colSpan="8" className="text-center py-12 text-gray-500">
                     <svg className="mx-auto h-10 w-10 text-gray-300 mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
                     </svg>
@@ -488,13 +819,54 @@ const ReportsManagement = () => {
                   <tr
                     key={report._id}
                     onClick={() => handleRowClick(report)}
-                    className="hover:bg-blue-50 cursor-pointer transition-colors"
+                    className={`hover:bg-blue-50 cursor-pointer transition-colors ${selectedIds.includes(report._id) ? 'bg-blue-50' : ''}`}
                   >
+                    <td className="pl-6 py-4" onClick={(e) => e.stopPropagation()}>
+                      <input
+                        type="checkbox"
+                        checked={selectedIds.includes(report._id)}
+                        onChange={() => toggleSelected(report._id)}
+                      />
+                    </td>
                     <td className="px-6 py-4">
                       <span className="font-semibold text-gray-800 capitalize">{report.type}</span>
+                      {report.incident?.reportCount > 1 && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-purple-700 bg-purple-100 whitespace-nowrap"
+                          title="Reports of the same hazard grouped into one incident"
+                        >
+                          🔗 {report.incident.reportCount} reports
+                        </span>
+                      )}
+                      {report.recheck?.needed && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-amber-800 bg-amber-100 whitespace-nowrap"
+                          title="Residents say this hazard is no longer present"
+                        >
+                          🔁 Re-check
+                        </span>
+                      )}
+                      {report.imageReuse?.length > 0 && (
+                        <span
+                          className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold text-amber-800 bg-amber-100 whitespace-nowrap"
+                          title="A photo in this report matches an image in another report"
+                        >
+                          ♻️ Reused photo
+                        </span>
+                      )}
+                      {report.photoVerification?.status === 'suspicious' && (
+                        <span className="ml-2">
+                          <PhotoVerificationBadge verification={report.photoVerification} />
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                       <span className="text-gray-700">{report.reportedBy?.name || report.reportedBy?.username || 'Anonymous'}</span>
+                      {report.reporterReputation && (
+                        <span className="ml-2">
+                          <ReporterTrustBadge reputation={report.reporterReputation} />
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 text-gray-600 whitespace-nowrap">
                       {new Date(report.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', year: '2-digit', hour: '2-digit', minute: '2-digit', hour12: true })}
@@ -506,7 +878,7 @@ const ReportsManagement = () => {
                     </td>
                     <td className="px-6 py-4">
                       <span className={`px-2.5 py-1 rounded-full text-xs font-semibold ${getStatusColor(report.status)}`}>
-                        {report.status?.toUpperCase()}
+                        {formatStatus(report.status)}
                       </span>
                     </td>
                     <td className="px-6 py-4">
@@ -514,6 +886,9 @@ const ReportsManagement = () => {
                         {report.severity?.toUpperCase()}
                       </span>
                     </td>
+                    <td className="px-6 py-4">
+                      <SlaBadge sla={report.sla} />
+                    </td>
                   </tr>
                 ))
               )}
@@ -556,18 +931,27 @@ const ReportsManagement = () => {
                 <p className="text-sm text-gray-500">#{detailReport._id?.slice(-8)}</p>
               </div>
               <div className="flex items-center gap-3">
-                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(detailReport.status)}`}>{detailReport.status?.toUpperCase()}</span>
+                <span className={`px-3 py-1 rounded-full text-xs font-semibold ${getStatusColor(detailReport.status)}`}>{formatStatus(detailReport.status)}</span>
                 <button onClick={() => setDetailModalOpen(false)} className="text-gray-400 hover:text-gray-600 text-2xl leading-none">&times;</button>
               </div>
             </div>
 
             {/* Modal Body */}
             <div className="p-6 space-y-5">
+              <ImageReuseBanner matches={detailReport.imageReuse} onOpenReport={handleOpenReport} />
+
               {/* Reporter & Date */}
               <div className="grid grid-cols-2 gap-4">
                 <div>
                   <p className="text-xs font-medium text-gray-500 mb-1">Reporter</p>
-                  <p className="text-sm font-bold text-gray-800">{detailReport.reportedBy?.name || detailReport.reportedBy?.username || 'Anonymous'}</p>
+                  <p className="text-sm font-bold text-gray-800">
+                    {detailReport.reportedBy?.name || detailReport.reportedBy?.username || 'Anonymous'}
+                    {detailReport.reporterReputation && (
+                      <span className="ml-2 font-normal">
+                        <ReporterTrustBadge reputation={detailReport.reporterReputation} />
+                      </span>
+                    )}
+                  </p>
                   {detailReport.reportedBy?.email && <p className="text-xs text-gray-500">{detailReport.reportedBy.email}</p>}
                   {detailReport.reportedBy?.phone && <p className="text-xs text-gray-500">📞 {detailReport.reportedBy.phone}</p>}
                 </div>
@@ -612,9 +996,9 @@ const ReportsManagement = () => {
                     <img
                       src={(() => {
                         const img = detailReport.images[0];
-                        if (img?.imageUrl) return img.imageUrl;
                         if (img?.data) return `data:${img.mimetype};base64,${img.data}`;
-                        return `${config.BACKEND_URL}/api/reports/${detailReport._id}/image/0`;
+                        // The endpoint redirects Cloudinary images to the same variant
+                        return `${config.BACKEND_URL}/api/reports/${detailReport._id}/image/0?size=medium`;
                       })()}
                       alt="Report evidence"
                       className="max-w-full max-h-full object-contain cursor-pointer hover:opacity-90"
@@ -625,6 +1009,9 @@ const ReportsManagement = () => {
                 </div>
               )}
 
+              {/* Photo location/time check */}
+              <PhotoVerification verification={detailReport.photoVerification} />
+
               {/* Map */}
               {detailReport.location?.coordinates && (
                 <div>
@@ -638,6 +1025,105 @@ const ReportsManagement = () => {
                 </div>
               )}
 
+              {/* Linked Incident */}
+              {detailIncident && detailIncident.reportCount > 1 && (
+                <div className="bg-purple-50 border border-purple-100 rounded-lg p-3">
+                  <div className="flex items-center justify-between mb-2">
+                    <p className="text-xs font-semibold text-purple-700">
+                      🔗 Linked Incident · {detailIncident.reportCount} reports of the same hazard
+                    </p>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-semibold ${getStatusColor(detailIncident.status)}`}>
+                      {formatStatus(detailIncident.status)}
+                    </span>
+                  </div>
+                  <ul className="divide-y divide-purple-100">
+                    {detailIncident.reports?.map(member => (
+                      <li key={member._id} className="py-1.5 flex items-center justify-between text-xs">
+                        <span className="text-gray-700 truncate">
+                          {member._id === detailReport._id && <span className="font-semibold">(this) </span>}
+                          {member.reportedBy?.name || member.reportedBy?.username || 'Anonymous'} · {new Date(member.createdAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: true })}
+                        </span>
+                        <span className="flex items-center gap-2">
+                          <span className={`px-2 py-0.5 rounded-full font-semibold ${getStatusColor(member.status)}`}>{member.status?.replace(/_/g, ' ')}</span>
+                          <button
+                            onClick={() => handleDetachFromIncident(detailIncident, member._id)}
+                            className="text-gray-400 hover:text-red-600"
+                            title="Not the same hazard - unlink this report"
+                          >
+                            Unlink
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Resident confirmations */}
+              {(detailReport.confirmationCounts?.stillThere > 0 || detailReport.confirmationCounts?.fixed > 0 || detailReport.recheck?.needed) && (
+                <div className={`p-3 rounded-lg border ${detailReport.recheck?.needed ? 'bg-amber-50 border-amber-200' : 'bg-gray-50 border-gray-100'}`}>
+                  <div className="flex items-center justify-between gap-2">
+                    <div>
+                      <p className="text-xs font-medium text-gray-500 mb-1">Resident Confirmations</p>
+                      <p className="text-sm text-gray-800">
+                        ✋ {detailReport.confirmationCounts?.stillThere || 0} still there · ✅ {detailReport.confirmationCounts?.fixed || 0} no longer present
+                        {detailReport.confidence != null && <span className="ml-2 text-xs text-gray-500">({detailReport.confidence}% confidence)</span>}
+                      </p>
+                      {detailReport.recheck?.needed && (
+                        <p className="text-xs text-amber-800 mt-1">🔁 Flagged for re-check — residents say this may be fixed.</p>
+                      )}
+                    </div>
+                    {detailReport.recheck?.needed && (
+                      <button
+                        onClick={() => handleDismissRecheck(detailReport)}
+                        disabled={actionLoading}
+                        className="px-3 py-1 bg-amber-600 text-white text-xs rounded-md hover:bg-amber-700 disabled:opacity-50 whitespace-nowrap"
+                      >
+                        Still there
+                      </button>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              {/* Responding Agency */}
+              <div>
+                <p className="text-xs font-medium text-gray-500 mb-1">Responding Agency</p>
+                <div className="bg-gray-50 p-3 rounded-lg">
+                  {detailReport.assignment?.agency ? (
+                    <p className="text-sm font-bold text-gray-800">
+                      {detailReport.assignment.agency.name || 'Assigned'}
+                      {detailReport.assignment.autoRouted && <span className="ml-2 text-xs font-normal text-gray-500">(auto-routed)</span>}
+                    </p>
+                  ) : (
+                    <p className="text-sm text-gray-500">Not assigned yet</p>
+                  )}
+                  {agencies.length > 0 && !['rejected', 'duplicate'].includes(detailReport.status) && (
+                    <div className="flex gap-2 mt-2">
+                      <select
+                        value={assignAgencyId}
+                        onChange={(e) => setAssignAgencyId(e.target.value)}
+                        className="flex-1 border border-gray-300 rounded-md px-2 py-1 text-sm"
+                      >
+                        <option value="">{detailReport.assignment?.agency ? 'Reassign to...' : 'Assign to...'}</option>
+                        {agencies
+                          .filter(agency => agency._id !== (detailReport.assignment?.agency?._id || detailReport.assignment?.agency))
+                          .map(agency => (
+                            <option key={agency._id} value={agency._id}>{agency.name}</option>
+                          ))}
+                      </select>
+                      <button
+                        onClick={() => handleAssign(detailReport)}
+                        disabled={!assignAgencyId || actionLoading}
+                        className="px-3 py-1 bg-indigo-600 text-white text-sm rounded-md hover:bg-indigo-700 disabled:opacity-50"
+                      >
+                        Assign
+                      </button>
+                    </div>
+                  )}
+                </div>
+              </div>
+
               {/* Admin Notes */}
               {detailReport.adminNotes && (
                 <div>
@@ -645,17 +1131,33 @@ const ReportsManagement = () => {
                   <p className="text-sm text-gray-700 bg-yellow-50 p-3 rounded-lg border border-yellow-100">{detailReport.adminNotes}</p>
                 </div>
               )}
+
+              {/* Reporter / admin messages */}
+              <ReportComments reportId={detailReport._id} />
             </div>
 
             {/* Modal Footer - Actions */}
             <div className="px-6 py-4 bg-gray-50 border-t border-gray-200 flex flex-wrap gap-2 justify-end sticky bottom-0">
-              {detailReport.status === 'pending' && (
+              {detailIncident && detailIncident.reportCount > 1 && ['pending', 'verified'].includes(detailIncident.status) && (
                 <>
-                  <button onClick={() => { handleAccept(detailReport._id); setDetailModalOpen(false); }} className="px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 font-medium">✓ Verify</button>
-                  <button onClick={() => { handleReject(detailReport._id); setDetailModalOpen(false); }} className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 font-medium">✗ Reject</button>
+                  {detailIncident.status === 'pending' && (
+                    <>
+                      <button onClick={() => handleIncidentStatus(detailIncident, 'verified')} className="px-4 py-2 bg-purple-600 text-white text-sm rounded-lg hover:bg-purple-700 font-medium">✓ Verify All ({detailIncident.reportCount})</button>
+                      <button onClick={() => handleIncidentStatus(detailIncident, 'rejected')} className="px-4 py-2 bg-purple-100 text-purple-700 text-sm rounded-lg hover:bg-purple-200 font-medium">✗ Reject All</button>
+                    </>
+                  )}
+                  {detailIncident.status === 'verified' && (
+                    <button onClick={() => handleIncidentStatus(detailIncident, 'resolved')} className="px-4 py-2 bg-purple-600 text-white text-sm rounded-lg hover:bg-purple-700 font-medium">✅ Resolve All ({detailIncident.reportCount})</button>
+                  )}
                 </>
               )}
-              {detailReport.status === 'verified' && (
+              {canMove(detailReport.status, 'verified') && (
+                <button onClick={() => { handleAccept(detailReport._id); setDetailModalOpen(false); }} className="px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 font-medium">✓ Verify</button>
+              )}
+              {canMove(detailReport.status, 'rejected') && (
+                <button onClick={() => { handleReject(detailReport._id); setDetailModalOpen(false); }} className="px-4 py-2 bg-red-600 text-white text-sm rounded-lg hover:bg-red-700 font-medium">✗ Reject</button>
+              )}
+              {canMove(detailReport.status, 'resolved') && (
                 <button onClick={() => { handleResolve(detailReport); setDetailModalOpen(false); }} className="px-4 py-2 bg-green-600 text-white text-sm rounded-lg hover:bg-green-700 font-medium">✅ Mark Resolved</button>
               )}
               <button onClick={() => { handleEdit(detailReport); setDetailModalOpen(false); }} className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 font-medium">Edit</button>
@@ -683,9 +1185,11 @@ const ReportsManagement = () => {
       {resolveModalOpen && selectedReport && (
         <ResolveReportModal
           report={selectedReport}
+          requirePhoto={!!findTransition(selectedReport.status, 'resolved')?.requires?.includes('evidencePhoto')}
           onClose={() => {
             setResolveModalOpen(false)
             setSelectedReport(null)
+            setResolveIncident(null)
           }}
           onResolve={handleResolveReport}
         />
@@ -786,6 +1290,92 @@ const ReportsManagement = () => {
         </div>
       )}
 
+      {/* Bulk Action Confirmation Modal */}
+      {bulkAction && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4">
+          <div className="bg-white rounded-lg max-w-md w-full p-6 shadow-xl">
+            <h3 className="text-lg font-medium text-gray-900">
+              {bulkAction.label} {applyToFilter ? 'all matching reports' : `${selectedIds.length} report(s)`}?
+            </h3>
+            <p className="mt-2 text-sm text-gray-500">
+              {bulkAction.action === 'delete'
+                ? 'This cannot be undone. Reports that are not allowed to change are skipped and listed afterwards.'
+                : 'Reports whose current status does not allow this change are skipped and listed afterwards.'}
+            </p>
+            {bulkAction.action === 'assign' && (
+              <select
+                value={bulkAgencyId}
+                onChange={(e) => setBulkAgencyId(e.target.value)}
+                className="mt-4 w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+              >
+                <option value="">Select an agency...</option>
+                {agencies.filter(a => a.isActive !== false).map(agency => (
+                  <option key={agency._id} value={agency._id}>{agency.name}</option>
+                ))}
+              </select>
+            )}
+            {bulkAction.notes && (
+              <textarea
+                value={bulkNotes}
+                onChange={(e) => setBulkNotes(e.target.value)}
+                rows={3}
+                placeholder={bulkAction.notes}
+                className="mt-4 w-full border border-gray-300 rounded-md px-2 py-1.5 text-sm"
+              />
+            )}
+            <div className="mt-6 flex justify-end space-x-3">
+              <button
+                type="button"
+                onClick={() => setBulkAction(null)}
+                disabled={bulkLoading}
+                className="px-4 py-2 text-sm font-medium text-gray-700 bg-white border border-gray-300 rounded-lg hover:bg-gray-50 disabled:opacity-50"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={handleBulkAction}
+                disabled={bulkLoading || (bulkAction.action === 'assign' && !bulkAgencyId) || (bulkAction.action === 'resolve' && !bulkNotes.trim())}
+                className={`px-4 py-2 text-sm font-medium text-white rounded-lg disabled:opacity-50 ${bulkAction.className}`}
+              >
+                {bulkLoading ? 'Working...' : bulkAction.label}
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Bulk Action Results Modal */}
+      {bulkResult && (
+        <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-[9999] p-4" onClick={() => setBulkResult(null)}>
+          <div className="bg-white rounded-lg max-w-md w-full p-6 shadow-xl" onClick={e => e.stopPropagation()}>
+            <h3 className="text-lg font-medium text-gray-900">{bulkResult.message}</h3>
+            {bulkResult.data.failed > 0 && (
+              <div className="mt-3">
+                <p className="text-sm text-gray-600 mb-2">{bulkResult.data.failed} report(s) were skipped:</p>
+                <ul className="max-h-48 overflow-y-auto text-xs space-y-1">
+                  {bulkResult.data.results.filter(r => !r.success).map(r => (
+                    <li key={r.id} className="flex gap-2">
+                      <span className="font-mono text-gray-500">#{String(r.id).slice(-8)}</span>
+                      <span className="text-red-600">{r.error}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+            <div className="mt-6 flex justify-end">
+              <button
+                type="button"
+                onClick={() => setBulkResult(null)}
+                className="px-4 py-2 text-sm font-medium text-white bg-blue-600 rounded-lg hover:bg-blue-700"
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Image Lightbox Modal */}
       {imageModalOpen && selectedImage && (
         <div className="fixed inset-0 bg-black bg-opacity-90 flex items-center justify-center z-50 p-4" onClick={() => setImageModalOpen(false)}>
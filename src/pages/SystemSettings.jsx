@@ -23,6 +23,7 @@ import {
 } from '@heroicons/react/24/outline'
 import { useAuth, SuperAdminOnly } from '../context/AuthContext'
 import config from '../config/index.js'
+import { fetchWithStepUp } from '../services/session.js'
 
 const SystemSettings = () => {
   const { isSuperAdmin, canAccessSettings } = useAuth()
@@ -242,7 +243,7 @@ const SystemSettings = () => {
       setSaving(true)
       const token = localStorage.getItem('adminToken')
 
-      const response = await fetch(`${config.API_BASE_URL}/settings/initialize`, {
+      const response = await fetchWithStepUp(`${config.API_BASE_URL}/settings/initialize`, {
         method: 'POST',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -400,6 +401,39 @@ const SystemSettings = () => {
     )
   }
 
+  // Roles that must sign in with an authenticator app
+  const renderRoleChecklist = (setting) => {
+    const currentValue = getCurrentValue(setting.key, setting.value) || []
+    const hasChanged = setting.key in changedSettings
+    const roles = [
+      { value: 'super_admin', label: 'Super Admin' },
+      { value: 'admin_user', label: 'Admin User' }
+    ]
+
+    const toggleRole = (role) => {
+      const next = currentValue.includes(role)
+        ? currentValue.filter(r => r !== role)
+        : [...currentValue, role]
+      handleSettingChange(setting.key, next, 'array')
+    }
+
+    return (
+      <div className={`space-y-2 ${hasChanged ? 'ring-2 ring-yellow-200 rounded-md p-2' : ''}`}>
+        {roles.map(role => (
+          <label key={role.value} className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={currentValue.includes(role.value)}
+              onChange={() => toggleRole(role.value)}
+              className="h-4 w-4 text-red-600 border-gray-300 rounded focus:ring-red-500"
+            />
+            {role.label}
+          </label>
+        ))}
+      </div>
+    )
+  }
+
   const renderSettingInput = (setting) => {
     const currentValue = getCurrentValue(setting.key, setting.value)
     const hasChanged = changedSettings.hasOwnProperty(setting.key)
@@ -408,6 +442,10 @@ const SystemSettings = () => {
       return renderEmergencyEditor(setting)
     }
 
+    if (setting.key === 'admin_2fa_required_roles') {
+      return renderRoleChecklist(setting)
+    }
+
     switch (setting.dataType) {
       case 'boolean':
         return (
@@ -1,7 +1,11 @@
 import React, { useState, useEffect } from 'react'
-import { UsersIcon, ClockIcon, CheckCircleIcon, XCircleIcon, UserGroupIcon, EyeIcon, DocumentTextIcon, CalendarIcon, MapPinIcon, PhoneIcon, FunnelIcon, UserIcon, TrashIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline'
+import { UsersIcon, ClockIcon, CheckCircleIcon, XCircleIcon, UserGroupIcon, EyeIcon, DocumentTextIcon, CalendarIcon, MapPinIcon, PhoneIcon, FunnelIcon, UserIcon, TrashIcon, ExclamationTriangleIcon, ComputerDesktopIcon } from '@heroicons/react/24/outline'
 import { useAuth } from '../context/AuthContext'
 import config from '../config/index.js'
+import { fetchWithStepUp } from '../services/session.js'
+import ReporterTrustBadge from '../components/ReporterTrustBadge'
+import { AppealsQueue, EnforcementHistory, RestrictionBadge } from '../components/AccountEnforcement'
+import UserSessions from '../components/UserSessions'
 
 const Users = () => {
   const { isSuperAdmin, canDeleteUsers } = useAuth()
@@ -29,9 +33,12 @@ const Users = () => {
   const [isSendingWarning, setIsSendingWarning] = useState(false)
   const [prefetchedReports, setPrefetchedReports] = useState({})
   const [prefetchingId, setPrefetchingId] = useState(null)
+  const [appeals, setAppeals] = useState([])
+  const [reviewingAppealId, setReviewingAppealId] = useState(null)
 
   useEffect(() => {
     fetchUsers()
+    fetchAppeals()
   }, [])
 
   useEffect(() => {
@@ -93,6 +100,100 @@ const Users = () => {
     }
   }
 
+  const fetchAppeals = async () => {
+    try {
+      const token = localStorage.getItem('adminToken')
+      const response = await fetch(`${config.API_BASE_URL}/admin/appeals`, {
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        }
+      })
+      if (response.ok) {
+        const data = await response.json()
+        setAppeals(data.data || [])
+      }
+    } catch (err) {
+      console.error('Error fetching appeals:', err)
+    }
+  }
+
+  // Merge account changes from an enforcement response into the list and the open profile
+  const updateUserAccount = (userId, changes) => {
+    setUsers(prev => prev.map(user => user._id === userId ? { ...user, ...changes } : user))
+    setSelectedUser(prev => prev && prev._id === userId ? { ...prev, ...changes } : prev)
+  }
+
+  const reviewAppeal = async (userId, entry, decision) => {
+    const response = window.prompt(
+      decision === 'approved'
+        ? 'Approve the appeal and lift this action. Optional message to the user:'
+        : 'Deny the appeal. Optional message to the user:'
+    )
+    if (response === null) return
+
+    try {
+      setReviewingAppealId(entry._id)
+      const token = localStorage.getItem('adminToken')
+      const res = await fetch(`${config.API_BASE_URL}/admin/user/${userId}/enforcement/${entry._id}/appeal`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ decision, response })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to review appeal')
+
+      const { isFrozen, warnings, restriction, enforcement } = data.data
+      updateUserAccount(userId, { isFrozen, warnings, restriction, enforcement })
+      setAppeals(prev => prev.filter(appeal => appeal.action?._id !== entry._id))
+    } catch (err) {
+      console.error('Error reviewing appeal:', err)
+      alert(err.message || 'Failed to review appeal. Please try again.')
+    } finally {
+      setReviewingAppealId(null)
+    }
+  }
+
+  // Approving reopens the report for moderation
+  const reviewReportAppeal = async (report, decision) => {
+    const response = window.prompt(
+      decision === 'approved'
+        ? 'Approve the appeal and reopen this report. Optional message to the reporter:'
+        : 'Deny the appeal and keep the report rejected. Optional message to the reporter:'
+    )
+    if (response === null) return
+
+    try {
+      setReviewingAppealId(report._id)
+      const token = localStorage.getItem('adminToken')
+      const res = await fetch(`${config.API_BASE_URL}/reports/${report._id}/appeal`, {
+        method: 'PATCH',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ decision, response })
+      })
+      const data = await res.json()
+      if (!res.ok) throw new Error(data.error || 'Failed to review appeal')
+
+      setAppeals(prev => prev.filter(appeal => appeal.report?._id !== report._id))
+    } catch (err) {
+      console.error('Error reviewing report appeal:', err)
+      alert(err.message || 'Failed to review appeal. Please try again.')
+    } finally {
+      setReviewingAppealId(null)
+    }
+  }
+
+  const openUserById = (userId) => {
+    const user = users.find(u => u._id === userId)
+    if (user) viewUserProfile(user)
+  }
+
   const formatLastActivity = (lastActivity) => {
     if (!lastActivity) return 'Never'
     const date = new Date(lastActivity)
@@ -229,18 +330,9 @@ const Users = () => {
       if (response.ok) {
         const data = await response.json()
 
-        // Update the selected user state
-        setSelectedUser(prev => ({
-          ...prev,
-          isFrozen: !currentStatus
-        }))
-
-        // Update the users list
-        setUsers(prev => prev.map(user =>
-          user._id === userId
-            ? { ...user, isFrozen: !currentStatus }
-            : user
-        ))
+        // Update the selected user and the users list
+        const { isFrozen, restriction, enforcement } = data.data.user
+        updateUserAccount(userId, { isFrozen, restriction, enforcement })
 
         console.log(`User ${!currentStatus ? 'frozen' : 'unfrozen'} successfully`)
       } else {
@@ -276,21 +368,13 @@ const Users = () => {
       if (response.ok) {
         const data = await response.json()
         
-        // Update the users list to reflect new spamScore
-        setUsers(prev => prev.map(user =>
-          user._id === selectedUser._id
-            ? { ...user, spamScore: data.data.spamScore, warnings: data.data.warnings }
-            : user
-        ))
-
-        // Update selected user
-        setSelectedUser(prev => ({
-          ...prev,
-          spamScore: data.data.spamScore,
-          warnings: data.data.warnings
-        }))
+        // Update the users list to reflect new spamScore (and any policy action it triggered)
+        const { spamScore, warnings, isFrozen, restriction, enforcement } = data.data
+        updateUserAccount(selectedUser._id, { spamScore, warnings, isFrozen, restriction, enforcement })
 
-        alert('Warning sent successfully!')
+        alert(data.data.policyAction
+          ? `Warning sent. The enforcement policy also applied: ${data.data.policyAction.action}.`
+          : 'Warning sent successfully!')
         setShowWarningModal(false)
         setWarningMessage('')
       } else {
@@ -310,7 +394,7 @@ const Users = () => {
       setLoadingDeleteAction(true)
       const token = localStorage.getItem('adminToken')
 
-      const response = await fetch(`${config.API_BASE_URL}/admin/user/${userId}`, {
+      const response = await fetchWithStepUp(`${config.API_BASE_URL}/admin/user/${userId}`, {
         method: 'DELETE',
         headers: {
           'Authorization': `Bearer ${token}`,
@@ -557,6 +641,15 @@ const Users = () => {
           </div>
         )}
 
+        {/* Appeals awaiting review */}
+        <AppealsQueue
+          appeals={appeals}
+          onReviewAppeal={reviewAppeal}
+          onReviewReportAppeal={reviewReportAppeal}
+          onOpenUser={openUserById}
+          reviewingId={reviewingAppealId}
+        />
+
         {/* Users List */}
         <div className="bg-white rounded-lg shadow-md">
           <div className="px-6 py-4 border-b border-gray-200">
@@ -619,11 +712,13 @@ const Users = () => {
                             🧊 Frozen
                           </span>
                         )}
+                        <RestrictionBadge restriction={user.restriction} />
                         {user.spamScore > 0 && (
                           <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${user.spamScore >= 10 ? 'bg-orange-100 text-orange-800' : 'bg-yellow-100 text-yellow-800'}`}>
                             ⚠️ Spam Score: {user.spamScore}
                           </span>
                         )}
+                        <ReporterTrustBadge reputation={user.reputation} />
                         <button
                           onClick={() => viewUserProfile(user)}
                           onMouseEnter={() => prefetchUserReports(user._id)}
@@ -815,10 +910,44 @@ const Users = () => {
                           </button>
                         </div>
                       </div>
+                      {selectedUser.reputation && (
+                        <div>
+                          <label className="text-sm font-medium text-gray-600">Reporter Trust</label>
+                          <div className="flex items-center space-x-2">
+                            <ReporterTrustBadge reputation={selectedUser.reputation} />
+                            <span className="text-sm text-gray-600">
+                              ({selectedUser.reputation.verifiedReports} verified, {selectedUser.reputation.rejectedReports} rejected)
+                            </span>
+                          </div>
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
 
+                {/* Enforcement history and appeals */}
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <h4 className="text-md font-semibold text-gray-900 mb-3 flex items-center">
+                    <ExclamationTriangleIcon className="h-5 w-5 mr-2 text-orange-600" />
+                    Enforcement History
+                    <span className="ml-2"><RestrictionBadge restriction={selectedUser.restriction} /></span>
+                  </h4>
+                  <EnforcementHistory
+                    history={selectedUser.enforcement?.history}
+                    onReviewAppeal={(entry, decision) => reviewAppeal(selectedUser._id, entry, decision)}
+                    reviewingId={reviewingAppealId}
+                  />
+                </div>
+
+                {/* Signed-in devices */}
+                <div className="bg-gray-50 rounded-lg p-4">
+                  <h4 className="text-md font-semibold text-gray-900 mb-3 flex items-center">
+                    <ComputerDesktopIcon className="h-5 w-5 mr-2 text-gray-600" />
+                    Signed-in Devices
+                  </h4>
+                  <UserSessions userId={selectedUser._id} />
+                </div>
+
                 {/* User Reports Section */}
                 <div className="bg-white border border-gray-200 rounded-lg">
                   <div className="px-4 py-3 border-b border-gray-200">
@@ -1,5 +1,6 @@
 import axios from 'axios'
 import config from '../config/index.js'
+import { attachSessionInterceptors, clearSession } from './session.js'
 
 // Use centralized config (supports env overrides)
 const API_BASE_URL = config.API_BASE_URL
@@ -38,14 +39,21 @@ api.interceptors.request.use(
   }
 )
 
+const redirectToLogin = () => {
+  clearSession()
+  window.location.href = '/login'
+}
+
+// Renew an expired access token and retry the request once
+attachSessionInterceptors(api, redirectToLogin)
+
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => response,
   (error) => {
     if (error.response?.status === 401) {
-      // Handle unauthorized access
-      localStorage.removeItem('adminToken')
-      window.location.href = '/login'
+      // Handle unauthorized access (session ended or signed out)
+      redirectToLogin()
     }
     return Promise.reject(error)
   }
@@ -80,9 +88,41 @@ export const reportsAPI = {
     return api.patch(`/reports/${id}/status`, requestData)
   },
   
-  // Update report status (generic)
-  updateReportStatus: (id, status) => 
-    api.patch(`/reports/${id}/status`, { status }),
+  // Update report status (generic) - extra carries fields the workflow requires
+  updateReportStatus: (id, status, extra = {}) => 
+    api.patch(`/reports/${id}/status`, { status, ...extra }),
+  
+  // Assign a report to a responding agency
+  assignReport: (id, agencyId, adminNotes) =>
+    api.patch(`/reports/${id}/assign`, { agencyId, adminNotes }),
+  
+  // Clear a citizen "no longer present" re-check flag
+  dismissRecheck: (id) => api.patch(`/reports/${id}/recheck`),
+  
+  // Re-run face/plate redaction with stronger settings (omit imageIndex for all images)
+  reRedactImage: (id, imageIndex) => api.post(`/reports/${id}/redact`, { imageIndex }),
+  
+  // Replace an image with one edited in the redaction editor (FormData: image, redaction)
+  updateReportImage: (id, imageIndex, formData) =>
+    api.put(`/reports/${id}/images/${imageIndex}`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    }),
+  
+  // Apply verify/reject/resolve/assign/delete to selected reports ({ ids })
+  // or to every report matching a filter ({ filter }); returns per-report results
+  bulkAction: (action, target, extra = {}) =>
+    api.post('/reports/bulk', { action, ...target, ...extra }),
+  
+  // Get a report's status timeline and allowed next statuses
+  getReportHistory: (id) => api.get(`/reports/${id}/history`),
+  
+  // Get the report status workflow
+  getWorkflow: () => api.get('/reports/workflow'),
+  
+  // SLA targets and breach report
+  getSlaConfig: () => api.get('/reports/sla'),
+  updateSlaConfig: (sla) => api.put('/reports/sla', { sla }),
+  getSlaBreaches: (days = 30) => api.get('/reports/sla/breaches', { params: { days } }),
   
   // Update report details
   updateReport: (id, data) => {
@@ -115,6 +155,60 @@ export const reportsAPI = {
     api.get('/reports/map', { params: filters }),
 }
 
+export const incidentsAPI = {
+  // Get incidents (clusters of duplicate reports)
+  getIncidents: (params = {}) => api.get('/incidents', { params }),
+  
+  // Get incident with its member reports
+  getIncidentById: (id) => api.get(`/incidents/${id}`),
+  
+  // Verify/reject/resolve every report in the incident
+  updateIncidentStatus: (id, status, extra = {}) =>
+    api.patch(`/incidents/${id}/status`, { status, ...extra }),
+  
+  // Resolve every report in the incident with feedback and evidence photo
+  resolveIncident: (id, formData) =>
+    api.patch(`/incidents/${id}/status`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    }),
+  
+  // Unlink a report that was clustered by mistake
+  detachReport: (id, reportId) => api.delete(`/incidents/${id}/reports/${reportId}`),
+}
+
+export const commentsAPI = {
+  // Get a report's message thread, including internal notes
+  getThread: (reportId) => api.get(`/comments/admin/report/${reportId}`),
+  
+  // Reply to the reporter or add an internal note (body, internal, attachments)
+  sendComment: (reportId, formData) =>
+    api.post(`/comments/admin/report/${reportId}`, formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data',
+      },
+    }),
+}
+
+export const agenciesAPI = {
+  // Get agencies / field teams with their members
+  getAgencies: (params = {}) => api.get('/agencies', { params }),
+  
+  // Get an agency's open report queue (own team's queue for team members)
+  getQueue: (params = {}) => api.get('/agencies/queue', { params }),
+  
+  // Create / update an agency
+  createAgency: (data) => api.post('/agencies', data),
+  updateAgency: (id, data) => api.put(`/agencies/${id}`, data),
+  
+  // Set which admins work for an agency
+  setMembers: (id, adminIds) => api.put(`/agencies/${id}/members`, { adminIds }),
+  
+  // Deactivate an agency
+  deactivateAgency: (id) => api.delete(`/agencies/${id}`),
+}
+
 export const authAPI = {
   // Admin login
   login: (credentials) => api.post('/auth/login', credentials),
@@ -122,8 +216,8 @@ export const authAPI = {
   // Verify token
   verifyToken: () => api.get('/auth/verify'),
   
-  // Logout
-  logout: () => api.post('/auth/logout'),
+  // Logout (signs this browser's session out)
+  logout: () => api.post('/auth/logout', { refreshToken: localStorage.getItem('adminRefreshToken') }),
 }
 
 export const mapAPI = {
@@ -0,0 +1,238 @@
+import axios from 'axios'
+import config from '../config/index.js'
+
+// Admin access tokens are short-lived; the refresh token (rotated on every
+// use) keeps the admin signed in until the session idles out or is revoked
+const TOKEN_KEY = 'adminToken'
+const REFRESH_TOKEN_KEY = 'adminRefreshToken'
+
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000
+
+// Retry delay when a renewal fails because the network is down
+const OFFLINE_RETRY_MS = 30 * 1000
+
+let refreshPromise = null
+
+// Destructive actions answer 403 { stepUpRequired } until the admin confirms it
+// is them again; the app registers a handler that asks for a code or password
+let stepUpHandler = null
+let stepUpPromise = null
+
+// Store the tokens from a login or refresh response
+export const saveSession = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token)
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken)
+  }
+}
+
+// Forget this browser's tokens (does not tell the server)
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY)
+  localStorage.removeItem(REFRESH_TOKEN_KEY)
+}
+
+// Get a new access token; resolves null once the session has ended.
+// Concurrent callers share one request since a refresh token works only once.
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+  if (!refreshToken) return Promise.resolve(null)
+
+  refreshPromise = axios.post(`${config.API_BASE_URL}/auth/refresh`, { refreshToken })
+    .then((response) => {
+      saveSession(response.data)
+      return response.data.token
+    })
+    .catch((error) => {
+      // Another tab may have rotated the token first and stored the new one
+      const storedRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+      if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+        return localStorage.getItem(TOKEN_KEY)
+      }
+      if (error.response?.status === 401) return null
+      throw error
+    })
+    .finally(() => {
+      refreshPromise = null
+    })
+
+  return refreshPromise
+}
+
+// Sign this browser out on the server and forget its tokens
+export const signOut = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY)
+  const token = localStorage.getItem(TOKEN_KEY)
+  clearSession()
+
+  try {
+    await axios.post(`${config.API_BASE_URL}/auth/logout`, { refreshToken }, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {}
+    })
+  } catch (error) {
+    console.error('Logout request failed:', error)
+  }
+}
+
+const isAuthRequest = (url = '') => url.includes('/auth/refresh') || url.includes('/auth/logout')
+
+// Register the function that asks the admin to re-authenticate. It receives
+// the method ('totp' or 'password') and resolves true once the server accepted it.
+export const setStepUpHandler = (handler) => {
+  stepUpHandler = handler
+  return () => {
+    if (stepUpHandler === handler) stepUpHandler = null
+  }
+}
+
+// Ask the admin to re-authenticate; concurrent requests share one prompt
+export const requestStepUp = (method) => {
+  if (!stepUpHandler) return Promise.resolve(false)
+  if (!stepUpPromise) {
+    stepUpPromise = stepUpHandler(method).finally(() => {
+      stepUpPromise = null
+    })
+  }
+  return stepUpPromise
+}
+
+const needsStepUp = (status, data) => status === 403 && data?.stepUpRequired === true
+
+// fetch() for destructive actions: when the server asks for step-up
+// re-authentication, prompt for it and send the request once more
+export const fetchWithStepUp = async (url, options = {}) => {
+  const response = await fetch(url, options)
+  if (response.status !== 403) return response
+
+  const data = await response.clone().json().catch(() => null)
+  if (!needsStepUp(response.status, data) || !(await requestStepUp(data.stepUpMethod))) {
+    return response
+  }
+
+  const token = localStorage.getItem(TOKEN_KEY)
+  return fetch(url, {
+    ...options,
+    headers: { ...options.headers, Authorization: `Bearer ${token}` }
+  })
+}
+
+// Send the latest access token on an axios instance and, when a request is
+// rejected with 401, refresh the session and retry it once (or, when it needs
+// step-up re-authentication, ask for it and retry once). Returns a cleanup.
+export const attachSessionInterceptors = (instance, onSessionEnded) => {
+  const requestInterceptor = instance.interceptors.request.use((request) => {
+    // Pages pass the token they read earlier; it may have been renewed since
+    const token = localStorage.getItem(TOKEN_KEY)
+    if (token && request.headers.get('Authorization')?.startsWith('Bearer ')) {
+      request.headers.set('Authorization', `Bearer ${token}`)
+    }
+    return request
+  })
+
+  const responseInterceptor = instance.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const request = error.config
+
+      if (request && !request._stepUpRetried && needsStepUp(error.response?.status, error.response?.data)) {
+        const confirmed = await requestStepUp(error.response.data.stepUpMethod)
+        if (!confirmed) return Promise.reject(error)
+
+        request._stepUpRetried = true
+        return instance(request)
+      }
+
+      if (
+        error.response?.status !== 401 ||
+        !request ||
+        request._sessionRetried ||
+        isAuthRequest(request.url) ||
+        !request.headers.get('Authorization')
+      ) {
+        return Promise.reject(error)
+      }
+
+      let token = null
+      try {
+        token = await refreshSession()
+      } catch {
+        return Promise.reject(error)
+      }
+      if (!token) {
+        onSessionEnded()
+        return Promise.reject(error)
+      }
+
+      request._sessionRetried = true
+      request.headers.set('Authorization', `Bearer ${token}`)
+      return instance(request)
+    }
+  )
+
+  return () => {
+    instance.interceptors.request.eject(requestInterceptor)
+    instance.interceptors.response.eject(responseInterceptor)
+  }
+}
+
+// Expiry (ms) of an access token, read from its payload
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')))
+    return payload.exp ? payload.exp * 1000 : null
+  } catch {
+    return null
+  }
+}
+
+// Whether the stored access token is missing its expiry, expired or about to expire
+export const tokenNeedsRefresh = () => {
+  const expiry = tokenExpiry(localStorage.getItem(TOKEN_KEY))
+  return !expiry || expiry - Date.now() < REFRESH_AHEAD_MS
+}
+
+// Renew the access token shortly before it expires, so fetch() calls that
+// read it from storage keep working. Returns a function that stops renewals.
+export const startSessionKeepAlive = (onSessionEnded) => {
+  let timer = null
+
+  const schedule = (delay) => {
+    clearTimeout(timer)
+    if (delay === undefined) {
+      const expiry = tokenExpiry(localStorage.getItem(TOKEN_KEY))
+      if (!expiry) return
+      delay = Math.max(expiry - Date.now() - REFRESH_AHEAD_MS, 0)
+    }
+    timer = setTimeout(renew, delay)
+  }
+
+  const renew = async () => {
+    try {
+      const token = await refreshSession()
+      if (!token) {
+        onSessionEnded()
+        return
+      }
+      schedule()
+    } catch (error) {
+      console.error('Session refresh failed, retrying:', error)
+      schedule(OFFLINE_RETRY_MS)
+    }
+  }
+
+  // Background tabs throttle timers; catch up when the tab is shown again
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') schedule()
+  }
+  document.addEventListener('visibilitychange', handleVisibilityChange)
+
+  schedule()
+
+  return () => {
+    clearTimeout(timer)
+    document.removeEventListener('visibilitychange', handleVisibilityChange)
+  }
+}
@@ -18,7 +18,13 @@ import MaintenancePage from './pages/MaintenancePage';
 import { LocalNotifications } from '@capacitor/local-notifications';
 import EmergencySOS from './components/EmergencySOS';
 import SplashScreen from './components/SplashScreen';
+import { disconnectSocket } from './services/socketClient.js';
+import { saveSession, clearSession, signOut, attachSessionInterceptors, startSessionKeepAlive } from './services/sessionClient.js';
 import PushNotificationHandler from './components/PushNotificationHandler';
+import ConnectionStatus from './components/ConnectionStatus';
+import FrozenAccountScreen from './components/FrozenAccountScreen';
+import EmailVerificationPrompt from './components/EmailVerificationPrompt';
+import { ACTIVE_STATUSES } from './utils/reportStatus.js';
 import './App.css';
 
 // Main App component wrapped with settings
@@ -59,6 +65,7 @@ function AppContent({ token, setToken }) {
   const [myReports, setMyReports] = useState([]);
   const [myReportsCount, setMyReportsCount] = useState(0);
   const [currentView, setCurrentView] = useState('home');
+  const [profileSection, setProfileSection] = useState('view'); // ProfilePage section to open
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [user, setUser] = useState(null);
   const [unreadNewsCount, setUnreadNewsCount] = useState(0);
@@ -99,6 +106,29 @@ function AppContent({ token, setToken }) {
   const [showWarningModal, setShowWarningModal] = useState(false);
   const [unreadWarnings, setUnreadWarnings] = useState([]);
 
+  // Renew the short-lived access token, and end the session here once the
+  // server has signed this device out
+  useEffect(() => {
+    if (!token) return;
+
+    const handleSessionEnded = () => {
+      clearSession();
+      disconnectSocket();
+      setToken(null);
+      setUser(null);
+      setConfirmationMessage('You have been signed out. Please log in again.');
+      setConfirmationType('warning');
+      setShowConfirmation(true);
+    };
+
+    const detachInterceptors = attachSessionInterceptors(handleSessionEnded);
+    const stopKeepAlive = startSessionKeepAlive(handleSessionEnded);
+    return () => {
+      detachInterceptors();
+      stopKeepAlive();
+    };
+  }, [token, setToken]);
+
   // Session timeout handling
   useEffect(() => {
     if (!token) return;
@@ -131,7 +161,8 @@ function AppContent({ token, setToken }) {
   }, [token, lastActivity, getSetting]);
 
   const handleSessionTimeout = () => {
-    localStorage.removeItem('token');
+    signOut();
+    disconnectSocket();
     setToken(null);
     setUser(null);
     setConfirmationMessage('Your session has expired. Please log in again.');
@@ -224,8 +255,9 @@ function AppContent({ token, setToken }) {
       // If token is invalid or expired, clear it to force re-login
       if (err.response?.status === 401) {
         console.log('🚫 Token expired or invalid - clearing session');
-        localStorage.removeItem('token');
+        clearSession();
         localStorage.removeItem('user');
+        disconnectSocket();
         setToken(null);
         setUser(null);
       } else {
@@ -265,8 +297,8 @@ function AppContent({ token, setToken }) {
 
   const fetchNewReportsUpdate = async () => {
     try {
-      // Fetch latest verified reports
-      const res = await axios.get(`${config.API_BASE_URL}/reports?limit=1&status=verified`);
+      // Fetch the latest active reports
+      const res = await axios.get(`${config.API_BASE_URL}/reports?limit=1&status=${ACTIVE_STATUSES.join(',')}`);
       const latestReport = res.data.data?.[0];
       
       if (latestReport) {
@@ -430,6 +462,8 @@ function AppContent({ token, setToken }) {
   const handleNewReportClick = () => {
     // Directly open report form (location toggle is now inside the form)
     setShowReport(true);
+    // Pick up restrictions lifted or added since the profile was loaded
+    refreshUserData();
   };
 
   const handleSuccessfulReport = () => {
@@ -438,9 +472,9 @@ function AppContent({ token, setToken }) {
     setCurrentView('myreports');
   };
 
-  const handleLogin = (jwt) => {
-    localStorage.setItem('token', jwt);
-    setToken(jwt);
+  const handleLogin = (session) => {
+    saveSession(session);
+    setToken(session.token);
     setConfirmationMessage('Successfully logged in! 🎉');
     setConfirmationType('success');
     setShowConfirmation(true);
@@ -452,7 +486,8 @@ function AppContent({ token, setToken }) {
   };
 
   const handleLogoutConfirm = () => {
-    localStorage.removeItem('token');
+    signOut();
+    disconnectSocket();
     setToken(null);
     setUser(null);
     setShowLogoutConfirm(false);
@@ -488,9 +523,34 @@ function AppContent({ token, setToken }) {
 
   const handleNavigation = (view) => {
     setCurrentView(view);
+    setProfileSection('view');
     setIsMobileMenuOpen(false);
   };
 
+  // Restricted accounts go from the frozen-account screen to Account Standing to appeal
+  const handleAppealRestriction = () => {
+    setShowReport(false);
+    setProfileSection('accountStanding');
+    setCurrentView('profile');
+  };
+
+  // Unverified users go from the verification prompt to the email verification section
+  const handleVerifyEmail = () => {
+    setShowReport(false);
+    setProfileSection('emailVerification');
+    setCurrentView('profile');
+  };
+
+  // The SOS screen sends unverified users to the phone verification section
+  const handleVerifyPhone = () => {
+    setShowReport(false);
+    setProfileSection('phoneVerification');
+    setCurrentView('profile');
+  };
+
+  // Reporting waits for a verified email while require_email_verification is on
+  const needsEmailVerification = !!user && !user.emailVerified && getSetting('require_email_verification', false);
+
   const handleRegister = (token) => {
     if (token) {
       handleLogin(token);
@@ -579,6 +639,9 @@ function AppContent({ token, setToken }) {
     <div className={currentView === 'profile' || currentView === 'notifications' ? 'verification-active' : ''}>
       {/* Push Notification Handler */}
       <PushNotificationHandler />
+
+      {/* Offline banner and outbox upload */}
+      <ConnectionStatus />
       
       {/* Desktop Navigation */}
       <nav className="navbar desktop-nav">
@@ -662,8 +725,25 @@ function AppContent({ token, setToken }) {
       </nav>
 
       <main>
+        {/* Restricted accounts can't report; offer an appeal instead */}
+        {showReport && user?.restriction && (
+          <FrozenAccountScreen
+            restriction={user.restriction}
+            onAppeal={handleAppealRestriction}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+
+        {showReport && !user?.restriction && needsEmailVerification && (
+          <EmailVerificationPrompt
+            email={user.email}
+            onVerify={handleVerifyEmail}
+            onClose={() => setShowReport(false)}
+          />
+        )}
+
         {/* Report Form */}
-        {showReport && (
+        {showReport && !user?.restriction && !needsEmailVerification && (
           <div 
             className="report-form-fullscreen-overlay"
             onClick={(e) => {
@@ -963,6 +1043,8 @@ function AppContent({ token, setToken }) {
             )}
             {currentView === 'profile' && (
               <ProfilePage 
+                key={profileSection}
+                initialSection={profileSection}
                 token={token} 
                 prefetchedUser={user}
                 onLogout={handleLogoutClick}
@@ -1030,7 +1112,7 @@ function AppContent({ token, setToken }) {
         autoCloseDelay={2000}
       />
       {/* Floating Emergency SOS Button */}
-      {token && <EmergencySOS />}
+      {token && <EmergencySOS phoneVerified={!!user?.phoneVerified} onVerifyPhone={handleVerifyPhone} />}
 
       {/* App Update Prompt Modal */}
       {showUpdatePrompt && (
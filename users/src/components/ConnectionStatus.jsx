@@ -1,51 +1,84 @@
-import React, { useState, useEffect } from 'react';
-import { testConnection } from '../utils/api';
+import React, { useState, useEffect, useCallback } from 'react';
+import axios from 'axios';
+import config from '../config/index.js';
+import { getOutbox, syncOutbox, OUTBOX_CHANGED_EVENT } from '../services/reportOutbox.js';
 
+const bannerStyle = (background) => ({
+  position: 'fixed',
+  top: 0,
+  left: 0,
+  right: 0,
+  zIndex: 9000,
+  padding: '6px 12px',
+  fontSize: '13px',
+  textAlign: 'center',
+  color: 'white',
+  background
+});
+
+// Watches connectivity and uploads reports saved offline once the backend is reachable
 const ConnectionStatus = () => {
-  const [status, setStatus] = useState('checking');
-  const [error, setError] = useState('');
+  const [status, setStatus] = useState(navigator.onLine ? 'checking' : 'disconnected');
+  const [pendingCount, setPendingCount] = useState(0);
 
-  useEffect(() => {
-    checkConnection();
-    // Check connection every 30 seconds
-    const interval = setInterval(checkConnection, 30000);
-    return () => clearInterval(interval);
+  const refreshPending = useCallback(() => {
+    getOutbox()
+      .then(entries => setPendingCount(entries.filter(entry => entry.status !== 'failed').length))
+      .catch(() => setPendingCount(0));
   }, []);
 
-  const checkConnection = async () => {
-    const result = await testConnection();
-    if (result.success) {
+  const checkConnection = useCallback(async () => {
+    if (!navigator.onLine) {
+      setStatus('disconnected');
+      return;
+    }
+
+    try {
+      await axios.get(`${config.API_BASE_URL}/health`, { timeout: 5000 });
       setStatus('connected');
-      setError('');
-    } else {
+      // Uploads only what is due, so repeated checks respect each report's backoff
+      syncOutbox();
+    } catch {
       setStatus('disconnected');
-      setError(result.error);
     }
-  };
+  }, []);
+
+  useEffect(() => {
+    checkConnection();
+    refreshPending();
+
+    // Check connection every 30 seconds, and right away when the device goes on/offline
+    const interval = setInterval(checkConnection, 30000);
+    const handleOffline = () => setStatus('disconnected');
+
+    window.addEventListener('online', checkConnection);
+    window.addEventListener('offline', handleOffline);
+    window.addEventListener(OUTBOX_CHANGED_EVENT, refreshPending);
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('online', checkConnection);
+      window.removeEventListener('offline', handleOffline);
+      window.removeEventListener(OUTBOX_CHANGED_EVENT, refreshPending);
+    };
+  }, [checkConnection, refreshPending]);
 
-  if (status === 'checking') {
+  if (status === 'disconnected') {
     return (
-      <div className="connection-status checking">
-        🔄 Checking backend connection...
+      <div className="connection-status disconnected" style={bannerStyle('#6b7280')}>
+        📴 You are offline.{pendingCount > 0 ? ` ${pendingCount} report(s) will upload when you reconnect.` : ' Reports you submit will be saved on this device.'}
       </div>
     );
   }
 
-  if (status === 'connected') {
+  if (status === 'connected' && pendingCount > 0) {
     return (
-      <div className="connection-status connected">
-        ✅ Backend connected
+      <div className="connection-status connected" style={bannerStyle('#f59e0b')}>
+        📤 Uploading {pendingCount} saved report(s)...
       </div>
     );
   }
 
-  return (
-    <div className="connection-status disconnected">
-      ❌ Backend disconnected: {error}
-      <br />
-      <small>Make sure your backend server is running on port 3001</small>
-    </div>
-  );
+  return null;
 };
 
 export default ConnectionStatus;
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import axios from 'axios';
 import config from '../config/index.js';
+import { getReportImageUrl } from '../utils/imageUtils.js';
 import ReportDetailModal from './ReportDetailModal.jsx';
 import { useSettings } from '../context/SettingsContext';
+import { ACTIVE_STATUSES } from '../utils/reportStatus.js';
 
 const Dashboard = ({ token }) => {
   const { getSetting } = useSettings();
@@ -25,7 +27,7 @@ const Dashboard = ({ token }) => {
       // Fetch recent reports
       const reportsResponse = await axios.get(`${config.API_BASE_URL}/reports`, {
         params: {
-          status: 'verified',
+          status: ACTIVE_STATUSES.join(','),
           limit: 8,
           sortBy: 'createdAt',
           sortOrder: 'desc'
@@ -168,43 +170,7 @@ const Dashboard = ({ token }) => {
                   {report.images && report.images.length > 0 && (
                     <div className="report-image">
                       <img
-                        src={(() => {
-                          const imageData = report.images[0];
-                          if (!imageData) return null;
-
-                          console.log('🔍 Dashboard - imageData:', imageData);
-
-                          // 1. Priority: Base64 data URL
-                          if (imageData.data) {
-                            const dataUrl = `data:${imageData.mimetype};base64,${imageData.data}`;
-                            console.log('🔍 Dashboard - Using Base64 data');
-                            return dataUrl;
-                          }
-
-                          // 2. Cloudinary URL
-                          if (imageData.imageUrl) {
-                            console.log('🔍 Dashboard - Using Cloudinary URL:', imageData.imageUrl);
-                            return imageData.imageUrl;
-                          }
-
-                          // 3. Legacy: Filename as URL
-                          const filename = imageData.filename || imageData;
-                          if (typeof filename === 'string') {
-                            if (filename.startsWith('http')) {
-                              console.log('🔍 Dashboard - Using HTTP URL:', filename);
-                              return filename;
-                            }
-                            if (filename.startsWith('data:')) {
-                              console.log('🔍 Dashboard - Using data URL:', filename);
-                              return filename;
-                            }
-                          }
-
-                          // 4. Fallback: API endpoint
-                          const apiUrl = `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
-                          console.log('🔍 Dashboard - Using API endpoint:', apiUrl);
-                          return apiUrl;
-                        })()}
+                        src={getReportImageUrl(report, 0, 'small')}
                         alt="Report"
                         onError={(e) => {
                           console.error('❌ Dashboard image failed to load:', e.target.src);
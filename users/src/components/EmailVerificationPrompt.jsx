@@ -0,0 +1,33 @@
+import React from 'react';
+
+/**
+ * Shown instead of the report form while require_email_verification is on
+ * and the user hasn't verified their email, with a way to verify it
+ */
+const EmailVerificationPrompt = ({ email, onVerify, onClose }) => (
+  <div className="modal-overlay" style={{ zIndex: 10000, position: 'fixed', top: 0, left: 0, width: '100%', height: '100%', backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+    <div className="confirmation-modal" style={{ maxWidth: '400px', backgroundColor: 'white', padding: '24px', borderRadius: '16px', textAlign: 'center', boxShadow: '0 10px 25px rgba(0,0,0,0.2)' }}>
+      <div className="confirmation-icon" style={{ fontSize: '40px', marginBottom: '16px' }}>✉️</div>
+      <h3 style={{ margin: '10px 0', color: '#2563eb', fontSize: '20px' }}>Verify Your Email</h3>
+      <p style={{ fontSize: '14px', color: '#444', marginBottom: '20px' }}>
+        Please verify {email || 'your email address'} before submitting reports. Enter the code from the verification email or request a new one.
+      </p>
+      <button
+        className="mvp-btn mvp-btn-block"
+        onClick={onVerify}
+        style={{ width: '100%', backgroundColor: '#2563eb', color: 'white', border: 'none', padding: '12px', borderRadius: '8px', fontWeight: 'bold', cursor: 'pointer', marginBottom: '8px' }}
+      >
+        Verify Email
+      </button>
+      <button
+        className="mvp-btn mvp-btn-block"
+        onClick={onClose}
+        style={{ width: '100%', backgroundColor: 'white', color: '#4b5563', border: '1px solid #d1d5db', padding: '12px', borderRadius: '8px', cursor: 'pointer' }}
+      >
+        Close
+      </button>
+    </div>
+  </div>
+);
+
+export default EmailVerificationPrompt;
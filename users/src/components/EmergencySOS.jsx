@@ -4,7 +4,7 @@ import config from '../config/index.js';
 import { useSettings } from '../context/SettingsContext';
 import './EmergencySOS.css';
 
-const EmergencySOS = () => {
+const EmergencySOS = ({ phoneVerified = false, onVerifyPhone }) => {
   const { getSetting } = useSettings();
   const [isOpen, setIsOpen] = useState(false);
   const [loading, setLoading] = useState(false);
@@ -15,9 +15,17 @@ const EmergencySOS = () => {
   const [contacts, setContacts] = useState(null);
   const [error, setError] = useState(null);
   const [emergencySending, setEmergencySending] = useState(false);
-  const [emergencyResult, setEmergencyResult] = useState(null); // 'success' | 'error' | null
+  const [emergencyResult, setEmergencyResult] = useState(null); // 'success' | 'error' | 'phoneUnverified' | null
 
   const emergencyData = getSetting('emergency_contacts', {});
+  // Emergency reports can require an SMS-verified phone; calling never does
+  const needsPhoneVerification = !phoneVerified && getSetting('require_phone_verification_for_sos', false);
+
+  const handleVerifyPhone = () => {
+    setIsOpen(false);
+    setEmergencyResult(null);
+    if (onVerifyPhone) onVerifyPhone();
+  };
 
   const handleOpen = async () => {
     setIsOpen(true);
@@ -152,7 +160,7 @@ const EmergencySOS = () => {
       setEmergencyResult('success');
     } catch (err) {
       console.error('Emergency report error:', err);
-      setEmergencyResult('error');
+      setEmergencyResult(err.response?.data?.phoneVerificationRequired ? 'phoneUnverified' : 'error');
     } finally {
       setEmergencySending(false);
     }
@@ -237,6 +245,15 @@ const EmergencySOS = () => {
                         <p><strong>Emergency report sent!</strong></p>
                         <p>Admin has been notified with your location and phone number. Stay safe.</p>
                       </div>
+                    ) : needsPhoneVerification || emergencyResult === 'phoneUnverified' ? (
+                      <>
+                        <button className="sos-emergency-btn" onClick={handleVerifyPhone}>
+                          <span>Verify Phone Number</span>
+                        </button>
+                        <p className="sos-emergency-desc">
+                          Verify your phone number before sending emergency reports so responders can reach you. You can still call the numbers above.
+                        </p>
+                      </>
                     ) : (
                       <>
                         <button
@@ -2,10 +2,12 @@
  * FaceBlurOverlay Component
  * Displays a blur overlay on detected faces in an image
  * Automatically positions and resizes based on face detection data
+ * With `editable`, also opens the RedactionEditor to adjust the blur by hand
  */
 
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useFaceDetection, preloadFaceDetectionModel } from '../hooks/useFaceDetection.js';
+import RedactionEditor from './RedactionEditor.jsx';
 
 /**
  * Calculate the actual rendered image dimensions and position
@@ -144,11 +146,17 @@ const FaceBlurOverlay = ({
   blurLargestOnly = true,
   showLoadingState = true,
   animate = true,
+  editable = false,
+  editSource,
+  editRegions,
+  onRedacted,
   children,
 }) => {
   const containerRef = useRef(null);
   const imageElementRef = useRef(null);
   const [imageDimensions, setImageDimensions] = useState(null);
+  // Boxes the redaction editor starts from; null while it is closed
+  const [editRegionsSeed, setEditRegionsSeed] = useState(null);
 
   // Use face detection hook
   const { faces, isLoading, error, modelReady } = useFaceDetection(imageSrc, {
@@ -266,8 +274,37 @@ const FaceBlurOverlay = ({
         </div>
       )}
 
+      {editable && (
+        <button
+          type="button"
+          onClick={() => setEditRegionsSeed(editRegions || faces.map(face => ({
+            kind: 'face',
+            x: face.x,
+            y: face.y,
+            width: face.width,
+            height: face.height
+          })))}
+          disabled={isLoading}
+          className="face-blur-edit-button"
+        >
+          ✏️ Adjust blur
+        </button>
+      )}
+
       {/* Children (e.g., additional controls) */}
       {children}
+
+      {editRegionsSeed && (
+        <RedactionEditor
+          imageSrc={editSource || imageSrc}
+          initialRegions={editRegionsSeed}
+          onCancel={() => setEditRegionsSeed(null)}
+          onSave={(result) => {
+            setEditRegionsSeed(null);
+            if (onRedacted) onRedacted(result);
+          }}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,41 @@
+import React from 'react';
+
+const RESTRICTION_TITLES = {
+  cooldown: { icon: '⏸️', title: 'Reporting Paused', color: '#f59e0b' },
+  freeze: { icon: '🧊', title: 'Account Frozen', color: '#2563eb' },
+  ban: { icon: '⛔', title: 'Account Banned', color: '#dc2626' }
+};
+
+/**
+ * Shown instead of the report form while the account is restricted
+ * (user.restriction from /users/me), with a way to appeal
+ */
+const FrozenAccountScreen = ({ restriction, onAppeal, onClose }) => {
+  const style = RESTRICTION_TITLES[restriction.type] || RESTRICTION_TITLES.freeze;
+
+  return (
+    <div className="modal-overlay" style={{ zIndex: 10000, position: 'fixed', top: 0, left: 0, width: '100%', height: '100%', backgroundColor: 'rgba(0,0,0,0.5)', display: 'flex', alignItems: 'center', justifyContent: 'center' }}>
+      <div className="confirmation-modal" style={{ maxWidth: '400px', backgroundColor: 'white', padding: '24px', borderRadius: '16px', textAlign: 'center', boxShadow: '0 10px 25px rgba(0,0,0,0.2)' }}>
+        <div className="confirmation-icon" style={{ fontSize: '40px', marginBottom: '16px' }}>{style.icon}</div>
+        <h3 style={{ margin: '10px 0', color: style.color, fontSize: '20px' }}>{style.title}</h3>
+        <p style={{ fontSize: '14px', color: '#444', marginBottom: '20px' }}>{restriction.message}</p>
+        <button
+          className="mvp-btn mvp-btn-block"
+          onClick={onAppeal}
+          style={{ width: '100%', backgroundColor: style.color, color: 'white', border: 'none', padding: '12px', borderRadius: '8px', fontWeight: 'bold', cursor: 'pointer', marginBottom: '8px' }}
+        >
+          View Details &amp; Appeal
+        </button>
+        <button
+          className="mvp-btn mvp-btn-block"
+          onClick={onClose}
+          style={{ width: '100%', backgroundColor: 'white', color: '#4b5563', border: '1px solid #d1d5db', padding: '12px', borderRadius: '8px', cursor: 'pointer' }}
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default FrozenAccountScreen;
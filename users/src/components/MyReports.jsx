@@ -1,35 +1,27 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import axios from 'axios';
 import config from '../config/index.js';
+import { getReportImageUrl } from '../utils/imageUtils.js';
+import ReportDetailModal from './ReportDetailModal.jsx';
+import { getOutbox, removeFromOutbox, syncOutbox, OUTBOX_CHANGED_EVENT } from '../services/reportOutbox.js';
 
 const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) => {
   const [reports, setReports] = useState(prefetchedReports || []);
   const [loading, setLoading] = useState(!prefetchedReports || prefetchedReports.length === 0);
   const [error, setError] = useState(null);
   const [enlargedImage, setEnlargedImage] = useState(null);
+  const [selectedReport, setSelectedReport] = useState(null);
   const [page, setPage] = useState(1);
   const [hasMore, setHasMore] = useState(true);
   const [totalReports, setTotalReports] = useState(prefetchedCount || 0);
   const [loadingMore, setLoadingMore] = useState(false);
+  const [outbox, setOutbox] = useState([]);
+  const [retrying, setRetrying] = useState(false);
+  const outboxCountRef = useRef(0);
 
   console.log('MyReports component rendered with token:', token ? 'present' : 'missing');
 
-  useEffect(() => {
-    console.log('MyReports useEffect - prefetched:', prefetchedReports?.length);
-    if (prefetchedReports && prefetchedReports.length > 0) {
-      setReports(prefetchedReports);
-      setTotalReports(prefetchedCount || prefetchedReports.length);
-      setLoading(false);
-    } else if (token && (!prefetchedReports || prefetchedReports.length === 0)) {
-      fetchMyReports(1);
-    } else if (!token) {
-      console.error('No authentication token provided to MyReports');
-      setError('Authentication token is missing');
-      setLoading(false);
-    }
-  }, [token, prefetchedReports]);
-
-  const fetchMyReports = async (pageNum) => {
+  const fetchMyReports = useCallback(async (pageNum) => {
     if (pageNum === 1) {
       setLoading(true);
     } else {
@@ -80,6 +72,72 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
       setLoading(false);
       setLoadingMore(false);
     }
+  }, [token]);
+
+  // Latest refresh callback for the outbox listener, which shouldn't re-subscribe on every render
+  const onRefreshRef = useRef(onRefresh);
+  useEffect(() => {
+    onRefreshRef.current = onRefresh;
+  }, [onRefresh]);
+
+  useEffect(() => {
+    console.log('MyReports useEffect - prefetched:', prefetchedReports?.length);
+    if (prefetchedReports && prefetchedReports.length > 0) {
+      setReports(prefetchedReports);
+      setTotalReports(prefetchedCount || prefetchedReports.length);
+      setLoading(false);
+    } else if (token && (!prefetchedReports || prefetchedReports.length === 0)) {
+      fetchMyReports(1);
+    } else if (!token) {
+      console.error('No authentication token provided to MyReports');
+      setError('Authentication token is missing');
+      setLoading(false);
+    }
+  }, [token, prefetchedReports, prefetchedCount, fetchMyReports]);
+
+  // Reports saved on this device while offline; reload the list when some of them upload
+  useEffect(() => {
+    const loadOutbox = () => {
+      getOutbox()
+        .then(entries => {
+          const uploaded = entries.length < outboxCountRef.current;
+          outboxCountRef.current = entries.length;
+          setOutbox(entries.map(entry => ({
+            ...entry,
+            previewUrl: entry.images?.[0]?.blob ? URL.createObjectURL(entry.images[0].blob) : null
+          })));
+          if (uploaded && token) {
+            fetchMyReports(1);
+            if (onRefreshRef.current) onRefreshRef.current();
+          }
+        })
+        .catch(err => console.error('Failed to read report outbox:', err));
+    };
+
+    loadOutbox();
+    window.addEventListener(OUTBOX_CHANGED_EVENT, loadOutbox);
+    return () => window.removeEventListener(OUTBOX_CHANGED_EVENT, loadOutbox);
+  }, [token, fetchMyReports]);
+
+  // Release preview images when the outbox list changes
+  useEffect(() => {
+    return () => outbox.forEach(entry => entry.previewUrl && URL.revokeObjectURL(entry.previewUrl));
+  }, [outbox]);
+
+  const handleRetryOutbox = async () => {
+    setRetrying(true);
+    await syncOutbox({ force: true });
+    setRetrying(false);
+  };
+
+  const handleDiscardOutbox = async (id) => {
+    if (!window.confirm('Discard this report? It has not been uploaded yet and will be lost.')) return;
+    await removeFromOutbox(id);
+  };
+
+  // Keep the list in step with an appeal sent from the detail modal
+  const handleAppealed = (reportId, appeal) => {
+    setReports(prev => prev.map(report => (report._id === reportId ? { ...report, appeal } : report)));
   };
 
   const handleLoadMore = () => {
@@ -130,6 +188,61 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
     });
   };
 
+  const pendingUploads = outbox.length > 0 && (
+    <div className="pending-uploads" style={{
+      margin: '0 0 16px 0',
+      padding: '12px',
+      borderRadius: '12px',
+      border: '1px dashed #f59e0b',
+      backgroundColor: '#fffbeb'
+    }}>
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '8px' }}>
+        <strong style={{ color: '#92400e', fontSize: '14px' }}>📤 Pending upload ({outbox.length})</strong>
+        <button
+          onClick={handleRetryOutbox}
+          disabled={retrying || !navigator.onLine}
+          style={{
+            padding: '4px 10px',
+            borderRadius: '6px',
+            border: 'none',
+            backgroundColor: '#f59e0b',
+            color: 'white',
+            fontSize: '12px',
+            fontWeight: '600',
+            cursor: retrying || !navigator.onLine ? 'not-allowed' : 'pointer',
+            opacity: retrying || !navigator.onLine ? 0.6 : 1
+          }}
+        >
+          {retrying ? 'Uploading...' : 'Retry now'}
+        </button>
+      </div>
+      {outbox.map(entry => (
+        <div key={entry.id} style={{ display: 'flex', gap: '10px', alignItems: 'center', padding: '8px 0', borderTop: '1px solid #fde68a' }}>
+          {entry.previewUrl && (
+            <img src={entry.previewUrl} alt="Pending report" style={{ width: '48px', height: '48px', objectFit: 'cover', borderRadius: '6px' }} />
+          )}
+          <div style={{ flex: 1, minWidth: 0 }}>
+            <div style={{ fontSize: '14px', fontWeight: '600', textTransform: 'capitalize' }}>{entry.fields.type}</div>
+            <div style={{ fontSize: '12px', color: '#6b7280', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+              {entry.fields['location[address]']}
+            </div>
+            <div style={{ fontSize: '12px', color: entry.status === 'failed' ? '#dc2626' : '#92400e' }}>
+              {entry.status === 'failed'
+                ? `❌ ${entry.lastError}`
+                : `⏳ Saved ${formatDate(entry.createdAt)}${entry.attempts > 0 ? ` · next try ${formatDate(entry.nextAttemptAt)}` : ''}`}
+            </div>
+          </div>
+          <button
+            onClick={() => handleDiscardOutbox(entry.id)}
+            style={{ background: 'none', border: 'none', color: '#9ca3af', fontSize: '12px', cursor: 'pointer' }}
+          >
+            Discard
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+
   if (loading) {
     console.log('MyReports: Rendering loading state');
     return (
@@ -146,6 +259,7 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
     console.log('MyReports: Rendering error state:', error);
     return (
       <div className="my-reports">
+        {pendingUploads}
         <div className="error">
           <span className="error-icon">⚠️</span>
           <p>{error}</p>
@@ -168,6 +282,8 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
         <h2>My Reports</h2>
         <p>Total Reports: {totalReports}</p>
       </div>
+
+      {pendingUploads}
       
       {validReports.length === 0 && !loading ? (
         <div className="no-reports">
@@ -183,7 +299,12 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
             }
             
             return (
-              <div key={report._id} className="report-card my-report-card">
+              <div
+                key={report._id}
+                className="report-card my-report-card"
+                style={{ cursor: 'pointer' }}
+                onClick={() => setSelectedReport(report)}
+              >
                 <div className="report-header">
                   <span 
                     className="status-badge" 
@@ -226,6 +347,13 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
                       <p style={{ color: '#ef4444', fontSize: '14px', fontStyle: 'italic' }}>
                         ❌ Your report was rejected. {report.adminNotes ? `Reason: ${report.adminNotes}` : ''}
                       </p>
+                      <p style={{ color: '#6b7280', fontSize: '13px', margin: '4px 0 0 0' }}>
+                        {report.appeal?.status === 'pending'
+                          ? '⏳ Your appeal is under review.'
+                          : report.appeal?.status === 'denied'
+                            ? 'Your appeal was denied.'
+                            : 'Tap to view details or appeal this decision.'}
+                      </p>
                     </div>
                   )}
                   
@@ -235,30 +363,12 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
                       style={{ cursor: 'pointer' }}
                       loading="lazy"
                       fetchpriority="low"
-                      src={(() => {
-                        const imageData = report.images[0];
-                        if (!imageData) return null;
-                        
-                        // 1. Priority: Cloudinary URL
-                        if (imageData.imageUrl) return imageData.imageUrl;
-                        
-                        // 2. Base64 Data
-                        if (imageData.data) {
-                          return `data:${imageData.mimetype};base64,${imageData.data}`;
-                        }
-                        
-                        // 3. Legacy: Filename as URL
-                        const filename = imageData.filename || imageData;
-                        if (typeof filename === 'string') {
-                          if (filename.startsWith('http')) return filename;
-                          if (filename.startsWith('data:')) return filename;
-                        }
-                        
-                        // 4. Fallback: API endpoint
-                        return `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
-                      })()}
+                      src={getReportImageUrl(report, 0, 'medium')}
                       alt="Report"
-                      onClick={(e) => setEnlargedImage(e.target.src)}
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        setEnlargedImage(getReportImageUrl(report, 0, 'large'));
+                      }}
                       onError={(e) => {
                         e.target.style.display = 'none';
                       }}
@@ -286,6 +396,15 @@ const MyReports = ({ token, prefetchedReports, prefetchedCount, onRefresh }) =>
         </div>
       )}
 
+      {/* Report details, with the appeal form for rejected reports */}
+      <ReportDetailModal
+        isOpen={!!selectedReport}
+        report={selectedReport}
+        onClose={() => setSelectedReport(null)}
+        canAppeal
+        onAppealed={handleAppealed}
+      />
+
       {/* Image Lightbox Modal */}
       {enlargedImage && (
         <div 
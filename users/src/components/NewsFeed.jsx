@@ -6,6 +6,8 @@ import NewsPostModal from './NewsPostModal.jsx';
 import ReportsMap from './ReportsMap.jsx';
 import ReportsOverviewMap from './ReportsOverviewMap.jsx';
 import ReportCardMap from './ReportCardMap.jsx';
+import { getReportImageUrl, getNewsImageUrl, getProfileImageUrl } from '../utils/imageUtils.js';
+import { ACTIVE_STATUSES } from '../utils/reportStatus.js';
 
 // Color configurations based on professional road & safety alert standards
 const ALERT_COLORS = {
@@ -90,7 +92,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
         const [reportsResponse, newsResponse] = await Promise.all([
           axios.get(`${config.API_BASE_URL}/reports`, {
             params: {
-              status: 'verified,resolved', // Fetch both verified and resolved reports
+              status: [...ACTIVE_STATUSES, 'resolved'].join(','), // Fetch both active and resolved reports
               limit: 20,
               sortBy: 'createdAt',
               sortOrder: 'desc'
@@ -106,8 +108,8 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
         const reportsData = reportsResponse.data.data || [];
         const newsData = newsResponse.data.posts || [];
 
-        // Separate active (verified) and resolved reports, excluding 'emergency' types from the news feed
-        const activeReports = reportsData.filter(r => r.status === 'verified' && r.type !== 'emergency');
+        // Separate active and resolved reports, excluding 'emergency' types from the news feed
+        const activeReports = reportsData.filter(r => ACTIVE_STATUSES.includes(r.status) && r.type !== 'emergency');
         const resolvedReportsData = reportsData.filter(r => r.status === 'resolved' && r.type !== 'emergency');
 
         console.log('📊 Reports loaded:', {
@@ -717,42 +719,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
                       <div className="report-image-container">
                         {report.images && report.images.length > 0 ? (
                           <img
-                            src={(() => {
-                              const imageData = report.images[0];
-                              console.log('🖼️ Image Data Debug:', {
-                                hasData: !!imageData?.data,
-                                hasFilename: !!imageData?.filename,
-                                hasImageUrl: !!imageData?.imageUrl,
-                                dataType: typeof imageData,
-                                dataKeys: imageData ? Object.keys(imageData) : [],
-                                mimeType: imageData?.mimetype,
-                                dataLength: imageData?.data?.length
-                              });
-                              // 1. Priority: Cloudinary URL (imageUrl field)
-                              if (imageData?.imageUrl) {
-                                console.log('✅ Using Cloudinary URL:', imageData.imageUrl);
-                                return imageData.imageUrl;
-                              }
-                              // 2. Base64 data URL
-                              if (imageData?.data) {
-                                const base64Url = `data:${imageData.mimetype};base64,${imageData.data}`;
-                                console.log('✅ Using Base64 data URL, length:', base64Url.length);
-                                return base64Url;
-                              }
-                              // 3. Legacy: If filename is a full URL, use it directly
-                              const filename = imageData?.filename || imageData;
-                              // Make sure filename is a string before calling startsWith
-                              if (typeof filename === 'string') {
-                                if (filename.startsWith('http://') || filename.startsWith('https://')) {
-                                  return filename;
-                                }
-                                if (filename.startsWith('data:')) {
-                                  return filename;
-                                }
-                              }
-                              // 4. Fallback: Use image API endpoint
-                              return `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
-                            })()}
+                            src={getReportImageUrl(report, 0, 'medium')}
                             alt="Report"
                             className="report-image"
                             onLoad={(e) => {
@@ -815,7 +782,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
                         }}>
                           {report.reportedBy?.profile?.profileImage ? (
                             <img
-                              src={report.reportedBy.profile.profileImage.startsWith('data:') ? report.reportedBy.profile.profileImage : `${config.BACKEND_URL}${report.reportedBy.profile.profileImage}`}
+                              src={getProfileImageUrl(report.reportedBy.profile.profileImage, 'small')}
                               alt="Reporter"
                               style={{
                                 width: '100%',
@@ -984,42 +951,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
                       <div className="report-image-container">
                         {report.images && report.images.length > 0 ? (
                           <img
-                            src={(() => {
-                              const imageData = report.images[0];
-                              console.log('🖼️ Image Data Debug:', {
-                                hasData: !!imageData?.data,
-                                hasFilename: !!imageData?.filename,
-                                hasImageUrl: !!imageData?.imageUrl,
-                                dataType: typeof imageData,
-                                dataKeys: imageData ? Object.keys(imageData) : [],
-                                mimeType: imageData?.mimetype,
-                                dataLength: imageData?.data?.length
-                              });
-                              // 1. Priority: Cloudinary URL (imageUrl field)
-                              if (imageData?.imageUrl) {
-                                console.log('✅ Using Cloudinary URL:', imageData.imageUrl);
-                                return imageData.imageUrl;
-                              }
-                              // 2. Base64 data URL
-                              if (imageData?.data) {
-                                const base64Url = `data:${imageData.mimetype};base64,${imageData.data}`;
-                                console.log('✅ Using Base64 data URL, length:', base64Url.length);
-                                return base64Url;
-                              }
-                              // 3. Legacy: If filename is a full URL, use it directly
-                              const filename = imageData?.filename || imageData;
-                              // Make sure filename is a string before calling startsWith
-                              if (typeof filename === 'string') {
-                                if (filename.startsWith('http://') || filename.startsWith('https://')) {
-                                  return filename;
-                                }
-                                if (filename.startsWith('data:')) {
-                                  return filename;
-                                }
-                              }
-                              // 4. Fallback: Use image API endpoint
-                              return `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
-                            })()}
+                            src={getReportImageUrl(report, 0, 'medium')}
                             alt="Report"
                             className="report-image"
                             onLoad={(e) => {
@@ -1082,7 +1014,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
                         }}>
                           {report.reportedBy?.profile?.profileImage ? (
                             <img
-                              src={report.reportedBy.profile.profileImage.startsWith('data:') ? report.reportedBy.profile.profileImage : `${config.BACKEND_URL}${report.reportedBy.profile.profileImage}`}
+                              src={getProfileImageUrl(report.reportedBy.profile.profileImage, 'small')}
                               alt="Reporter"
                               style={{
                                 width: '100%',
@@ -1202,7 +1134,7 @@ const NewsFeed = ({ user, unreadNewsCount, onNewsViewed }) => {
                           }}>
                             {attachment.type === 'image' ? (
                               <img
-                                src={`${config.BACKEND_URL}/api/news/image/${post._id}/${index}`}
+                                src={getNewsImageUrl(post._id, index, 'small')}
                                 alt={attachment.originalName}
                                 style={{
                                   width: '100%',
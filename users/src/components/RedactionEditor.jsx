@@ -0,0 +1,382 @@
+/**
+ * RedactionEditor Component
+ * Full-screen editor for the privacy blur on a photo: shows the detected
+ * face/plate boxes and lets the user add, move, resize or remove them
+ * before the blur is burned into the image.
+ */
+
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { applyAIPrivacyProtection, blurRegions } from '../utils/aiPrivacyProtection.js';
+
+const KIND_COLORS = {
+  face: '#3b82f6',
+  plate: '#f59e0b',
+  manual: '#10b981'
+};
+
+const MIN_BOX_SIZE = 12;
+
+let nextRegionId = 1;
+const withId = (region) => ({ ...region, id: nextRegionId++ });
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.crossOrigin = 'anonymous';
+  img.onload = () => resolve(img);
+  img.onerror = () => reject(new Error('Could not load image'));
+  img.src = src;
+});
+
+/**
+ * @param {string} imageSrc - Unblurred image (data URL or object URL)
+ * @param {Array} initialRegions - Boxes in image pixels; omit to run detection
+ * @param {Function} onSave - Called with { file, dataUrl, width, height, regions }
+ * @param {Function} onCancel - Close without changes
+ */
+const RedactionEditor = ({ imageSrc, initialRegions, onSave, onCancel }) => {
+  const [image, setImage] = useState(null);
+  const [regions, setRegions] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [scale, setScale] = useState(1);
+  const [detecting, setDetecting] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const imgRef = useRef(null);
+  const dragRef = useRef(null);
+
+  // Load the image and start from the given boxes, or detect them
+  useEffect(() => {
+    let cancelled = false;
+    setError('');
+
+    loadImage(imageSrc)
+      .then(async (img) => {
+        if (cancelled) return;
+        setImage(img);
+
+        if (initialRegions) {
+          setRegions(initialRegions.map(withId));
+          return;
+        }
+
+        setDetecting(true);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.naturalWidth;
+        canvas.height = img.naturalHeight;
+        canvas.getContext('2d').drawImage(img, 0, 0);
+        const result = await applyAIPrivacyProtection(canvas, { applyBlur: false });
+        if (!cancelled) {
+          setRegions((result.regions || []).map(withId));
+          setDetecting(false);
+        }
+      })
+      .catch(err => {
+        console.error('Redaction editor failed to load image:', err);
+        if (!cancelled) {
+          setError('Could not open this photo for editing.');
+          setDetecting(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [imageSrc, initialRegions]);
+
+  // Keep the displayed-to-natural pixel ratio current
+  const updateScale = useCallback(() => {
+    if (imgRef.current && image) {
+      setScale(imgRef.current.clientWidth / image.naturalWidth || 1);
+    }
+  }, [image]);
+
+  useEffect(() => {
+    updateScale();
+    window.addEventListener('resize', updateScale);
+    return () => window.removeEventListener('resize', updateScale);
+  }, [updateScale]);
+
+  // Pointer position in image pixels
+  const toImagePoint = (e) => {
+    const rect = imgRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(Math.max((e.clientX - rect.left) / scale, 0), image.naturalWidth),
+      y: Math.min(Math.max((e.clientY - rect.top) / scale, 0), image.naturalHeight)
+    };
+  };
+
+  const startDrag = (e, mode, region) => {
+    if (!image || saving) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture?.(e.pointerId);
+
+    const point = toImagePoint(e);
+    let target = region;
+    // Drawing on an empty spot creates a new box
+    if (mode === 'draw') {
+      target = withId({ kind: 'manual', x: point.x, y: point.y, width: 0, height: 0 });
+      setRegions(prev => [...prev, target]);
+    }
+    setSelectedId(target.id);
+    dragRef.current = { mode, id: target.id, start: point, original: { ...target } };
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+
+    const point = toImagePoint(e);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    const { original } = drag;
+
+    setRegions(prev => prev.map(region => {
+      if (region.id !== drag.id) return region;
+      if (drag.mode === 'move') {
+        return {
+          ...region,
+          x: Math.min(Math.max(original.x + dx, 0), image.naturalWidth - original.width),
+          y: Math.min(Math.max(original.y + dy, 0), image.naturalHeight - original.height)
+        };
+      }
+      if (drag.mode === 'resize') {
+        return {
+          ...region,
+          width: Math.min(Math.max(original.width + dx, MIN_BOX_SIZE), image.naturalWidth - original.x),
+          height: Math.min(Math.max(original.height + dy, MIN_BOX_SIZE), image.naturalHeight - original.y)
+        };
+      }
+      // draw: box spans from the start point to the pointer in any direction
+      return {
+        ...region,
+        x: Math.min(drag.start.x, point.x),
+        y: Math.min(drag.start.y, point.y),
+        width: Math.abs(dx),
+        height: Math.abs(dy)
+      };
+    }));
+  };
+
+  const handlePointerUp = () => {
+    const drag = dragRef.current;
+    dragRef.current = null;
+    if (drag?.mode === 'draw') {
+      // A click without dragging does not leave a tiny box behind
+      setRegions(prev => prev.filter(region =>
+        region.id !== drag.id || (region.width >= MIN_BOX_SIZE && region.height >= MIN_BOX_SIZE)
+      ));
+    }
+  };
+
+  const addRegion = () => {
+    if (!image) return;
+    const width = image.naturalWidth * 0.2;
+    const height = image.naturalHeight * 0.1;
+    const region = withId({
+      kind: 'manual',
+      x: (image.naturalWidth - width) / 2,
+      y: (image.naturalHeight - height) / 2,
+      width,
+      height
+    });
+    setRegions(prev => [...prev, region]);
+    setSelectedId(region.id);
+  };
+
+  const removeRegion = (id) => {
+    setRegions(prev => prev.filter(region => region.id !== id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  // Burn the final boxes into a full-resolution copy of the image
+  const handleSave = () => {
+    if (!image) return;
+    setSaving(true);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = image.naturalWidth;
+    canvas.height = image.naturalHeight;
+    canvas.getContext('2d').drawImage(image, 0, 0);
+
+    const finalRegions = regions.map(({ kind, x, y, width, height }) => ({
+      kind,
+      x: Math.round(x),
+      y: Math.round(y),
+      width: Math.round(width),
+      height: Math.round(height)
+    }));
+    blurRegions(canvas, finalRegions);
+
+    canvas.toBlob((blob) => {
+      setSaving(false);
+      if (!blob) {
+        setError('Could not save the edited photo.');
+        return;
+      }
+      const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+      onSave({
+        file: new File([blob], `road-alert-${timestamp}.jpg`, { type: 'image/jpeg', lastModified: Date.now() }),
+        dataUrl: canvas.toDataURL('image/jpeg', 0.92),
+        width: canvas.width,
+        height: canvas.height,
+        regions: finalRegions
+      });
+    }, 'image/jpeg', 0.92);
+  };
+
+  const buttonStyle = (background, color = 'white') => ({
+    padding: '8px 14px',
+    borderRadius: '8px',
+    border: background === 'white' ? '1px solid #d1d5db' : 'none',
+    backgroundColor: background,
+    color,
+    fontWeight: '600',
+    fontSize: '14px',
+    cursor: 'pointer'
+  });
+
+  return (
+    <div style={{
+      position: 'fixed',
+      inset: 0,
+      zIndex: 10000,
+      backgroundColor: 'rgba(17, 24, 39, 0.92)',
+      display: 'flex',
+      flexDirection: 'column',
+      alignItems: 'center',
+      justifyContent: 'center',
+      padding: '16px'
+    }}>
+      <div style={{ color: 'white', textAlign: 'center', marginBottom: '12px', maxWidth: '600px' }}>
+        <div style={{ fontSize: '16px', fontWeight: '600' }}>🛡️ Adjust privacy blur</div>
+        <div style={{ fontSize: '13px', color: '#d1d5db', marginTop: '4px' }}>
+          Drag on the photo to blur an area. Drag a box to move it, its corner to resize it, or ✕ to remove it.
+        </div>
+      </div>
+
+      {error && <div style={{ color: '#fca5a5', fontSize: '13px', marginBottom: '8px' }}>{error}</div>}
+
+      <div
+        style={{ position: 'relative', touchAction: 'none', userSelect: 'none', lineHeight: 0 }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {image && (
+          <img
+            ref={imgRef}
+            src={image.src}
+            alt="Photo being edited"
+            onLoad={updateScale}
+            onPointerDown={(e) => startDrag(e, 'draw')}
+            draggable={false}
+            style={{ maxWidth: '92vw', maxHeight: '65vh', display: 'block', cursor: 'crosshair', borderRadius: '6px' }}
+          />
+        )}
+
+        {image && regions.map(region => {
+          const color = KIND_COLORS[region.kind] || KIND_COLORS.manual;
+          const selected = region.id === selectedId;
+          return (
+            <div
+              key={region.id}
+              onPointerDown={(e) => startDrag(e, 'move', region)}
+              style={{
+                position: 'absolute',
+                left: `${region.x * scale}px`,
+                top: `${region.y * scale}px`,
+                width: `${region.width * scale}px`,
+                height: `${region.height * scale}px`,
+                border: `2px ${selected ? 'solid' : 'dashed'} ${color}`,
+                backgroundColor: 'rgba(0, 0, 0, 0.15)',
+                backdropFilter: 'blur(8px)',
+                WebkitBackdropFilter: 'blur(8px)',
+                cursor: 'move',
+                boxSizing: 'border-box'
+              }}
+            >
+              <button
+                type="button"
+                aria-label="Remove blur box"
+                onPointerDown={(e) => e.stopPropagation()}
+                onClick={() => removeRegion(region.id)}
+                style={{
+                  position: 'absolute',
+                  top: '-10px',
+                  right: '-10px',
+                  width: '20px',
+                  height: '20px',
+                  borderRadius: '50%',
+                  border: 'none',
+                  backgroundColor: '#ef4444',
+                  color: 'white',
+                  fontSize: '11px',
+                  lineHeight: '20px',
+                  padding: 0,
+                  cursor: 'pointer'
+                }}
+              >
+                ✕
+              </button>
+              <div
+                onPointerDown={(e) => startDrag(e, 'resize', region)}
+                style={{
+                  position: 'absolute',
+                  right: '-6px',
+                  bottom: '-6px',
+                  width: '12px',
+                  height: '12px',
+                  backgroundColor: color,
+                  borderRadius: '2px',
+                  cursor: 'nwse-resize'
+                }}
+              />
+            </div>
+          );
+        })}
+
+        {(detecting || !image) && !error && (
+          <div style={{
+            position: image ? 'absolute' : 'static',
+            inset: 0,
+            minWidth: '200px',
+            minHeight: '120px',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            color: 'white',
+            fontSize: '14px',
+            lineHeight: 1.4,
+            backgroundColor: 'rgba(0, 0, 0, 0.4)'
+          }}>
+            🔍 Detecting faces and plates...
+          </div>
+        )}
+      </div>
+
+      <div style={{ color: '#d1d5db', fontSize: '12px', marginTop: '8px' }}>
+        {regions.length} area(s) will be blurred
+      </div>
+
+      <div style={{ display: 'flex', gap: '8px', marginTop: '12px', flexWrap: 'wrap', justifyContent: 'center' }}>
+        <button type="button" onClick={onCancel} disabled={saving} style={buttonStyle('white', '#374151')}>
+          Cancel
+        </button>
+        <button type="button" onClick={addRegion} disabled={!image || saving} style={buttonStyle('#10b981')}>
+          ➕ Add blur box
+        </button>
+        <button
+          type="button"
+          onClick={handleSave}
+          disabled={!image || detecting || saving}
+          style={{ ...buttonStyle('#3b82f6'), opacity: !image || detecting || saving ? 0.6 : 1 }}
+        >
+          {saving ? 'Saving...' : 'Apply blur'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RedactionEditor;
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import config from '../config/index.js';
+
+// Evidence files per appeal (photos or PDFs)
+const MAX_EVIDENCE = 3;
+
+const APPEAL_STATUS = {
+  pending: { label: '⏳ Appeal under review', color: '#b45309', background: '#fffbeb', border: '#fde68a' },
+  approved: { label: '✅ Appeal approved - your report was reopened', color: '#15803d', background: '#f0fdf4', border: '#bbf7d0' },
+  denied: { label: '❌ Appeal denied', color: '#b91c1c', background: '#fef2f2', border: '#fecaca' }
+};
+
+/**
+ * Lets the author of a rejected report appeal the rejection (once), with
+ * optional evidence, and shows the decision afterwards
+ */
+const ReportAppeal = ({ report, onAppealed }) => {
+  const [appeal, setAppeal] = useState(report.appeal || null);
+  const [open, setOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  const [evidence, setEvidence] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+
+  if (!appeal?.status && report.status !== 'rejected') return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    if (message.trim().length < 10) {
+      setError('Please explain your appeal (at least 10 characters)');
+      return;
+    }
+
+    setSending(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('message', message.trim());
+      evidence.forEach(file => formData.append('evidence', file));
+
+      const res = await fetch(`${config.API_BASE_URL}/reports/${report._id}/appeal`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: formData
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setAppeal(data.data);
+        setOpen(false);
+        if (onAppealed) onAppealed(report._id, data.data);
+      } else {
+        setError(data.error || 'Could not submit your appeal');
+      }
+    } catch (err) {
+      console.error('Failed to submit appeal:', err);
+      setError('Could not submit your appeal');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const status = appeal?.status && APPEAL_STATUS[appeal.status];
+
+  return (
+    <div style={{ marginBottom: '20px' }}>
+      <h3 style={{ margin: '0 0 12px 0', color: '#1f2937', fontSize: '16px', fontWeight: '600' }}>
+        ⚖️ Appeal
+      </h3>
+
+      {status ? (
+        <div style={{
+          backgroundColor: status.background,
+          border: `1px solid ${status.border}`,
+          borderRadius: '8px',
+          padding: '12px'
+        }}>
+          <div style={{ fontSize: '14px', fontWeight: '600', color: status.color }}>{status.label}</div>
+          <div style={{ fontSize: '13px', color: '#374151', marginTop: '6px', whiteSpace: 'pre-wrap' }}>{appeal.message}</div>
+          {appeal.evidence?.length > 0 && (
+            <div style={{ fontSize: '12px', color: '#6b7280', marginTop: '4px' }}>
+              📎 {appeal.evidence.length} file(s) attached
+            </div>
+          )}
+          {appeal.response && (
+            <div style={{ fontSize: '13px', color: '#1f2937', marginTop: '8px' }}>
+              <strong>Admin response:</strong> {appeal.response}
+            </div>
+          )}
+        </div>
+      ) : open ? (
+        <form onSubmit={handleSubmit}>
+          {error && <div style={{ fontSize: '12px', color: '#dc2626', marginBottom: '6px' }}>{error}</div>}
+          <textarea
+            value={message}
+            onChange={(e) => setMessage(e.target.value)}
+            maxLength={1000}
+            rows={4}
+            placeholder="Explain why this report should be reconsidered"
+            style={{
+              width: '100%',
+              boxSizing: 'border-box',
+              padding: '8px',
+              borderRadius: '8px',
+              border: '1px solid #d1d5db',
+              fontSize: '14px',
+              resize: 'vertical'
+            }}
+          />
+          <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px', gap: '8px' }}>
+            <label style={{ fontSize: '13px', color: '#4b5563', cursor: 'pointer' }}>
+              📎 {evidence.length > 0 ? `${evidence.length} file(s)` : 'Attach evidence'}
+              <input
+                type="file"
+                accept="image/jpeg,image/png,image/webp,application/pdf"
+                multiple
+                style={{ display: 'none' }}
+                onChange={(e) => setEvidence(Array.from(e.target.files).slice(0, MAX_EVIDENCE))}
+              />
+            </label>
+            <div style={{ display: 'flex', gap: '8px' }}>
+              <button
+                type="button"
+                onClick={() => { setOpen(false); setError(''); }}
+                style={{ padding: '8px 16px', borderRadius: '8px', border: '1px solid #d1d5db', backgroundColor: 'white', fontSize: '14px', cursor: 'pointer' }}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                disabled={sending}
+                style={{
+                  padding: '8px 16px',
+                  borderRadius: '8px',
+                  border: 'none',
+                  backgroundColor: '#dc2626',
+                  color: 'white',
+                  fontSize: '14px',
+                  cursor: sending ? 'not-allowed' : 'pointer',
+                  opacity: sending ? 0.6 : 1
+                }}
+              >
+                {sending ? 'Sending...' : 'Send appeal'}
+              </button>
+            </div>
+          </div>
+        </form>
+      ) : (
+        <div>
+          <p style={{ fontSize: '13px', color: '#4b5563', margin: '0 0 8px 0' }}>
+            Think this report was rejected by mistake? You can ask an administrator to reconsider it once.
+          </p>
+          <button
+            type="button"
+            onClick={() => setOpen(true)}
+            style={{
+              padding: '8px 16px',
+              borderRadius: '8px',
+              border: '1px solid #dc2626',
+              backgroundColor: 'white',
+              color: '#dc2626',
+              fontSize: '14px',
+              fontWeight: '500',
+              cursor: 'pointer'
+            }}
+          >
+            Appeal this rejection
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportAppeal;
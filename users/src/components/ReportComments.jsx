@@ -0,0 +1,225 @@
+import React, { useState, useEffect, useRef } from 'react';
+import config from '../config/index.js';
+import { getSocket } from '../services/socketClient.js';
+
+const formatTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+/**
+ * Message thread between a reporter and the admins for one of their reports.
+ * Renders nothing unless the logged-in user is the report's author.
+ */
+const ReportComments = ({ reportId }) => {
+  const [comments, setComments] = useState([]);
+  const [available, setAvailable] = useState(false);
+  const [body, setBody] = useState('');
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState('');
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    setAvailable(false);
+    setComments([]);
+    const token = localStorage.getItem('token');
+    if (!reportId || !token) return;
+
+    fetch(`${config.API_BASE_URL}/comments/report/${reportId}`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) {
+          setComments(data.data);
+          setAvailable(true);
+        }
+      })
+      .catch(err => console.error('Failed to load messages:', err));
+  }, [reportId]);
+
+  // Live admin replies and read receipts
+  useEffect(() => {
+    if (!available) return;
+    const socket = getSocket();
+    if (!socket) return;
+
+    const handleComment = (comment) => {
+      if (comment.report !== reportId) return;
+      setComments(prev => prev.some(c => c._id === comment._id) ? prev : [...prev, comment]);
+    };
+    const handleRead = (receipt) => {
+      if (receipt.reportId !== reportId || receipt.readBy !== 'admin') return;
+      setComments(prev => prev.map(c =>
+        c.author.kind === 'user' && !c.readAt ? { ...c, readAt: receipt.readAt } : c
+      ));
+    };
+
+    socket.on('report_comment', handleComment);
+    socket.on('report_comments_read', handleRead);
+    return () => {
+      socket.off('report_comment', handleComment);
+      socket.off('report_comments_read', handleRead);
+    };
+  }, [available, reportId]);
+
+  const handleSend = async () => {
+    const token = localStorage.getItem('token');
+    if (!token || (!body.trim() && files.length === 0)) return;
+
+    setSending(true);
+    setError('');
+    try {
+      const formData = new FormData();
+      formData.append('body', body.trim());
+      files.forEach(file => formData.append('attachments', file));
+
+      const res = await fetch(`${config.API_BASE_URL}/comments/report/${reportId}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${token}` },
+        body: formData
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setComments(prev => prev.some(c => c._id === data.data._id) ? prev : [...prev, data.data]);
+        setBody('');
+        setFiles([]);
+        if (fileInputRef.current) fileInputRef.current.value = '';
+      } else {
+        setError(data.error || 'Could not send your message');
+      }
+    } catch (err) {
+      console.error('Failed to send message:', err);
+      setError('Could not send your message');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  if (!available) return null;
+
+  return (
+    <div style={{
+      marginBottom: '20px',
+      padding: '16px',
+      backgroundColor: '#f8fafc',
+      borderRadius: '12px',
+      border: '1px solid #e2e8f0'
+    }}>
+      <h3 style={{ margin: '0 0 12px 0', color: '#1f2937', fontSize: '16px', fontWeight: '600' }}>
+        💬 Messages with the road team
+      </h3>
+
+      <div style={{ maxHeight: '260px', overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '8px', marginBottom: '12px' }}>
+        {comments.length === 0 && (
+          <div style={{ fontSize: '13px', color: '#6b7280', textAlign: 'center', padding: '8px' }}>
+            No messages yet. Ask a question or add details about your report.
+          </div>
+        )}
+        {comments.map(comment => {
+          const mine = comment.author.kind === 'user';
+          return (
+            <div key={comment._id} style={{ alignSelf: mine ? 'flex-end' : 'flex-start', maxWidth: '80%' }}>
+              <div style={{
+                padding: '8px 12px',
+                borderRadius: '12px',
+                backgroundColor: mine ? '#3b82f6' : 'white',
+                color: mine ? 'white' : '#1f2937',
+                border: mine ? 'none' : '1px solid #e5e7eb',
+                fontSize: '14px'
+              }}>
+                {!mine && (
+                  <div style={{ fontSize: '11px', fontWeight: '600', color: '#6b7280', marginBottom: '2px' }}>
+                    🛡️ {comment.author.name || 'Admin'}
+                  </div>
+                )}
+                {comment.body && <div style={{ whiteSpace: 'pre-wrap' }}>{comment.body}</div>}
+                {comment.attachments?.length > 0 && (
+                  <div style={{ display: 'flex', flexWrap: 'wrap', gap: '6px', marginTop: '6px' }}>
+                    {comment.attachments.map((attachment, index) => (
+                      <a
+                        key={index}
+                        href={attachment.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        style={{ color: mine ? 'white' : '#2563eb', fontSize: '12px' }}
+                      >
+                        {attachment.mimetype?.startsWith('image/') ? (
+                          <img
+                            src={attachment.url}
+                            alt={attachment.filename || 'Attachment'}
+                            style={{ width: '64px', height: '64px', objectFit: 'cover', borderRadius: '6px' }}
+                          />
+                        ) : (
+                          <span>📎 {attachment.filename || 'Attachment'}</span>
+                        )}
+                      </a>
+                    ))}
+                  </div>
+                )}
+              </div>
+              <div style={{ fontSize: '11px', color: '#9ca3af', marginTop: '2px', textAlign: mine ? 'right' : 'left' }}>
+                {formatTime(comment.createdAt)}
+                {mine && (comment.readAt ? ' · Seen' : ' · Sent')}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+
+      {error && <div style={{ fontSize: '12px', color: '#dc2626', marginBottom: '6px' }}>{error}</div>}
+      <textarea
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+        maxLength={2000}
+        rows={2}
+        placeholder="Write a message..."
+        style={{
+          width: '100%',
+          boxSizing: 'border-box',
+          padding: '8px',
+          borderRadius: '8px',
+          border: '1px solid #d1d5db',
+          fontSize: '14px',
+          resize: 'vertical'
+        }}
+      />
+      <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '8px' }}>
+        <label style={{ fontSize: '13px', color: '#4b5563', cursor: 'pointer' }}>
+          📎 {files.length > 0 ? `${files.length} file(s)` : 'Attach'}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="image/jpeg,image/png,image/webp,application/pdf"
+            multiple
+            style={{ display: 'none' }}
+            onChange={(e) => setFiles(Array.from(e.target.files).slice(0, 3))}
+          />
+        </label>
+        <button
+          onClick={handleSend}
+          disabled={sending || (!body.trim() && files.length === 0)}
+          style={{
+            padding: '8px 16px',
+            borderRadius: '8px',
+            border: 'none',
+            backgroundColor: '#3b82f6',
+            color: 'white',
+            fontWeight: '600',
+            fontSize: '14px',
+            cursor: sending ? 'not-allowed' : 'pointer',
+            opacity: sending || (!body.trim() && files.length === 0) ? 0.6 : 1
+          }}
+        >
+          {sending ? 'Sending...' : 'Send'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportComments;
@@ -1,9 +1,63 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import config from '../config/index.js';
+import ReportComments from './ReportComments.jsx';
+import ReportAppeal from './ReportAppeal.jsx';
 
-const ReportDetailModal = ({ report, isOpen, onClose, reportUser }) => {
+const ReportDetailModal = ({ report, isOpen, onClose, reportUser, canAppeal = false, onAppealed }) => {
   const [imageModalOpen, setImageModalOpen] = useState(false);
   const [selectedImage, setSelectedImage] = useState(null);
+  const [confirmation, setConfirmation] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  const [confirmMessage, setConfirmMessage] = useState('');
+
+  // Load the user's vote and the confirmation counts for this report
+  useEffect(() => {
+    setConfirmation(null);
+    setConfirmMessage('');
+    const token = localStorage.getItem('token');
+    if (!isOpen || !report?._id || !token) return;
+
+    fetch(`${config.API_BASE_URL}/reports/${report._id}/confirm`, {
+      headers: { 'Authorization': `Bearer ${token}` }
+    })
+      .then(res => res.json())
+      .then(data => {
+        if (data.success) setConfirmation(data.data);
+      })
+      .catch(err => console.error('Failed to load confirmations:', err));
+  }, [isOpen, report?._id]);
+
+  const handleConfirm = async (vote) => {
+    const token = localStorage.getItem('token');
+    if (!token) return;
+
+    setConfirming(true);
+    try {
+      // Tapping the current vote again withdraws it
+      const withdraw = confirmation?.myVote === vote;
+      const res = await fetch(`${config.API_BASE_URL}/reports/${report._id}/confirm`, {
+        method: withdraw ? 'DELETE' : 'POST',
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json'
+        },
+        body: withdraw ? undefined : JSON.stringify({ vote })
+      });
+      const data = await res.json();
+
+      if (data.success) {
+        setConfirmation(data.data);
+        setConfirmMessage(data.message);
+      } else {
+        setConfirmMessage(data.error || 'Could not save your confirmation');
+      }
+    } catch (err) {
+      console.error('Failed to confirm report:', err);
+      setConfirmMessage('Could not save your confirmation');
+    } finally {
+      setConfirming(false);
+    }
+  };
 
   if (!isOpen || !report) return null;
 
@@ -27,11 +81,30 @@ const ReportDetailModal = ({ report, isOpen, onClose, reportUser }) => {
     switch (status) {
       case 'verified': return '#10b981';
       case 'pending': return '#f59e0b';
+      case 'under_review': return '#d97706';
+      case 'assigned': return '#6366f1';
+      case 'in_progress': return '#0891b2';
+      case 'resolved': return '#3b82f6';
+      case 'reopened': return '#f97316';
       case 'rejected': return '#ef4444';
       default: return '#6b7280';
     }
   };
 
+  const formatStatus = (status) => status.replace(/_/g, ' ');
+
+  // Submission first, then every recorded status change
+  const timeline = [
+    { key: 'submitted', status: 'pending', label: 'Submitted', at: report.createdAt },
+    ...(report.statusHistory || []).map((entry, index) => ({
+      key: entry._id || index,
+      status: entry.to,
+      label: formatStatus(entry.to),
+      at: entry.at,
+      note: entry.note
+    }))
+  ];
+
   const getSeverityColor = (severity) => {
     switch (severity) {
       case 'high': return '#ef4444';
@@ -199,7 +272,7 @@ const ReportDetailModal = ({ report, isOpen, onClose, reportUser }) => {
               textTransform: 'uppercase',
               border: `2px solid ${getStatusColor(report.status)}40`
             }}>
-              {report.status || 'PENDING'}
+              {formatStatus(report.status || 'pending')}
             </div>
             <div style={{
               backgroundColor: getSeverityColor(report.severity) + '20',
@@ -489,6 +562,120 @@ const ReportDetailModal = ({ report, isOpen, onClose, reportUser }) => {
             </div>
           )}
 
+          {/* Resident confirmations */}
+          {confirmation && (confirmation.canVote || confirmation.counts.stillThere + confirmation.counts.fixed > 0) && (
+            <div style={{
+              marginBottom: '20px',
+              padding: '16px',
+              backgroundColor: '#f8fafc',
+              borderRadius: '12px',
+              border: '1px solid #e2e8f0'
+            }}>
+              <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '10px' }}>
+                <h3 style={{ margin: 0, color: '#1f2937', fontSize: '16px', fontWeight: '600' }}>
+                  👀 Is this still here?
+                </h3>
+                {confirmation.confidence !== null && (
+                  <span
+                    title="How likely the hazard is still present, based on its status and resident confirmations"
+                    style={{
+                      fontSize: '12px',
+                      fontWeight: '600',
+                      padding: '4px 10px',
+                      borderRadius: '9999px',
+                      color: 'white',
+                      backgroundColor: confirmation.confidence >= 60 ? '#ef4444' : confirmation.confidence >= 40 ? '#f59e0b' : '#10b981'
+                    }}
+                  >
+                    {confirmation.confidence}% likely present
+                  </span>
+                )}
+              </div>
+
+              {confirmation.canVote && (
+                <div style={{ display: 'flex', gap: '8px', marginBottom: '8px' }}>
+                  {[
+                    { vote: 'still_there', label: '✋ Still there', count: confirmation.counts.stillThere, color: '#ef4444' },
+                    { vote: 'fixed', label: '✅ No longer present', count: confirmation.counts.fixed, color: '#10b981' }
+                  ].map(option => {
+                    const selected = confirmation.myVote === option.vote;
+                    return (
+                      <button
+                        key={option.vote}
+                        onClick={() => handleConfirm(option.vote)}
+                        disabled={confirming}
+                        style={{
+                          flex: 1,
+                          padding: '10px',
+                          borderRadius: '8px',
+                          border: `2px solid ${option.color}`,
+                          backgroundColor: selected ? option.color : 'white',
+                          color: selected ? 'white' : option.color,
+                          fontWeight: '600',
+                          fontSize: '14px',
+                          cursor: confirming ? 'not-allowed' : 'pointer',
+                          opacity: confirming ? 0.6 : 1
+                        }}
+                      >
+                        {option.label} ({option.count})
+                      </button>
+                    );
+                  })}
+                </div>
+              )}
+
+              {!confirmation.canVote && (
+                <div style={{ fontSize: '13px', color: '#4b5563' }}>
+                  ✋ {confirmation.counts.stillThere} still there · ✅ {confirmation.counts.fixed} no longer present
+                </div>
+              )}
+
+              {confirmation.recheckNeeded && (
+                <div style={{ fontSize: '12px', color: '#92400e', marginTop: '4px' }}>
+                  🔁 Residents report this may be fixed — an admin will re-check it.
+                </div>
+              )}
+              {confirmMessage && (
+                <div style={{ fontSize: '12px', color: '#475569', marginTop: '4px' }}>{confirmMessage}</div>
+              )}
+            </div>
+          )}
+
+          {/* Appeal against a rejection (the report's author only) */}
+          {canAppeal && <ReportAppeal key={report._id} report={report} onAppealed={onAppealed} />}
+
+          {/* Reporter <-> admin messages (only shown to the report's author) */}
+          <ReportComments reportId={report._id} />
+
+          {/* Status Timeline */}
+          <div style={{ marginBottom: '20px' }}>
+            <h3 style={{ margin: '0 0 12px 0', color: '#1f2937', fontSize: '16px', fontWeight: '600' }}>
+              🕒 Status History
+            </h3>
+            <div style={{ borderLeft: '2px solid #e5e7eb', marginLeft: '6px', paddingLeft: '16px' }}>
+              {timeline.map(entry => (
+                <div key={entry.key} style={{ position: 'relative', paddingBottom: '12px' }}>
+                  <span style={{
+                    position: 'absolute',
+                    left: '-23px',
+                    top: '4px',
+                    width: '12px',
+                    height: '12px',
+                    borderRadius: '50%',
+                    backgroundColor: getStatusColor(entry.status)
+                  }} />
+                  <div style={{ fontSize: '14px', fontWeight: '600', color: '#1f2937', textTransform: 'capitalize' }}>
+                    {entry.label}
+                  </div>
+                  <div style={{ fontSize: '12px', color: '#6b7280' }}>{formatDate(entry.at)}</div>
+                  {entry.note && (
+                    <div style={{ fontSize: '13px', color: '#374151', marginTop: '4px' }}>{entry.note}</div>
+                  )}
+                </div>
+              ))}
+            </div>
+          </div>
+
           {/* Admin Feedback */}
           {report.status === 'resolved' && report.adminFeedback && (
             <div style={{ marginBottom: '20px' }}>
@@ -1,6 +1,6 @@
 import React, { useState, useRef, useEffect } from 'react';
-import axios from 'axios';
 import config from '../config/index.js';
+import { createIdempotencyKey, isNetworkError, postReport, queueReport } from '../services/reportOutbox.js';
 import { NEGROS_PROVINCES, NEGROS_CITIES, NEGROS_BARANGAYS } from '../data/negrosLocations.js';
 import exifr from 'exifr';
 import { applyAIPrivacyProtection, preloadModel } from '../utils/aiPrivacyProtection.js';
@@ -54,6 +54,8 @@ const ReportForm = ({ onReport, onClose }) => {
   const [showCamera, setShowCamera] = useState(false);
   const [stream, setStream] = useState(null);
   const [capturedImage, setCapturedImage] = useState(null);
+  // Unblurred capture (kept on the device only) and the boxes blurred into capturedImage
+  const [rawCapture, setRawCapture] = useState(null);
   const [processingImage, setProcessingImage] = useState(false);
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
@@ -311,11 +313,17 @@ const ReportForm = ({ onReport, onClose }) => {
     
     // Apply AI-powered privacy protection (detect and blur faces)
     setSuccess('🤖 AI detecting faces and vehicles...');
+
+    // Keep the unblurred frame so the blur can be adjusted before submitting
+    const rawSrc = canvas.toDataURL('image/jpeg');
+    const frameSize = { width: canvas.width, height: canvas.height };
+    setRawCapture({ src: rawSrc, ...frameSize, regions: [] });
     
     try {
       const startTime = Date.now();
       const result = await applyAIPrivacyProtection(canvas);
       const processingTime = Date.now() - startTime;
+      setRawCapture({ src: rawSrc, ...frameSize, regions: result.regions || [] });
       
       console.log(`⚡ Privacy protection completed in ${processingTime}ms`);
       
@@ -356,6 +364,19 @@ const ReportForm = ({ onReport, onClose }) => {
     }, 'image/jpeg', 0.8);
   };
 
+  // Drop the unblurred copy whenever the photo is discarded
+  useEffect(() => {
+    if (!capturedImage) setRawCapture(null);
+  }, [capturedImage]);
+
+  // Replace the photo with the one edited in the redaction editor
+  const handleBlurEdited = ({ file, dataUrl, regions }) => {
+    setForm(f => ({ ...f, image: file }));
+    setCapturedImage(dataUrl);
+    setRawCapture(prev => ({ ...prev, regions }));
+    setSuccess(`🔒 Privacy blur updated: ${regions.length} area(s) blurred`);
+  };
+
   const stopCamera = () => {
     if (stream) {
       stream.getTracks().forEach(track => track.stop());
@@ -501,6 +522,26 @@ const ReportForm = ({ onReport, onClose }) => {
     }
   };
 
+  // Keep a report in the device outbox; MyReports lists it and it uploads once back online.
+  // Returns false when the outbox is unavailable so the caller can show the usual error.
+  const saveOffline = async (submission) => {
+    try {
+      await queueReport(submission);
+    } catch (queueError) {
+      console.error('Could not save report offline:', queueError);
+      return false;
+    }
+
+    setSuccess('');
+    setConfirmType('queued');
+    setConfirmMessage('You appear to be offline. Your report was saved on this device and will upload automatically when you are back online. You can follow it under My Reports.');
+    setShowConfirmModal(true);
+      setForm({ type: '', province: '', city: '', barangay: '', description: '', image: null, location: null });
+      setCapturedImage(null);
+      setDetectedFaces([]);
+    return true;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError(''); 
@@ -541,23 +582,41 @@ const ReportForm = ({ onReport, onClose }) => {
       return;
     }
     
-    const data = new FormData();
-    data.append('type', form.type);
-    data.append('province', form.province);
-    data.append('city', form.city);
-    data.append('barangay', form.barangay);
-    data.append('description', form.description);
-    
     // Create readable address from selected locations
     const provinceLabel = NEGROS_PROVINCES.find(p => p.value === form.province)?.label;
     const cityLabel = NEGROS_CITIES[form.province]?.find(c => c.value === form.city)?.label;
     const barangayLabel = NEGROS_BARANGAYS[form.city]?.find(b => b.value === form.barangay)?.label;
     const fullAddress = `${barangayLabel}, ${cityLabel}, ${provinceLabel}`;
-    
-    data.append('location[address]', fullAddress);
-    data.append('location[coordinates][latitude]', form.location.lat);
-    data.append('location[coordinates][longitude]', form.location.lng);
-    data.append('images', form.image); // Note: using 'images' to match multer field name
+
+    // Same submission is reused for offline retries; the key keeps them from duplicating
+    const submission = {
+      fields: {
+        type: form.type,
+        province: form.province,
+        city: form.city,
+        barangay: form.barangay,
+        description: form.description,
+        'location[address]': fullAddress,
+        'location[coordinates][latitude]': form.location.lat,
+        'location[coordinates][longitude]': form.location.lng
+      },
+      images: [{ blob: form.image, name: form.image.name || 'report.jpg' }],
+      idempotencyKey: createIdempotencyKey()
+    };
+    // Lets the server record which areas were blurred on this device
+    if (rawCapture && capturedImage) {
+      submission.fields.imageRedactions = JSON.stringify([{
+        width: rawCapture.width,
+        height: rawCapture.height,
+        regions: rawCapture.regions
+      }]);
+    }
+
+    // No signal - keep the report on the device and upload it later
+    if (!navigator.onLine && await saveOffline(submission)) {
+      setSubmitting(false);
+      return;
+    }
     
     console.log('Submitting form data:', {
       type: form.type,
@@ -576,12 +635,7 @@ const ReportForm = ({ onReport, onClose }) => {
     console.log('⏰ Sending request... (this may take up to 2 minutes if server is sleeping)');
     
     try {
-      const response = await axios.post(`${config.API_BASE_URL}/reports/user`, data, {
-        headers: { 
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-          // Don't set Content-Type for FormData, let browser set it with boundary
-        },
-        timeout: 60000, // 60 second timeout (Render free tier can be slow)
+      const response = await postReport(submission, {
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
           console.log(`📤 Upload progress: ${percentCompleted}%`);
@@ -617,6 +671,12 @@ const ReportForm = ({ onReport, onClose }) => {
       }
     } catch (err) {
       console.error('Report submission error:', err);
+
+      // Lost connection or timed out - queue it (a retry of a report that did arrive is ignored)
+      if (isNetworkError(err) && await saveOffline(submission)) {
+        setSubmitting(false);
+        return;
+      }
       console.error('Error response:', err.response?.data);
       
       let errorMessage = '';
@@ -642,7 +702,8 @@ const ReportForm = ({ onReport, onClose }) => {
       } else if (err.response?.status === 403) {
         const errorData = err.response.data;
         if (errorData?.frozen) {
-          errorMessage = '🧊 Your account has been frozen. You cannot submit reports while your account is frozen.';
+          // The server message says until when, and whether it is a ban
+          errorMessage = `🧊 ${errorData.error || 'Your account has been frozen. You cannot submit reports while your account is frozen.'}`;
         } else {
           errorMessage = `❌ Access denied: ${errorData?.error || 'You are not authorized to perform this action.'}`;
         }
@@ -964,6 +1025,10 @@ const ReportForm = ({ onReport, onClose }) => {
                 blurLargestOnly={false}
                 showLoadingState={true}
                 animate={true}
+                editable={!!rawCapture}
+                editSource={rawCapture?.src}
+                editRegions={rawCapture?.regions}
+                onRedacted={handleBlurEdited}
               />
               {detectedFaces.length > 0 && (
                 <div className="face-detection-status" style={{
@@ -1133,7 +1198,7 @@ const ReportForm = ({ onReport, onClose }) => {
           }}>
             {/* Modal Header */}
             <div style={{
-              background: confirmType === 'success' ? '#10b981' : '#ef4444',
+              background: confirmType === 'success' ? '#10b981' : confirmType === 'queued' ? '#f59e0b' : '#ef4444',
               padding: '30px 20px',
               textAlign: 'center'
             }}>
@@ -1152,6 +1217,11 @@ const ReportForm = ({ onReport, onClose }) => {
                   <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#10b981" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
                     <polyline points="20 6 9 17 4 12"></polyline>
                   </svg>
+                ) : confirmType === 'queued' ? (
+                  <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
+                    <circle cx="12" cy="12" r="10"></circle>
+                    <polyline points="12 6 12 12 16 14"></polyline>
+                  </svg>
                 ) : (
                   <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#ef4444" strokeWidth="3" strokeLinecap="round" strokeLinejoin="round">
                     <line x1="18" y1="6" x2="6" y2="18"></line>
@@ -1165,7 +1235,7 @@ const ReportForm = ({ onReport, onClose }) => {
                 color: 'white',
                 margin: '0'
               }}>
-                {confirmType === 'success' ? 'Report Submitted' : 'Error'}
+                {confirmType === 'success' ? 'Report Submitted' : confirmType === 'queued' ? 'Saved Offline' : 'Error'}
               </h3>
             </div>
             
@@ -1188,14 +1258,14 @@ const ReportForm = ({ onReport, onClose }) => {
               <button
                 onClick={() => {
                   setShowConfirmModal(false);
-                  if (confirmType === 'success' && onClose) {
+                  if ((confirmType === 'success' || confirmType === 'queued') && onClose) {
                     onClose();
                   }
                 }}
                 style={{
                   width: '100%',
                   padding: '14px 20px',
-                  backgroundColor: confirmType === 'success' ? '#10b981' : '#ef4444',
+                  backgroundColor: confirmType === 'success' ? '#10b981' : confirmType === 'queued' ? '#f59e0b' : '#ef4444',
                   color: 'white',
                   border: 'none',
                   borderRadius: '10px',
@@ -1220,7 +1290,7 @@ const ReportForm = ({ onReport, onClose }) => {
                     : '0 4px 15px rgba(239, 68, 68, 0.3)';
                 }}
               >
-                {confirmType === 'success' ? 'Continue' : 'Try Again'}
+                {confirmType === 'success' || confirmType === 'queued' ? 'Continue' : 'Try Again'}
               </button>
             </div>
           </div>
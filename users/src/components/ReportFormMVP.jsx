@@ -1,9 +1,9 @@
 import React, { useState, useRef, useEffect } from 'react';
-import axios from 'axios';
-import config from '../config/index.js';
+import { createIdempotencyKey, isNetworkError, postReport, queueReport } from '../services/reportOutbox.js';
 import { NEGROS_PROVINCES, NEGROS_CITIES, NEGROS_BARANGAYS } from '../data/negrosLocations.js';
 import exifr from 'exifr';
 import { applyAIPrivacyProtection, preloadModel } from '../utils/aiPrivacyProtection.js';
+import RedactionEditor from './RedactionEditor.jsx';
 import { getReverseGeocode } from '../services/geocoding.js';
 import { processGeocodedAddress } from '../utils/addressMatcher.js';
 import { useSettings } from '../context/SettingsContext.jsx';
@@ -57,11 +57,22 @@ const ReportFormMVP = ({ onReport, onClose }) => {
   const [showCamera, setShowCamera] = useState(false);
   const [stream, setStream] = useState(null);
   const [capturedImage, setCapturedImage] = useState(null);
+  // Unblurred capture (kept on the device only) and the boxes blurred into capturedImage
+  const [rawCapture, setRawCapture] = useState(null);
+  const [editingBlur, setEditingBlur] = useState(false);
   const [processingImage, setProcessingImage] = useState(false);
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
 
 
+  // Drop the unblurred copy whenever the photo is discarded
+  useEffect(() => {
+    if (!capturedImage) {
+      setRawCapture(null);
+      setEditingBlur(false);
+    }
+  }, [capturedImage]);
+
   // AI Privacy state for display
   const [aiStatus, setAiStatus] = useState({ faces: 0, people: 0, plates: 0, active: false });
 
@@ -358,10 +369,15 @@ const ReportFormMVP = ({ onReport, onClose }) => {
 
     setProcessingStep('detecting');
 
+    // Keep the unblurred frame so the blur can be adjusted before submitting
+    const rawSrc = canvas.toDataURL('image/jpeg', 0.92);
+    const frameSize = { width: canvas.width, height: canvas.height };
+
     try {
       const startTime = Date.now();
       const result = await applyAIPrivacyProtection(canvas);
       const processingTime = Date.now() - startTime;
+      setRawCapture({ src: rawSrc, ...frameSize, regions: result.regions || [] });
 
       console.log(`⚡ Privacy protection completed in ${processingTime}ms`);
 
@@ -389,6 +405,7 @@ const ReportFormMVP = ({ onReport, onClose }) => {
       }
     } catch (error) {
       console.warn('⚠️ Privacy protection failed:', error);
+      setRawCapture({ src: rawSrc, ...frameSize, regions: [] });
       setProcessingStep('complete');
       setSuccess('✅ Image captured');
     }
@@ -410,6 +427,15 @@ const ReportFormMVP = ({ onReport, onClose }) => {
     }, 'image/jpeg', 0.92);
   };
 
+  // Replace the photo with the one edited in the redaction editor
+  const handleBlurEdited = ({ file, dataUrl, regions }) => {
+    setForm(f => ({ ...f, image: file }));
+    setCapturedImage(dataUrl);
+    setRawCapture(prev => ({ ...prev, regions }));
+    setEditingBlur(false);
+    setSuccess(`✅ Privacy blur updated: ${regions.length} area(s) blurred`);
+  };
+
   const stopCamera = () => {
     if (stream) {
       stream.getTracks().forEach(track => track.stop());
@@ -524,6 +550,26 @@ const ReportFormMVP = ({ onReport, onClose }) => {
     }
   };
 
+  // Keep a report in the device outbox; MyReports lists it and it uploads once back online.
+  // Returns false when the outbox is unavailable so the caller can show the usual error.
+  const saveOffline = async (submission) => {
+    try {
+      await queueReport(submission);
+    } catch (queueError) {
+      console.error('Could not save report offline:', queueError);
+      return false;
+    }
+
+    setSuccess('');
+    setConfirmType('queued');
+    setConfirmMessage('You appear to be offline. Your report was saved on this device and will upload automatically when you are back online. You can follow it under My Reports.');
+    setShowConfirmModal(true);
+      setForm({ type: '', province: '', city: '', barangay: '', description: '', image: null, location: null });
+      setCapturedImage(null);
+      setAiStatus({ faces: 0, people: 0, plates: 0, active: false });
+    return true;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setError('');
@@ -560,29 +606,43 @@ const ReportFormMVP = ({ onReport, onClose }) => {
       return;
     }
 
-    const data = new FormData();
-    data.append('type', form.type);
-    data.append('province', form.province);
-    data.append('city', form.city);
-    data.append('barangay', form.barangay);
-    data.append('description', form.description);
-
     const provinceLabel = NEGROS_PROVINCES.find(p => p.value === form.province)?.label;
     const cityLabel = NEGROS_CITIES[form.province]?.find(c => c.value === form.city)?.label;
     const barangayLabel = NEGROS_BARANGAYS[form.city]?.find(b => b.value === form.barangay)?.label;
     const fullAddress = `${barangayLabel}, ${cityLabel}, ${provinceLabel}`;
 
-    data.append('location[address]', fullAddress);
-    data.append('location[coordinates][latitude]', form.location.lat);
-    data.append('location[coordinates][longitude]', form.location.lng);
-    data.append('images', form.image);
+    // Same submission is reused for offline retries; the key keeps them from duplicating
+    const submission = {
+      fields: {
+        type: form.type,
+        province: form.province,
+        city: form.city,
+        barangay: form.barangay,
+        description: form.description,
+        'location[address]': fullAddress,
+        'location[coordinates][latitude]': form.location.lat,
+        'location[coordinates][longitude]': form.location.lng
+      },
+      images: [{ blob: form.image, name: form.image.name || 'report.jpg' }],
+      idempotencyKey: createIdempotencyKey()
+    };
+    // Lets the server record which areas were blurred on this device
+    if (rawCapture && capturedImage) {
+      submission.fields.imageRedactions = JSON.stringify([{
+        width: rawCapture.width,
+        height: rawCapture.height,
+        regions: rawCapture.regions
+      }]);
+    }
+
+    // No signal - keep the report on the device and upload it later
+    if (!navigator.onLine && await saveOffline(submission)) {
+      setSubmitting(false);
+      return;
+    }
 
     try {
-      const response = await axios.post(`${config.API_BASE_URL}/reports/user`, data, {
-        headers: {
-          'Authorization': `Bearer ${localStorage.getItem('token')}`,
-        },
-        timeout: 60000, // Increased to 60s to allow Cloudinary uploads to finish without frontend dropping connection
+      const response = await postReport(submission, {
         onUploadProgress: (progressEvent) => {
           const percentCompleted = Math.round((progressEvent.loaded * 100) / progressEvent.total);
           console.log(`📤 Upload progress: ${percentCompleted}%`);
@@ -622,6 +682,12 @@ const ReportFormMVP = ({ onReport, onClose }) => {
     } catch (err) {
       console.error('Report submission error:', err);
 
+      // Lost connection or timed out - queue it (a retry of a report that did arrive is ignored)
+      if (isNetworkError(err) && await saveOffline(submission)) {
+        setSubmitting(false);
+        return;
+      }
+
       let errorMessage = '';
 
       if (err.response?.status === 413) {
@@ -642,7 +708,10 @@ const ReportFormMVP = ({ onReport, onClose }) => {
       } else if (err.response?.status === 403) {
         const errorData = err.response.data;
         if (errorData?.frozen) {
-          errorMessage = 'Your account has been frozen. You cannot submit reports.';
+          // The server message says until when, and whether it is a ban
+          errorMessage = errorData.error || 'Your account has been frozen. You cannot submit reports.';
+        } else if (errorData?.emailVerificationRequired) {
+          errorMessage = `${errorData.error}. You can verify it from your profile.`;
         } else {
           errorMessage = errorData?.error || 'You are not authorized to perform this action.';
         }
@@ -1119,6 +1188,11 @@ const ReportFormMVP = ({ onReport, onClose }) => {
                       <button type="button" onClick={retakePhoto} className="mvp-btn-icon">
                         🔄 Retake
                       </button>
+                      {rawCapture && (
+                        <button type="button" onClick={() => setEditingBlur(true)} className="mvp-btn-icon">
+                          ✏️ Adjust blur
+                        </button>
+                      )}
                       <button
                         type="button"
                         onClick={() => {
@@ -1135,6 +1209,15 @@ const ReportFormMVP = ({ onReport, onClose }) => {
                   </div>
                 )}
 
+                {editingBlur && rawCapture && (
+                  <RedactionEditor
+                    imageSrc={rawCapture.src}
+                    initialRegions={rawCapture.regions}
+                    onSave={handleBlurEdited}
+                    onCancel={() => setEditingBlur(false)}
+                  />
+                )}
+
                 {/* Empty State - Camera Button */}
                 {!showCamera && !capturedImage && (
                   <div className="mvp-photo-empty">
@@ -1212,9 +1295,14 @@ const ReportFormMVP = ({ onReport, onClose }) => {
         {showConfirmModal && (
           <div className="mvp-confirm-overlay">
             <div className="mvp-confirm-modal">
-              <div className={`mvp-confirm-header ${confirmType}`}>
-                <div className={`mvp-confirm-icon-wrap ${confirmType === 'warning' ? 'warning' : ''}`}>
-                  {confirmType === 'success' ? (
+              <div className={`mvp-confirm-header ${confirmType === 'queued' ? 'warning' : confirmType}`}>
+                <div className={`mvp-confirm-icon-wrap ${confirmType === 'warning' || confirmType === 'queued' ? 'warning' : ''}`}>
+                  {confirmType === 'queued' ? (
+                    <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#f59e0b" strokeWidth="3">
+                      <circle cx="12" cy="12" r="10"></circle>
+                      <polyline points="12 6 12 12 16 14"></polyline>
+                    </svg>
+                  ) : confirmType === 'success' ? (
                     <svg width="40" height="40" viewBox="0 0 24 24" fill="none" stroke="#10b981" strokeWidth="3">
                       <polyline points="20 6 9 17 4 12"></polyline>
                     </svg>
@@ -1233,7 +1321,8 @@ const ReportFormMVP = ({ onReport, onClose }) => {
                 </div>
                 <h3 className="mvp-confirm-title">
                   {confirmType === 'success' ? 'Report Submitted!' : 
-                   confirmType === 'warning' ? 'Spam Warning' : 'Submission Failed'}
+                   confirmType === 'warning' ? 'Spam Warning' :
+                   confirmType === 'queued' ? 'Saved Offline' : 'Submission Failed'}
                 </h3>
               </div>
               <div className="mvp-confirm-body">
@@ -1247,13 +1336,13 @@ const ReportFormMVP = ({ onReport, onClose }) => {
                 <button
                   onClick={() => {
                     setShowConfirmModal(false);
-                    if ((confirmType === 'success' || confirmType === 'warning') && onClose) {
+                    if ((confirmType === 'success' || confirmType === 'warning' || confirmType === 'queued') && onClose) {
                       onClose();
                     }
                   }}
-                  className={`mvp-btn mvp-btn-block ${confirmType === 'success' ? 'mvp-btn-success' : confirmType === 'warning' ? 'mvp-btn-warning' : 'mvp-btn-danger'}`}
+                  className={`mvp-btn mvp-btn-block ${confirmType === 'success' ? 'mvp-btn-success' : confirmType === 'warning' || confirmType === 'queued' ? 'mvp-btn-warning' : 'mvp-btn-danger'}`}
                 >
-                  {confirmType === 'success' || confirmType === 'warning' ? 'Continue' : 'Try Again'}
+                  {confirmType === 'success' || confirmType === 'warning' || confirmType === 'queued' ? 'Continue' : 'Try Again'}
                 </button>
               </div>
             </div>
@@ -1,6 +1,7 @@
 import { useEffect, useRef, useState } from 'react';
 import './ReportsMap.css';
 import config from '../config/index.js';
+import RouteHazards from './RouteHazards.jsx';
 
 // Map tile layers for different styles
 const MAP_TILES = {
@@ -27,6 +28,15 @@ const ReportsMap = ({ reports }) => {
   const [mapStyle, setMapStyle] = useState('streets');
   const [showHeatmap, setShowHeatmap] = useState(false);
 
+  // Route check: tap a start and end point, then show hazards along the way
+  const routeModeRef = useRef(false);
+  const routePointsRef = useRef([]);
+  const routeLayerRef = useRef(null);
+  const [routeMode, setRouteMode] = useState(false);
+  const [routePointCount, setRoutePointCount] = useState(0);
+  const [routeEndpoints, setRouteEndpoints] = useState(null);
+  const [showRouteHazards, setShowRouteHazards] = useState(false);
+
   // Center of Negros Occidental (approximate)
   const defaultCenter = { lat: 10.67, lng: 122.95 };
   const defaultZoom = 10;
@@ -115,6 +125,52 @@ const ReportsMap = ({ reports }) => {
 
     tileLayerRef.current = tileLayer;
     mapRef.current = newMap;
+
+    routeLayerRef.current = L.layerGroup().addTo(newMap);
+    newMap.on('click', handleRoutePointPick);
+  };
+
+  const resetRoutePicking = () => {
+    routePointsRef.current = [];
+    setRoutePointCount(0);
+    if (routeLayerRef.current) routeLayerRef.current.clearLayers();
+  };
+
+  const toggleRouteMode = () => {
+    const next = !routeModeRef.current;
+    routeModeRef.current = next;
+    setRouteMode(next);
+    resetRoutePicking();
+  };
+
+  const handleRoutePointPick = (e) => {
+    if (!routeModeRef.current || !window.L) return;
+
+    const point = { lat: e.latlng.lat, lng: e.latlng.lng };
+    routePointsRef.current = [...routePointsRef.current, point];
+    setRoutePointCount(routePointsRef.current.length);
+
+    window.L.circleMarker([point.lat, point.lng], {
+      radius: 8,
+      color: 'white',
+      weight: 2,
+      fillColor: routePointsRef.current.length === 1 ? '#10b981' : '#dc2626',
+      fillOpacity: 1
+    }).addTo(routeLayerRef.current);
+
+    if (routePointsRef.current.length === 2) {
+      const [origin, destination] = routePointsRef.current;
+      setRouteEndpoints({ origin, destination });
+      setShowRouteHazards(true);
+      routeModeRef.current = false;
+      setRouteMode(false);
+    }
+  };
+
+  const closeRouteHazards = () => {
+    setShowRouteHazards(false);
+    setRouteEndpoints(null);
+    resetRoutePicking();
   };
 
   // Update tile layer when map style changes
@@ -270,14 +326,35 @@ const ReportsMap = ({ reports }) => {
           >
             Heatmap 🔥
           </button>
+          <button 
+            className={`map-mode-btn ${routeMode ? 'active' : ''}`}
+            onClick={toggleRouteMode}
+          >
+            Route 🛣️
+          </button>
           <span className="map-count">{reports.length} reports</span>
         </div>
       </div>
+      {routeMode && (
+        <div className="route-pick-hint">
+          {routePointCount === 0 ? 'Tap your starting point on the map' : 'Now tap your destination'}
+          <button className="route-pick-paste" onClick={() => { toggleRouteMode(); setShowRouteHazards(true); }}>
+            or paste a route
+          </button>
+        </div>
+      )}
       <div 
         ref={mapContainerRef} 
         className="map-view"
         style={{ height: '400px', width: '100%', borderRadius: '0 0 12px 12px' }}
       />
+      {showRouteHazards && (
+        <RouteHazards
+          origin={routeEndpoints?.origin}
+          destination={routeEndpoints?.destination}
+          onClose={closeRouteHazards}
+        />
+      )}
     </div>
   );
 };
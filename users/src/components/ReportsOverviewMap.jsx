@@ -3,6 +3,8 @@ import L from 'leaflet';
 import 'leaflet/dist/leaflet.css';
 import './ReportsOverviewMap.css';
 import config from '../config';
+import { getReportImageUrl } from '../utils/imageUtils.js';
+import { ACTIVE_STATUSES } from '../utils/reportStatus.js';
 import { useSettings } from '../context/SettingsContext.jsx';
 
 // Fix for default marker icon
@@ -38,23 +40,29 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
   const markersLayerRef = useRef(null);
   const tileLayerRef = useRef(null);
   const updateLabelVisibilityRef = useRef(null);
+  const isPopupOpenRef = useRef(false);
+  const boundsTimeoutRef = useRef(null);
+  const [bbox, setBbox] = useState(null);
   const [reports, setReports] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isPopupOpen, setIsPopupOpen] = useState(false);
 
-  // Fetch all verified reports
+  // Fetch verified reports inside the current map viewport
   useEffect(() => {
+    // Wait until the map has reported its bounds
+    if (!bbox) return;
+
     const fetchReports = async () => {
       try {
         setIsLoading(true);
         const token = localStorage.getItem('token');
-        const statusParam = statusFilter === 'resolved' ? 'resolved' : 'verified';
+        const statusParam = statusFilter === 'resolved' ? 'resolved' : ACTIVE_STATUSES.join(',');
 
         console.log('🗺️ ReportsOverviewMap: Fetching reports...');
         console.log('🗺️ API URL:', `${config.API_BASE_URL}/reports`);
 
-        const response = await fetch(`${config.API_BASE_URL}/reports?status=${statusParam}&limit=100`, {
+        const response = await fetch(`${config.API_BASE_URL}/reports?status=${statusParam}&limit=200&bbox=${bbox}`, {
           headers: {
             'Authorization': `Bearer ${token}`
           }
@@ -122,7 +130,7 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
     };
 
     fetchReports();
-  }, [statusFilter]);
+  }, [statusFilter, bbox]);
 
   useEffect(() => {
     // Initialize map only once
@@ -165,14 +173,36 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
       mapInstanceRef.current.on('zoomend', updateLabelVisibility);
       updateLabelVisibility();
 
-      mapInstanceRef.current.on('popupopen', () => setIsPopupOpen(true));
-      mapInstanceRef.current.on('popupclose', () => setIsPopupOpen(false));
+      // Refetch whenever the viewport settles. Popups auto-pan the map, so
+      // skip refetching while one is open - reloading markers would close it.
+      const updateBounds = () => {
+        if (!mapInstanceRef.current || isPopupOpenRef.current) return;
+        clearTimeout(boundsTimeoutRef.current);
+        boundsTimeoutRef.current = setTimeout(() => {
+          if (!mapInstanceRef.current) return;
+          setBbox(mapInstanceRef.current.getBounds().toBBoxString());
+        }, 300);
+      };
+
+      mapInstanceRef.current.on('moveend', updateBounds);
+      updateBounds();
+
+      mapInstanceRef.current.on('popupopen', () => {
+        isPopupOpenRef.current = true;
+        setIsPopupOpen(true);
+      });
+      mapInstanceRef.current.on('popupclose', () => {
+        isPopupOpenRef.current = false;
+        setIsPopupOpen(false);
+        updateBounds();
+      });
 
       setIsLoading(false);
     }
 
     return () => {
       // Cleanup on unmount
+      clearTimeout(boundsTimeoutRef.current);
       if (mapInstanceRef.current) {
         mapInstanceRef.current.remove();
         mapInstanceRef.current = null;
@@ -253,31 +283,6 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
         });
       };
 
-      const recenterToVisibleReports = () => {
-        if (!mapInstanceRef.current || reportsWithLocation.length === 0) return;
-
-        if (reportsWithLocation.length === 1) {
-          const singleLat = Number(reportsWithLocation[0]?.location?.lat);
-          const singleLng = Number(reportsWithLocation[0]?.location?.lng);
-          if (!Number.isNaN(singleLat) && !Number.isNaN(singleLng)) {
-            mapInstanceRef.current.setView([singleLat, singleLng], 14, { animate: true });
-          }
-        } else {
-          const bounds = L.latLngBounds(
-            reportsWithLocation.map(r => [r.location.lat, r.location.lng])
-          );
-          mapInstanceRef.current.fitBounds(bounds, {
-            padding: [30, 30],
-            maxZoom: 13,
-            animate: true
-          });
-        }
-
-        if (updateLabelVisibilityRef.current) {
-          updateLabelVisibilityRef.current();
-        }
-      };
-
       // Add markers for each report
       reportsWithLocation.forEach(report => {
         const labelText = (() => {
@@ -303,27 +308,8 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
           opacity: 1
         });
 
-        // Create popup content with report image
-        const getImageUrl = (report) => {
-          if (report.images && report.images.length > 0) {
-            const firstImage = report.images[0];
-            // Check if it's base64 data
-            if (firstImage.data) {
-              return `data:${firstImage.mimetype || 'image/jpeg'};base64,${firstImage.data}`;
-            }
-            // Check if it's a full URL
-            if (typeof firstImage.filename === 'string') {
-              if (firstImage.filename.startsWith('http://') || firstImage.filename.startsWith('https://')) {
-                return firstImage.filename;
-              }
-            }
-            // Use image API endpoint
-            return `${config.BACKEND_URL}/api/reports/${report._id}/image/0`;
-          }
-          return null;
-        };
-
-        const imageUrl = getImageUrl(report);
+        // Popup photo uses the small variant
+        const imageUrl = getReportImageUrl(report, 0, 'small');
 
         const popupContent = `
           <div class="report-popup-content-root">
@@ -350,6 +336,11 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
                 ${report.description.substring(0, 100)}${report.description.length > 100 ? '...' : ''}
               </p>
             ` : ''}
+            ${report.confidence != null && (report.confirmationCounts?.stillThere || report.confirmationCounts?.fixed) ? `
+              <p style="margin: 0 0 6px 0; color: #4b5563; font-size: 11px;">
+                👀 ${report.confidence}% likely still present (${report.confirmationCounts.stillThere} still there, ${report.confirmationCounts.fixed} fixed)
+              </p>
+            ` : ''}
             <p style="margin: 6px 0 0 0; color: #9ca3af; font-size: 11px;">
               ${new Date(report.createdAt).toLocaleDateString('en-US', {
           month: 'short',
@@ -373,20 +364,8 @@ const ReportsOverviewMap = ({ searchQuery = '', statusFilter = 'reports' }) => {
           className: 'report-map-popup'
         });
 
-        // When popup is closed, re-center to show all visible reports.
-        marker.on('popupclose', () => {
-          setTimeout(recenterToVisibleReports, 120);
-        });
-
         markersLayerRef.current.addLayer(marker);
       });
-
-      // Center map to show all visible reports
-      if (reportsWithLocation.length > 0) {
-        setTimeout(() => {
-          recenterToVisibleReports();
-        }, 100);
-      }
     }
   }, [reports, searchQuery]); // Re-run when reports or searchQuery changes
 
@@ -0,0 +1,255 @@
+import { useEffect, useRef, useState } from 'react';
+import L from 'leaflet';
+import 'leaflet/dist/leaflet.css';
+import './RouteHazards.css';
+import config from '../config/index.js';
+
+// Public OSRM demo server - used only to turn two points into a road route.
+// Anything else (offline, rate limited) falls back to a straight line.
+const OSRM_ROUTE_URL = 'https://router.project-osrm.org/route/v1/driving';
+
+const BUFFER_OPTIONS = [50, 100, 250, 500];
+
+const SEVERITY_COLORS = {
+  high: '#dc2626',
+  medium: '#f59e0b',
+  low: '#10b981'
+};
+
+const formatDistance = (meters) => (meters >= 1000 ? `${(meters / 1000).toFixed(1)} km` : `${meters} m`);
+
+// Ask OSRM for a driving route between two points; returns an encoded polyline or null
+const fetchRoadRoute = async (origin, destination) => {
+  try {
+    const coords = `${origin.lng},${origin.lat};${destination.lng},${destination.lat}`;
+    const response = await fetch(`${OSRM_ROUTE_URL}/${coords}?overview=full&geometries=polyline`);
+    if (!response.ok) return null;
+    const data = await response.json();
+    return data.routes?.[0]?.geometry || null;
+  } catch (error) {
+    console.warn('⚠️ Routing service unavailable, using straight line:', error.message);
+    return null;
+  }
+};
+
+// Work out which request body a pasted route string represents
+const parseRouteInput = (text) => {
+  const trimmed = text.trim();
+  if (trimmed.startsWith('{')) {
+    return { geometry: trimmed };
+  }
+  return { polyline: trimmed };
+};
+
+/**
+ * RouteHazards Component
+ *
+ * Shows verified hazards within a buffer of a route, in the order you will
+ * reach them. The route comes from two points picked on ReportsMap (routed
+ * through OSRM when available) or from a pasted encoded polyline / GeoJSON
+ * LineString, so it also works without a routing service.
+ */
+const RouteHazards = ({ origin, destination, onClose }) => {
+  const mapContainerRef = useRef(null);
+  const mapRef = useRef(null);
+  const layersRef = useRef(null);
+  const [routeInput, setRouteInput] = useState('');
+  const [bufferMeters, setBufferMeters] = useState(100);
+  const [routeBody, setRouteBody] = useState(null);
+  const [routeNote, setRouteNote] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+
+  // Initialize map once
+  useEffect(() => {
+    if (mapRef.current || !mapContainerRef.current) return;
+
+    mapRef.current = L.map(mapContainerRef.current, { tap: false, keyboard: false })
+      .setView([10.67, 122.95], 10);
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+      attribution: '© OpenStreetMap contributors',
+      maxZoom: 19
+    }).addTo(mapRef.current);
+    layersRef.current = L.layerGroup().addTo(mapRef.current);
+
+    return () => {
+      if (mapRef.current) {
+        mapRef.current.remove();
+        mapRef.current = null;
+      }
+    };
+  }, []);
+
+  // Build a route from the two points picked on the map
+  useEffect(() => {
+    if (!origin || !destination) return;
+
+    const buildRoute = async () => {
+      setLoading(true);
+      const polyline = await fetchRoadRoute(origin, destination);
+      if (polyline) {
+        setRouteNote('Route from OpenStreetMap routing');
+        setRouteBody({ polyline });
+      } else {
+        setRouteNote('Straight line between your points (routing service unavailable)');
+        setRouteBody({
+          geometry: {
+            type: 'LineString',
+            coordinates: [[origin.lng, origin.lat], [destination.lng, destination.lat]]
+          }
+        });
+      }
+    };
+
+    buildRoute();
+  }, [origin, destination]);
+
+  // Ask the backend for hazards along the current route
+  useEffect(() => {
+    if (!routeBody) return;
+
+    const checkRoute = async () => {
+      setLoading(true);
+      setError('');
+      try {
+        const response = await fetch(`${config.API_BASE_URL}/reports/along-route`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ ...routeBody, bufferMeters })
+        });
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+          throw new Error(data.error || `Route check failed: ${response.status}`);
+        }
+        setResult(data);
+      } catch (err) {
+        console.error('❌ Route check error:', err);
+        setError(err.message);
+        setResult(null);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    checkRoute();
+  }, [routeBody, bufferMeters]);
+
+  // Draw the route and its hazards
+  useEffect(() => {
+    if (!mapRef.current || !layersRef.current) return;
+    layersRef.current.clearLayers();
+    if (!result) return;
+
+    const line = L.polyline(
+      result.route.coordinates.map(([lng, lat]) => [lat, lng]),
+      { color: '#3b82f6', weight: 5, opacity: 0.8 }
+    ).addTo(layersRef.current);
+
+    result.data.forEach((hazard, index) => {
+      const { latitude, longitude } = hazard.location.coordinates;
+      L.circleMarker([latitude, longitude], {
+        radius: 9,
+        color: 'white',
+        weight: 2,
+        fillColor: SEVERITY_COLORS[hazard.severity] || '#6b7280',
+        fillOpacity: 0.95
+      })
+        .bindTooltip(`${index + 1}`, { permanent: true, direction: 'center', className: 'route-hazard-number' })
+        .bindPopup(`
+          <strong style="text-transform: capitalize;">${hazard.type}</strong><br/>
+          ${hazard.location.address || ''}<br/>
+          <small>${formatDistance(hazard.distanceAlongRoute)} along route · ${hazard.severity} severity</small>
+        `)
+        .addTo(layersRef.current);
+    });
+
+    mapRef.current.fitBounds(line.getBounds().pad(0.1));
+  }, [result]);
+
+  const handleCheckPasted = () => {
+    if (!routeInput.trim()) {
+      setError('Paste an encoded polyline or a GeoJSON LineString first');
+      return;
+    }
+    setRouteNote('Pasted route');
+    setRouteBody(parseRouteInput(routeInput));
+  };
+
+  return (
+    <div className="route-hazards-overlay">
+      <div className="route-hazards-screen">
+        <div className="map-header">
+          <div className="header-main">
+            <span className="map-icon">🛣️</span>
+            <h3>Hazards Along My Route</h3>
+          </div>
+          <button className="map-mode-btn" onClick={onClose}>Close</button>
+        </div>
+
+        <div className="route-hazards-body">
+          <div className="route-hazards-controls">
+            <label className="route-hazards-label">Buffer around route</label>
+            <div className="map-controls">
+              {BUFFER_OPTIONS.map(option => (
+                <button
+                  key={option}
+                  className={`route-buffer-btn ${bufferMeters === option ? 'active' : ''}`}
+                  onClick={() => setBufferMeters(option)}
+                >
+                  {option} m
+                </button>
+              ))}
+            </div>
+
+            <label className="route-hazards-label">Or paste a route</label>
+            <textarea
+              className="route-hazards-input"
+              value={routeInput}
+              onChange={(e) => setRouteInput(e.target.value)}
+              placeholder='Encoded polyline, or {"type":"LineString","coordinates":[[lng,lat],...]}'
+              rows={3}
+            />
+            <button className="route-check-btn" onClick={handleCheckPasted} disabled={loading}>
+              {loading ? 'Checking...' : 'Check Route'}
+            </button>
+          </div>
+
+          <div ref={mapContainerRef} className="route-hazards-map" />
+
+          {routeNote && <p className="route-hazards-note">{routeNote}</p>}
+          {error && <p className="route-hazards-error">⚠️ {error}</p>}
+
+          {result && (
+            <div className="route-hazards-list">
+              <h4>
+                {result.count === 0
+                  ? `No verified hazards within ${result.bufferMeters} m of your route 🎉`
+                  : `${result.count} hazard${result.count === 1 ? '' : 's'} along ${formatDistance(result.route.lengthMeters)}`}
+              </h4>
+              {result.data.map((hazard, index) => (
+                <div key={hazard._id} className="route-hazard-item">
+                  <span
+                    className="route-hazard-index"
+                    style={{ background: SEVERITY_COLORS[hazard.severity] || '#6b7280' }}
+                  >
+                    {index + 1}
+                  </span>
+                  <div className="route-hazard-info">
+                    <strong>{hazard.type}</strong>
+                    <span>{[hazard.barangay, hazard.city].filter(Boolean).join(', ') || hazard.location.address}</span>
+                    <small>
+                      {formatDistance(hazard.distanceAlongRoute)} along route · {hazard.distanceFromRoute} m off route · {hazard.severity} severity
+                    </small>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RouteHazards;
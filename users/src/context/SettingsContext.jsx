@@ -39,6 +39,7 @@ const DEFAULT_SETTINGS = {
   // Users
   allow_user_registration: true,
   require_email_verification: false,
+  require_phone_verification_for_sos: false,
   min_password_length: 8,
   session_timeout_minutes: 1440,
   
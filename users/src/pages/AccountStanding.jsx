@@ -0,0 +1,224 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import config from '../config/index.js';
+
+const getAuthHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const ACTION_LABELS = {
+  warning: '⚠️ Warning',
+  cooldown: '⏸️ Reporting paused',
+  freeze: '🧊 Account frozen',
+  ban: '⛔ Account banned',
+  unfreeze: '🔓 Account unfrozen',
+  lift: '✅ Lifted on appeal'
+};
+
+// Actions a user can appeal
+const APPEALABLE = ['warning', 'cooldown', 'freeze', 'ban'];
+
+// Evidence files per appeal (photos or PDFs)
+const MAX_EVIDENCE = 3;
+
+const APPEAL_LABELS = {
+  pending: 'Appeal under review',
+  approved: 'Appeal approved',
+  denied: 'Appeal denied'
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+/**
+ * AccountStanding Page
+ *
+ * Shows what currently limits the account (cooldown, freeze, ban), every
+ * warning or restriction it received, and lets the user appeal them.
+ */
+const AccountStanding = ({ onBack }) => {
+  const [restriction, setRestriction] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [appealingId, setAppealingId] = useState(null);
+  const [appealText, setAppealText] = useState('');
+  const [evidence, setEvidence] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  useEffect(() => {
+    const fetchStanding = async () => {
+      try {
+        const res = await axios.get(`${config.API_BASE_URL}/users/me`, { headers: getAuthHeaders() });
+        if (res.data.success) {
+          setRestriction(res.data.data.restriction || null);
+          setHistory(res.data.data.enforcementHistory || []);
+        }
+      } catch (err) {
+        console.error('Account standing fetch error:', err);
+        setError('Failed to load your account standing');
+      }
+      setLoading(false);
+    };
+
+    fetchStanding();
+  }, []);
+
+  const openAppealForm = (entryId) => {
+    setAppealingId(entryId);
+    setAppealText('');
+    setEvidence([]);
+    setError('');
+  };
+
+  const closeAppealForm = () => {
+    setAppealingId(null);
+    setAppealText('');
+    setEvidence([]);
+  };
+
+  const handleAppeal = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (appealText.trim().length < 10) {
+      setError('Please explain your appeal (at least 10 characters)');
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const formData = new FormData();
+      formData.append('message', appealText.trim());
+      evidence.forEach(file => formData.append('evidence', file));
+
+      const res = await axios.post(
+        `${config.API_BASE_URL}/users/me/enforcement/${appealingId}/appeal`,
+        formData,
+        { headers: getAuthHeaders() }
+      );
+      if (res.data.success) {
+        setHistory(prev => prev.map(entry => (entry._id === appealingId ? res.data.data : entry)));
+        closeAppealForm();
+        setMessage(res.data.message);
+        setTimeout(() => setMessage(''), 3000);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to submit appeal');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-card profile-card--edit">
+          <div className="profile-edit-header">
+            <button className="profile-back-btn" onClick={onBack}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+              </svg>
+            </button>
+            <h2 className="profile-edit-title">Account Standing</h2>
+          </div>
+
+          {message && (
+            <div className="profile-toast profile-toast--success">
+              <span>✓</span> {message}
+            </div>
+          )}
+          {error && (
+            <div className="profile-toast profile-toast--error">
+              <span>⚠️</span> {error}
+              <button className="profile-toast__close" onClick={() => setError('')}>×</button>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="profile-switch-desc">Loading account standing...</p>
+          ) : (
+            <div className="profile-form">
+              <div className="profile-form-group">
+                <span className="profile-label">Current status</span>
+                <span className="profile-switch-desc" style={{ color: restriction ? '#b91c1c' : '#15803d' }}>
+                  {restriction ? restriction.message : '✅ Your account is in good standing. You can submit reports.'}
+                </span>
+              </div>
+
+              {history.length === 0 && (
+                <p className="profile-switch-desc">No warnings or restrictions on your account.</p>
+              )}
+
+              {[...history].reverse().map(entry => (
+                <div key={entry._id} className="profile-form-group">
+                  <span className="profile-label">{ACTION_LABELS[entry.action] || entry.action}</span>
+                  <span className="profile-switch-desc">
+                    {entry.reason}
+                    <br />
+                    {formatDateTime(entry.at)}{entry.until ? ` · until ${formatDateTime(entry.until)}` : ''}
+                  </span>
+
+                  {entry.appeal?.status && (
+                    <span className="profile-switch-desc" style={{ fontWeight: 600 }}>
+                      {APPEAL_LABELS[entry.appeal.status]}
+                      {entry.appeal.response ? `: ${entry.appeal.response}` : ''}
+                    </span>
+                  )}
+
+                  {APPEALABLE.includes(entry.action) && !entry.appeal?.status && !entry.liftedAt && (
+                    appealingId === entry._id ? (
+                      <form onSubmit={handleAppeal}>
+                        <textarea
+                          className="profile-textarea"
+                          rows={4}
+                          maxLength={1000}
+                          value={appealText}
+                          onChange={(e) => setAppealText(e.target.value)}
+                          placeholder="Explain why this should be lifted"
+                        ></textarea>
+                        <label className="profile-file-hint" style={{ display: 'block', cursor: 'pointer', margin: '6px 0' }}>
+                          📎 {evidence.length > 0 ? `${evidence.length} file(s) attached` : `Attach evidence (up to ${MAX_EVIDENCE} photos or PDFs)`}
+                          <input
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp,application/pdf"
+                            multiple
+                            style={{ display: 'none' }}
+                            onChange={(e) => setEvidence(Array.from(e.target.files).slice(0, MAX_EVIDENCE))}
+                          />
+                        </label>
+                        <div className="profile-image-actions">
+                          <button type="submit" className="profile-btn profile-btn--text profile-btn--sm" disabled={submitting}>
+                            {submitting ? 'Sending...' : 'Send appeal'}
+                          </button>
+                          <button
+                            type="button"
+                            className="profile-btn profile-btn--text profile-btn--sm"
+                            onClick={closeAppealForm}
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      </form>
+                    ) : (
+                      <div className="profile-image-actions">
+                        <button
+                          className="profile-btn profile-btn--text profile-btn--sm"
+                          onClick={() => openAppealForm(entry._id)}
+                        >
+                          Appeal
+                        </button>
+                      </div>
+                    )
+                  )}
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountStanding;
@@ -0,0 +1,301 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import config from '../config/index.js';
+import { getReverseGeocode } from '../services/geocoding';
+
+const RADIUS_OPTIONS = [500, 1000, 2000, 5000, 10000, 20000];
+
+const formatRadius = (meters) => (meters >= 1000 ? `${meters / 1000} km` : `${meters} m`);
+
+const getAuthHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * AlertAreas Page
+ *
+ * Lets users save places (home, work...) and a radius, so they only get
+ * hazard alerts for reports near the places they care about.
+ */
+const AlertAreas = ({ onBack }) => {
+  const [areas, setAreas] = useState([]);
+  const [limits, setLimits] = useState({ maxAreas: 5, maxRadiusMeters: 20000 });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [locating, setLocating] = useState(false);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [form, setForm] = useState({
+    label: '',
+    radiusMeters: 2000,
+    isHome: false,
+    latitude: null,
+    longitude: null,
+    address: ''
+  });
+
+  useEffect(() => {
+    const fetchAreas = async () => {
+      try {
+        const res = await axios.get(`${config.API_BASE_URL}/users/me/alert-areas`, { headers: getAuthHeaders() });
+        if (res.data.success) {
+          setAreas(res.data.data || []);
+          if (res.data.limits) setLimits(res.data.limits);
+        }
+      } catch (err) {
+        console.error('Alert areas fetch error:', err);
+        setError('Failed to load alert areas');
+      }
+      setLoading(false);
+    };
+
+    fetchAreas();
+  }, []);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleUseCurrentLocation = () => {
+    if (!navigator.geolocation) {
+      setError('Location is not supported on this device');
+      return;
+    }
+
+    setLocating(true);
+    setError('');
+    navigator.geolocation.getCurrentPosition(
+      async (position) => {
+        const { latitude, longitude } = position.coords;
+        const geocode = await getReverseGeocode(latitude, longitude);
+        setForm(prev => ({
+          ...prev,
+          latitude,
+          longitude,
+          address: geocode.fullAddress || `${latitude.toFixed(5)}, ${longitude.toFixed(5)}`
+        }));
+        setLocating(false);
+      },
+      (err) => {
+        console.error('Location error:', err);
+        setError('Could not get your location. Please allow location access and try again.');
+        setLocating(false);
+      },
+      { enableHighAccuracy: true, timeout: 15000 }
+    );
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (!form.label.trim()) {
+      setError('Please give this place a name');
+      return;
+    }
+    if (form.latitude === null || form.longitude === null) {
+      setError('Please set the location first');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const res = await axios.post(`${config.API_BASE_URL}/users/me/alert-areas`, form, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        const saved = res.data.data;
+        setAreas(prev => [
+          ...prev.map(area => (saved.isHome ? { ...area, isHome: false } : area)),
+          saved
+        ]);
+        setForm({ label: '', radiusMeters: 2000, isHome: false, latitude: null, longitude: null, address: '' });
+        showMessage('Alert area saved!');
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to save alert area');
+    }
+    setSaving(false);
+  };
+
+  const handleUpdate = async (area, changes) => {
+    setError('');
+    try {
+      const res = await axios.put(`${config.API_BASE_URL}/users/me/alert-areas/${area._id}`, changes, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        const updated = res.data.data;
+        setAreas(prev => prev.map(a => {
+          if (a._id === updated._id) return updated;
+          return updated.isHome ? { ...a, isHome: false } : a;
+        }));
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to update alert area');
+    }
+  };
+
+  const handleDelete = async (area) => {
+    if (!window.confirm(`Stop alerts for "${area.label}"?`)) return;
+
+    setError('');
+    try {
+      await axios.delete(`${config.API_BASE_URL}/users/me/alert-areas/${area._id}`, { headers: getAuthHeaders() });
+      setAreas(prev => prev.filter(a => a._id !== area._id));
+      showMessage('Alert area removed');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete alert area');
+    }
+  };
+
+  const radiusOptions = RADIUS_OPTIONS.filter(r => r <= limits.maxRadiusMeters);
+  const canAddMore = areas.length < limits.maxAreas;
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-card profile-card--edit">
+          <div className="profile-edit-header">
+            <button className="profile-back-btn" onClick={onBack}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+              </svg>
+            </button>
+            <h2 className="profile-edit-title">Alert Areas</h2>
+          </div>
+
+          <p className="profile-switch-desc">
+            You will only be alerted about verified hazards and emergencies within the radius of these places.
+          </p>
+
+          {message && (
+            <div className="profile-toast profile-toast--success">
+              <span>✓</span> {message}
+            </div>
+          )}
+          {error && (
+            <div className="profile-toast profile-toast--error">
+              <span>⚠️</span> {error}
+              <button className="profile-toast__close" onClick={() => setError('')}>×</button>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="profile-switch-desc">Loading alert areas...</p>
+          ) : (
+            <div className="profile-form">
+              {areas.length === 0 && (
+                <p className="profile-switch-desc">
+                  No saved places yet. Add your home so you get alerts for hazards near you.
+                </p>
+              )}
+
+              {areas.map(area => (
+                <div key={area._id} className="profile-form-group profile-form-group--switch">
+                  <div className="profile-switch-info">
+                    <span className="profile-label">
+                      {area.isHome ? '🏠 ' : '📍 '}{area.label}
+                    </span>
+                    <span className="profile-switch-desc">
+                      {formatRadius(area.radiusMeters)} around {area.location?.address || 'saved location'}
+                    </span>
+                    <div className="profile-image-actions">
+                      {!area.isHome && (
+                        <button className="profile-btn profile-btn--text profile-btn--sm" onClick={() => handleUpdate(area, { isHome: true })}>
+                          Set as home
+                        </button>
+                      )}
+                      <button className="profile-btn profile-btn--text profile-btn--sm" onClick={() => handleDelete(area)}>
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                  <label className="profile-switch">
+                    <input
+                      type="checkbox"
+                      checked={area.isActive !== false}
+                      onChange={(e) => handleUpdate(area, { isActive: e.target.checked })}
+                    />
+                    <span className="profile-slider"></span>
+                  </label>
+                </div>
+              ))}
+
+              {canAddMore ? (
+                <form onSubmit={handleAdd}>
+                  <div className="profile-form-group">
+                    <label className="profile-label">Place name</label>
+                    <input
+                      type="text"
+                      className="profile-input"
+                      value={form.label}
+                      maxLength={50}
+                      onChange={(e) => setForm(prev => ({ ...prev, label: e.target.value }))}
+                      placeholder="e.g. Home, Work, School"
+                    />
+                  </div>
+
+                  <div className="profile-form-group">
+                    <label className="profile-label">Location</label>
+                    <button
+                      type="button"
+                      className="profile-btn profile-btn--outline profile-btn--block"
+                      onClick={handleUseCurrentLocation}
+                      disabled={locating}
+                    >
+                      {locating ? 'Getting location...' : '📍 Use my current location'}
+                    </button>
+                    {form.latitude !== null && (
+                      <span className="profile-switch-desc">{form.address}</span>
+                    )}
+                  </div>
+
+                  <div className="profile-form-group">
+                    <label className="profile-label">Alert me within</label>
+                    <div className="profile-gender-options">
+                      {radiusOptions.map(radius => (
+                        <label key={radius} className={`profile-gender-chip ${form.radiusMeters === radius ? 'active' : ''}`}>
+                          <input
+                            type="radio"
+                            name="radiusMeters"
+                            checked={form.radiusMeters === radius}
+                            onChange={() => setForm(prev => ({ ...prev, radiusMeters: radius }))}
+                            hidden
+                          />
+                          {formatRadius(radius)}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+
+                  <div className="profile-form-group profile-form-group--switch">
+                    <div className="profile-switch-info">
+                      <span className="profile-label">This is my home</span>
+                    </div>
+                    <label className="profile-switch">
+                      <input
+                        type="checkbox"
+                        checked={form.isHome}
+                        onChange={(e) => setForm(prev => ({ ...prev, isHome: e.target.checked }))}
+                      />
+                      <span className="profile-slider"></span>
+                    </label>
+                  </div>
+
+                  <div className="profile-form-actions">
+                    <button type="submit" className="profile-save-btn" disabled={saving}>
+                      {saving ? 'Saving...' : 'Add Alert Area'}
+                    </button>
+                  </div>
+                </form>
+              ) : (
+                <p className="profile-switch-desc">
+                  You have reached the limit of {limits.maxAreas} alert areas.
+                </p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AlertAreas;
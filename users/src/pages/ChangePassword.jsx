@@ -1,6 +1,7 @@
 import React, { useState } from 'react';
 import axios from 'axios';
 import config from '../config/index.js';
+import { signOut } from '../services/sessionClient.js';
 
 const ChangePassword = ({ onBack, onLogout }) => {
   const [passwordData, setPasswordData] = useState({
@@ -61,7 +62,7 @@ const ChangePassword = ({ onBack, onLogout }) => {
         
         // Auto logout after successful password change for security
         setTimeout(() => {
-          localStorage.removeItem('token');
+          signOut();
           localStorage.removeItem('user');
           onLogout();
         }, 3000);
@@ -0,0 +1,167 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import config from '../config/index.js';
+
+const getAuthHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+/**
+ * EmailVerification Page
+ *
+ * Shows whether the user's email is verified and lets them enter the code
+ * from the verification email or have a new email sent.
+ */
+const EmailVerification = ({ onBack, onVerified }) => {
+  const [verification, setVerification] = useState(null);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [retryAfter, setRetryAfter] = useState(0);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const res = await axios.get(`${config.API_BASE_URL}/auth/verification-status`, { headers: getAuthHeaders() });
+        if (res.data.success) {
+          setVerification(res.data.verification);
+          setRetryAfter(res.data.verification.retryAfter || 0);
+        }
+      } catch (err) {
+        console.error('Email verification status error:', err);
+        setError('Failed to load your verification status');
+      }
+      setLoading(false);
+    };
+
+    fetchStatus();
+  }, []);
+
+  // Count down until another email may be requested
+  useEffect(() => {
+    if (retryAfter <= 0) return undefined;
+    const timer = setTimeout(() => setRetryAfter(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retryAfter]);
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+    try {
+      const res = await axios.post(`${config.API_BASE_URL}/auth/verify-email`, { code: code.trim() }, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        setVerification(res.data.verification);
+        setMessage('Your email address is verified');
+        if (onVerified) onVerified();
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Verification failed. Please try again.');
+    }
+    setCode('');
+    setSubmitting(false);
+  };
+
+  const handleResend = async () => {
+    setSending(true);
+    setError('');
+    try {
+      const res = await axios.post(`${config.API_BASE_URL}/auth/resend-verification`, {}, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        setMessage(res.data.message);
+        setRetryAfter(60);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to send the verification email');
+      if (err.response?.data?.retryAfter) {
+        setRetryAfter(err.response.data.retryAfter);
+      }
+    }
+    setSending(false);
+  };
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-card profile-card--edit">
+          <div className="profile-edit-header">
+            <button className="profile-back-btn" onClick={onBack}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+              </svg>
+            </button>
+            <h2 className="profile-edit-title">Email Verification</h2>
+          </div>
+
+          {message && (
+            <div className="profile-toast profile-toast--success">
+              <span>✓</span> {message}
+            </div>
+          )}
+          {error && (
+            <div className="profile-toast profile-toast--error">
+              <span>⚠️</span> {error}
+              <button className="profile-toast__close" onClick={() => setError('')}>×</button>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="profile-switch-desc">Loading...</p>
+          ) : verification?.isVerified ? (
+            <div className="profile-form">
+              <div className="profile-form-group">
+                <span className="profile-label">{verification.email}</span>
+                <span className="profile-switch-desc" style={{ color: '#15803d' }}>
+                  ✓ Verified{verification.verificationDate ? ` on ${new Date(verification.verificationDate).toLocaleDateString()}` : ''}
+                </span>
+              </div>
+            </div>
+          ) : verification && (
+            <form className="profile-form" onSubmit={handleVerify}>
+              <div className="profile-form-group">
+                <span className="profile-label">{verification.email}</span>
+                <span className="profile-switch-desc">
+                  Enter the 6-digit code from the verification email, or open the link in that email.
+                </span>
+              </div>
+
+              <div className="profile-form-group">
+                <label className="profile-label" htmlFor="verification-code">Verification code</label>
+                <input
+                  id="verification-code"
+                  className="profile-input"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="one-time-code"
+                  maxLength={6}
+                  placeholder="123456"
+                  value={code}
+                  onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                />
+              </div>
+
+              <button type="submit" className="profile-btn profile-btn--primary" disabled={submitting || code.length !== 6}>
+                {submitting ? 'Verifying...' : 'Verify Email'}
+              </button>
+
+              <div className="profile-image-actions">
+                <button
+                  type="button"
+                  className="profile-btn profile-btn--text profile-btn--sm"
+                  onClick={handleResend}
+                  disabled={sending || retryAfter > 0}
+                >
+                  {sending ? 'Sending...' : retryAfter > 0 ? `Resend email in ${retryAfter}s` : 'Resend verification email'}
+                </button>
+              </div>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerification;
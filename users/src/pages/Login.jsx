@@ -18,6 +18,7 @@ const Login = ({ onLogin, switchToRegister }) => {
   const [forgotPasswordMode, setForgotPasswordMode] = useState(false);
   const [resetStep, setResetStep] = useState(1); // 1: Email, 2: OTP, 3: New Password
   const [otp, setOtp] = useState('');
+  const [resetToken, setResetToken] = useState(''); // One-time token from a verified OTP
   const [newPassword, setNewPassword] = useState('');
   const [confirmNewPassword, setConfirmNewPassword] = useState('');
   const [resetMessage, setResetMessage] = useState('');
@@ -45,6 +46,7 @@ const Login = ({ onLogin, switchToRegister }) => {
     setResetMessage('');
     setResetStep(1);
     setOtp('');
+    setResetToken('');
     setNewPassword('');
     setConfirmNewPassword('');
     setFormKey(Date.now());
@@ -80,9 +82,8 @@ const Login = ({ onLogin, switchToRegister }) => {
                   });
 
                   if (loginResponse.data.token) {
-                    localStorage.setItem('token', loginResponse.data.token);
                     localStorage.setItem('user', JSON.stringify(loginResponse.data.user));
-                    onLogin(loginResponse.data.user);
+                    onLogin(loginResponse.data);
                   }
                 } catch (err) {
                   console.error('❌ Google auto-button login error:', err);
@@ -148,11 +149,12 @@ const Login = ({ onLogin, switchToRegister }) => {
           return;
         }
 
-        await axios.post(`${config.API_BASE_URL}/auth/verify-otp`, {
+        const res = await axios.post(`${config.API_BASE_URL}/auth/verify-otp`, {
           email: loginId.trim(),
           otp: otp.trim()
         });
 
+        setResetToken(res.data.resetToken);
         setResetMessage('OTP verified! Now set your new password.');
         setResetStep(3);
       } else if (resetStep === 3) {
@@ -171,11 +173,11 @@ const Login = ({ onLogin, switchToRegister }) => {
 
         await axios.post(`${config.API_BASE_URL}/auth/reset-password`, {
           email: loginId.trim(),
-          otp: otp.trim(),
+          resetToken,
           newPassword
         });
 
-        setResetMessage('Password reset successful! You can now sign in.');
+        setResetMessage('Password reset successful! All devices were signed out. You can now sign in.');
         setTimeout(() => {
           setForgotPasswordMode(false);
           setResetStep(1);
@@ -218,7 +220,7 @@ const Login = ({ onLogin, switchToRegister }) => {
       const res = await axios.post(`${config.API_BASE_URL}/auth/login`, loginPayload, {
         timeout: 30000 // 30 seconds for sleeping Render backend
       });
-      onLogin(res.data.token);
+      onLogin(res.data);
     } catch (err) {
       if (err.code === 'ECONNREFUSED' || (err.message && err.message.includes('Network Error'))) {
         showError('Cannot connect to server. Please check your internet connection.');
@@ -285,9 +287,8 @@ const Login = ({ onLogin, switchToRegister }) => {
 
             console.log('✅ Backend response:', loginResponse.data);
             if (loginResponse.data.token) {
-              localStorage.setItem('token', loginResponse.data.token);
               localStorage.setItem('user', JSON.stringify(loginResponse.data.user));
-              onLogin(loginResponse.data.user);
+              onLogin(loginResponse.data);
             }
           } catch (err) {
             console.error('❌ Google login error:', err);
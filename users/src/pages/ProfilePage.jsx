@@ -2,9 +2,14 @@ import React, { useEffect, useState } from 'react';
 import axios from 'axios';
 import config from '../config/index.js';
 import ChangePassword from './ChangePassword.jsx';
+import AlertAreas from './AlertAreas.jsx';
+import AccountStanding from './AccountStanding.jsx';
+import SignedInDevices from './SignedInDevices.jsx';
+import EmailVerification from './EmailVerification.jsx';
+import PhoneVerification from './PhoneVerification.jsx';
 import './ProfilePage.css';
 
-const ProfilePage = ({ token, prefetchedUser, onBack, onLogout, onUserUpdate }) => {
+const ProfilePage = ({ token, prefetchedUser, onBack, onLogout, onUserUpdate, initialSection = 'view' }) => {
   // User data states
   const [user, setUser] = useState(prefetchedUser || null);
   const [stats, setStats] = useState({
@@ -20,7 +25,7 @@ const ProfilePage = ({ token, prefetchedUser, onBack, onLogout, onUserUpdate })
   const [saving, setSaving] = useState(false);
   const [error, setError] = useState('');
   const [successMessage, setSuccessMessage] = useState('');
-  const [activeSection, setActiveSection] = useState('view'); // 'view' or 'edit'
+  const [activeSection, setActiveSection] = useState(initialSection); // 'view', 'edit', 'changePassword', 'alertAreas', 'accountStanding' or 'devices'
   const [showChangePassword, setShowChangePassword] = useState(false);
   
   const [formData, setFormData] = useState({
@@ -273,6 +278,47 @@ const ProfilePage = ({ token, prefetchedUser, onBack, onLogout, onUserUpdate })
     return <ChangePassword onBack={() => setActiveSection('view')} onLogout={onLogout} />;
   }
 
+  // Alert areas view
+  if (activeSection === 'alertAreas') {
+    return <AlertAreas onBack={() => setActiveSection('view')} />;
+  }
+
+  // Account standing (warnings, restrictions, appeals) view
+  if (activeSection === 'accountStanding') {
+    return <AccountStanding onBack={() => setActiveSection('view')} />;
+  }
+
+  // Signed-in devices (sessions) view
+  if (activeSection === 'devices') {
+    return <SignedInDevices onBack={() => setActiveSection('view')} />;
+  }
+
+  // Email verification view
+  if (activeSection === 'emailVerification') {
+    return (
+      <EmailVerification
+        onBack={() => setActiveSection('view')}
+        onVerified={() => {
+          setUser(prev => (prev ? { ...prev, emailVerified: true } : prev));
+          if (onUserUpdate) onUserUpdate();
+        }}
+      />
+    );
+  }
+
+  // Phone verification view
+  if (activeSection === 'phoneVerification') {
+    return (
+      <PhoneVerification
+        onBack={() => setActiveSection('view')}
+        onVerified={() => {
+          setUser(prev => (prev ? { ...prev, phoneVerified: true } : prev));
+          if (onUserUpdate) onUserUpdate();
+        }}
+      />
+    );
+  }
+
   // Edit Profile View
   if (activeSection === 'edit') {
     return (
@@ -632,6 +678,99 @@ const ProfilePage = ({ token, prefetchedUser, onBack, onLogout, onUserUpdate })
                 </svg>
               </button>
 
+              <button className="profile-action-row" onClick={() => setActiveSection('alertAreas')}>
+                <div className="profile-action-row-left">
+                  <div className="profile-row-icon-bg profile-row-icon-bg--yellow">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#475569" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"></path>
+                      <circle cx="12" cy="10" r="3"></circle>
+                    </svg>
+                  </div>
+                  <div className="profile-row-text">
+                    <span className="profile-row-title">Alert Areas</span>
+                    <span className="profile-row-subtitle">Choose the places you want hazard alerts for</span>
+                  </div>
+                </div>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
+
+              <button className="profile-action-row" onClick={() => setActiveSection('accountStanding')}>
+                <div className="profile-action-row-left">
+                  <div className="profile-row-icon-bg profile-row-icon-bg--yellow">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#475569" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10z"></path>
+                    </svg>
+                  </div>
+                  <div className="profile-row-text">
+                    <span className="profile-row-title">Account Standing</span>
+                    <span className="profile-row-subtitle">
+                      {user?.restriction ? user.restriction.message : 'Warnings, restrictions and appeals'}
+                    </span>
+                  </div>
+                </div>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
+
+              <button className="profile-action-row" onClick={() => setActiveSection('emailVerification')}>
+                <div className="profile-action-row-left">
+                  <div className="profile-row-icon-bg profile-row-icon-bg--yellow">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#475569" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M4 4h16c1.1 0 2 .9 2 2v12c0 1.1-.9 2-2 2H4c-1.1 0-2-.9-2-2V6c0-1.1.9-2 2-2z"></path>
+                      <polyline points="22,6 12,13 2,6"></polyline>
+                    </svg>
+                  </div>
+                  <div className="profile-row-text">
+                    <span className="profile-row-title">Email Verification</span>
+                    <span className="profile-row-subtitle">
+                      {user?.emailVerified ? 'Your email address is verified' : 'Verify your email address'}
+                    </span>
+                  </div>
+                </div>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
+
+              <button className="profile-action-row" onClick={() => setActiveSection('phoneVerification')}>
+                <div className="profile-action-row-left">
+                  <div className="profile-row-icon-bg profile-row-icon-bg--yellow">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#475569" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <path d="M22 16.92v3a2 2 0 0 1-2.18 2 19.79 19.79 0 0 1-8.63-3.07 19.5 19.5 0 0 1-6-6 19.79 19.79 0 0 1-3.07-8.67A2 2 0 0 1 4.11 2h3a2 2 0 0 1 2 1.72 12.84 12.84 0 0 0 .7 2.81 2 2 0 0 1-.45 2.11L8.09 9.91a16 16 0 0 0 6 6l1.27-1.27a2 2 0 0 1 2.11-.45 12.84 12.84 0 0 0 2.81.7A2 2 0 0 1 22 16.92z"></path>
+                    </svg>
+                  </div>
+                  <div className="profile-row-text">
+                    <span className="profile-row-title">Phone Verification</span>
+                    <span className="profile-row-subtitle">
+                      {user?.phoneVerified ? 'Your phone number is verified' : 'Verify the number responders call in an emergency'}
+                    </span>
+                  </div>
+                </div>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
+
+              <button className="profile-action-row" onClick={() => setActiveSection('devices')}>
+                <div className="profile-action-row-left">
+                  <div className="profile-row-icon-bg profile-row-icon-bg--yellow">
+                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="#475569" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                      <rect x="5" y="2" width="14" height="20" rx="2" ry="2"></rect>
+                      <line x1="12" y1="18" x2="12.01" y2="18"></line>
+                    </svg>
+                  </div>
+                  <div className="profile-row-text">
+                    <span className="profile-row-title">Signed-in Devices</span>
+                    <span className="profile-row-subtitle">See where you are signed in and sign out other devices</span>
+                  </div>
+                </div>
+                <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="#94a3b8" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                  <polyline points="9 18 15 12 9 6"></polyline>
+                </svg>
+              </button>
 
               <button className="profile-action-row profile-action-row--logout" onClick={onLogout}>
                 <div className="profile-action-row-left">
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import config from '../config/index.js';
+
+const getAuthHeaders = () => ({ Authorization: `Bearer ${localStorage.getItem('token')}` });
+
+const PLATFORM_LABELS = {
+  android: 'Android',
+  ios: 'iOS',
+  web: 'Web browser'
+};
+
+const formatDateTime = (date) => new Date(date).toLocaleString('en-US', {
+  month: 'short', day: 'numeric', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Best-effort name for a session: the registered push device, else the browser
+const describeSession = (session) => {
+  if (session.device) {
+    const { model, platform, osVersion } = session.device;
+    const name = model || PLATFORM_LABELS[platform] || platform;
+    return osVersion ? `${name} · ${PLATFORM_LABELS[platform] || platform} ${osVersion}` : name;
+  }
+
+  const agent = session.userAgent || '';
+  const browser = ['Edg', 'Chrome', 'Firefox', 'Safari'].find(name => agent.includes(`${name}/`));
+  const os = ['Android', 'iPhone', 'iPad', 'Windows', 'Mac OS', 'Linux'].find(name => agent.includes(name));
+  if (!browser && !os) return 'Unknown device';
+  return [browser === 'Edg' ? 'Edge' : browser, os].filter(Boolean).join(' on ');
+};
+
+/**
+ * SignedInDevices Page
+ *
+ * Lists the devices the user is signed in on and lets them sign out one
+ * device or every device except this one.
+ */
+const SignedInDevices = ({ onBack }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [signingOut, setSigningOut] = useState(null); // session id or 'others'
+
+  useEffect(() => {
+    const fetchSessions = async () => {
+      try {
+        const res = await axios.get(`${config.API_BASE_URL}/users/me/sessions`, { headers: getAuthHeaders() });
+        if (res.data.success) {
+          setSessions(res.data.data);
+        }
+      } catch (err) {
+        console.error('Signed-in devices fetch error:', err);
+        setError('Failed to load your signed-in devices');
+      }
+      setLoading(false);
+    };
+
+    fetchSessions();
+  }, []);
+
+  const showMessage = (text) => {
+    setMessage(text);
+    setTimeout(() => setMessage(''), 3000);
+  };
+
+  const handleSignOut = async (sessionId) => {
+    setSigningOut(sessionId);
+    setError('');
+    try {
+      const res = await axios.delete(`${config.API_BASE_URL}/users/me/sessions/${sessionId}`, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        setSessions(prev => prev.filter(session => session._id !== sessionId));
+        showMessage(res.data.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign out device');
+    }
+    setSigningOut(null);
+  };
+
+  const handleSignOutOthers = async () => {
+    setSigningOut('others');
+    setError('');
+    try {
+      const res = await axios.delete(`${config.API_BASE_URL}/users/me/sessions`, { headers: getAuthHeaders() });
+      if (res.data.success) {
+        setSessions(prev => prev.filter(session => session.current));
+        showMessage(res.data.message);
+      }
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to sign out devices');
+    }
+    setSigningOut(null);
+  };
+
+  const otherSessions = sessions.filter(session => !session.current);
+
+  return (
+    <div className="profile-page">
+      <div className="profile-container">
+        <div className="profile-card profile-card--edit">
+          <div className="profile-edit-header">
+            <button className="profile-back-btn" onClick={onBack}>
+              <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <line x1="19" y1="12" x2="5" y2="12"></line>
+                <polyline points="12 19 5 12 12 5"></polyline>
+              </svg>
+            </button>
+            <h2 className="profile-edit-title">Signed-in Devices</h2>
+          </div>
+
+          {message && (
+            <div className="profile-toast profile-toast--success">
+              <span>✓</span> {message}
+            </div>
+          )}
+          {error && (
+            <div className="profile-toast profile-toast--error">
+              <span>⚠️</span> {error}
+              <button className="profile-toast__close" onClick={() => setError('')}>×</button>
+            </div>
+          )}
+
+          {loading ? (
+            <p className="profile-switch-desc">Loading signed-in devices...</p>
+          ) : (
+            <div className="profile-form">
+              {sessions.map(session => (
+                <div key={session._id} className="profile-form-group">
+                  <span className="profile-label">
+                    {describeSession(session)}
+                    {session.current && <span style={{ color: '#15803d' }}> · This device</span>}
+                  </span>
+                  <span className="profile-switch-desc">
+                    {session.ip ? `${session.ip} · ` : ''}Last active {formatDateTime(session.lastSeenAt)}
+                    <br />
+                    Signed in {formatDateTime(session.createdAt)}
+                  </span>
+
+                  {!session.current && (
+                    <div className="profile-image-actions">
+                      <button
+                        className="profile-btn profile-btn--text profile-btn--sm"
+                        onClick={() => handleSignOut(session._id)}
+                        disabled={signingOut !== null}
+                      >
+                        {signingOut === session._id ? 'Signing out...' : 'Sign out'}
+                      </button>
+                    </div>
+                  )}
+                </div>
+              ))}
+
+              {otherSessions.length > 0 ? (
+                <div className="profile-image-actions">
+                  <button
+                    className="profile-btn profile-btn--text profile-btn--sm"
+                    onClick={handleSignOutOthers}
+                    disabled={signingOut !== null}
+                  >
+                    {signingOut === 'others' ? 'Signing out...' : 'Sign out all other devices'}
+                  </button>
+                </div>
+              ) : (
+                <p className="profile-switch-desc">You are not signed in on any other device.</p>
+              )}
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SignedInDevices;
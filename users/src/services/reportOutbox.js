@@ -0,0 +1,188 @@
+/**
+ * Report Outbox - Keeps report submissions in IndexedDB while the device is
+ * offline and uploads them once the connection is back.
+ *
+ * Every submission carries an idempotency key, so a retry of a report the
+ * server already stored returns that report instead of creating a duplicate.
+ */
+import axios from 'axios';
+import config from '../config/index.js';
+
+const DB_NAME = 'roadalert-outbox';
+const DB_VERSION = 1;
+const STORE = 'reports';
+
+// Fired on window whenever the outbox contents change
+export const OUTBOX_CHANGED_EVENT = 'report-outbox-changed';
+
+// Retry backoff: 30s, 1m, 2m, 4m ... capped at 30 minutes
+const BASE_RETRY_DELAY = 30 * 1000;
+const MAX_RETRY_DELAY = 30 * 60 * 1000;
+
+let dbPromise = null;
+let syncing = false;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request against the outbox store and resolve with its result
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, mode);
+    const request = action(tx.objectStore(STORE));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+  });
+};
+
+const notifyChanged = () => {
+  window.dispatchEvent(new Event(OUTBOX_CHANGED_EVENT));
+};
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+
+/**
+ * Create a key identifying one report submission across retries
+ */
+export const createIdempotencyKey = () => {
+  if (window.crypto?.randomUUID) return window.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * True when the request never reached the server (offline, DNS, dropped connection)
+ */
+export const isNetworkError = (err) => !err.response;
+
+/**
+ * Upload a report to POST /api/reports/user
+ * @param {Object} submission
+ * @param {Object} submission.fields - Form fields, named as the endpoint expects
+ * @param {Array} submission.images - [{ blob, name }]
+ * @param {String} submission.idempotencyKey - Key from createIdempotencyKey()
+ * @param {Object} options - Extra axios options (e.g. onUploadProgress)
+ */
+export const postReport = ({ fields, images, idempotencyKey }, options = {}) => {
+  const data = new FormData();
+  Object.entries(fields).forEach(([key, value]) => data.append(key, value));
+  images.forEach(image => data.append('images', image.blob, image.name));
+
+  return axios.post(`${config.API_BASE_URL}/reports/user`, data, {
+    headers: {
+      'Authorization': `Bearer ${localStorage.getItem('token')}`,
+      'Idempotency-Key': idempotencyKey
+    },
+    timeout: 60000,
+    ...options
+  });
+};
+
+/**
+ * Save a submission to the outbox to be uploaded later
+ * @param {Object} submission - Same shape as postReport()
+ */
+export const queueReport = async ({ fields, images, idempotencyKey }) => {
+  const entry = {
+    id: idempotencyKey,
+    fields,
+    images,
+    createdAt: Date.now(),
+    attempts: 0,
+    nextAttemptAt: Date.now(),
+    status: 'pending',
+    lastError: null
+  };
+  await withStore('readwrite', store => store.put(entry));
+  notifyChanged();
+  return entry;
+};
+
+/**
+ * All queued submissions, oldest first
+ */
+export const getOutbox = async () => {
+  if (!window.indexedDB) return [];
+  const entries = await withStore('readonly', store => store.getAll());
+  return (entries || []).sort((a, b) => a.createdAt - b.createdAt);
+};
+
+/**
+ * Drop a queued submission without uploading it
+ */
+export const removeFromOutbox = async (id) => {
+  await withStore('readwrite', store => store.delete(id));
+  notifyChanged();
+};
+
+/**
+ * Upload every queued submission whose retry time has come.
+ * Network failures back off and stop the run; a report the server refuses
+ * (validation, limits, frozen account) is marked failed and left for the user.
+ * @param {Object} options
+ * @param {Boolean} options.force - Ignore retry times and failed state (manual "retry now")
+ * @returns {Object} { sent, remaining }
+ */
+export const syncOutbox = async ({ force = false } = {}) => {
+  if (syncing || !navigator.onLine || !localStorage.getItem('token') || !window.indexedDB) {
+    return { sent: 0, remaining: null };
+  }
+
+  syncing = true;
+  let sent = 0;
+  try {
+    const entries = await getOutbox();
+    const now = Date.now();
+
+    for (const entry of entries) {
+      if (!force && (entry.status === 'failed' || entry.nextAttemptAt > now)) continue;
+
+      try {
+        await postReport({ fields: entry.fields, images: entry.images, idempotencyKey: entry.id });
+        await withStore('readwrite', store => store.delete(entry.id));
+        sent += 1;
+        console.log(`📤 Outbox report ${entry.id} uploaded`);
+      } catch (err) {
+        const attempts = entry.attempts + 1;
+        const retryable = isNetworkError(err) || err.response.status >= 500;
+        const updated = {
+          ...entry,
+          attempts,
+          status: retryable ? 'pending' : 'failed',
+          nextAttemptAt: Date.now() + retryDelay(attempts),
+          lastError: retryable
+            ? 'Waiting for a connection'
+            : err.response.data?.error || 'The server could not accept this report'
+        };
+        await withStore('readwrite', store => store.put(updated));
+        console.warn(`⚠️ Outbox report ${entry.id} not uploaded (attempt ${attempts}):`, updated.lastError);
+
+        // Still offline - the remaining reports would fail the same way
+        if (isNetworkError(err)) break;
+      }
+    }
+
+    const remaining = (await getOutbox()).length;
+    return { sent, remaining };
+  } catch (error) {
+    console.error('Outbox sync failed:', error);
+    return { sent, remaining: null };
+  } finally {
+    syncing = false;
+    notifyChanged();
+  }
+};
@@ -0,0 +1,197 @@
+/**
+ * Session Client - Keeps the short-lived access token fresh with the rotating
+ * refresh token, and signs this device out
+ */
+import axios from 'axios';
+import config from '../config/index.js';
+
+const TOKEN_KEY = 'token';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Renew the access token this long before it expires
+const REFRESH_AHEAD_MS = 60 * 1000;
+
+// Retry delay when a renewal fails because the device is offline
+const OFFLINE_RETRY_MS = 30 * 1000;
+
+let refreshPromise = null;
+
+/**
+ * Store the tokens from a login or refresh response
+ * @param {Object} session - { token, refreshToken }
+ */
+export const saveSession = ({ token, refreshToken }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) {
+    localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+};
+
+/**
+ * Forget this device's tokens (does not tell the server)
+ */
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_TOKEN_KEY);
+};
+
+/**
+ * Get a new access token. Concurrent callers share one request, since every
+ * refresh token can only be used once.
+ * @returns {Promise<string|null>} The new token, or null when the session has ended
+ */
+export const refreshSession = () => {
+  if (refreshPromise) return refreshPromise;
+
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  if (!refreshToken) return Promise.resolve(null);
+
+  refreshPromise = axios.post(`${config.API_BASE_URL}/auth/refresh`, { refreshToken })
+    .then((res) => {
+      saveSession(res.data);
+      return res.data.token;
+    })
+    .catch((err) => {
+      // Another tab may have rotated the token first and stored the new one
+      const storedRefreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+      if (storedRefreshToken && storedRefreshToken !== refreshToken) {
+        return localStorage.getItem(TOKEN_KEY);
+      }
+      if (err.response?.status === 401) return null;
+      throw err;
+    })
+    .finally(() => {
+      refreshPromise = null;
+    });
+
+  return refreshPromise;
+};
+
+/**
+ * Sign this device out on the server and forget its tokens
+ */
+export const signOut = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+  const token = localStorage.getItem(TOKEN_KEY);
+  clearSession();
+
+  try {
+    await axios.post(`${config.API_BASE_URL}/auth/logout`, { refreshToken }, {
+      headers: token ? { 'Authorization': `Bearer ${token}` } : {}
+    });
+  } catch (err) {
+    console.log('Logout request failed:', err.response?.status || err.message);
+  }
+};
+
+const isAuthRequest = (url = '') => url.includes('/auth/refresh') || url.includes('/auth/logout');
+
+/**
+ * Install axios interceptors that send the latest access token and, when a
+ * request is rejected with 401, refresh the session and retry it once
+ * @param {Function} onSessionEnded - Called when the session can no longer be refreshed
+ * @returns {Function} Removes the interceptors
+ */
+export const attachSessionInterceptors = (onSessionEnded) => {
+  const requestInterceptor = axios.interceptors.request.use((request) => {
+    // Components pass the token they rendered with; it may have been renewed since
+    const token = localStorage.getItem(TOKEN_KEY);
+    if (token && request.headers.get('Authorization')?.startsWith('Bearer ')) {
+      request.headers.set('Authorization', `Bearer ${token}`);
+    }
+    return request;
+  });
+
+  const responseInterceptor = axios.interceptors.response.use(
+    (response) => response,
+    async (error) => {
+      const request = error.config;
+      if (
+        error.response?.status !== 401 ||
+        !request ||
+        request._sessionRetried ||
+        isAuthRequest(request.url) ||
+        !request.headers.get('Authorization')
+      ) {
+        return Promise.reject(error);
+      }
+
+      let token = null;
+      try {
+        token = await refreshSession();
+      } catch {
+        return Promise.reject(error);
+      }
+      if (!token) {
+        onSessionEnded();
+        return Promise.reject(error);
+      }
+
+      request._sessionRetried = true;
+      request.headers.set('Authorization', `Bearer ${token}`);
+      return axios(request);
+    }
+  );
+
+  return () => {
+    axios.interceptors.request.eject(requestInterceptor);
+    axios.interceptors.response.eject(responseInterceptor);
+  };
+};
+
+// Expiry (ms) of an access token, read from its payload
+const tokenExpiry = (token) => {
+  try {
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+    return payload.exp ? payload.exp * 1000 : null;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Renew the access token shortly before it expires, so plain fetch() calls
+ * that read the token from storage keep working
+ * @param {Function} onSessionEnded - Called when the session can no longer be refreshed
+ * @returns {Function} Stops the renewals
+ */
+export const startSessionKeepAlive = (onSessionEnded) => {
+  let timer = null;
+
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    if (delay === undefined) {
+      const expiry = tokenExpiry(localStorage.getItem(TOKEN_KEY));
+      if (!expiry) return;
+      delay = Math.max(expiry - Date.now() - REFRESH_AHEAD_MS, 0);
+    }
+    timer = setTimeout(renew, delay);
+  };
+
+  const renew = async () => {
+    try {
+      const token = await refreshSession();
+      if (!token) {
+        onSessionEnded();
+        return;
+      }
+      schedule();
+    } catch (err) {
+      console.log('Session refresh failed, retrying:', err.message);
+      schedule(OFFLINE_RETRY_MS);
+    }
+  };
+
+  // Timers are paused while the app is in the background; catch up on return
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === 'visible') schedule();
+  };
+  document.addEventListener('visibilitychange', handleVisibilityChange);
+
+  schedule();
+
+  return () => {
+    clearTimeout(timer);
+    document.removeEventListener('visibilitychange', handleVisibilityChange);
+  };
+};
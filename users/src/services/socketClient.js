@@ -0,0 +1,37 @@
+/**
+ * Socket Client - Shared Socket.IO connection for real-time updates
+ */
+import { io } from 'socket.io-client';
+import config from '../config/index.js';
+
+let socket = null;
+
+/**
+ * Get the shared socket, connecting with the current user's token.
+ * The token is read on every (re)connect, so renewed access tokens are
+ * picked up; a new login reconnects after disconnectSocket() on logout.
+ */
+export const getSocket = () => {
+  if (!localStorage.getItem('token')) return null;
+
+  if (socket) {
+    return socket;
+  }
+
+  socket = io(config.BACKEND_URL, {
+    auth: (cb) => cb({ token: localStorage.getItem('token') }),
+    transports: ['websocket', 'polling']
+  });
+
+  return socket;
+};
+
+/**
+ * Close the shared socket (call on logout)
+ */
+export const disconnectSocket = () => {
+  if (socket) {
+    socket.disconnect();
+    socket = null;
+  }
+};
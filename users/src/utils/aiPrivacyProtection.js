@@ -1408,13 +1408,17 @@ export const blurVehiclePlates = (canvas, vehicles) => {
  * - NEVER blur entire image, full body, or vehicle body
  * 
  * @param {HTMLCanvasElement} canvas - Canvas containing the captured image
- * @returns {Promise<Object>} Detection results with counts
+ * @param {Object} options
+ * @param {boolean} options.applyBlur - false to only detect (for the redaction editor)
+ * @returns {Promise<Object>} Detection results with counts and the regions found
  */
 export const applyAIPrivacyProtection = async (canvas, options = {}) => {
+  const regions = [];
   try {
     const {
       blurFaces: shouldBlurFaces = true,
       blurPlates: shouldBlurPlates = true,
+      applyBlur = true,
     } = options;
 
     console.log('═══════════════════════════════════════════════════');
@@ -1436,6 +1440,12 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
     let totalHeadsBlurred = 0;
     let totalPlatesBlurred = 0;
 
+    // Record every region, and blur it unless we are only detecting
+    const redactRegion = (kind, x, y, width, height, blurRadius) => {
+      regions.push({ kind, x, y, width, height });
+      if (applyBlur) applyGaussianBlur(context, x, y, width, height, blurRadius);
+    };
+
     // ═══════════════════════════════════════════════════
     // STEP 1: RUN YOLOv8 CUSTOM MODEL (PRIMARY DETECTOR)
     // Classes: 0 = head/face, 1 = plate
@@ -1657,7 +1667,7 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
         if (bw <= 0 || bh <= 0) continue;
 
         console.log(`🔒 Blurring HEAD (${(head.confidence * 100).toFixed(0)}% conf): ${bw}x${bh} at (${x1}, ${y1})`);
-        applyGaussianBlur(context, x1, y1, bw, bh, 35);
+        redactRegion('face', x1, y1, bw, bh, 35);
         totalHeadsBlurred++;
       }
 
@@ -1695,7 +1705,7 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
 
         const conf = face.confidence || face.probability?.[0] || 0;
         console.log(`🔒 Blurring HEAD [BlazeFace] (${(conf * 100).toFixed(0)}% conf): ${bw}x${bh} at (${x1}, ${y1})`);
-        applyGaussianBlur(context, x1, y1, bw, bh, 35);
+        redactRegion('face', x1, y1, bw, bh, 35);
         totalHeadsBlurred++;
       }
 
@@ -1785,7 +1795,7 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
 
         const tierLabel = plate.tier || 'STRONG';
         console.log(`🔒 Blurring PLATE [${tierLabel}] (${(plate.confidence * 100).toFixed(0)}% conf): ${bw}x${bh} at (${x1}, ${y1})`);
-        applyGaussianBlur(context, x1, y1, bw, bh, 50);
+        redactRegion('plate', x1, y1, bw, bh, 50);
         totalPlatesBlurred++;
       }
 
@@ -1808,7 +1818,8 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
       peopleDetected: 0,
       vehiclesDetected: 0,
       platesDetected: totalPlatesBlurred,
-      totalBlurred: totalBlurred
+      totalBlurred: totalBlurred,
+      regions
     };
 
   } catch (error) {
@@ -1820,11 +1831,24 @@ export const applyAIPrivacyProtection = async (canvas, options = {}) => {
       vehiclesDetected: 0,
       platesDetected: 0,
       totalBlurred: 0,
+      regions,
       error: error.message
     };
   }
 };
 
+/**
+ * Pixelate a list of regions on a canvas (used by the redaction editor)
+ * @param {HTMLCanvasElement} canvas - Canvas containing the image
+ * @param {Array} regions - [{ x, y, width, height }] in canvas pixels
+ */
+export const blurRegions = (canvas, regions) => {
+  const context = canvas.getContext('2d');
+  regions.forEach(region => {
+    applyGaussianBlur(context, region.x, region.y, region.width, region.height, 40);
+  });
+};
+
 /**
  * Preload the face detection model on app startup
  * This improves performance when capturing images
@@ -1,16 +1,87 @@
 import config from '../config/index.js';
 
+/**
+ * Responsive image variants generated by the backend (longest side in px).
+ * Keep in sync with VARIANTS in backend/services/ImageStorageService.js.
+ */
+export const IMAGE_VARIANTS = {
+  small: 320,
+  medium: 800,
+  large: 1600
+};
+
+/**
+ * Cloudinary delivery URL for a variant. Uses the same transformation the
+ * backend generates eagerly on upload, so the pre-built copy is served.
+ * Non-Cloudinary URLs are returned unchanged.
+ * @param {string} url - Original image URL
+ * @param {string} size - 'small', 'medium' or 'large'
+ * @returns {string} Variant URL
+ */
+export const getCloudinaryVariantUrl = (url, size) => {
+  const px = IMAGE_VARIANTS[size];
+  if (!px || !url.includes('res.cloudinary.com') || !url.includes('/upload/')) {
+    return url;
+  }
+  return url.replace('/upload/', `/upload/c_limit,f_webp,h_${px},q_auto,w_${px}/`);
+};
+
+/**
+ * Get the URL of a report image in the requested size
+ * @param {Object} report - Report with its images array
+ * @param {number} index - Image index
+ * @param {string} size - 'small', 'medium', 'large', or omitted for the original
+ * @returns {string} Image URL or null when the report has no such image
+ */
+export const getReportImageUrl = (report, index = 0, size) => {
+  const imageData = report?.images?.[index];
+  if (!imageData) return null;
+
+  // Inline base64 (legacy) has no variants
+  if (imageData.data) {
+    return `data:${imageData.mimetype || 'image/jpeg'};base64,${imageData.data}`;
+  }
+
+  if (imageData.imageUrl?.startsWith('http')) {
+    return size ? getCloudinaryVariantUrl(imageData.imageUrl, size) : imageData.imageUrl;
+  }
+
+  // Legacy: filename as URL
+  const filename = imageData.filename || imageData;
+  if (typeof filename === 'string' && (filename.startsWith('http') || filename.startsWith('data:'))) {
+    return filename;
+  }
+
+  // Image store: the endpoint serves the variant
+  return `${config.BACKEND_URL}/api/reports/${report._id}/image/${index}${size ? `?size=${size}` : ''}`;
+};
+
+/**
+ * Get the URL of a news post image attachment in the requested size
+ * @param {string} postId - News post ID
+ * @param {number} index - Attachment index
+ * @param {string} size - 'small', 'medium', 'large', or omitted for the original
+ * @returns {string} Image URL
+ */
+export const getNewsImageUrl = (postId, index, size) =>
+  `${config.BACKEND_URL}/api/news/image/${postId}/${index}${size ? `?size=${size}` : ''}`;
+
 /**
  * Get full URL for profile image with fallback handling
  * @param {string} imagePath - The relative image path from backend
+ * @param {string} size - Optional variant ('small' for avatars in lists)
  * @returns {string} Full image URL or null if invalid
  */
-export const getProfileImageUrl = (imagePath) => {
+export const getProfileImageUrl = (imagePath, size) => {
   if (!imagePath) return null;
+
+  if (imagePath.startsWith('data:')) {
+    return imagePath;
+  }
   
-  // If already a full URL, return as-is
+  // If already a full URL, return as-is (or its variant)
   if (imagePath.startsWith('http://') || imagePath.startsWith('https://')) {
-    return imagePath;
+    return size ? getCloudinaryVariantUrl(imagePath, size) : imagePath;
   }
   
   // If starts with /, it's a relative path from backend
@@ -83,6 +154,10 @@ export const ProfileImage = ({
 };
 
 export default {
+  IMAGE_VARIANTS,
+  getCloudinaryVariantUrl,
+  getReportImageUrl,
+  getNewsImageUrl,
   getProfileImageUrl,
   checkImageAccessibility,
   ProfileImage
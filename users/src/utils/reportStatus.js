@@ -0,0 +1,8 @@
+/**
+ * Report statuses shared across the app
+ */
+
+// Verified hazards that are still on the road. Verified reports are routed to
+// an agency (assigned, in_progress) right away, so public views ask for all of
+// these, not just 'verified'. Mirrors Report.ACTIVE_STATUSES on the backend.
+export const ACTIVE_STATUSES = ['verified', 'assigned', 'in_progress', 'reopened'];